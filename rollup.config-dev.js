@@ -20,5 +20,21 @@ export default [
     input: 'src/extension/views/json/json.js',
     ...viewBuild('chrome', '/views/json'),
   },
+  {
+    input: 'src/extension/views/diff/diff.js',
+    ...viewBuild('chrome', '/views/diff'),
+  },
+  {
+    input: 'src/extension/views/redirects/redirects.js',
+    ...viewBuild('chrome', '/views/redirects'),
+  },
+  {
+    input: 'src/extension/views/audit/audit.js',
+    ...viewBuild('chrome', '/views/audit'),
+  },
+  {
+    input: 'src/extension/views/projects/projects.js',
+    ...viewBuild('chrome', '/views/projects'),
+  },
   ...createExtension('chrome'),
 ];
@@ -63,6 +63,10 @@ function extensionPlugins(browser) {
       targets: [
         { src: 'src/extension/*', ignore: ['src/extension/app', 'src/extension/views', 'src/extension/types'], dest: `./dist/${browser}` },
         { src: 'src/extension/views/json/json.html', dest: `./dist/${browser}/views/json` },
+        { src: 'src/extension/views/diff/diff.html', dest: `./dist/${browser}/views/diff` },
+        { src: 'src/extension/views/redirects/redirects.html', dest: `./dist/${browser}/views/redirects` },
+        { src: 'src/extension/views/audit/audit.html', dest: `./dist/${browser}/views/audit` },
+        { src: 'src/extension/views/projects/projects.html', dest: `./dist/${browser}/views/projects` },
         { src: 'src/extension/views/doc-source', dest: `./dist/${browser}/views/` },
       ],
     }),
@@ -98,6 +102,22 @@ export default [
     input: 'src/extension/views/json/json.js',
     ...viewBuild('chrome', '/views/json'),
   },
+  {
+    input: 'src/extension/views/diff/diff.js',
+    ...viewBuild('chrome', '/views/diff'),
+  },
+  {
+    input: 'src/extension/views/redirects/redirects.js',
+    ...viewBuild('chrome', '/views/redirects'),
+  },
+  {
+    input: 'src/extension/views/audit/audit.js',
+    ...viewBuild('chrome', '/views/audit'),
+  },
+  {
+    input: 'src/extension/views/projects/projects.js',
+    ...viewBuild('chrome', '/views/projects'),
+  },
   ...createExtension('chrome'),
   ...createExtension('safari'),
 ];
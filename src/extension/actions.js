@@ -14,6 +14,7 @@ import { log } from './log.js';
 import { setAuthToken } from './auth.js';
 import {
   addProject,
+  addProjectRef,
   getProjectFromUrl,
   toggleProject,
   deleteProject,
@@ -21,9 +22,25 @@ import {
   getProject,
   getProjects,
   getProjectMatches,
+  getShareSettings,
   importLegacyProjects,
 } from './project.js';
 import { ADMIN_ORIGIN } from './utils/admin.js';
+import { getConfig, setConfig } from './config.js';
+
+/**
+ * The maximum number of tabs to remember a shared project prompt for.
+ * @private
+ * @type {number}
+ */
+const MAX_SHARED_PROJECT_PROMPTS = 50;
+
+/**
+ * The time to wait for the user to confirm adding a shared project (in ms).
+ * @private
+ * @type {number}
+ */
+const SHARED_PROJECT_CONFIRM_TIMEOUT = 60000;
 
 /**
  * Displays a browser notification.
@@ -83,6 +100,11 @@ async function addRemoveProject(tab) {
   if (isValidProject(config)) {
     const { owner, repo } = config;
     let project = await getProject(config);
+    if (project?.managed) {
+      // managed projects cannot be removed
+      await notify(chrome.i18n.getMessage('config_project_managed', project.project || project.id));
+      return;
+    }
     if (!project) {
       await addProject(config);
       project = await getProject(config);
@@ -125,6 +147,136 @@ async function importProjects() {
   await notify(chrome.i18n.getMessage(i18nKey, `${imported}`));
 }
 
+/**
+ * Opens the view to import, export and share projects.
+ */
+async function openProjectsView() {
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL('/views/projects/projects.html'),
+    active: true,
+  });
+}
+
+/**
+ * Asks the user to confirm adding a shared project in a browser notification.
+ * The project is not added if the user does not respond within 1 minute.
+ * @private
+ * @param {chrome.tabs.Tab} tab The tab
+ * @param {Object} config The project configuration
+ * @returns {Promise<boolean>} true if the user confirmed, else false
+ */
+async function confirmSharedProject(tab, config) {
+  const hosts = ['host', 'previewHost', 'liveHost', 'devOrigin']
+    .filter((key) => !!config[key])
+    .map((key) => `${key}: ${config[key]}`)
+    .join('\n');
+  const message = chrome.i18n.getMessage('config_project_share_confirm', [
+    `${config.owner}/${config.repo}`,
+    hosts || '-',
+  ]);
+  const notificationId = `shared-project-${tab.id}`;
+  const { name: title } = chrome.runtime.getManifest();
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/default/icon-48x48.png',
+      title,
+      message,
+      buttons: [
+        { title: chrome.i18n.getMessage('add') },
+        { title: chrome.i18n.getMessage('cancel') },
+      ],
+      requireInteraction: true,
+    });
+  } catch (e) {
+    log.warn('confirmSharedProject: failed to show notification', e);
+    return false;
+  }
+
+  return new Promise((resolve) => {
+    let timeout;
+    let onButtonClicked;
+    let onClosed;
+
+    const done = (confirmed) => {
+      clearTimeout(timeout);
+      chrome.notifications.onButtonClicked.removeListener(onButtonClicked);
+      chrome.notifications.onClosed.removeListener(onClosed);
+      chrome.notifications.clear(notificationId);
+      resolve(confirmed);
+    };
+
+    // listen for confirmation from notification
+    onButtonClicked = (id, buttonIndex) => {
+      if (id === notificationId) {
+        done(buttonIndex === 0);
+      }
+    };
+    onClosed = (id) => {
+      if (id === notificationId) {
+        done(false);
+      }
+    };
+    chrome.notifications.onButtonClicked.addListener(onButtonClicked);
+    chrome.notifications.onClosed.addListener(onClosed);
+
+    // resolve with false after 1 minute
+    timeout = setTimeout(() => {
+      log.debug('confirmSharedProject: timed out');
+      done(false);
+    }, SHARED_PROJECT_CONFIRM_TIMEOUT);
+  });
+}
+
+/**
+ * Adds the preconfigured project from a share URL if it doesn't exist yet
+ * and the user confirms. The user is only asked once per tab and share URL.
+ * @param {chrome.tabs.Tab} tab The tab
+ * @returns {Promise<boolean>} true if the project was added, else false
+ */
+export async function installSharedProject(tab) {
+  if (!tab?.url || !getShareSettings(tab.url).giturl) {
+    return false;
+  }
+  const config = await getProjectFromUrl(tab);
+  if (!isValidProject(config) || await getProject(config)) {
+    return false;
+  }
+  const promptKey = `${tab.id}:${tab.url}`;
+  const prompts = await getConfig('session', 'sharedProjectPrompts') || [];
+  if (prompts.includes(promptKey)) {
+    return false;
+  }
+  await setConfig('session', {
+    sharedProjectPrompts: [...prompts, promptKey].slice(-MAX_SHARED_PROJECT_PROMPTS),
+  });
+  if (!await confirmSharedProject(tab, config)) {
+    return false;
+  }
+  if (await addProject(config)) {
+    const project = await getProject(config);
+    await notify(chrome.i18n.getMessage('config_project_added', project.project || project.id));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Remembers the ref a project is being switched to.
+ * @param {chrome.tabs.Tab} tab The tab
+ * @param {Object} [message] The message
+ * @param {string} [message.owner] The project owner
+ * @param {string} [message.repo] The project repo
+ * @param {string} [message.ref] The ref
+ * @returns {Promise<boolean>} true if the ref was added, else false
+ */
+async function switchProjectRef(tab, { owner, repo, ref } = {}) {
+  if (!owner || !repo || !ref) {
+    return false;
+  }
+  return !!(await addProjectRef({ owner, repo }, ref));
+}
+
 /**
  * Opens the view document source popup.
  * @param {chrome.tabs.Tab} tab The tab
@@ -166,7 +318,9 @@ export const internalActions = {
   addRemoveProject,
   enableDisableProject,
   openViewDocSource,
+  openProjectsView,
   importProjects,
+  switchProjectRef,
 };
 
 /**
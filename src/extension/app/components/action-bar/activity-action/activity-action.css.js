@@ -29,6 +29,12 @@ export const style = css`
     padding-bottom: 2px;
   }
 
+  .container sk-action-button.stop {
+    margin-left: auto;
+    margin-right: 4px;
+    border-radius: 16px;
+  }
+
   .container i.code {
     user-select: none;
     margin-right: -5px;
@@ -42,6 +42,13 @@ export class ActivityAction extends ConnectedElement {
         this.requestUpdate();
       },
     );
+
+    reaction(
+      () => this.appStore.bulkStore.job,
+      () => {
+        this.requestUpdate();
+      },
+    );
   }
 
   handleCloseToast() {
@@ -76,11 +83,19 @@ export class ActivityAction extends ConnectedElement {
       case STATE.PUBLISHNG:
       case STATE.UNPUBLISHING:
       case STATE.DELETING:
+      case STATE.BULK_RESOLVING:
+      case STATE.BULK_COMPARING:
+      case STATE.CHECKING_DEPENDENCIES:
+      case STATE.CHECKING_LINKS:
+      case STATE.INSPECTING_METADATA:
+      case STATE.AUDITING_PAGE:
         return html`
           <sk-progress-circle size="s" indeterminate></sk-progress-circle><span>${this.appStore.i18n(this.appStore.state)}</span>
         `;
       case STATE.BULK_PREVIEWING:
       case STATE.BULK_PUBLISHING:
+      case STATE.BULK_UNPUBLISHING:
+      case STATE.BULK_DELETING:
         return html`
           <sk-progress-circle size="s" indeterminate></sk-progress-circle>
           <span>
@@ -91,6 +106,11 @@ export class ActivityAction extends ConnectedElement {
               // show generic state if bulk progress not available
               : this.appStore.i18n(this.appStore.state.replace('bulk_', ''))}
           </span>
+          ${this.appStore.bulkStore?.job ? html`
+            <sk-action-button class="stop" quiet @click=${() => this.appStore.bulkStore.stopJob()}>
+              ${this.appStore.i18n('bulk_job_stop')}
+            </sk-action-button>
+          ` : html``}
         `;
       case STATE.LOGIN_REQUIRED:
         return html`
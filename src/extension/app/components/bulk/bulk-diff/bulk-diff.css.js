@@ -0,0 +1,75 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .container {
+    margin-top: 12px;
+    min-width: 100%;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container .row {
+    display: flex;
+    flex-direction: row;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 16px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .container .row:last-of-type {
+    border-bottom: none;
+  }
+
+  .container .row.header {
+    font-weight: bold;
+    position: sticky;
+    top: 0;
+    color: var(--spectrum2-foreground-color-strong);
+    background-color: var(--spectrum2-sidekick-background);
+  }
+
+  .container .row .path {
+    flex-grow: 1;
+    min-width: 0;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    user-select: text;
+  }
+
+  .container .row .date {
+    width: 96px;
+    flex-shrink: 0;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .container .row .state {
+    font-size: var(--spectrum-font-size-75);
+    color: var(--spectrum-global-color-gray-500);
+  }
+
+  .container .row.changed .state {
+    color: var(--spectrum2-color-positive);
+  }
+
+  .container .row.not_previewed .state {
+    color: var(--spectrum2-foreground-color-negative);
+  }
+`;
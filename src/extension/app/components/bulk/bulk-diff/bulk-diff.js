@@ -0,0 +1,112 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { getTimeAgo } from '../../../utils/i18n.js';
+import { style } from './bulk-diff.css.js';
+
+/**
+ * @typedef {import('@Types').BulkDiffEntry} BulkDiffEntry
+ */
+
+/**
+ * Bulk diff component, comparing source, preview and live versions of resources
+ * and letting the user pick the ones to publish
+ * @element bulk-diff
+ * @class BulkDiff
+ */
+@customElement('bulk-diff')
+export class BulkDiff extends ConnectedElement {
+  /**
+   * The diff entries
+   * @type {BulkDiffEntry[]}
+   */
+  @property({ type: Array })
+  accessor entries = [];
+
+  static get styles() {
+    return [style];
+  }
+
+  /**
+   * Toggles the selection of an entry.
+   * @param {BulkDiffEntry} entry The diff entry
+   * @param {boolean} selected True if the entry should be selected
+   */
+  toggle(entry, selected) {
+    entry.selected = selected;
+    this.requestUpdate();
+  }
+
+  /**
+   * Toggles the selection of all entries.
+   * @param {boolean} selected True if all entries should be selected
+   */
+  toggleAll(selected) {
+    this.entries.forEach((entry) => {
+      entry.selected = selected;
+    });
+    this.requestUpdate();
+  }
+
+  /**
+   * Returns a localized time-ago string.
+   * @param {string} date The date
+   * @returns {string} The time-ago string
+   */
+  timeAgo(date) {
+    return getTimeAgo(this.appStore.languageDict, date);
+  }
+
+  render() {
+    const selected = this.entries.filter((entry) => entry.selected);
+    return html`
+      <div class="container">
+        <div class="row header">
+          <input
+            type="checkbox"
+            class="all"
+            aria-label=${this.appStore.i18n('bulk_diff_select_all')}
+            .checked=${selected.length === this.entries.length}
+            .indeterminate=${selected.length > 0 && selected.length < this.entries.length}
+            @change=${(e) => this.toggleAll(e.target.checked)}>
+          <div class="path">
+            ${this.appStore.i18n('bulk_diff_selected')
+              .replace('$1', `${selected.length}`)
+              .replace('$2', `${this.entries.length}`)}
+          </div>
+          <div class="date">${this.appStore.i18n('source')}</div>
+          <div class="date">${this.appStore.i18n('preview')}</div>
+          <div class="date">${this.appStore.i18n('live')}</div>
+        </div>
+        ${this.entries.map((entry) => html`
+          <div class="row ${entry.state}">
+            <input
+              type="checkbox"
+              aria-label=${entry.path}
+              .checked=${entry.selected}
+              @change=${(e) => this.toggle(entry, e.target.checked)}>
+            <div class="path">
+              <div>${entry.path}</div>
+              <div class="state">${this.appStore.i18n(`bulk_diff_${entry.state}`)}</div>
+            </div>
+            <div class="date">${this.timeAgo(entry.source)}</div>
+            <div class="date">${this.timeAgo(entry.preview)}</div>
+            <div class="date">${this.timeAgo(entry.live)}</div>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+}
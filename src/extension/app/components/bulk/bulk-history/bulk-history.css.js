@@ -0,0 +1,67 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .container {
+    min-width: 100%;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container .entry {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    padding: 13px 16px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .container .entry:last-of-type {
+    border-bottom: none;
+  }
+
+  .container .entry .header {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    font-weight: bold;
+    color: var(--spectrum2-foreground-color-strong);
+  }
+
+  .container .entry .header .date {
+    font-weight: normal;
+  }
+
+  .container .entry .meta {
+    color: var(--spectrum-global-color-gray-500);
+    user-select: text;
+  }
+
+  .container .entry .actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+  }
+
+  .container .entry .actions sk-action-button {
+    border-radius: 16px;
+  }
+
+  .container .empty {
+    padding: 13px 16px;
+  }
+`;
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, state } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { EventBus } from '../../../utils/event-bus.js';
+import { MODAL_EVENTS } from '../../../constants.js';
+import { style } from './bulk-history.css.js';
+
+/**
+ * @typedef {import('@Types').BulkHistoryEntry} BulkHistoryEntry
+ */
+
+/**
+ * Bulk history component, listing past bulk operations of the current project
+ * @element bulk-history
+ * @class BulkHistory
+ */
+@customElement('bulk-history')
+export class BulkHistory extends ConnectedElement {
+  /**
+   * The bulk history entries
+   * @type {BulkHistoryEntry[]}
+   */
+  @state()
+  accessor entries = null;
+
+  static get styles() {
+    return [style];
+  }
+
+  async connectedCallback() {
+    super.connectedCallback();
+    this.entries = await this.appStore.bulkStore.getHistory();
+  }
+
+  /**
+   * Closes the modal and runs the bulk operation again for the failed resources.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   */
+  rerun(entry) {
+    EventBus.instance.dispatchEvent(new CustomEvent(MODAL_EVENTS.CLOSE));
+    this.appStore.bulkStore.rerunFailed(entry);
+  }
+
+  /**
+   * Renders a bulk history entry.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   * @returns {import('lit').TemplateResult} The rendered entry
+   */
+  renderEntry(entry) {
+    const { bulkStore } = this.appStore;
+    const {
+      operation, timestamp, user, host, resources, unpublished = [], stopped,
+    } = entry;
+    const failed = bulkStore.getFailedResources(entry);
+    const failedLive = unpublished.filter(({ status }) => status >= 400);
+    return html`
+      <div class="entry">
+        <div class="header">
+          <span class="operation">${this.appStore.i18n(operation)}</span>
+          <span class="date">${new Date(timestamp).toLocaleString()}</span>
+        </div>
+        <div class="details">
+          <div class="summary">
+            ${stopped
+              ? bulkStore.getStoppedText(resources)
+              : bulkStore.getSummaryText(operation, resources.length, failed.length)}
+            ${unpublished.length > 0
+              ? bulkStore.getSummaryText('unpublish', unpublished.length, failedLive.length)
+              : ''}
+          </div>
+          <div class="meta">${[user, host].filter((info) => !!info).join(' · ')}</div>
+        </div>
+        <div class="actions">
+          ${failed.length > 0 ? html`
+            <sk-action-button class="rerun" quiet @click=${() => this.rerun(entry)}>
+              ${this.appStore.i18n('bulk_history_rerun').replace('$1', `${failed.length}`)}
+            </sk-action-button>
+          ` : ''}
+          <sk-action-button class="csv" quiet @click=${() => bulkStore.exportHistoryEntry(entry, 'csv')}>
+            CSV
+          </sk-action-button>
+          <sk-action-button class="json" quiet @click=${() => bulkStore.exportHistoryEntry(entry, 'json')}>
+            JSON
+          </sk-action-button>
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    if (!this.entries) {
+      return '';
+    }
+    return html`
+      <div class="container">
+        ${this.entries.length > 0
+          ? this.entries.map((entry) => this.renderEntry(entry))
+          : html`<div class="empty">${this.appStore.i18n('bulk_history_empty')}</div>`}
+      </div>
+    `;
+  }
+}
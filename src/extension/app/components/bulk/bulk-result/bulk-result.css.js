@@ -62,6 +62,9 @@ export const style = css`
   .container .row .status.error {
     color: var(--spectrum2-foreground-color-negative);
   }
+  .container .row .status.skipped {
+    color: var(--spectrum-global-color-gray-500);
+  }
 
   .container .row .path {
     text-overflow: ellipsis;
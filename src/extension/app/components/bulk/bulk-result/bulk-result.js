@@ -16,17 +16,68 @@ import { ConnectedElement } from '../../connected-element/connected-element.js';
 import { ICONS } from '../../../constants.js';
 import { style } from './bulk-result.css.js';
 
+/**
+ * @typedef {import('@Types').AdminJobResource} AdminJobResource
+ */
+
 @customElement('bulk-result')
 export class BulkResult extends ConnectedElement {
   static get styles() {
     return [style];
   }
 
+  /**
+   * Renders the rows for a list of resources.
+   * @param {AdminJobResource[]} resources The resources
+   * @param {string} operation The bulk operation
+   * @param {boolean} linkable True if successful paths should be linked
+   * @returns {import('lit').TemplateResult[]} The rows
+   */
+  renderRows(resources, operation, linkable) {
+    const { summary } = this.appStore.bulkStore;
+    return resources.map(({ status, path, error }) => (!status ? html`
+      <div class="row">
+        <div class="status skipped">
+          ${ICONS.INFO}
+        </div>
+        <div>
+          <div class="path">${path}</div>
+          <div class="error">
+            <span>${this.appStore.i18n('bulk_result_not_processed')}</span>
+          </div>
+        </div>
+      </div>
+    ` : html`
+      <div class="row">
+        <div class="status ${status < 400 ? 'success' : 'error'}">
+          ${status < 400 ? ICONS.CHECKMARK : ICONS.ALERT_TRIANGLE}
+        </div>
+        <div>
+          <div class="path">
+            ${status < 400 && linkable
+              ? html`<a href="https://${summary.host}${path}" target="_blank">${path}</a>`
+              : path}
+          </div>
+          ${error || status >= 400 ? html`
+            <div class="error">
+              <span>
+                ${this.appStore.api.getLocalizedError(operation, path, status, error)}
+              </span>
+            </div>
+            `
+            : ''}
+          </div>
+        </div>
+      </div>
+    `));
+  }
+
   /**
    * Render the bulk results.
    */
   render() {
     const { summary } = this.appStore?.bulkStore || {};
+    const linkable = summary && !this.appStore.bulkStore.isDestructive(summary.operation);
 
     return summary ? html`
       <div class="container">
@@ -36,29 +87,16 @@ export class BulkResult extends ConnectedElement {
             ${this.appStore.i18n('bulk_result_path')}
           </div>
         </div>
-        ${summary.resources.map(({ status, path, error }) => html`
-          <div class="row">
-            <div class="status ${status < 400 ? 'success' : 'error'}">
-              ${status < 400 ? ICONS.CHECKMARK : ICONS.ALERT_TRIANGLE}
-            </div>
+        ${this.renderRows(summary.resources, summary.operation, linkable)}
+        ${summary.unpublished?.length ? html`
+          <div class="row header">
+            <div class="status"></div>
             <div>
-              <div class="path">
-                ${status < 400
-                  ? html`<a href="https://${summary.host}${path}" target="_blank">${path}</a>`
-                  : path}
-              </div>
-              ${error || status >= 400 ? html`
-                <div class="error">
-                  <span>
-                    ${this.appStore.api.getLocalizedError(summary.operation, path, status, error)}
-                  </span>
-                </div>
-                `
-                : ''}
-              </div>
+              ${this.appStore.i18n('bulk_result_unpublished')}
             </div>
           </div>
-        `)}
+          ${this.renderRows(summary.unpublished, 'unpublish', false)}
+        ` : ''}
       </div>
     ` : '';
   }
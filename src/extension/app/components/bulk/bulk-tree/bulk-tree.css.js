@@ -0,0 +1,50 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .container {
+    margin-top: 12px;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    user-select: text;
+    padding: 8px 16px;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container ul {
+    margin: 0;
+    padding-left: 16px;
+    list-style: none;
+  }
+
+  .container > ul {
+    padding-left: 0;
+  }
+
+  .container li {
+    white-space: nowrap;
+    line-height: 24px;
+  }
+
+  .container li.folder > span {
+    font-weight: bold;
+  }
+
+  .container li.folder > span.count {
+    font-weight: normal;
+    color: var(--spectrum-global-color-gray-500);
+  }
+`;
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { style } from './bulk-tree.css.js';
+
+/**
+ * @typedef {Object} BulkTreeNode
+ * @property {string} name The node name
+ * @property {Map<string, BulkTreeNode>} children The child nodes
+ */
+
+/**
+ * Bulk tree component, showing resource paths grouped by folder
+ * @element bulk-tree
+ * @class BulkTree
+ */
+@customElement('bulk-tree')
+export class BulkTree extends ConnectedElement {
+  /**
+   * The resource paths
+   * @type {string[]}
+   */
+  @property({ type: Array })
+  accessor paths = [];
+
+  static get styles() {
+    return [style];
+  }
+
+  /**
+   * Creates a tree from the resource paths.
+   * @returns {BulkTreeNode} The root node
+   */
+  getTree() {
+    const root = { name: '', children: new Map() };
+    this.paths.forEach((path) => {
+      let node = root;
+      path.split('/').filter((segment) => !!segment).forEach((segment) => {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, { name: segment, children: new Map() });
+        }
+        node = node.children.get(segment);
+      });
+    });
+    return root;
+  }
+
+  /**
+   * Counts the resources in a tree node.
+   * @param {BulkTreeNode} node The tree node
+   * @returns {number} The number of resources
+   */
+  countResources(node) {
+    return [...node.children.values()]
+      .reduce((count, child) => count + (child.children.size > 0
+        ? this.countResources(child)
+        : 1), 0);
+  }
+
+  /**
+   * Renders a tree node.
+   * @param {BulkTreeNode} node The tree node
+   * @returns {import('lit').TemplateResult} The rendered node
+   */
+  renderNode(node) {
+    return html`
+      <ul>
+        ${[...node.children.values()].map((child) => (child.children.size > 0 ? html`
+          <li class="folder">
+            <span>${child.name}/</span>
+            <span class="count">(${this.countResources(child)})</span>
+            ${this.renderNode(child)}
+          </li>
+        ` : html`
+          <li class="file">${child.name}</li>
+        `))}
+      </ul>
+    `;
+  }
+
+  render() {
+    return html`
+      <div class="container">
+        ${this.renderNode(this.getTree())}
+      </div>
+    `;
+  }
+}
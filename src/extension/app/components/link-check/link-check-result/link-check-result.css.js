@@ -0,0 +1,81 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .summary {
+    margin-bottom: 12px;
+  }
+
+  .container {
+    min-width: 100%;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container .row {
+    display: flex;
+    flex-direction: row;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 16px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .container .row:last-of-type {
+    border-bottom: none;
+  }
+
+  .container .row .issue {
+    width: 96px;
+    flex-shrink: 0;
+    font-weight: bold;
+    color: var(--spectrum2-color-positive);
+  }
+
+  .container .row.not_found .issue,
+  .container .row.error .issue {
+    color: var(--spectrum2-foreground-color-negative);
+  }
+
+  .container .row.redirect .issue,
+  .container .row.wrong_env .issue {
+    color: var(--spectrum-global-color-orange-600);
+  }
+
+  .container .row.unverified .issue {
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .container .row .link {
+    flex-grow: 1;
+    min-width: 0;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    user-select: text;
+  }
+
+  .container .row .link a {
+    color: inherit;
+  }
+
+  .container .row .status {
+    width: 32px;
+    flex-shrink: 0;
+    text-align: right;
+  }
+`;
@@ -0,0 +1,65 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { style } from './link-check-result.css.js';
+
+/**
+ * @typedef {import('@Types').LinkCheckEntry} LinkCheckEntry
+ */
+
+/**
+ * Link check result component, listing the checked links and their issues
+ * @element link-check-result
+ * @class LinkCheckResult
+ */
+@customElement('link-check-result')
+export class LinkCheckResult extends ConnectedElement {
+  /**
+   * The link check results
+   * @type {LinkCheckEntry[]}
+   */
+  @property({ type: Array })
+  accessor results = [];
+
+  static get styles() {
+    return [style];
+  }
+
+  render() {
+    const issues = this.results.filter(({ issue }) => !['ok', 'unverified'].includes(issue));
+    return html`
+      <div class="summary">
+        ${this.appStore.i18n('check_links_summary')
+          .replace('$1', `${this.results.length}`)
+          .replace('$2', `${issues.length}`)}
+      </div>
+      ${this.results.length > 0 ? html`
+        <div class="container">
+          ${this.results.map(({
+            url, text, status, issue,
+          }) => html`
+            <div class="row ${issue}">
+              <div class="issue">${this.appStore.i18n(`check_links_${issue}`)}</div>
+              <div class="link">
+                <a href=${url} target="_blank" title=${text}>${url}</a>
+              </div>
+              <div class="status">${status ?? ''}</div>
+            </div>
+          `)}
+        </div>
+      ` : ''}
+    `;
+  }
+}
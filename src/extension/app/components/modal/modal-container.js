@@ -150,8 +150,30 @@ export class ModalContainer extends LitElement {
         return;
       }
     }
+    let detail;
+    if (this.modal.type === MODALS.SCHEDULE) {
+      /**
+       * @type {import('../schedule/schedule-publish/schedule-publish.js').SchedulePublish}
+       */
+      const schedulePublish = this.shadowRoot.querySelector('schedule-publish');
+      const time = schedulePublish.getTime();
+      if (!time) {
+        return;
+      }
+      detail = { time };
+    }
+    if (this.modal.type === MODALS.SWITCH_REF) {
+      /**
+       * @type {HTMLInputElement}
+       */
+      const refInput = this.shadowRoot.querySelector('#ref-input');
+      if (!refInput.value.trim()) {
+        return;
+      }
+      detail = { ref: refInput.value.trim() };
+    }
     // Announces that the "confirm" button has been clicked.
-    this.dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+    this.dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM, { detail }));
     this.cleanup();
   }
 
@@ -182,7 +204,9 @@ export class ModalContainer extends LitElement {
       return undefined;
     }
 
-    const { operation, resources, host } = bulkStore.summary;
+    const {
+      operation, resources, host, stopped,
+    } = bulkStore.summary;
     const failed = resources.filter((resource) => resource.status >= 400);
     const succeeded = resources.filter(({ status }) => status < 400);
     const paths = succeeded.map(({ path }) => path);
@@ -193,8 +217,10 @@ export class ModalContainer extends LitElement {
 
     const options = {};
     options.underlay = true;
-    options.headline = bulkStore.getSummaryText(operation, resources.length, failed.length);
-    if (paths.length > 0) {
+    options.headline = stopped
+      ? bulkStore.getStoppedText(resources)
+      : bulkStore.getSummaryText(operation, resources.length, failed.length);
+    if (paths.length > 0 && !bulkStore.isDestructive(operation)) {
       options.confirmLabel = openUrlsLabel;
       options.confirmCallback = () => bulkStore.openUrls(host, paths);
       options.secondaryLabel = copyUrlsLabel;
@@ -216,7 +242,7 @@ export class ModalContainer extends LitElement {
     }
 
     const { type, data } = modal;
-    const options = {};
+    const options = /** @type {Object} */ ({});
     switch (type) {
       case MODALS.ERROR:
         options.dismissable = false;
@@ -251,11 +277,59 @@ export class ModalContainer extends LitElement {
         options.secondaryLabel = data?.secondaryLabel;
         options.secondaryCallback = data?.secondaryCallback;
         options.cancelLabel = this.appStore.i18n('cancel');
-        options.content = html`${data?.message || ''}`;
+        options.content = html`
+          ${data?.message || ''}
+          ${data?.paths && !data?.diff ? html`
+            <p>${this.appStore.i18n('bulk_confirm_folders')}</p>
+            <bulk-tree .paths=${data.paths}></bulk-tree>
+          ` : ''}
+          ${data?.diff ? html`<bulk-diff .entries=${data.diff}></bulk-diff>` : ''}
+        `;
         break;
       case MODALS.BULK:
         Object.assign(options, this.getBulkModalOptions());
         break;
+      case MODALS.BULK_HISTORY:
+        options.underlay = true;
+        options.headline = this.appStore.i18n('bulk_history');
+        options.secondaryLabel = this.appStore.i18n('bulk_history_clear');
+        options.secondaryCallback = () => this.appStore.bulkStore.clearHistory();
+        options.cancelLabel = this.appStore.i18n('close');
+        options.content = html`<bulk-history></bulk-history>`;
+        break;
+      case MODALS.LINK_CHECK:
+        options.underlay = true;
+        options.headline = this.appStore.i18n('check_links');
+        options.confirmLabel = this.appStore.i18n('copy');
+        options.confirmCallback = () => this.appStore.copyLinkResults(data.results);
+        options.cancelLabel = this.appStore.i18n('close');
+        options.content = html`<link-check-result .results=${data.results}></link-check-result>`;
+        break;
+      case MODALS.PAGE_METADATA:
+        options.underlay = true;
+        options.headline = this.appStore.i18n('page_metadata');
+        options.confirmLabel = this.appStore.i18n('copy');
+        options.confirmCallback = () => this.appStore.copyMetadata(data.entries);
+        options.cancelLabel = this.appStore.i18n('close');
+        options.content = html`<page-metadata-result .entries=${data.entries}></page-metadata-result>`;
+        break;
+      case MODALS.SCHEDULE:
+        options.underlay = true;
+        options.headline = this.appStore.i18n('schedule_publish');
+        options.confirmLabel = this.appStore.i18n('schedule');
+        options.cancelLabel = this.appStore.i18n('cancel');
+        options.content = html`<schedule-publish .paths=${data.paths}></schedule-publish>`;
+        break;
+      case MODALS.SWITCH_REF:
+        options.underlay = true;
+        options.headline = this.appStore.i18n('ref_switch');
+        options.confirmLabel = this.appStore.i18n('ref_switch_confirm');
+        options.cancelLabel = this.appStore.i18n('cancel');
+        options.content = html`
+          <div class="prompt">${this.appStore.i18n('ref_switch_prompt')}</div>
+          <sp-textfield id="ref-input" placeholder=${data?.refs?.[0] || 'main'}></sp-textfield>
+        `;
+        break;
       default:
       // do not render
     }
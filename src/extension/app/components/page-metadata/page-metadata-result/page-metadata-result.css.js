@@ -0,0 +1,116 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .preview {
+    display: flex;
+    gap: 12px;
+    margin-bottom: 12px;
+    padding: 12px 16px;
+    max-width: 640px;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .preview img {
+    width: 96px;
+    height: 64px;
+    flex-shrink: 0;
+    object-fit: cover;
+    border-radius: var(--spectrum2-default-border-radius);
+  }
+
+  .preview .snippet {
+    min-width: 0;
+  }
+
+  .preview .url {
+    font-size: 12px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .preview .title {
+    font-size: 16px;
+    color: var(--spectrum-global-color-blue-600);
+  }
+
+  .preview .description {
+    font-size: 13px;
+  }
+
+  .summary {
+    margin-bottom: 12px;
+  }
+
+  .container {
+    min-width: 100%;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container .row {
+    display: flex;
+    flex-direction: row;
+    align-items: flex-start;
+    gap: 8px;
+    padding: 8px 16px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .container .row:last-of-type {
+    border-bottom: none;
+  }
+
+  .container .row .issue {
+    width: 96px;
+    flex-shrink: 0;
+    font-weight: bold;
+    color: var(--spectrum2-color-positive);
+  }
+
+  .container .row.missing .issue,
+  .container .row.conflict .issue,
+  .container .row.noindex .issue {
+    color: var(--spectrum2-foreground-color-negative);
+  }
+
+  .container .row.too_long .issue,
+  .container .row.overridden .issue {
+    color: var(--spectrum-global-color-orange-600);
+  }
+
+  .container .row .field {
+    flex-grow: 1;
+    min-width: 0;
+    user-select: text;
+  }
+
+  .container .row .name {
+    font-weight: bold;
+  }
+
+  .container .row .value {
+    word-break: break-word;
+  }
+
+  .container .row .source {
+    font-size: 12px;
+    color: var(--spectrum-global-color-gray-600);
+  }
+`;
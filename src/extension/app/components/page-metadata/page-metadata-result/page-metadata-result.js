@@ -0,0 +1,102 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { style } from './page-metadata-result.css.js';
+
+/**
+ * @typedef {import('@Types').MetadataEntry} MetadataEntry
+ */
+
+/**
+ * Page metadata result component, previewing the page in search results and
+ * listing the effective metadata with their origin and issues
+ * @element page-metadata-result
+ * @class PageMetadataResult
+ */
+@customElement('page-metadata-result')
+export class PageMetadataResult extends ConnectedElement {
+  /**
+   * The metadata entries
+   * @type {MetadataEntry[]}
+   */
+  @property({ type: Array })
+  accessor entries = [];
+
+  static get styles() {
+    return [style];
+  }
+
+  /**
+   * Returns the value of a metadata field.
+   * @param {string} name The metadata field
+   * @returns {string} The value
+   */
+  getValue(name) {
+    return this.entries.find((entry) => entry.name === name)?.value || '';
+  }
+
+  /**
+   * Renders where the value of a metadata entry comes from.
+   * @param {MetadataEntry} entry The metadata entry
+   * @returns {string} The rendered source
+   */
+  renderSource({ source, pattern, bulkValue }) {
+    if (source === 'bulk') {
+      return this.appStore.i18n('page_metadata_source_bulk').replace('$1', pattern);
+    }
+    if (source === 'page') {
+      return bulkValue
+        ? this.appStore.i18n('page_metadata_source_override')
+          .replace('$1', pattern)
+          .replace('$2', bulkValue)
+        : this.appStore.i18n('page_metadata_source_page');
+    }
+    return '';
+  }
+
+  render() {
+    const issues = this.entries.filter(({ issue }) => issue !== 'ok');
+    const image = this.getValue('og:image');
+    return html`
+      <div class="preview">
+        ${image ? html`<img src=${image} alt="">` : ''}
+        <div class="snippet">
+          <div class="url">${this.getValue('canonical') || this.appStore.location.href}</div>
+          <div class="title">${this.getValue('title')}</div>
+          <div class="description">${this.getValue('description')}</div>
+        </div>
+      </div>
+      <div class="summary">
+        ${this.appStore.i18n('page_metadata_summary')
+          .replace('$1', `${this.entries.length}`)
+          .replace('$2', `${issues.length}`)}
+      </div>
+      ${this.entries.length > 0 ? html`
+        <div class="container">
+          ${this.entries.map((entry) => html`
+            <div class="row ${entry.issue}">
+              <div class="issue">${this.appStore.i18n(`page_metadata_${entry.issue}`)}</div>
+              <div class="field">
+                <div class="name">${entry.name}</div>
+                <div class="value">${entry.value}</div>
+                <div class="source">${this.renderSource(entry)}</div>
+              </div>
+            </div>
+          `)}
+        </div>
+      ` : ''}
+    `;
+  }
+}
@@ -206,6 +206,38 @@ export class EnvironmentSwitcher extends ConnectedElement {
     return menuItem;
   }
 
+  /**
+   * Creates the menu items to switch to another ref of the project
+   * @returns {HTMLElement[]} The created menu items
+   */
+  createRefMenuItems() {
+    const { siteStore } = this.appStore;
+    const refMenuItems = siteStore.refs.map((ref) => {
+      const attrs = {
+        value: `ref:${ref}`,
+        class: 'ref',
+      };
+      if (ref === siteStore.ref) {
+        attrs.class = 'ref current-ref';
+        attrs.disabled = '';
+      }
+      return createTag({
+        tag: 'sk-menu-item',
+        text: ref,
+        attrs,
+      });
+    });
+    const otherRefMenuItem = createTag({
+      tag: 'sk-menu-item',
+      text: this.appStore.i18n('ref_switch_other'),
+      attrs: {
+        value: 'ref:',
+        class: 'ref-other',
+      },
+    });
+    return [this.createHeader('refs'), ...refMenuItems, otherRefMenuItem];
+  }
+
   /**
    * Renders the environment switcher menu
    */
@@ -295,6 +327,10 @@ export class EnvironmentSwitcher extends ConnectedElement {
       liveMenuItem.remove();
     }
 
+    if (['preview', 'live'].includes(this.currentEnv) && this.appStore.siteStore.refs?.length) {
+      picker.append(...this.createRefMenuItems());
+    }
+
     if (this.appStore.status?.webPath && !this.appStore.status?.webPath.startsWith('/.helix')) {
       this.ready = true;
     }
@@ -307,6 +343,17 @@ export class EnvironmentSwitcher extends ConnectedElement {
     const { picker } = this;
     const { value } = picker;
 
+    if (value.startsWith('ref:')) {
+      const ref = value.substring(4);
+      if (ref) {
+        this.appStore.switchRef(ref, newTab(this.appStore.keyboardListener));
+      } else {
+        this.appStore.promptSwitchRef();
+      }
+      picker.value = this.currentEnv;
+      return;
+    }
+
     const openNewTab = value === 'edit'
       ? true
       : newTab(this.appStore.keyboardListener);
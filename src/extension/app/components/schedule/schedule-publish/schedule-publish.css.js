@@ -0,0 +1,107 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { css } from 'lit';
+
+export const style = css`
+  .picker {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    margin-bottom: 16px;
+  }
+
+  .picker .help {
+    display: none;
+    color: var(--spectrum2-foreground-color-negative);
+  }
+
+  .picker.invalid .help {
+    display: block;
+  }
+
+  input[type="datetime-local"] {
+    font: inherit;
+    padding: 4px 8px;
+    color: var(--spectrum2-foreground-color-strong);
+    background-color: var(--spectrum2-sidekick-background);
+    border: 1px solid var(--spectrum2-sidekick-border-color);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .picker.invalid input,
+  .entry.invalid input {
+    border-color: var(--spectrum2-foreground-color-negative);
+  }
+
+  .title {
+    font-weight: bold;
+    margin-bottom: 8px;
+    color: var(--spectrum2-foreground-color-strong);
+  }
+
+  .container {
+    min-width: 100%;
+    max-width: 640px;
+    max-height: 284px;
+    overflow-y: auto;
+    background-color: var(--spectrum2-sidekick-background);
+    border-radius: var(--spectrum2-medium-border-radius);
+  }
+
+  .container .entry {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    padding: 13px 16px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .container .entry:last-of-type {
+    border-bottom: none;
+  }
+
+  .container .entry .header {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    font-weight: bold;
+    color: var(--spectrum2-foreground-color-strong);
+  }
+
+  .container .entry .header .user {
+    font-weight: normal;
+    color: var(--spectrum-global-color-gray-500);
+  }
+
+  .container .entry .paths {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    user-select: text;
+  }
+
+  .container .entry .actions {
+    display: flex;
+    justify-content: flex-end;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .container .entry .actions sk-action-button {
+    border-radius: 16px;
+  }
+
+  .container .empty {
+    padding: 13px 16px;
+  }
+`;
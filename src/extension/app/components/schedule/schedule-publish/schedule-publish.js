@@ -0,0 +1,200 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { html } from 'lit';
+import { customElement, property, state } from 'lit/decorators.js';
+import { ConnectedElement } from '../../connected-element/connected-element.js';
+import { style } from './schedule-publish.css.js';
+
+/**
+ * @typedef {import('@Types').PublishSchedule} PublishSchedule
+ */
+
+/**
+ * Converts a timestamp into a value for a datetime-local input.
+ * @param {number} time The timestamp
+ * @returns {string} The input value in local time
+ */
+function toInputValue(time) {
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().substring(0, 16);
+}
+
+/**
+ * Converts the value of a datetime-local input into a timestamp.
+ * @param {string} value The input value in local time
+ * @returns {number|null} The timestamp or null if not in the future
+ */
+function fromInputValue(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return time > Date.now() ? time : null;
+}
+
+/**
+ * Schedule publish component, letting the user pick the time to publish resources at
+ * and listing the pending scheduled publishing jobs of the current project
+ * @element schedule-publish
+ * @class SchedulePublish
+ */
+@customElement('schedule-publish')
+export class SchedulePublish extends ConnectedElement {
+  /**
+   * The paths of the resources to schedule
+   * @type {string[]}
+   */
+  @property({ type: Array })
+  accessor paths = [];
+
+  /**
+   * The pending schedules
+   * @type {PublishSchedule[]}
+   */
+  @state()
+  accessor schedules = null;
+
+  /**
+   * True if the picked time is invalid
+   * @type {boolean}
+   */
+  @state()
+  accessor invalid = false;
+
+  /**
+   * The ID of the schedule with an invalid new time
+   * @type {string}
+   */
+  @state()
+  accessor invalidSchedule = null;
+
+  static get styles() {
+    return [style];
+  }
+
+  async connectedCallback() {
+    super.connectedCallback();
+    this.schedules = await this.appStore.scheduleStore.getSchedules();
+  }
+
+  /**
+   * Returns the picked time and flags the input if invalid.
+   * @returns {number|null} The timestamp or null if invalid
+   */
+  getTime() {
+    /**
+     * @type {HTMLInputElement}
+     */
+    const input = this.shadowRoot.querySelector('input.time');
+    const time = fromInputValue(input?.value);
+    this.invalid = !time;
+    return time;
+  }
+
+  /**
+   * Cancels a schedule.
+   * @param {PublishSchedule} schedule The schedule
+   */
+  async cancel({ id }) {
+    const { scheduleStore } = this.appStore;
+    await scheduleStore.cancelSchedule(id);
+    this.schedules = await scheduleStore.getSchedules();
+  }
+
+  /**
+   * Changes the time of a schedule to the time picked for it.
+   * @param {PublishSchedule} schedule The schedule
+   */
+  async reschedule({ id }) {
+    const { scheduleStore } = this.appStore;
+    /**
+     * @type {HTMLInputElement}
+     */
+    const input = this.shadowRoot.querySelector(`.entry[data-id="${id}"] input`);
+    const time = fromInputValue(input?.value);
+    if (!time) {
+      this.invalidSchedule = id;
+      return;
+    }
+    this.invalidSchedule = null;
+    await scheduleStore.reschedule(id, time);
+    this.schedules = await scheduleStore.getSchedules();
+  }
+
+  /**
+   * Renders a pending schedule.
+   * @param {PublishSchedule} schedule The schedule
+   * @returns {import('lit').TemplateResult} The rendered schedule
+   */
+  renderSchedule(schedule) {
+    const {
+      id, paths, time, user,
+    } = schedule;
+    const [path] = paths;
+    return html`
+      <div class="entry${this.invalidSchedule === id ? ' invalid' : ''}" data-id=${id}>
+        <div class="header">
+          <span class="date">${new Date(time).toLocaleString()}</span>
+          <span class="user">${user || ''}</span>
+        </div>
+        <div class="paths" title=${paths.join('\n')}>
+          ${paths.length > 1
+            ? this.appStore.i18n('schedule_publish_more')
+              .replace('$1', path)
+              .replace('$2', `${paths.length - 1}`)
+            : path}
+        </div>
+        <div class="actions">
+          <input
+            type="datetime-local"
+            aria-label=${this.appStore.i18n('schedule_publish_reschedule')}
+            .value=${toInputValue(time)}>
+          <sk-action-button class="reschedule" quiet @click=${() => this.reschedule(schedule)}>
+            ${this.appStore.i18n('schedule_publish_reschedule')}
+          </sk-action-button>
+          <sk-action-button class="cancel" quiet @click=${() => this.cancel(schedule)}>
+            ${this.appStore.i18n('cancel')}
+          </sk-action-button>
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    const { paths } = this;
+    return html`
+      ${paths.length > 0 ? html`
+        <div class="picker${this.invalid ? ' invalid' : ''}">
+          <label for="schedule-time">
+            ${paths.length === 1
+              ? this.appStore.i18n('schedule_publish_single')
+              : this.appStore.i18n('schedule_publish_multiple').replace('$1', `${paths.length}`)}
+          </label>
+          <input
+            id="schedule-time"
+            class="time"
+            type="datetime-local"
+            .value=${toInputValue(Date.now() + 3600000)}
+            @change=${() => { this.invalid = false; }}>
+          <div class="help">${this.appStore.i18n('schedule_publish_invalid')}</div>
+        </div>
+      ` : ''}
+      ${this.schedules ? html`
+        <div class="title">${this.appStore.i18n('schedule_publish_pending')}</div>
+        <div class="container">
+          ${this.schedules.length > 0
+            ? this.schedules.map((schedule) => this.renderSchedule(schedule))
+            : html`<div class="empty">${this.appStore.i18n('schedule_publish_empty')}</div>`}
+        </div>
+      ` : ''}
+    `;
+  }
+}
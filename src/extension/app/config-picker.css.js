@@ -41,6 +41,10 @@ export const style = css`
     padding: 12px;
   }
 
+  action-bar .colored {
+    border-left: 4px solid var(--project-color);
+  }
+
   action-bar sp-action-group span {
     padding-bottom: 3px;
     padding-left: 8px;
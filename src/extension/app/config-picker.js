@@ -17,6 +17,7 @@ import { customElement, property } from 'lit/decorators.js';
 import { style } from './config-picker.css.js';
 import { fetchLanguageDict, getLanguage, i18n } from './utils/i18n.js';
 import { spectrum2 } from './spectrum-2.css.js';
+import { getProjectName, groupProjects, isHexColor } from '../utils/projects.js';
 
 /**
  * The modal type
@@ -69,17 +70,56 @@ export class AEMConfigPicker extends LitElement {
     this.remove();
   }
 
+  /**
+   * Renders the button to select a config.
+   * @param {OptionsConfig} config The config
+   * @returns {import('lit').TemplateResult} The rendered button
+   */
+  renderConfigButton(config) {
+    return html`
+      <sk-action-button
+        aria-label=${config.id}
+        style=${isHexColor(config.color) ? `--project-color: ${config.color}` : ''}
+        class=${isHexColor(config.color) ? 'colored' : ''}
+        @click=${() => this.configSelected(config)}
+        quiet
+      >
+        ${getProjectName(config)}
+      </sk-action-button>
+    `;
+  }
+
+  /**
+   * Renders a group of configs as a menu.
+   * @param {string} group The group name
+   * @param {OptionsConfig[]} configs The configs in this group
+   * @returns {import('lit').TemplateResult} The rendered menu
+   */
+  renderConfigGroup(group, configs) {
+    return html`
+      <sp-action-menu class="group" label=${group} placement="top" quiet>
+        <span slot="label">${group}</span>
+        ${configs.map((config) => html`
+          <sk-menu-item
+            value=${config.id}
+            style=${isHexColor(config.color) ? `--project-color: ${config.color}` : ''}
+            class=${isHexColor(config.color) ? 'colored' : ''}
+            @click=${() => this.configSelected(config)}
+          >${getProjectName(config)}</sk-menu-item>
+        `)}
+      </sp-action-menu>
+    `;
+  }
+
   render() {
     return html`
       <theme-wrapper>
         <action-bar>
             <sp-action-group>
               <span>${this.ctaLabel}</span>
-              ${this.matchedConfigs.map((config) => html`
-                <sk-action-button aria-label=${config.id} @click=${() => this.configSelected(config)} quiet>
-                  ${config.project || config.id}
-                </sk-action-button>
-              `)}
+              ${groupProjects(this.matchedConfigs).map(({ group, projects }) => (group && projects.length > 1
+    ? this.renderConfigGroup(group, projects)
+    : projects.map((config) => this.renderConfigButton(config))))}
             </sp-action-group>
         </action-bar>
       </theme-wrapper>
@@ -60,6 +60,11 @@ export const MODALS = {
   CONFIRM: 'confirm',
   DELETE: 'delete',
   BULK: 'bulk',
+  BULK_HISTORY: 'bulk_history',
+  SCHEDULE: 'schedule',
+  LINK_CHECK: 'link_check',
+  PAGE_METADATA: 'page_metadata',
+  SWITCH_REF: 'switch_ref',
 };
 
 /**
@@ -106,7 +111,15 @@ export const STATE = {
   PUBLISHNG: 'publishing_state',
   BULK_PUBLISHING: 'bulk_publishing_state',
   UNPUBLISHING: 'unpublishing_state',
+  BULK_UNPUBLISHING: 'bulk_unpublishing_state',
   DELETING: 'deleting_state',
+  BULK_DELETING: 'bulk_deleting_state',
+  BULK_RESOLVING: 'bulk_resolving_state',
+  BULK_COMPARING: 'bulk_comparing_state',
+  CHECKING_DEPENDENCIES: 'checking_dependencies_state',
+  CHECKING_LINKS: 'checking_links_state',
+  INSPECTING_METADATA: 'inspecting_metadata_state',
+  AUDITING_PAGE: 'auditing_page_state',
   TOAST: 'toast_state',
   CODE: 'code_state',
   MEDIA: 'media_state',
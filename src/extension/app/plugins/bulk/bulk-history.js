@@ -0,0 +1,44 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { Plugin } from '../../components/plugin/plugin.js';
+import { MODALS } from '../../constants.js';
+
+/**
+ * @typedef {import('@AppStore').AppStore} AppStore
+ */
+
+/**
+ * @typedef {import('@Types').CorePlugin} CorePlugin
+ */
+
+/**
+ * Creates the bulk history plugin
+ * @param {AppStore} appStore The app store
+ * @returns {Plugin} The bulk history plugin
+ */
+export function createBulkHistoryPlugin(appStore) {
+  return new Plugin({
+    id: 'bulk-history',
+    condition: (store) => store.isAdmin(),
+    pinned: false,
+    button: {
+      text: appStore.i18n('bulk_history'),
+      action: () => {
+        appStore.showModal({
+          type: MODALS.BULK_HISTORY,
+        });
+      },
+    },
+  },
+  appStore);
+}
@@ -12,6 +12,7 @@
 
 import { Plugin } from '../../components/plugin/plugin.js';
 import { newTab } from '../../utils/browser.js';
+import { MODALS, MODAL_EVENTS } from '../../constants.js';
 
 /**
  * @typedef {import('@AppStore').AppStore} AppStore
@@ -34,26 +35,50 @@ export function createPublishPlugin(appStore) {
       text: appStore.i18n('publish'),
       action: async (evt) => {
         const { siteStore } = appStore;
-        const res = await appStore.publish();
-        if (res) {
-          const actionCallback = () => {
-            appStore.switchEnv('prod', newTab(evt));
-            appStore.closeToast();
-          };
+        const publish = async () => {
+          const res = await appStore.publish();
+          if (res) {
+            const actionCallback = () => {
+              appStore.switchEnv('prod', newTab(evt));
+              appStore.closeToast();
+            };
 
-          const closeCallback = () => {
-            appStore.closeToast();
-          };
+            const closeCallback = () => {
+              appStore.closeToast();
+            };
 
-          const { host } = siteStore;
-          const targetEnv = host ? 'production' : 'live';
-          appStore.showToast(
-            appStore.i18n('publish_success').replace('$1', appStore.i18n(targetEnv)),
-            'positive',
-            closeCallback,
-            actionCallback,
-            appStore.i18n('open'),
-          );
+            const { host } = siteStore;
+            const targetEnv = host ? 'production' : 'live';
+            appStore.showToast(
+              appStore.i18n('publish_success').replace('$1', appStore.i18n(targetEnv)),
+              'positive',
+              closeCallback,
+              actionCallback,
+              appStore.i18n('open'),
+            );
+          }
+        };
+
+        // warn if audit scores dropped since the last publication
+        const regressions = await appStore.getAuditRegressions();
+        if (regressions.length > 0) {
+          const modal = appStore.showModal({
+            type: MODALS.CONFIRM,
+            data: {
+              headline: appStore.i18n('publish'),
+              message: [
+                appStore.i18n('page_audit_regression_confirm'),
+                ...regressions.map(({ category, before, after }) => appStore.i18n('page_audit_regression')
+                  .replace('$1', appStore.i18n(`page_audit_${category}`))
+                  .replace('$2', `${before}`)
+                  .replace('$3', `${after}`)),
+              ].join(' '),
+              confirmLabel: appStore.i18n('publish'),
+            },
+          });
+          modal.addEventListener(MODAL_EVENTS.CONFIRM, publish);
+        } else {
+          await publish();
         }
       },
       isEnabled: (store) => store.isAuthorized('live', 'write') // only enable if authorized
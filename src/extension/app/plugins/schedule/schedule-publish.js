@@ -0,0 +1,43 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { Plugin } from '../../components/plugin/plugin.js';
+
+/**
+ * @typedef {import('@AppStore').AppStore} AppStore
+ */
+
+/**
+ * @typedef {import('@Types').CorePlugin} CorePlugin
+ */
+
+/**
+ * Creates the schedule publish plugin
+ * @param {AppStore} appStore The app store
+ * @returns {Plugin} The schedule publish plugin
+ */
+export function createSchedulePublishPlugin(appStore) {
+  return new Plugin({
+    id: 'schedule-publish',
+    condition: (store) => store.isProject() && store.isContent(),
+    pinned: false,
+    button: {
+      text: appStore.i18n('schedule_publish'),
+      action: () => {
+        appStore.scheduleStore.schedulePublish([appStore.status.webPath]);
+      },
+      isEnabled: (store) => store.isAuthorized('live', 'write') // only enable if authorized
+        && store.status.preview && store.status.preview.status === 200, // and page previewed
+    },
+  },
+  appStore);
+}
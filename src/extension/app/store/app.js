@@ -16,17 +16,26 @@ import { observable, action } from 'mobx';
 import { createContext } from '@lit/context';
 import { SiteStore } from './site.js';
 import { BulkStore } from './bulk.js';
+import { ScheduleStore } from './schedule.js';
 import { AdminClient } from '../utils/admin-client.js';
 import sampleRUM from '../../utils/rum.js';
+import { getConfig, setConfig } from '../../config.js';
 import { fetchLanguageDict, i18n } from '../utils/i18n.js';
 import {
   getLocation, matchProjectHost, isSupportedFileExtension, globToRegExp,
 } from '../utils/browser.js';
 import { EventBus } from '../utils/event-bus.js';
+import { getReferencedPaths } from '../utils/dependencies.js';
+import { checkLinks, serializeLinkResults } from '../utils/link-checker.js';
+import { inspectMetadata, serializeMetadata } from '../utils/page-metadata.js';
+import { getAuditRegressions, runPageAudit } from '../utils/page-audit.js';
+import { sanitizeRef } from '../../utils/projects.js';
 import {
   ENVS,
   EVENTS,
   EXTERNAL_EVENTS,
+  MODALS,
+  MODAL_EVENTS,
   RESTRICTED_PATHS,
   STATE,
 } from '../constants.js';
@@ -37,9 +46,19 @@ import { createPreviewPlugin } from '../plugins/preview/preview.js';
 import { createReloadPlugin } from '../plugins/reload/reload.js';
 import { createDeletePlugin } from '../plugins/delete/delete.js';
 import { createPublishPlugin } from '../plugins/publish/publish.js';
+import { createPublishDependenciesPlugin } from '../plugins/publish/publish-dependencies.js';
 import { createUnpublishPlugin } from '../plugins/unpublish/unpublish.js';
+import { createCheckLinksPlugin } from '../plugins/check-links/check-links.js';
+import { createContentDiffPlugin } from '../plugins/content-diff/content-diff.js';
+import { createPageMetadataPlugin } from '../plugins/page-metadata/page-metadata.js';
+import { createPageAuditPlugin } from '../plugins/page-audit/page-audit.js';
+import { createSchedulePublishPlugin } from '../plugins/schedule/schedule-publish.js';
 import { createBulkPreviewPlugin } from '../plugins/bulk/bulk-preview.js';
 import { createBulkPublishPlugin } from '../plugins/bulk/bulk-publish.js';
+import { createBulkSchedulePublishPlugin } from '../plugins/bulk/bulk-schedule-publish.js';
+import { createBulkUnpublishPlugin } from '../plugins/bulk/bulk-unpublish.js';
+import { createBulkDeletePlugin } from '../plugins/bulk/bulk-delete.js';
+import { createBulkHistoryPlugin } from '../plugins/bulk/bulk-history.js';
 import {
   createBulkCopyLiveUrlsPlugin,
   createBulkCopyPreviewUrlsPlugin,
@@ -81,6 +100,13 @@ import { ModalContainer } from '../components/modal/modal-container.js';
  * @typedef {import('@Types').Modal} Modal
  */
 
+/**
+ * The maximum number of page audits to remember.
+ * @private
+ * @type {number}
+ */
+const MAX_PAGE_AUDITS = 100;
+
 /**
  * Enum for view types.
  * @enum {number}
@@ -115,6 +141,12 @@ export class AppStore {
    */
   bulkStore;
 
+  /**
+   * The schedule store
+   * @type {ScheduleStore}
+   */
+  scheduleStore;
+
   /**
    * The Admin API client
    * @type AdminClient
@@ -169,9 +201,16 @@ export class AppStore {
    */
   accessor toast;
 
+  /**
+   * The latest page audit report
+   * @type {import('@Types').AuditReport}
+   */
+  auditReport;
+
   constructor() {
     this.siteStore = new SiteStore(this);
     this.bulkStore = new BulkStore(this);
+    this.scheduleStore = new ScheduleStore(this);
     this.keyboardListener = new KeyboardListener();
     this.api = new AdminClient(this);
   }
@@ -273,26 +312,46 @@ export class AppStore {
       const reloadPlugin = createReloadPlugin(this);
       const deletePlugin = createDeletePlugin(this);
       const publishPlugin = createPublishPlugin(this);
+      const publishDependenciesPlugin = createPublishDependenciesPlugin(this);
+      const schedulePublishPlugin = createSchedulePublishPlugin(this);
       const unpublishPlugin = createUnpublishPlugin(this);
+      const checkLinksPlugin = createCheckLinksPlugin(this);
+      const contentDiffPlugin = createContentDiffPlugin(this);
+      const pageMetadataPlugin = createPageMetadataPlugin(this);
+      const pageAuditPlugin = createPageAuditPlugin(this);
       const bulkPreviewPlugin = createBulkPreviewPlugin(this);
       const bulkPublishPlugin = createBulkPublishPlugin(this);
+      const bulkSchedulePublishPlugin = createBulkSchedulePublishPlugin(this);
+      const bulkUnpublishPlugin = createBulkUnpublishPlugin(this);
+      const bulkDeletePlugin = createBulkDeletePlugin(this);
       const bulkCopyUrlsPlugin = createBulkCopyUrlsPlugin(this);
       const bulkCopyPreviewUrlsPlugin = createBulkCopyPreviewUrlsPlugin(this);
       const bulkCopyLiveUrlsPlugin = createBulkCopyLiveUrlsPlugin(this);
       const bulkCopyProdUrlsPlugin = createBulkCopyProdUrlsPlugin(this);
+      const bulkHistoryPlugin = createBulkHistoryPlugin(this);
 
       this.registerPlugin(this.corePlugins, envPlugin);
       this.registerPlugin(this.corePlugins, previewPlugin);
       this.registerPlugin(this.corePlugins, reloadPlugin);
       this.registerPlugin(this.corePlugins, deletePlugin);
       this.registerPlugin(this.corePlugins, publishPlugin);
+      this.registerPlugin(this.corePlugins, publishDependenciesPlugin);
+      this.registerPlugin(this.corePlugins, schedulePublishPlugin);
       this.registerPlugin(this.corePlugins, unpublishPlugin);
+      this.registerPlugin(this.corePlugins, checkLinksPlugin);
+      this.registerPlugin(this.corePlugins, contentDiffPlugin);
+      this.registerPlugin(this.corePlugins, pageMetadataPlugin);
+      this.registerPlugin(this.corePlugins, pageAuditPlugin);
       this.registerPlugin(this.corePlugins, bulkPreviewPlugin);
       this.registerPlugin(this.corePlugins, bulkPublishPlugin);
+      this.registerPlugin(this.corePlugins, bulkSchedulePublishPlugin);
+      this.registerPlugin(this.corePlugins, bulkUnpublishPlugin);
+      this.registerPlugin(this.corePlugins, bulkDeletePlugin);
       this.registerPlugin(this.corePlugins, bulkCopyUrlsPlugin);
       this.registerPlugin(this.corePlugins, bulkCopyPreviewUrlsPlugin);
       this.registerPlugin(this.corePlugins, bulkCopyLiveUrlsPlugin);
       this.registerPlugin(this.corePlugins, bulkCopyProdUrlsPlugin);
+      this.registerPlugin(this.corePlugins, bulkHistoryPlugin);
     }
   }
 
@@ -801,6 +860,17 @@ export class AppStore {
         && (!customOnly || !viewer.startsWith(scriptRoot)));
   }
 
+  /**
+   * Checks for configured sheet schemas for the given path.
+   * @private
+   * @param {string} testPath The path to find sheet schemas for
+   * @returns {import('@Types').SheetSchema[]} The sheet schemas
+   */
+  findSheetSchemas(testPath) {
+    const { sheetSchemas = [] } = this.siteStore;
+    return sheetSchemas.filter(({ path }) => path && globToRegExp(path).test(testPath));
+  }
+
   /**
      * Fetches the status for the current resource.
      * @fires Sidekick#statusfetched
@@ -972,11 +1042,237 @@ export class AppStore {
         await fetch(`https://${siteStore.host}${path}`, { cache: 'reload', mode: 'no-cors' });
       }
       this.fireEvent(EXTERNAL_EVENTS.RESOURCE_PUBLISHED, path);
+      await this.recordPublishedAudit(path);
     }
 
     return !!resp;
   }
 
+  /**
+   * Returns the paths of same-site resources referenced in the preview of a page.
+   * @param {string} [path] The path of the page (defaults to <code>status.webPath</code>)
+   * @returns {Promise<string[]>} The referenced paths
+   */
+  async getDependencies(path) {
+    const { siteStore, status } = this;
+    path = path || status.webPath;
+
+    // only pages have dependencies
+    if (path.split('/').pop().includes('.')) {
+      return [];
+    }
+
+    const url = `https://${siteStore.innerHost}${path}`;
+    try {
+      const resp = await fetch(url, { cache: 'no-store' });
+      if (!resp.ok) {
+        return [];
+      }
+      const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+      return getReferencedPaths(doc, url, [
+        siteStore.innerHost,
+        siteStore.outerHost,
+        siteStore.host,
+      ].filter((host) => !!host));
+    } catch (e) {
+      // preview not accessible
+      return [];
+    }
+  }
+
+  /**
+   * Checks the links in the main content of the current page and shows the results.
+   */
+  async checkLinks() {
+    const { siteStore, location } = this;
+    const env = this.isProd() ? 'prod' : (this.isLive() ? 'live' : 'preview');
+
+    this.setState(STATE.CHECKING_LINKS);
+    const results = await checkLinks(
+      document.querySelector('main') || document.body,
+      location.href,
+      env,
+      siteStore,
+    );
+    this.setState();
+
+    this.showModal({
+      type: MODALS.LINK_CHECK,
+      data: { results },
+    });
+  }
+
+  /**
+   * Copies link check results to the clipboard.
+   * @param {import('@Types').LinkCheckEntry[]} results The link check results
+   */
+  async copyLinkResults(results) {
+    try {
+      await navigator.clipboard.writeText(serializeLinkResults(results));
+      this.showToast(this.i18n('check_links_copied'), 'positive');
+    } catch ({ message }) {
+      this.showToast(
+        this.i18n(message.includes('not focused')
+          ? 'copy_urls_error_focus'
+          : 'copy_urls_error'),
+        'negative',
+      );
+    }
+  }
+
+  /**
+   * Fetches the rows of the metadata sheet(s) of the current site.
+   * @private
+   * @returns {Promise<Object[]>} The rows
+   */
+  async fetchBulkMetadata() {
+    try {
+      const resp = await fetch(`${this.location.origin}/metadata.json`, { cache: 'no-store' });
+      if (!resp.ok) {
+        return [];
+      }
+      const json = await resp.json();
+      if (json[':type'] === 'multi-sheet') {
+        return (json[':names'] || []).flatMap((name) => json[name]?.data || []);
+      }
+      return json.data || [];
+    } catch (e) {
+      // metadata sheet not accessible
+      return [];
+    }
+  }
+
+  /**
+   * Inspects the metadata of the current page and shows the results.
+   */
+  async inspectMetadata() {
+    const env = this.isProd() ? 'prod' : (this.isLive() ? 'live' : 'preview');
+
+    this.setState(STATE.INSPECTING_METADATA);
+    const rows = await this.fetchBulkMetadata();
+    const entries = inspectMetadata(document.head, rows, this.location.pathname, env);
+    this.setState();
+
+    this.showModal({
+      type: MODALS.PAGE_METADATA,
+      data: { entries },
+    });
+  }
+
+  /**
+   * Copies metadata entries to the clipboard.
+   * @param {import('@Types').MetadataEntry[]} entries The metadata entries
+   */
+  async copyMetadata(entries) {
+    try {
+      await navigator.clipboard.writeText(serializeMetadata(entries));
+      this.showToast(this.i18n('page_metadata_copied'), 'positive');
+    } catch ({ message }) {
+      this.showToast(
+        this.i18n(message.includes('not focused')
+          ? 'copy_urls_error_focus'
+          : 'copy_urls_error'),
+        'negative',
+      );
+    }
+  }
+
+  /**
+   * Returns the key under which the audit scores of a page are stored.
+   * @private
+   * @param {string} [path] The path of the page (defaults to <code>status.webPath</code>)
+   * @returns {string} The key
+   */
+  getAuditKey(path) {
+    const { siteStore: { owner, repo }, status } = this;
+    return `${owner}/${repo}${path || status.webPath}`;
+  }
+
+  /**
+   * Audits the performance and accessibility of the current page and shows the report
+   * in a palette. The scores are remembered to warn about regressions before publishing.
+   */
+  async auditPage() {
+    this.setState(STATE.AUDITING_PAGE);
+    let report;
+    try {
+      report = await runPageAudit(document);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('failed to audit page', e);
+      this.showToast(this.i18n('page_audit_failed'), 'negative');
+      return;
+    } finally {
+      this.setState();
+    }
+
+    const audits = await getConfig('local', 'pageAudits') || {};
+    const key = this.getAuditKey();
+    const audit = { ...audits[key], latest: report.scores };
+    // move to the end to keep the most recent audits
+    delete audits[key];
+    audits[key] = audit;
+    const keys = Object.keys(audits);
+    keys.slice(0, Math.max(keys.length - MAX_PAGE_AUDITS, 0)).forEach((k) => delete audits[k]);
+    await setConfig('local', { pageAudits: audits });
+
+    if (!this.auditReport) {
+      // the view requests the report once loaded
+      window.addEventListener('message', (event) => this.sendAuditReport(event));
+    }
+    this.auditReport = report;
+
+    const viewUrl = new URL(chrome.runtime.getURL('views/audit/audit.html'), this.location.origin);
+    EventBus.instance.dispatchEvent(new CustomEvent(EVENTS.OPEN_PALETTE, {
+      detail: {
+        plugin: {
+          id: 'page-audit',
+          title: this.i18n('page_audit'),
+          url: viewUrl.toString(),
+          paletteRect: 'top: 100px; left: auto; right: 20px; width: 480px; height: 600px;',
+        },
+      },
+    }));
+  }
+
+  /**
+   * Sends the latest page audit report to the audit view requesting it.
+   * @private
+   * @param {MessageEvent} event The message event
+   */
+  sendAuditReport({ origin, data, source }) {
+    // only accept messages from the extension
+    if (origin === `chrome-extension://${chrome.runtime.id}`
+      && data?.detail?.event === 'hlx-audit-report' && source) {
+      /** @type {Window} */ (source).postMessage({ report: this.auditReport }, origin);
+    }
+  }
+
+  /**
+   * Returns the audit categories whose scores dropped since the page was last published.
+   * @param {string} [path] The path of the page (defaults to <code>status.webPath</code>)
+   * @returns {Promise<{ category: string, before: number, after: number }[]>} The regressions
+   */
+  async getAuditRegressions(path) {
+    const audits = await getConfig('local', 'pageAudits') || {};
+    const { published, latest } = audits[this.getAuditKey(path)] || {};
+    return getAuditRegressions(published, latest);
+  }
+
+  /**
+   * Remembers the latest audit scores of a page as the published ones.
+   * @private
+   * @param {string} [path] The path of the page (defaults to <code>status.webPath</code>)
+   */
+  async recordPublishedAudit(path) {
+    const audits = await getConfig('local', 'pageAudits') || {};
+    const key = this.getAuditKey(path);
+    if (audits[key]?.latest) {
+      audits[key].published = audits[key].latest;
+      await setConfig('local', { pageAudits: audits });
+    }
+  }
+
   /**
    * Unpublishes the current page.
    * @fires Sidekick#unpublished
@@ -1053,9 +1349,11 @@ export class AppStore {
       return;
     }
     const {
+      siteStore,
       location: {
         origin,
         href,
+        pathname,
         search,
       },
     } = this;
@@ -1071,23 +1369,55 @@ export class AppStore {
         const viewUrl = new URL(viewer, origin);
         viewUrl.searchParams.set('url', href);
         viewUrl.searchParams.set('title', title(this.sidekick));
-        const viewOverlay = this.getViewOverlay(true);
-        viewOverlay.querySelector('.container').setAttribute('src', viewUrl.toString());
-        // hide original content
-        [...this.sidekick.parentElement.children].forEach((el) => {
-          if (el !== this.sidekick) {
-            try {
-              // @ts-ignore
-              el.style.display = 'none';
-            } catch (e) {
-              // ignore
-            }
-          }
-        });
+        // allow comparing preview and live
+        viewUrl.searchParams.set('preview', `https://${siteStore.innerHost}${pathname}${search}`);
+        viewUrl.searchParams.set('live', `https://${siteStore.outerHost}${pathname}${search}`);
+        // validate against sheet schemas
+        const schemas = this.findSheetSchemas(pathname);
+        if (schemas.length > 0) {
+          viewUrl.searchParams.set('schemas', JSON.stringify(schemas));
+        }
+        this.openViewOverlay(viewUrl);
       }
     }
   }
 
+  /**
+   * Loads a view in the view overlay and hides the original content.
+   * @private
+   * @param {URL} viewUrl The view URL
+   */
+  openViewOverlay(viewUrl) {
+    const viewOverlay = this.getViewOverlay(true);
+    viewOverlay.querySelector('.container').setAttribute('src', viewUrl.toString());
+    // hide original content
+    [...this.sidekick.parentElement.children].forEach((el) => {
+      if (el !== this.sidekick) {
+        try {
+          // @ts-ignore
+          el.style.display = 'none';
+        } catch (e) {
+          // ignore
+        }
+      }
+    });
+  }
+
+  /**
+   * Shows a side-by-side comparison of the current page's content in preview and live.
+   */
+  showDiffView() {
+    const { siteStore, status: { webPath }, location: { origin } } = this;
+    if (!webPath || this.getViewOverlay()) {
+      return;
+    }
+    const viewUrl = new URL(chrome.runtime.getURL('views/diff/diff.html'), origin);
+    viewUrl.searchParams.set('preview', `https://${siteStore.innerHost}${webPath}`);
+    viewUrl.searchParams.set('live', `https://${siteStore.outerHost}${webPath}`);
+    viewUrl.searchParams.set('title', this.i18n('content_diff_view_description'));
+    this.openViewOverlay(viewUrl);
+  }
+
   /**
    * Switches to (or opens) a given environment.
    * @param {string} targetEnv One of the following environments:
@@ -1151,6 +1481,54 @@ export class AppStore {
     });
   }
 
+  /**
+   * Switches the current page to another ref of the project.
+   * @param {string} ref The ref or branch name
+   * @param {boolean} [open] true if the ref should be opened in new tab
+   */
+  async switchRef(ref, open = false) {
+    const { siteStore, location: { search, hash }, status } = this;
+    const { owner, repo } = siteStore;
+    ref = sanitizeRef(ref);
+    if (!ref || ref === siteStore.ref || !status.webPath) {
+      return;
+    }
+    // remember ref in project config
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'switchProjectRef',
+        owner,
+        repo,
+        ref,
+      });
+    } catch (e) {
+      // ignore
+    }
+    const env = this.isLive() ? 'live' : 'page';
+    const refUrl = `https://${ref}--${repo}--${owner}.aem.${env}${status.webPath}${search}${hash}`;
+    if (open) {
+      this.openPage(refUrl);
+    } else {
+      this.loadPage(refUrl);
+    }
+  }
+
+  /**
+   * Asks the user for a ref or branch name and switches to it.
+   */
+  promptSwitchRef() {
+    const modal = this.showModal({
+      type: MODALS.SWITCH_REF,
+      data: {
+        refs: this.siteStore.refs,
+      },
+    });
+    modal.addEventListener(MODAL_EVENTS.CONFIRM, async (e) => {
+      const { ref } = /** @type {CustomEvent} */ (e).detail;
+      await this.switchRef(ref);
+    });
+  }
+
   /**
    * Retrieves the profile of the current user.
    * @returns {Promise<Object | false>} The response object
@@ -18,7 +18,8 @@ import {
   MODAL_EVENTS,
   STATE,
 } from '../constants.js';
-import { getLocation } from '../utils/browser.js';
+import { downloadFile, getLocation } from '../utils/browser.js';
+import { getConfig, setConfig } from '../../config.js';
 
 /**
  * @typedef {import('./app.js').AppStore} AppStore
@@ -48,6 +49,18 @@ import { getLocation } from '../utils/browser.js';
  * @typedef {import('@Types').AdminJobResource} AdminJobResource
  */
 
+/**
+ * @typedef {import('@Types').BulkJob} BulkJob
+ */
+
+/**
+ * @typedef {import('@Types').BulkHistoryEntry} BulkHistoryEntry
+ */
+
+/**
+ * @typedef {import('@Types').BulkDiffEntry} BulkDiffEntry
+ */
+
 /**
  * The path prefix for illegal file names.
  * @type {string}
@@ -72,6 +85,71 @@ export const gdriveFileTypes = {
   video: '3.2z',
 };
 
+/**
+ * The sidekick states during bulk operations.
+ * @type {Object<string, string>}
+ */
+const bulkStates = {
+  preview: STATE.BULK_PREVIEWING,
+  publish: STATE.BULK_PUBLISHING,
+  unpublish: STATE.BULK_UNPUBLISHING,
+  delete: STATE.BULK_DELETING,
+};
+
+/**
+ * The events fired after bulk operations.
+ * @type {Object<string, string>}
+ */
+const bulkEvents = {
+  preview: EXTERNAL_EVENTS.RESOURCE_PREVIEWED,
+  publish: EXTERNAL_EVENTS.RESOURCE_PUBLISHED,
+  unpublish: EXTERNAL_EVENTS.RESOURCE_UNPUBLISHED,
+  delete: EXTERNAL_EVENTS.RESOURCE_DELETED,
+};
+
+/**
+ * The admin API routes and delete flags for bulk operations.
+ * @type {Object<string, Object>}
+ */
+const bulkRoutes = {
+  preview: { route: 'preview', del: false },
+  publish: { route: 'live', del: false },
+  unpublish: { route: 'live', del: true },
+  delete: { route: 'preview', del: true },
+};
+
+/**
+ * The maximum number of bulk history entries per project.
+ * @type {number}
+ */
+const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * The session storage key for running bulk jobs.
+ * @type {string}
+ */
+const BULK_JOBS_KEY = 'aem-sk-bulk-jobs';
+
+/**
+ * Returns the running bulk jobs remembered in this browser session.
+ * @returns {Object[]} The bulk jobs
+ */
+function getSavedJobs() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(BULK_JOBS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Remembers the running bulk jobs in this browser session.
+ * @param {Object[]} jobs The bulk jobs
+ */
+function setSavedJobs(jobs) {
+  window.sessionStorage.setItem(BULK_JOBS_KEY, JSON.stringify(jobs));
+}
+
 /**
  * Handles bulk operations.
  */
@@ -88,6 +166,12 @@ export class BulkStore {
    */
   @observable accessor progress = null;
 
+  /**
+   * The running bulk job
+   * @type {BulkJob}
+   */
+  @observable accessor job = null;
+
   /**
    * @type {AppStore}
    */
@@ -98,6 +182,12 @@ export class BulkStore {
    */
   summary;
 
+  /**
+   * True if the user requested to stop the running bulk job
+   * @type {boolean}
+   */
+  #stopRequested = false;
+
   @action
   setSelection(selection) {
     this.selection = selection;
@@ -145,12 +235,19 @@ export class BulkStore {
    */
   #getSharepointBulkSelection(document) {
     return [...document.querySelectorAll('#appRoot [role="presentation"] div[aria-selected="true"]')]
-      // exclude folders
-      .filter((row) => !row.querySelector('img')?.getAttribute('src').includes('/foldericons/')
-        && !row.querySelector('img')?.getAttribute('src').endsWith('folder.svg')
-        && !row.querySelector('svg')?.parentElement.className.toLowerCase().includes('folder'))
       // extract file name and type
       .map((row) => {
+        if (row.querySelector('img')?.getAttribute('src').includes('/foldericons/')
+          || row.querySelector('img')?.getAttribute('src').endsWith('folder.svg')
+          || row.querySelector('svg')?.parentElement.className.toLowerCase().includes('folder')) {
+          // info format: bla, Folder, Private, Modified 8/28/2023, edited by Jane
+          const file = (row.getAttribute('aria-label')?.split(',')[0]
+            || row.querySelector('[data-automationid="name"], button')?.textContent)?.trim();
+          return {
+            file,
+            type: 'folder',
+          };
+        }
         const info = row.getAttribute('aria-label') || row.querySelector('span')?.textContent;
         // info format: bla.docx, docx File, Private, Modified 8/28/2023, edited by Jane, 1 KB
         const type = info.match(/, ([a-z0-9]+) [A-Za-z]+,/)?.[1];
@@ -205,8 +302,8 @@ export class BulkStore {
           file,
         };
       })
-      // exclude folders and emtpy entries
-      .filter(({ type, file }) => type && type !== 'folder' && file)
+      // exclude emtpy entries
+      .filter(({ type, file }) => type && file)
       // return validated resources
       .map(this.#validateBulkResource);
   }
@@ -229,9 +326,15 @@ export class BulkStore {
    * @returns {string[]} The canonicalized paths
    */
   #bulkSelectionToPath(selection, folder) {
+    const prefix = `${folder}${folder.endsWith('/') ? '' : '/'}`;
     return selection.map((item) => {
       const { file, type } = item;
 
+      if (type === 'folder') {
+        // include all resources in folder
+        return `${prefix}${this.#normalize(file)}/*`;
+      }
+
       let filename = file;
       let ext = '';
       const lastDot = file.lastIndexOf('.');
@@ -255,25 +358,148 @@ export class BulkStore {
         filename = '';
       }
 
-      return `${folder}${folder.endsWith('/') ? '' : '/'}${this.#normalize(filename)}${ext}`;
+      return `${prefix}${this.#normalize(filename)}${ext}`;
+    });
+  }
+
+  /**
+   * Resolves the bulk selection into a list of resource paths, expanding
+   * selected folders into the resources they contain.
+   * @returns {Promise<string[]>} The resource paths or null if folders could not be resolved
+   */
+  async #resolveSelection() {
+    const { appStore, selection } = this;
+    const paths = this.#bulkSelectionToPath(selection, appStore.status.webPath);
+    const folderPaths = paths.filter((path) => path.endsWith('/*'));
+    if (folderPaths.length === 0) {
+      return paths;
+    }
+
+    log.debug(`bulk: resolving ${folderPaths.length} folder(s)`);
+    appStore.setState(STATE.BULK_RESOLVING);
+    const resp = await appStore.api.startJob('status', folderPaths, false, ['edit']);
+    const { topic, name } = resp?.job || {};
+    const res = topic && name ? await this.#pollJob(topic, name) : null;
+    if (appStore.state === STATE.BULK_RESOLVING) {
+      // do not overwrite error toast
+      appStore.setState();
+    }
+
+    const { resources } = res?.data || {};
+    if (!resources) {
+      return null;
+    }
+    return [...new Set([
+      ...paths.filter((path) => !path.endsWith('/*')),
+      ...resources.map(({ path }) => path),
+    ])].sort();
+  }
+
+  /**
+   * Returns the confirmation data for a bulk operation, including the
+   * resolved paths if the selection contains folders.
+   * @param {string} operation The bulk operation
+   * @param {string[]} paths The resolved paths
+   * @returns {Object} The modal data
+   */
+  #getConfirmData(operation, paths) {
+    const data = {
+      headline: this.appStore.i18n(operation),
+      message: this.#getConfirmText(operation, paths.length),
+      confirmLabel: this.appStore.i18n(operation),
+    };
+    if (this.selection.find(({ type }) => type === 'folder')) {
+      data.paths = paths;
+    }
+    return data;
+  }
+
+  /**
+   * Fetches the status of resources with a bulk status job.
+   * @param {string[]} paths The resource paths
+   * @param {string[]} select The partitions to include ("edit", "preview" and/or "live")
+   * @returns {Promise<Map<string, AdminJobResource>>} The resources by path,
+   * or <code>null</code> if the job failed
+   */
+  async #fetchBulkStatus(paths, select) {
+    const resp = await this.appStore.api.startJob('status', paths, false, select);
+    const { topic, name } = resp?.job || {};
+    const res = topic && name ? await this.#pollJob(topic, name) : null;
+    const { resources } = res?.data || {};
+    return resources ? new Map(resources.map((resource) => [resource.path, resource])) : null;
+  }
+
+  /**
+   * Compares the source, preview and live versions of resources before publishing them.
+   * Only resources with a preview newer than the live version are selected.
+   * @param {string[]} paths The resource paths
+   * @returns {Promise<BulkDiffEntry[]>} The diff entries
+   */
+  async #getPublishDiff(paths) {
+    const { appStore } = this;
+    appStore.setState(STATE.BULK_COMPARING);
+
+    const statuses = await this.#fetchBulkStatus(paths, ['edit', 'preview', 'live']);
+    const diff = paths.map((path) => {
+      const status = statuses?.get(path);
+      const source = status?.sourceLastModified;
+      const preview = status?.previewLastModified;
+      const live = status?.publishLastModified;
+
+      let state = 'unknown';
+      if (status) {
+        if (!preview) {
+          state = 'not_previewed';
+        } else if (!live || new Date(preview) > new Date(live)) {
+          state = 'changed';
+        } else {
+          state = 'unchanged';
+        }
+      }
+      return {
+        path,
+        source,
+        preview,
+        live,
+        state,
+        selected: ['changed', 'unknown'].includes(state),
+      };
     });
+
+    if (appStore.state === STATE.BULK_COMPARING) {
+      // do not overwrite error toast
+      appStore.setState();
+    }
+    return diff;
+  }
+
+  /**
+   * Returns the paths of resources which are currently published.
+   * @param {string[]} paths The resource paths
+   * @returns {Promise<string[]>} The published paths
+   */
+  async #getPublishedPaths(paths) {
+    const statuses = await this.#fetchBulkStatus(paths, ['live']);
+    return paths.filter((path) => !!statuses?.get(path)?.publishLastModified);
   }
 
   /**
    * Performs a bulk operation.
-   * @param {string} operation The bulk operation ("preview" or "publish")
+   * @param {string} operation The bulk operation ("preview", "publish", "unpublish" or "delete")
    * @param {Object} [opts] The options
    * @param {string} [opts.route=operation] The route
-   * @param {string} [opts.method='POST'] The method
+   * @param {boolean} [opts.del=false] True if the resources should be deleted
+   * @param {string[]} [opts.paths] The resource paths (defaults to bulk selection)
+   * @param {string[]} [opts.published] The published resource paths (delete only)
    * @returns {Promise<AdminJob>} The job details
    */
   async #doBulkOperation(operation, {
     route = operation,
+    del = false,
+    paths = this.#bulkSelectionToPath(this.selection, this.appStore.status.webPath),
+    published = undefined,
   } = {}) {
-    const { appStore, selection: bulkSelection } = this;
-    const { status, api } = appStore;
-
-    const paths = this.#bulkSelectionToPath(bulkSelection, status.webPath);
+    const { api } = this.appStore;
 
     // set initial bulk progress
     this.progress = {
@@ -282,43 +508,349 @@ export class BulkStore {
       failed: 0,
     };
 
-    const resp = await api.startJob(route, paths);
-    if (resp) {
-      return new Promise((resolve) => {
-        const { job } = resp;
-        if (job) {
-          const { topic, name } = job;
-          // poll job state and resolve when stopped
-          const jobStatusPoll = window.setInterval(async () => {
-            const jobStatus = await api.getJob(topic, name);
-            if (jobStatus) {
-              const { state, progress } = jobStatus;
-              if (state === 'stopped') {
-                // stop polling
-                window.clearInterval(jobStatusPoll);
-                // delayed reset of bulk progress
-                window.setTimeout(() => {
-                  this.progress = null;
-                }, 1000);
-                // return job details
-                resolve(api.getJob(topic, name, true));
-              } else if (progress) {
-                // update bulk progress
-                this.progress = progress;
+    const resp = await api.startJob(route, paths, del);
+    const { topic, name } = resp?.job || {};
+    if (topic && name) {
+      this.#saveJob({
+        operation, topic, name, published,
+      });
+      return this.#pollJob(topic, name);
+    }
+    return null;
+  }
+
+  /**
+   * Polls the state of a bulk job until it is stopped.
+   * @param {string} topic The job topic
+   * @param {string} name The job name
+   * @returns {Promise<AdminJob>} The job details
+   */
+  #pollJob(topic, name) {
+    const { api } = this.appStore;
+    return new Promise((resolve) => {
+      const jobStatusPoll = window.setInterval(async () => {
+        const jobStatus = await api.getJob(topic, name);
+        if (jobStatus) {
+          const { state, progress } = jobStatus;
+          if (state === 'stopped') {
+            // stop polling
+            window.clearInterval(jobStatusPoll);
+            // delayed reset of bulk progress, unless another job has started since
+            const { progress: lastProgress } = this;
+            window.setTimeout(() => {
+              if (this.progress === lastProgress) {
+                this.progress = null;
               }
-            } else {
-              // stop polling
-              window.clearInterval(jobStatusPoll);
-              // reset bulk progress
-              this.progress = null;
-              // return null
-              resolve(null);
-            }
-          }, 1000);
+            }, 1000);
+            this.#removeJob(name);
+            // return job details
+            resolve(api.getJob(topic, name, true));
+          } else if (progress) {
+            // update bulk progress
+            this.progress = progress;
+          }
+        } else {
+          // stop polling
+          window.clearInterval(jobStatusPoll);
+          // reset bulk progress
+          this.progress = null;
+          this.#removeJob(name);
+          // return null
+          resolve(null);
         }
+      }, 1000);
+    });
+  }
+
+  /**
+   * Remembers a running bulk job so it can be resumed after a page reload.
+   * @param {Object} job The job
+   * @param {string} job.operation The bulk operation
+   * @param {string} job.topic The job topic
+   * @param {string} job.name The job name
+   * @param {string[]} [job.published] The published resource paths (delete only)
+   */
+  #saveJob({
+    operation, topic, name, published,
+  }) {
+    const { owner, repo, ref } = this.appStore.siteStore;
+    const job = {
+      owner,
+      repo,
+      ref,
+      operation,
+      topic,
+      name,
+      ...(published ? { published } : {}),
+    };
+    this.job = job;
+    setSavedJobs([...getSavedJobs(), job]);
+  }
+
+  /**
+   * Forgets a bulk job.
+   * @param {string} name The job name
+   */
+  #removeJob(name) {
+    this.job = null;
+    setSavedJobs(getSavedJobs().filter((job) => job.name !== name));
+  }
+
+  /**
+   * Resumes a bulk job started for this project before the page was reloaded.
+   * @returns {Promise<void>}
+   */
+  async #resumeJob() {
+    const { owner, repo, ref } = this.appStore.siteStore;
+    const job = getSavedJobs()
+      .find((j) => j.owner === owner && j.repo === repo && j.ref === ref);
+    if (!job || this.job) {
+      return;
+    }
+
+    const {
+      operation, topic, name, published,
+    } = job;
+    log.debug(`bulk ${operation}: resuming job ${topic}/${name}`);
+    this.job = job;
+    this.appStore.setState(bulkStates[operation]);
+
+    const res = await this.#pollJob(topic, name);
+    const { resources } = res?.data || {};
+    if (resources) {
+      if (operation === 'delete') {
+        await this.#completeDelete(resources, published || []);
+        return;
+      }
+      await this.#showSummary(operation, resources, this.#getHost(operation));
+      this.appStore.fireEvent(
+        bulkEvents[operation],
+        resources.map(({ path }) => path),
+      );
+    } else {
+      this.appStore.setState();
+    }
+  }
+
+  /**
+   * Returns the host name to use for URLs after a bulk operation.
+   * @param {string} operation The bulk operation
+   * @returns {string} The host name
+   */
+  #getHost(operation) {
+    const { siteStore } = this.appStore;
+    return ['publish', 'unpublish'].includes(operation)
+      ? siteStore.host || siteStore.outerHost
+      : siteStore.innerHost;
+  }
+
+  /**
+   * Adds the outcome of a bulk operation to the project's bulk history.
+   * @param {BulkSummary} summary The bulk summary
+   * @returns {Promise<void>}
+   */
+  async #addToHistory({
+    operation, resources, unpublished, host, stopped,
+  }) {
+    const { siteStore, status } = this.appStore;
+    const { owner, repo, ref } = siteStore;
+    const history = await getConfig('local', 'bulkHistory') || [];
+    history.unshift({
+      owner,
+      repo,
+      ref,
+      operation,
+      host,
+      user: status?.profile?.email || status?.profile?.name || '',
+      timestamp: Date.now(),
+      resources,
+      ...(unpublished ? { unpublished } : {}),
+      stopped,
+    });
+    // only keep the most recent entries per project
+    let count = 0;
+    await setConfig('local', {
+      bulkHistory: history.filter((entry) => {
+        if (entry.owner !== owner || entry.repo !== repo) {
+          return true;
+        }
+        count += 1;
+        return count <= MAX_HISTORY_ENTRIES;
+      }),
+    });
+  }
+
+  /**
+   * Returns the bulk history of the current project, most recent first.
+   * @returns {Promise<BulkHistoryEntry[]>} The bulk history entries
+   */
+  async getHistory() {
+    const { owner, repo } = this.appStore.siteStore;
+    const history = await getConfig('local', 'bulkHistory') || [];
+    return history.filter((entry) => entry.owner === owner && entry.repo === repo);
+  }
+
+  /**
+   * Removes the bulk history of the current project.
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    const { owner, repo } = this.appStore.siteStore;
+    const history = await getConfig('local', 'bulkHistory') || [];
+    await setConfig('local', {
+      bulkHistory: history.filter((entry) => entry.owner !== owner || entry.repo !== repo),
+    });
+  }
+
+  /**
+   * Returns the resources of a bulk history entry which failed or were not processed.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   * @returns {AdminJobResource[]} The failed resources
+   */
+  getFailedResources(entry) {
+    return entry.resources.filter(({ status }) => !status || status >= 400);
+  }
+
+  /**
+   * Runs the operation of a bulk history entry again for the failed resources only.
+   * Destructive operations need to be confirmed by the user first.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   * @returns {Promise<void>}
+   */
+  async rerunFailed(entry) {
+    const { operation, ref } = entry;
+    const paths = this.getFailedResources(entry).map(({ path }) => path);
+    if (paths.length === 0) {
+      log.debug(`bulk ${operation}: nothing to rerun`);
+      return;
+    }
+
+    const { siteStore } = this.appStore;
+    if (ref && ref !== siteStore.ref) {
+      // do not target a different branch
+      log.debug(`bulk ${operation}: cannot rerun operation from ${ref} on ${siteStore.ref}`);
+      this.appStore.showToast(
+        this.appStore.i18n('bulk_history_rerun_wrong_ref').replace(/\$1/g, ref),
+        'warning',
+      );
+      return;
+    }
+
+    if (this.isDestructive(operation)) {
+      const modal = this.appStore.showModal({
+        type: MODALS.DELETE,
+        data: {
+          headline: this.appStore.i18n(operation),
+          message: this.#getConfirmText(operation, paths.length),
+          confirmLabel: this.appStore.i18n(operation),
+          action: operation,
+        },
       });
+      modal.addEventListener(
+        MODAL_EVENTS.CONFIRM,
+        () => this.#rerun(operation, paths),
+        { once: true },
+      );
+      return;
     }
-    return null;
+
+    await this.#rerun(operation, paths);
+  }
+
+  /**
+   * Runs a bulk operation again for the specified resources.
+   * @param {string} operation The bulk operation
+   * @param {string[]} paths The resource paths
+   * @returns {Promise<void>}
+   */
+  async #rerun(operation, paths) {
+    log.debug(`bulk ${operation}: rerunning bulk operation for ${paths.length} files`);
+    this.appStore.setState(bulkStates[operation]);
+
+    const res = await this.#doBulkOperation(operation, {
+      ...bulkRoutes[operation],
+      paths,
+    });
+    const { resources } = res?.data || {};
+    if (resources) {
+      await this.#showSummary(operation, resources, this.#getHost(operation));
+      this.appStore.fireEvent(
+        bulkEvents[operation],
+        resources.map(({ path }) => path),
+      );
+    } else {
+      this.appStore.setState();
+    }
+  }
+
+  /**
+   * Serializes a bulk history entry.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   * @param {string} format The format ("csv" or "json")
+   * @returns {string} The serialized entry
+   */
+  serializeHistoryEntry(entry, format) {
+    if (format === 'json') {
+      return JSON.stringify(entry, null, 2);
+    }
+    const escape = (value) => {
+      const str = `${value ?? ''}`;
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const timestamp = new Date(entry.timestamp).toISOString();
+    return [
+      ['operation', 'timestamp', 'user', 'host', 'path', 'status', 'error'],
+      ...entry.resources.map(({ path, status, error }) => [
+        entry.operation,
+        timestamp,
+        entry.user,
+        entry.host,
+        path,
+        status,
+        error,
+      ]),
+    ].map((row) => row.map(escape).join(',')).join('\n');
+  }
+
+  /**
+   * Downloads a bulk history entry as a file.
+   * @param {BulkHistoryEntry} entry The bulk history entry
+   * @param {string} format The format ("csv" or "json")
+   */
+  exportHistoryEntry(entry, format) {
+    const { repo } = this.appStore.siteStore;
+    const date = new Date(entry.timestamp).toISOString().replace(/[:.]/g, '-');
+    downloadFile(
+      this.serializeHistoryEntry(entry, format),
+      `${repo}-bulk-${entry.operation}-${date}.${format}`,
+      format === 'json' ? 'application/json' : 'text/csv',
+    );
+  }
+
+  /**
+   * Stops the running bulk job. The job details will be shown once the job has stopped.
+   * @returns {Promise<boolean>} True if the job is being stopped, else false
+   */
+  async stopJob() {
+    if (!this.job) {
+      return false;
+    }
+    const { operation, topic, name } = this.job;
+    log.debug(`bulk ${operation}: stopping job ${topic}/${name}`);
+    const res = await this.appStore.api.stopJob(topic, name);
+    if (res) {
+      this.#stopRequested = true;
+    }
+    return !!res;
+  }
+
+  /**
+   * Checks if a bulk operation removes resources.
+   * @param {string} operation The bulk operation
+   * @returns {boolean} True if the operation is destructive, else false
+   */
+  isDestructive(operation) {
+    return ['unpublish', 'delete'].includes(operation);
   }
 
   /**
@@ -357,6 +889,18 @@ export class BulkStore {
       .replace('$2', `${failed}`);
   }
 
+  /**
+   * Returns the summary text for a stopped bulk job.
+   * @param {AdminJobResource[]} resources The resources
+   * @returns {string} The summary text
+   */
+  getStoppedText(resources) {
+    const processed = resources.filter(({ status }) => !!status);
+    return this.appStore.i18n('bulk_result_stopped')
+      .replace('$1', `${processed.length}`)
+      .replace('$2', `${resources.length}`);
+  }
+
   /**
    * Returns the summary variant for a bulk operation.
    * @param {number} total The total number of files
@@ -378,27 +922,65 @@ export class BulkStore {
 
   /**
    * Displays a toast with the bulk operation summary.
-   * @param {string} operation The bulk operation ("preview" or "publish")
+   * @param {string} operation The bulk operation ("preview", "publish", "unpublish" or "delete")
    * @param {AdminJobResource[]} resources The resources
    * @param {string} host The host name to use for URLs
+   * @param {AdminJobResource[]} [unpublished] The resources unpublished along with a delete
+   * @returns {Promise<void>}
    */
-  #showSummary(operation, resources, host) {
+  async #showSummary(operation, resources, host, unpublished = []) {
+    const stopped = this.#stopRequested;
+    this.#stopRequested = false;
     this.summary = {
       operation,
       resources,
       host,
+      stopped,
     };
+    if (unpublished.length > 0) {
+      this.summary.unpublished = unpublished;
+    }
+    try {
+      await this.#addToHistory(this.summary);
+    } catch (e) {
+      log.warn('bulk: failed to add summary to history', e);
+    }
 
     const failed = resources.filter(({ status }) => status >= 400);
+    const failedLive = unpublished.filter(({ status }) => status >= 400);
     const succeeded = resources.filter(({ status }) => status < 400);
     const paths = succeeded.map(({ path }) => path);
 
-    if (paths.find((path) => path.startsWith('/.helix/'))) {
+    if (stopped) {
+      // show stopped toast with details button
+      this.appStore.showToast(
+        this.getStoppedText(resources),
+        'warning',
+        null,
+        () => {
+          this.appStore.showModal({
+            type: MODALS.BULK,
+          });
+          this.appStore.closeToast();
+        },
+        this.appStore.i18n('bulk_result_details'),
+        null, // no secondary callback
+        null, // no secondary label
+        3600000, // keep for 1 hour
+        false,
+      );
+    } else if (paths.find((path) => path.startsWith('/.helix/'))) {
       // special handling for config files
       this.appStore.showToast(this.appStore.i18n('config_success'), 'positive');
     } else {
-      const message = this.getSummaryText(operation, resources.length, failed.length);
-      const variant = this.#getSummaryVariant(resources.length, failed.length);
+      let message = this.getSummaryText(operation, resources.length, failed.length);
+      let variant = this.#getSummaryVariant(resources.length, failed.length);
+      if (unpublished.length > 0) {
+        message += ` ${this.getSummaryText('unpublish', unpublished.length, failedLive.length)}`;
+        if (failedLive.length > 0 && variant === 'positive') {
+          variant = 'warning';
+        }
+      }
 
       const openUrlsLabel = this.appStore.i18n(`open_url${paths.length !== 1 ? 's' : ''}`)
         .replace('$1', `${paths.length}`);
@@ -408,7 +990,10 @@ export class BulkStore {
         .replace('$1', `${paths.length}`);
       const copyUrlsCallback = () => this.copyUrls(host, paths);
 
-      if (failed.length === 0) {
+      if (failed.length === 0 && failedLive.length === 0 && this.isDestructive(operation)) {
+        // show success toast without buttons, resources are gone
+        this.appStore.showToast(message, variant);
+      } else if (failed.length === 0 && failedLive.length === 0) {
         // show success toast with open and copy buttons
         this.appStore.showToast(
           message,
@@ -445,7 +1030,7 @@ export class BulkStore {
 
   /**
    * Validates the selection before performing a bulk operation.
-   * @param {string} operation The bulk operation ("preview" or "publish")
+   * @param {string} operation The bulk operation
    * @returns {boolean} True if selection is valid, else false
    */
   #validateSelection(operation) {
@@ -454,6 +1039,14 @@ export class BulkStore {
       return false;
     }
 
+    if (this.isDestructive(operation) && this.selection.find(({ type }) => type === 'folder')) {
+      this.appStore.showToast(
+        this.appStore.i18n('bulk_error_folder_selected').replace('$1', operation),
+        'warning',
+      );
+      return false;
+    }
+
     const illegalNames = this.selection
       .filter(({ file }) => file.startsWith(illegalPathPrefix))
       .map(({ file }) => file.substring(10));
@@ -482,23 +1075,24 @@ export class BulkStore {
       return;
     }
 
+    const paths = await this.#resolveSelection();
+    if (!paths) {
+      return;
+    }
+
     const modal = this.appStore.showModal({
       type: 'confirm',
-      data: {
-        headline: this.appStore.i18n('preview'),
-        message: this.#getConfirmText('preview', this.selection.length),
-        confirmLabel: this.appStore.i18n('preview'),
-      },
+      data: this.#getConfirmData('preview', paths),
     });
 
     modal.addEventListener(MODAL_EVENTS.CONFIRM, async () => {
       const host = this.appStore.siteStore.innerHost;
       let resources = null;
 
-      if (this.selection.length === 1) {
+      if (paths.length === 1) {
         // single preview
         log.debug('bulk preview: performing single operation');
-        const path = this.#bulkSelectionToPath(this.selection, this.appStore.status.webPath)[0];
+        const [path] = paths;
         const res = await this.appStore.update(path);
         if (res) {
           resources = [{
@@ -508,10 +1102,10 @@ export class BulkStore {
         }
       } else {
         // bulk preview
-        log.debug(`bulk preview: performing bulk operation for ${this.selection.length} files`);
+        log.debug(`bulk preview: performing bulk operation for ${paths.length} files`);
         this.appStore.setState(STATE.BULK_PREVIEWING);
 
-        const res = await this.#doBulkOperation('preview');
+        const res = await this.#doBulkOperation('preview', { paths });
         if (res) {
           ({ resources } = res.data || {});
         } else {
@@ -519,7 +1113,7 @@ export class BulkStore {
         }
       }
       if (resources) {
-        this.#showSummary('preview', resources, host);
+        await this.#showSummary('preview', resources, host);
         this.appStore.fireEvent(
           EXTERNAL_EVENTS.RESOURCE_PREVIEWED,
           resources.map(({ path }) => path),
@@ -536,12 +1130,136 @@ export class BulkStore {
       return;
     }
 
+    const resolvedPaths = await this.#resolveSelection();
+    if (!resolvedPaths) {
+      return;
+    }
+
+    const diff = await this.#getPublishDiff(resolvedPaths);
     const modal = this.appStore.showModal({
       type: 'confirm',
       data: {
-        headline: this.appStore.i18n('publish'),
-        message: this.#getConfirmText('publish', this.selection.length),
-        confirmLabel: this.appStore.i18n('publish'),
+        ...this.#getConfirmData('publish', resolvedPaths),
+        message: this.appStore.i18n('bulk_confirm_publish_diff')
+          .replace('$1', `${resolvedPaths.length}`),
+        diff,
+      },
+    });
+
+    modal.addEventListener(MODAL_EVENTS.CONFIRM, async () => {
+      await this.#publishPaths(diff.filter(({ selected }) => selected).map(({ path }) => path));
+    });
+  }
+
+  /**
+   * Publishes resources, using a bulk job for more than one resource.
+   * @param {string[]} paths The resource paths
+   */
+  async #publishPaths(paths) {
+    const host = this.appStore.siteStore.host || this.appStore.siteStore.outerHost;
+    let resources = null;
+
+    if (paths.length === 0) {
+      log.debug('bulk publish: no files selected');
+      return;
+    }
+
+    if (paths.length === 1) {
+      // single publish
+      log.debug('bulk publish: performing single operation');
+      const [path] = paths;
+      const res = await this.appStore.publish(path);
+      if (res) {
+        resources = [{
+          path,
+          status: 200,
+        }];
+      }
+    } else {
+      // bulk preview
+      log.debug(`bulk publish: performing bulk operation for ${paths.length} files`);
+      this.appStore.setState(STATE.BULK_PUBLISHING);
+
+      const res = await this.#doBulkOperation('publish', { route: 'live', paths });
+      if (res) {
+        ({ resources } = res.data || {});
+      } else {
+        this.appStore.setState();
+      }
+    }
+    if (resources) {
+      await this.#showSummary('publish', resources, host);
+      this.appStore.fireEvent(
+        EXTERNAL_EVENTS.RESOURCE_PUBLISHED,
+        resources.map(({ path }) => path),
+      );
+    }
+  }
+
+  /**
+   * Checks the current page for dependencies which are previewed but not published yet,
+   * and offers to publish them together with the page.
+   */
+  async publishWithDependencies() {
+    const { appStore } = this;
+    const { webPath } = appStore.status;
+
+    appStore.setState(STATE.CHECKING_DEPENDENCIES);
+    const dependencies = await appStore.getDependencies(webPath);
+    const diff = (await this.#getPublishDiff([webPath, ...dependencies]))
+      .filter(({ path, state, live }) => path === webPath || (state === 'changed' && !live));
+    // always offer to publish the page itself
+    diff[0].selected = true;
+
+    const count = diff.length - 1;
+    const modal = appStore.showModal({
+      type: MODALS.CONFIRM,
+      data: {
+        headline: appStore.i18n('publish'),
+        message: count > 0
+          ? appStore.i18n('publish_dependencies_found').replace('$1', `${count}`)
+          : appStore.i18n('publish_dependencies_none'),
+        confirmLabel: appStore.i18n('publish'),
+        diff: count > 0 ? diff : undefined,
+      },
+    });
+
+    modal.addEventListener(MODAL_EVENTS.CONFIRM, async () => {
+      await this.#publishPaths(diff.filter(({ selected }) => selected).map(({ path }) => path));
+    });
+  }
+
+  /**
+   * Schedules the publishing of the bulk selection.
+   */
+  async schedulePublish() {
+    if (!this.#validateSelection('publish')) {
+      return;
+    }
+
+    const resolvedPaths = await this.#resolveSelection();
+    if (!resolvedPaths) {
+      return;
+    }
+
+    this.appStore.scheduleStore.schedulePublish(resolvedPaths);
+  }
+
+  /**
+   * Runs a bulk unpublish operation on the bulk selection.
+   */
+  async unpublish() {
+    if (!this.#validateSelection('unpublish')) {
+      return;
+    }
+
+    const modal = this.appStore.showModal({
+      type: MODALS.DELETE,
+      data: {
+        headline: this.appStore.i18n('unpublish'),
+        message: this.#getConfirmText('unpublish', this.selection.length),
+        confirmLabel: this.appStore.i18n('unpublish'),
+        action: 'unpublish',
       },
     });
 
@@ -549,37 +1267,104 @@ export class BulkStore {
       const host = this.appStore.siteStore.host || this.appStore.siteStore.outerHost;
       let resources = null;
 
-      if (this.selection.length === 1) {
-        // single publish
-        log.debug('bulk publish: performing single operation');
-        const path = this.#bulkSelectionToPath(this.selection, this.appStore.status.webPath)[0];
-        const res = await this.appStore.publish(path);
-        if (res) {
-          resources = [{
-            path,
-            status: 200,
-          }];
-        }
-      } else {
-        // bulk preview
-        log.debug(`bulk publish: performing bulk operation for ${this.selection.length} files`);
-        this.appStore.setState(STATE.BULK_PUBLISHING);
+      log.debug(`bulk unpublish: performing bulk operation for ${this.selection.length} files`);
+      this.appStore.setState(STATE.BULK_UNPUBLISHING);
 
-        const res = await this.#doBulkOperation('publish', { route: 'live' });
-        if (res) {
-          ({ resources } = res.data || {});
-        } else {
-          this.appStore.setState();
-        }
+      const res = await this.#doBulkOperation('unpublish', { route: 'live', del: true });
+      if (res) {
+        ({ resources } = res.data || {});
+      } else {
+        this.appStore.setState();
       }
       if (resources) {
-        this.#showSummary('publish', resources, host);
+        await this.#showSummary('unpublish', resources, host);
         this.appStore.fireEvent(
-          EXTERNAL_EVENTS.RESOURCE_PUBLISHED,
+          EXTERNAL_EVENTS.RESOURCE_UNPUBLISHED,
           resources.map(({ path }) => path),
         );
       }
+    }, { once: true });
+  }
+
+  /**
+   * Runs a bulk delete operation on the bulk selection.
+   */
+  async delete() {
+    if (!this.#validateSelection('delete')) {
+      return;
+    }
+
+    const modal = this.appStore.showModal({
+      type: MODALS.DELETE,
+      data: {
+        headline: this.appStore.i18n('delete'),
+        message: this.#getConfirmText('delete', this.selection.length),
+        confirmLabel: this.appStore.i18n('delete'),
+        action: 'delete',
+      },
     });
+
+    modal.addEventListener(MODAL_EVENTS.CONFIRM, async () => {
+      const paths = this.#bulkSelectionToPath(this.selection, this.appStore.status.webPath);
+      let resources = null;
+
+      log.debug(`bulk delete: performing bulk operation for ${this.selection.length} files`);
+      const published = await this.#getPublishedPaths(paths);
+      this.appStore.setState(STATE.BULK_DELETING);
+
+      const res = await this.#doBulkOperation('delete', {
+        route: 'preview',
+        del: true,
+        paths,
+        published,
+      });
+      if (res) {
+        ({ resources } = res.data || {});
+      } else {
+        this.appStore.setState();
+      }
+      if (resources) {
+        await this.#completeDelete(resources, published);
+      }
+    }, { once: true });
+  }
+
+  /**
+   * Unpublishes deleted resources which are still live and shows the summary
+   * of a bulk delete operation.
+   * @param {AdminJobResource[]} resources The deleted resources
+   * @param {string[]} published The paths of the resources published before deleting
+   * @returns {Promise<void>}
+   */
+  async #completeDelete(resources, published) {
+    const host = this.appStore.siteStore.innerHost;
+    const unpublishPaths = resources
+      .filter(({ path, status }) => status < 400 && published.includes(path))
+      .map(({ path }) => path);
+    let unpublished = [];
+    if (unpublishPaths.length > 0) {
+      log.debug(`bulk delete: unpublishing ${unpublishPaths.length} published files`);
+      this.appStore.setState(STATE.BULK_UNPUBLISHING);
+      const liveRes = await this.#doBulkOperation('unpublish', {
+        route: 'live',
+        del: true,
+        paths: unpublishPaths,
+      });
+      unpublished = liveRes?.data?.resources
+        // job could not be started: report live resources as failed
+        || unpublishPaths.map((path) => ({ path, status: 500 }));
+    }
+    await this.#showSummary('delete', resources, host, unpublished);
+    this.appStore.fireEvent(
+      EXTERNAL_EVENTS.RESOURCE_DELETED,
+      resources.map(({ path }) => path),
+    );
+    if (unpublished.length > 0) {
+      this.appStore.fireEvent(
+        EXTERNAL_EVENTS.RESOURCE_UNPUBLISHED,
+        unpublished.filter(({ status }) => status < 400).map(({ path }) => path),
+      );
+    }
   }
 
   /**
@@ -594,7 +1379,10 @@ export class BulkStore {
         return;
       }
       const status = await this.appStore.fetchStatus(true, true);
-      paths = this.#bulkSelectionToPath(this.selection, status.webPath);
+      paths = this.#bulkSelectionToPath(
+        this.selection.filter(({ type }) => type !== 'folder'),
+        status.webPath,
+      );
     }
 
     try {
@@ -628,7 +1416,10 @@ export class BulkStore {
         return;
       }
       const status = await this.appStore.fetchStatus(true, true);
-      paths = this.#bulkSelectionToPath(this.selection, status.webPath);
+      paths = this.#bulkSelectionToPath(
+        this.selection.filter(({ type }) => type !== 'folder'),
+        status.webPath,
+      );
     }
 
     const urls = paths.map((path) => `https://${host}${path}`);
@@ -654,6 +1445,13 @@ export class BulkStore {
    */
   initStore(location) {
     this.#updateBulkSelection();
+    // resume running job once status is fetched to keep bulk state
+    this.appStore.sidekick?.addEventListener(EXTERNAL_EVENTS.STATUS_FETCHED, () => {
+      this.#resumeJob().catch((e) => {
+        log.warn('bulk: failed to resume job', e);
+        this.appStore.setState();
+      });
+    }, { once: true });
     // listen for selection changes
     const listener = () => window.setTimeout(() => this.#updateBulkSelection(), 100);
     const rootEl = document.querySelector(
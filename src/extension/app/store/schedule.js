@@ -0,0 +1,133 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { log } from '../../log.js';
+import { getConfig, setConfig } from '../../config.js';
+import { MODALS, MODAL_EVENTS } from '../constants.js';
+
+/**
+ * @typedef {import('./app.js').AppStore} AppStore
+ */
+
+/**
+ * @typedef {import('@Types').PublishSchedule} PublishSchedule
+ */
+
+/**
+ * Manages scheduled publishing jobs. The jobs are kept in local storage
+ * and executed by the background service worker.
+ */
+export class ScheduleStore {
+  /**
+   * @type {AppStore}
+   */
+  appStore;
+
+  /**
+   * Returns all scheduled publishing jobs from local storage.
+   * @returns {Promise<PublishSchedule[]>} The schedules
+   */
+  async #getAllSchedules() {
+    return await getConfig('local', 'publishSchedules') || [];
+  }
+
+  /**
+   * Saves the scheduled publishing jobs. The background service worker
+   * will update its alarms accordingly.
+   * @param {PublishSchedule[]} schedules The schedules
+   * @returns {Promise<void>}
+   */
+  async #saveSchedules(schedules) {
+    await setConfig('local', { publishSchedules: schedules });
+  }
+
+  /**
+   * Returns the pending scheduled publishing jobs of the current project, earliest first.
+   * @returns {Promise<PublishSchedule[]>} The schedules
+   */
+  async getSchedules() {
+    const { owner, repo } = this.appStore.siteStore;
+    return (await this.#getAllSchedules())
+      .filter((schedule) => schedule.owner === owner && schedule.repo === repo)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Schedules the publishing of resources.
+   * @param {string[]} paths The paths of the resources to publish
+   * @param {number} time The time to publish the resources at
+   * @returns {Promise<PublishSchedule>} The schedule
+   */
+  async addSchedule(paths, time) {
+    const { siteStore, status } = this.appStore;
+    const { owner, repo, ref } = siteStore;
+    /** @type {PublishSchedule} */
+    const schedule = {
+      id: `${Date.now()}-${Math.random().toString(16).substring(2, 10)}`,
+      owner,
+      repo,
+      ref,
+      paths,
+      time,
+      user: status?.profile?.email || status?.profile?.name || '',
+    };
+    await this.#saveSchedules([...await this.#getAllSchedules(), schedule]);
+    log.debug(`scheduled publishing of ${paths.length} path(s) at ${new Date(time).toISOString()}`);
+    return schedule;
+  }
+
+  /**
+   * Cancels a scheduled publishing job.
+   * @param {string} id The schedule ID
+   * @returns {Promise<void>}
+   */
+  async cancelSchedule(id) {
+    await this.#saveSchedules((await this.#getAllSchedules())
+      .filter((schedule) => schedule.id !== id));
+  }
+
+  /**
+   * Changes the time of a scheduled publishing job.
+   * @param {string} id The schedule ID
+   * @param {number} time The new time to publish the resources at
+   * @returns {Promise<void>}
+   */
+  async reschedule(id, time) {
+    await this.#saveSchedules((await this.#getAllSchedules())
+      .map((schedule) => (schedule.id === id ? { ...schedule, time } : schedule)));
+  }
+
+  /**
+   * Shows the schedule dialog with the pending scheduled publishing jobs
+   * and schedules the publishing of the resources on confirm.
+   * @param {string[]} paths The paths of the resources to publish
+   */
+  schedulePublish(paths) {
+    const modal = this.appStore.showModal({
+      type: MODALS.SCHEDULE,
+      data: { paths },
+    });
+    modal.addEventListener(MODAL_EVENTS.CONFIRM, async (e) => {
+      const { time } = /** @type {CustomEvent} */ (e).detail;
+      await this.addSchedule(paths, time);
+      this.appStore.showToast(
+        this.appStore.i18n('schedule_publish_scheduled')
+          .replace('$1', new Date(time).toLocaleString()),
+        'positive',
+      );
+    });
+  }
+
+  constructor(appStore) {
+    this.appStore = appStore;
+  }
+}
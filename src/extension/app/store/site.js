@@ -30,6 +30,11 @@ import { getLanguage } from '../utils/i18n.js';
  * @typedef {import('./app.js').AppStore} AppStore
  */
 
+/**
+ * The ref settings type
+ * @typedef {import('@Types').RefSettings} RefSettings
+ */
+
 /**
  * The CustomPlugin type
  * @typedef {import('@Types').CustomPlugin} CustomPlugin
@@ -54,6 +59,24 @@ export class SiteStore {
    */
   ref;
 
+  /**
+   * The default Git reference or branch of the project
+   * @type {string}
+   */
+  defaultRef;
+
+  /**
+   * The recently used Git references or branches, most recent first
+   * @type {string[]}
+   */
+  refs;
+
+  /**
+   * The recently used Git references or branches and their settings
+   * @type {Object<string, RefSettings>}
+   */
+  refSettings;
+
   /**
    * The url to the repository
    * @type {string}
@@ -150,6 +173,12 @@ export class SiteStore {
    */
   plugins;
 
+  /**
+   * Sheet schemas
+   * @type {import('@Types').SheetSchema[]}
+   */
+  sheetSchemas;
+
   /**
    * Are we currently authorized for the site?
    * Since the config fetch is the first request, we need to track it's
@@ -201,6 +230,8 @@ export class SiteStore {
       owner,
       repo,
       ref = 'main',
+      defaultRef = ref,
+      refs = {},
       giturl,
       mountpoints,
       adminVersion,
@@ -245,6 +276,7 @@ export class SiteStore {
       host,
       project = '',
       specialViews,
+      sheetSchemas = [],
       transient = false,
       scriptUrl = 'https://www.hlx.live/tools/sidekick/index.js',
     } = config;
@@ -257,6 +289,11 @@ export class SiteStore {
 
     // default views
     this.views = [
+      {
+        path: '/redirects.json',
+        viewer: chrome.runtime.getURL('views/redirects/redirects.html'),
+        title: () => this.appStore.i18n('redirects_view_description'),
+      },
       {
         path: '**.json',
         viewer: chrome.runtime.getURL('views/json/json.html'),
@@ -266,10 +303,16 @@ export class SiteStore {
     // prepend custom views
     this.views = (specialViews || []).concat(this.views);
     this.plugins = config.plugins || [];
+    this.sheetSchemas = sheetSchemas;
 
     this.owner = owner;
     this.repo = repo;
     this.ref = ref;
+    this.defaultRef = defaultRef;
+    this.refSettings = refs;
+    this.refs = [...new Set([ref, defaultRef, ...Object.entries(refs)
+      .sort(([, a], [, b]) => (b.lastUsed || 0) - (a.lastUsed || 0))
+      .map(([name]) => name)])];
     this.giturl = giturl;
     this.contentSourceUrl = contentSourceUrl;
     this.contentSourceType = contentSourceType;
@@ -302,6 +345,8 @@ export class SiteStore {
       owner: this.owner,
       repo: this.repo,
       ref: this.ref,
+      defaultRef: this.defaultRef,
+      refs: this.refSettings,
       giturl: this.giturl,
       devUrl: this.devUrl.href,
       // @ts-ignore
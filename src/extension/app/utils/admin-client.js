@@ -339,12 +339,14 @@ export class AdminClient {
    * Starts a bulk job.
    * @see https://www.aem.live/docs/admin.html#tag/preview/operation/bulkPreview
    * @see https://www.aem.live/docs/admin.html#tag/publish/operation/bulkPublish
+   * @see https://www.aem.live/docs/admin.html#tag/status/operation/bulkStatus
    * @param {string} api The API endpoint to call
    * @param {string[]} paths The resource paths
    * @param {boolean} [del] True if the resources should be deleted
+   * @param {string[]} [select] The partitions to include (status API only)
    * @returns {Promise<Object>} The JSON response
    */
-  async startJob(api, paths, del) {
+  async startJob(api, paths, del, select) {
     const path = '/*';
     try {
       const resp = await callAdmin(
@@ -356,6 +358,7 @@ export class AdminClient {
           body: {
             paths,
             delete: !!del,
+            ...(select ? { select } : {}),
           },
         },
       );
@@ -397,4 +400,34 @@ export class AdminClient {
     }
     return null;
   }
+
+  /**
+   * Stops a job.
+   * @see https://www.aem.live/docs/admin.html#tag/job/operation/stopJob
+   * @param {string} topic The job topic
+   * @param {string} name The job name
+   * @returns {Promise<Object>} The response status
+   */
+  async stopJob(topic, name) {
+    const api = 'job';
+    const path = `/${topic}/${name}`;
+    try {
+      const resp = await callAdmin(
+        this.siteStore,
+        api,
+        path,
+        {
+          method: 'delete',
+        },
+      );
+      if (resp.ok) {
+        return { status: resp.status };
+      } else {
+        this.handleServerError(this.getAction(api), path, resp);
+      }
+    } catch (e) {
+      this.handleFatalError(this.getAction(api));
+    }
+    return null;
+  }
 }
@@ -189,6 +189,28 @@ export function newTab(keyboard) {
   return keyboard.keysPressed?.Meta || keyboard.keysPressed?.Shift || false;
 }
 
+/**
+ * Downloads content as a file.
+ * @private
+ * @param {string|Blob} content The file content
+ * @param {string} filename The file name
+ * @param {string} [type] The MIME type if content is a string
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = createTag({
+    tag: 'a',
+    attrs: {
+      href: url,
+      download: filename,
+    },
+  });
+  link.click();
+  // give the browser time to start the download
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
    * Turns a globbing into a regular expression.
    * @private
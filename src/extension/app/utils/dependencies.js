@@ -0,0 +1,64 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isSupportedFileExtension } from './browser.js';
+
+/**
+ * The selectors and attributes of elements referencing other resources.
+ * @private
+ * @type {Array<[string, string]>}
+ */
+const REFERENCES = [
+  ['a[href]', 'href'],
+  ['meta[name="nav"], meta[name="footer"]', 'content'],
+  ['img[src]', 'src'],
+  ['source[srcset]', 'srcset'],
+];
+
+/**
+ * Extracts the paths of same-site resources referenced in a document, such as
+ * linked pages, fragments, nav and footer, and media files.
+ * @param {Document} doc The document
+ * @param {string} url The URL of the document
+ * @param {string[]} hosts The project hosts
+ * @returns {string[]} The referenced paths, sorted
+ */
+export function getReferencedPaths(doc, url, hosts) {
+  const { pathname: ownPath, host: ownHost } = new URL(url);
+  const paths = new Set();
+  REFERENCES.forEach(([selector, attr]) => {
+    doc.querySelectorAll(selector).forEach((el) => {
+      // use first candidate from srcset
+      const [ref] = (el.getAttribute(attr) || '').trim().split(/\s+/);
+      if (!ref) {
+        return;
+      }
+      try {
+        const { host, pathname } = new URL(ref, url);
+        if (host !== ownHost && !hosts.includes(host)) {
+          return;
+        }
+        const path = pathname.replace(/\.plain\.html$/, '');
+        // media files are delivered without publishing
+        if (path === ownPath || path.split('/').pop().startsWith('media_')) {
+          return;
+        }
+        if (isSupportedFileExtension(path)) {
+          paths.add(path);
+        }
+      } catch (e) {
+        // ignore invalid url
+      }
+    });
+  });
+  return [...paths].sort();
+}
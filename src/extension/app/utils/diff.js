@@ -0,0 +1,353 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').DiffEntry} DiffEntry
+ */
+
+/**
+ * @typedef {import('@Types').ContentUnit} ContentUnit
+ */
+
+/**
+ * The maximum number of cells in the longest common subsequence table. Longer sequences
+ * are diffed without looking for common items in the changed range.
+ * @private
+ * @type {number}
+ */
+const MAX_LCS_CELLS = 1000000;
+
+/**
+ * Computes the differences between two sequences based on their longest common subsequence.
+ * Common items at the start and end are matched first. If the remaining range is too large,
+ * all of its items are treated as removed and added.
+ * @param {Array} before The old sequence
+ * @param {Array} after The new sequence
+ * @param {function(*): *} [key] Returns the value to compare an item by
+ * @returns {DiffEntry[]} The diff entries in sequence order
+ */
+export function diffSequences(before, after, key = (item) => item) {
+  const a = before.map(key);
+  const b = after.map(key);
+
+  // common prefix and suffix
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const entries = [];
+  for (let i = 0; i < start; i += 1) {
+    entries.push({ type: 'unchanged', before: before[i], after: after[i] });
+  }
+
+  const lengthA = endA - start;
+  const lengthB = endB - start;
+  if ((lengthA + 1) * (lengthB + 1) > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i += 1) {
+      entries.push({ type: 'removed', before: before[i] });
+    }
+    for (let j = start; j < endB; j += 1) {
+      entries.push({ type: 'added', after: after[j] });
+    }
+  } else {
+    // lengths of longest common subsequences of all suffixes of the changed range
+    const lcs = Array.from({ length: lengthA + 1 }, () => new Array(lengthB + 1).fill(0));
+    for (let i = lengthA - 1; i >= 0; i -= 1) {
+      for (let j = lengthB - 1; j >= 0; j -= 1) {
+        lcs[i][j] = a[start + i] === b[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < lengthA || j < lengthB) {
+      if (i < lengthA && j < lengthB && a[start + i] === b[start + j]) {
+        entries.push({ type: 'unchanged', before: before[start + i], after: after[start + j] });
+        i += 1;
+        j += 1;
+      } else if (i < lengthA && (j === lengthB || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        entries.push({ type: 'removed', before: before[start + i] });
+        i += 1;
+      } else {
+        entries.push({ type: 'added', after: after[start + j] });
+        j += 1;
+      }
+    }
+  }
+
+  for (let i = endA, j = endB; i < a.length; i += 1, j += 1) {
+    entries.push({ type: 'unchanged', before: before[i], after: after[j] });
+  }
+  return entries;
+}
+
+/**
+ * Merges removed and added entries within the same run of changes into changed entries
+ * if they have the same pairing key. Unpaired added entries are moved to the end of their run.
+ * @param {DiffEntry[]} entries The diff entries
+ * @param {Function} key Returns the value to pair an item by
+ * @returns {DiffEntry[]} The diff entries with changed entries
+ */
+export function pairChanges(entries, key) {
+  const paired = [];
+  let run = [];
+  const flush = () => {
+    const unpaired = new Set(run.filter(({ type }) => type === 'added'));
+    // added entries by pairing key, in sequence order
+    const added = new Map();
+    unpaired.forEach((entry) => {
+      const k = key(entry.after);
+      if (!added.has(k)) {
+        added.set(k, []);
+      }
+      added.get(k).push(entry);
+    });
+    run
+      .filter(({ type }) => type === 'removed')
+      .forEach((entry) => {
+        const match = added.get(key(entry.before))?.shift();
+        if (match) {
+          unpaired.delete(match);
+          paired.push({ type: 'changed', before: entry.before, after: match.after });
+        } else {
+          paired.push(entry);
+        }
+      });
+    paired.push(...unpaired);
+    run = [];
+  };
+  entries.forEach((entry) => {
+    if (entry.type === 'unchanged') {
+      flush();
+      paired.push(entry);
+    } else {
+      run.push(entry);
+    }
+  });
+  flush();
+  return paired;
+}
+
+/**
+ * Computes the word-level differences between two texts.
+ * @param {string} before The old text
+ * @param {string} after The new text
+ * @returns {DiffEntry[]} The diff entries with words as items
+ */
+export function diffWords(before, after) {
+  const split = (text) => (text ? text.split(/(\s+)/).filter((word) => word) : []);
+  return diffSequences(split(before), split(after));
+}
+
+/**
+ * Returns the normalized text of an element, including the paths of its images.
+ * @private
+ * @param {Element} el The element
+ * @returns {string} The text
+ */
+function getText(el) {
+  // ignore image query parameters, they differ between renditions
+  const images = [...el.querySelectorAll('img[src]')]
+    .map((img) => `[${img.getAttribute('src').split('?')[0]}]`);
+  return [el.textContent, ...images]
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Flattens the sections of a document into a sequence of structural units: section breaks,
+ * blocks and default content elements.
+ * @param {Document} doc The document (from a <code>.plain.html</code> resource)
+ * @returns {ContentUnit[]} The content units
+ */
+export function getContentUnits(doc) {
+  const units = [];
+  const sections = [...doc.body.children].filter((el) => el.tagName === 'DIV');
+  sections.forEach((section, index) => {
+    if (index > 0) {
+      units.push({ type: 'section', name: '', text: '' });
+    }
+    [...section.children].forEach((el) => {
+      if (el.tagName === 'DIV' && el.classList.length > 0) {
+        const [name, ...variants] = [...el.classList];
+        units.push({
+          type: 'block',
+          name: variants.length > 0 ? `${name} (${variants.join(', ')})` : name,
+          text: [...el.children].map((row) => [...row.children]
+            .map((cell) => getText(cell))
+            .join(' | ')).join('\n'),
+        });
+      } else {
+        units.push({
+          type: 'content',
+          name: el.tagName.toLowerCase(),
+          text: getText(el),
+        });
+      }
+    });
+  });
+  return units;
+}
+
+/**
+ * Computes the structural differences between two documents.
+ * @param {Document} before The old document
+ * @param {Document} after The new document
+ * @returns {DiffEntry[]} The diff entries with content units as items
+ */
+export function diffContent(before, after) {
+  return pairChanges(
+    diffSequences(
+      getContentUnits(before),
+      getContentUnits(after),
+      ({ type, name, text }) => `${type}:${name}:${text}`,
+    ),
+    ({ type, name }) => `${type}:${name}`,
+  );
+}
+
+/**
+ * Returns the metadata from the head of a document.
+ * @param {Document} doc The document
+ * @returns {Object<string, string>} The metadata
+ */
+export function getMetadata(doc) {
+  /** @type {Object<string, string>} */
+  const metadata = {};
+  const title = doc.head.querySelector('title');
+  if (title) {
+    metadata.title = title.textContent.trim();
+  }
+  doc.head.querySelectorAll('meta[name], meta[property]').forEach((meta) => {
+    const name = meta.getAttribute('name') || meta.getAttribute('property');
+    const value = meta.getAttribute('content') || '';
+    metadata[name] = metadata[name] ? `${metadata[name]}, ${value}` : value;
+  });
+  return metadata;
+}
+
+/**
+ * Computes the differences between two sets of metadata.
+ * @param {Object<string, string>} before The old metadata
+ * @param {Object<string, string>} after The new metadata
+ * @returns {DiffEntry[]} The diff entries with metadata names as items, sorted by name
+ */
+export function diffMetadata(before, after) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return names.map((name) => {
+    const entry = { name, before: before[name], after: after[name] };
+    if (!(name in before)) {
+      return { ...entry, type: 'added' };
+    } else if (!(name in after)) {
+      return { ...entry, type: 'removed' };
+    }
+    return { ...entry, type: before[name] === after[name] ? 'unchanged' : 'changed' };
+  });
+}
+
+/**
+ * Maps rows by their value in a key column.
+ * @private
+ * @param {Object[]} rows The rows
+ * @param {string} keyColumn The key column
+ * @returns {Map<string, number>|null} The row indexes by key, or <code>null</code>
+ * if the keys are not unique
+ */
+function getRowIndexes(rows, keyColumn) {
+  const indexes = new Map();
+  for (let i = 0; i < rows.length; i += 1) {
+    const key = `${rows[i][keyColumn] ?? ''}`;
+    if (indexes.has(key)) {
+      return null;
+    }
+    indexes.set(key, i);
+  }
+  return indexes;
+}
+
+/**
+ * Computes the row-level differences between two sheets by matching rows with the same key.
+ * Removed and added rows are placed before the next matched row, removed rows first.
+ * @private
+ * @param {Object[]} oldRows The old rows
+ * @param {Object[]} newRows The new rows
+ * @param {string} keyColumn The key column
+ * @param {Map<string, number>} oldIndexes The old row indexes by key
+ * @param {Map<string, number>} newIndexes The new row indexes by key
+ * @returns {DiffEntry[]} The diff entries with rows as items
+ */
+function diffRowsByKey(oldRows, newRows, keyColumn, oldIndexes, newIndexes) {
+  const entries = [];
+  let added = [];
+  let next = 0;
+  const flush = (end) => {
+    for (; next < end; next += 1) {
+      if (!newIndexes.has(`${oldRows[next][keyColumn] ?? ''}`)) {
+        entries.push({ type: 'removed', before: oldRows[next] });
+      }
+    }
+    entries.push(...added);
+    added = [];
+  };
+  newRows.forEach((newRow) => {
+    const index = oldIndexes.get(`${newRow[keyColumn] ?? ''}`);
+    if (index === undefined) {
+      added.push({ type: 'added', after: newRow });
+      return;
+    }
+    flush(index + 1);
+    const oldRow = oldRows[index];
+    entries.push({
+      type: JSON.stringify(oldRow) === JSON.stringify(newRow) ? 'unchanged' : 'changed',
+      before: oldRow,
+      after: newRow,
+    });
+  });
+  flush(oldRows.length);
+  return entries;
+}
+
+/**
+ * Computes the row-level differences between the sheets of two spreadsheets. Rows are
+ * matched by their value in the first column if it is unique in both sheets, otherwise
+ * by a sequence diff where rows with the same value in the first column are considered changed.
+ * @param {Object<string, Object[]>} before The old rows by sheet name
+ * @param {Object<string, Object[]>} after The new rows by sheet name
+ * @returns {Object<string, DiffEntry[]>} The diff entries with rows as items by sheet name
+ */
+export function diffSheets(before, after) {
+  const names = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  return Object.fromEntries(names.map((name) => {
+    const oldRows = before[name] || [];
+    const newRows = after[name] || [];
+    const [keyColumn] = Object.keys(newRows[0] || oldRows[0] || {});
+    const oldIndexes = keyColumn && getRowIndexes(oldRows, keyColumn);
+    const newIndexes = keyColumn && getRowIndexes(newRows, keyColumn);
+    if (oldIndexes && newIndexes) {
+      return [name, diffRowsByKey(oldRows, newRows, keyColumn, oldIndexes, newIndexes)];
+    }
+    return [name, pairChanges(
+      diffSequences(oldRows, newRows, (row) => JSON.stringify(row)),
+      (row) => row[keyColumn],
+    )];
+  }));
+}
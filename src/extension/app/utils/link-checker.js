@@ -0,0 +1,145 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').LinkCheckEntry} LinkCheckEntry
+ */
+
+/**
+ * The maximum number of concurrent link checks.
+ * @private
+ * @type {number}
+ */
+const MAX_REQUESTS = 5;
+
+/**
+ * The severity of link issues, most severe first.
+ * @private
+ * @type {string[]}
+ */
+const ISSUES = ['not_found', 'error', 'redirect', 'wrong_env', 'unverified', 'ok'];
+
+/**
+ * Checks if a link points at an environment other than the current one.
+ * @private
+ * @param {string} env The current environment ("preview", "live" or "prod")
+ * @param {string} host The host of the link
+ * @param {Object} hosts The project hosts
+ * @param {string} hosts.innerHost The preview host
+ * @param {string} hosts.outerHost The live host
+ * @returns {boolean} True if the link points at the wrong environment, else false
+ */
+function isWrongEnv(env, host, { innerHost, outerHost }) {
+  if (env === 'preview') {
+    return false;
+  }
+  if (host === innerHost || /\.(aem|hlx)\.page$/.test(host)) {
+    return true;
+  }
+  return env === 'prod' && (host === outerHost || /\.(aem|hlx)\.live$/.test(host));
+}
+
+/**
+ * Requests a URL without following redirects. Failed cross-origin requests are
+ * reported as unverified, as the content script cannot tell CORS errors apart.
+ * @private
+ * @param {string} url The URL
+ * @param {string} baseUrl The URL of the current page
+ * @returns {Promise<Object>} The status and issue
+ */
+async function checkUrl(url, baseUrl) {
+  try {
+    const resp = await fetch(url, { method: 'HEAD', redirect: 'manual', cache: 'no-store' });
+    if (resp.type === 'opaqueredirect' || (resp.status >= 300 && resp.status < 400)) {
+      return { status: resp.status || null, issue: 'redirect' };
+    }
+    if (resp.status === 404) {
+      return { status: 404, issue: 'not_found' };
+    }
+    return { status: resp.status, issue: resp.ok ? 'ok' : 'error' };
+  } catch (e) {
+    const crossOrigin = new URL(url).origin !== new URL(baseUrl).origin;
+    return { status: null, issue: crossOrigin ? 'unverified' : 'error' };
+  }
+}
+
+/**
+ * Checks the links in an element against the project hosts. Links to other sites
+ * are ignored, links to other environments are flagged without requesting them.
+ * Results are sorted by severity.
+ * @param {Element} root The element containing the links
+ * @param {string} baseUrl The URL of the current page
+ * @param {string} env The current environment ("preview", "live" or "prod")
+ * @param {Object} hosts The project hosts
+ * @param {string} hosts.innerHost The preview host
+ * @param {string} hosts.outerHost The live host
+ * @param {string} [hosts.host] The production host
+ * @returns {Promise<LinkCheckEntry[]>} The link check results
+ */
+export async function checkLinks(root, baseUrl, env, hosts) {
+  const projectHosts = [new URL(baseUrl).host, hosts.innerHost, hosts.outerHost, hosts.host]
+    .filter((host) => !!host);
+  const links = new Map();
+  root.querySelectorAll('a[href]').forEach((a) => {
+    try {
+      const url = new URL(a.getAttribute('href'), baseUrl);
+      url.hash = '';
+      if (url.protocol.startsWith('http') && projectHosts.includes(url.host)
+        && !links.has(url.href)) {
+        links.set(url.href, a.textContent.trim().replace(/\s+/g, ' '));
+      }
+    } catch (e) {
+      // ignore invalid url
+    }
+  });
+
+  const entries = [...links.entries()];
+  const results = [];
+  for (let i = 0; i < entries.length; i += MAX_REQUESTS) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(...await Promise.all(entries
+      .slice(i, i + MAX_REQUESTS)
+      .map(async ([url, text]) => {
+        if (isWrongEnv(env, new URL(url).host, hosts)) {
+          // no need to request links to other environments, cross-origin requests may fail
+          return {
+            url,
+            text,
+            status: null,
+            issue: 'wrong_env',
+          };
+        }
+        const { status, issue } = await checkUrl(url, baseUrl);
+        return {
+          url,
+          text,
+          status,
+          issue,
+        };
+      })));
+  }
+  return results.sort((a, b) => ISSUES.indexOf(a.issue) - ISSUES.indexOf(b.issue));
+}
+
+/**
+ * Serializes link check results as tab-separated text.
+ * @param {LinkCheckEntry[]} results The link check results
+ * @returns {string} The serialized results
+ */
+export function serializeLinkResults(results) {
+  return [
+    ['issue', 'status', 'url', 'text'],
+    ...results.map(({
+      issue, status, url, text,
+    }) => [issue, status ?? '', url, text]),
+  ].map((row) => row.join('\t')).join('\n');
+}
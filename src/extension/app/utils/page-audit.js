@@ -0,0 +1,419 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').AuditIssue} AuditIssue
+ */
+
+/**
+ * @typedef {import('@Types').AuditReport} AuditReport
+ */
+
+/**
+ * @typedef {import('@Types').AuditEntries} AuditEntries
+ */
+
+/**
+ * The audit categories.
+ * @private
+ * @type {string[]}
+ */
+const CATEGORIES = ['performance', 'accessibility'];
+
+/**
+ * The score deductions by issue severity.
+ * @private
+ * @type {Object<string, number>}
+ */
+const DEDUCTIONS = {
+  error: 10,
+  warning: 4,
+};
+
+/**
+ * The maximum score deduction per check.
+ * @private
+ * @type {number}
+ */
+const MAX_DEDUCTION = 30;
+
+/**
+ * The LCP thresholds in milliseconds.
+ * @private
+ * @type {{ good: number, poor: number }}
+ */
+const LCP_THRESHOLDS = { good: 2500, poor: 4000 };
+
+/**
+ * The CLS thresholds.
+ * @private
+ * @type {{ good: number, poor: number }}
+ */
+const CLS_THRESHOLDS = { good: 0.1, poor: 0.25 };
+
+/**
+ * The maximum number of text elements to check for color contrast.
+ * @private
+ * @type {number}
+ */
+const MAX_CONTRAST_CHECKS = 200;
+
+/**
+ * Returns a short description of an element for the audit report.
+ * @param {Element} el The element
+ * @returns {string} The description
+ */
+export function describeElement(el) {
+  if (!el) {
+    return '';
+  }
+  let desc = el.tagName.toLowerCase();
+  if (el.id) {
+    desc += `#${el.id}`;
+  } else if (el.classList.length > 0) {
+    desc += `.${[...el.classList].slice(0, 2).join('.')}`;
+  }
+  const src = el.getAttribute('src');
+  if (src) {
+    desc += ` (${src.split('?')[0].split('/').pop()})`;
+  } else if (el.textContent.trim()) {
+    const text = el.textContent.trim().replace(/\s+/g, ' ');
+    desc += ` "${text.length > 40 ? `${text.substring(0, 40)}…` : text}"`;
+  }
+  return desc;
+}
+
+/**
+ * Checks the images of a document for missing alt text, oversized sources
+ * and missing dimensions.
+ * @param {Document} doc The document
+ * @returns {AuditIssue[]} The issues
+ */
+export function auditImages(doc) {
+  const issues = [];
+  /** @type {NodeListOf<HTMLImageElement>} */
+  const images = doc.querySelectorAll('main img');
+  images.forEach((img) => {
+    const target = describeElement(img);
+    if (!img.hasAttribute('alt')) {
+      issues.push({
+        category: 'accessibility', check: 'image_alt', severity: 'error', target,
+      });
+    }
+    const { naturalWidth, clientWidth, complete } = img;
+    const dpr = doc.defaultView?.devicePixelRatio || 1;
+    if (complete && clientWidth > 0 && naturalWidth > clientWidth * dpr * 2) {
+      issues.push({
+        category: 'performance',
+        check: 'image_oversized',
+        severity: 'warning',
+        target,
+        value: `${naturalWidth}px / ${Math.round(clientWidth * dpr)}px`,
+      });
+    }
+    if (!img.hasAttribute('width') || !img.hasAttribute('height')) {
+      issues.push({
+        category: 'performance', check: 'image_dimensions', severity: 'warning', target,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Checks the headings of a document for a single <code>h1</code> and skipped levels.
+ * @param {Document} doc The document
+ * @returns {AuditIssue[]} The issues
+ */
+export function auditHeadings(doc) {
+  const issues = [];
+  const headings = [...doc.querySelectorAll('main h1, main h2, main h3, main h4, main h5, main h6')];
+  const h1Count = headings.filter(({ tagName }) => tagName === 'H1').length;
+  if (h1Count !== 1) {
+    issues.push({
+      category: 'accessibility', check: 'heading_h1', severity: 'error', value: `${h1Count}`,
+    });
+  }
+  let previous = 0;
+  headings.forEach((heading) => {
+    const level = +heading.tagName.substring(1);
+    if (previous > 0 && level > previous + 1) {
+      issues.push({
+        category: 'accessibility',
+        check: 'heading_order',
+        severity: 'warning',
+        target: describeElement(heading),
+        value: `h${previous} → h${level}`,
+      });
+    }
+    previous = level;
+  });
+  return issues;
+}
+
+/**
+ * Parses a CSS color in <code>rgb()</code> or <code>rgba()</code> notation.
+ * @param {string} value The CSS color
+ * @returns {number[]|null} The red, green, blue and alpha values, or <code>null</code>
+ */
+export function parseColor(value) {
+  const match = /^rgba?\(([^)]+)\)$/.exec((value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter((part) => !!part).map(parseFloat);
+  return [r, g, b, a];
+}
+
+/**
+ * Returns the relative luminance of a color.
+ * @private
+ * @param {number[]} color The red, green and blue values
+ * @returns {number} The relative luminance
+ */
+function getLuminance([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Returns the contrast ratio between two opaque colors.
+ * @param {number[]} fg The foreground color
+ * @param {number[]} bg The background color
+ * @returns {number} The contrast ratio (1 to 21)
+ */
+export function getContrastRatio(fg, bg) {
+  const [l1, l2] = [getLuminance(fg), getLuminance(bg)].sort((a, b) => b - a);
+  return (l1 + 0.05) / (l2 + 0.05);
+}
+
+/**
+ * Blends a translucent color over an opaque one.
+ * @private
+ * @param {number[]} top The translucent color
+ * @param {number[]} bottom The opaque color
+ * @returns {number[]} The blended color
+ */
+function blend([r, g, b, a], bottom) {
+  return [r, g, b].map((c, i) => c * a + bottom[i] * (1 - a)).concat(1);
+}
+
+/**
+ * Returns the effective background color of an element by walking up its ancestors.
+ * @private
+ * @param {Element} el The element
+ * @param {Window} win The window
+ * @returns {number[]|null} The background color, or <code>null</code> if it
+ * cannot be determined (e.g. background images)
+ */
+function getBackgroundColor(el, win) {
+  const layers = [];
+  for (let node = el; node; node = node.parentElement) {
+    const style = win.getComputedStyle(node);
+    if (style.backgroundImage && style.backgroundImage !== 'none') {
+      return null;
+    }
+    const color = parseColor(style.backgroundColor);
+    if (color && color[3] > 0) {
+      layers.push(color);
+      if (color[3] === 1) {
+        break;
+      }
+    }
+  }
+  return layers.reduceRight((bottom, layer) => blend(layer, bottom), [255, 255, 255, 1]);
+}
+
+/**
+ * Checks the color contrast of the text elements in a document.
+ * @param {Document} doc The document
+ * @returns {AuditIssue[]} The issues
+ */
+export function auditContrast(doc) {
+  const issues = [];
+  const win = doc.defaultView;
+  const elements = [...doc.querySelectorAll('main *')]
+    .filter((el) => [...el.childNodes]
+      .some(({ nodeType, textContent }) => nodeType === 3 && textContent.trim()))
+    .filter((el) => el.getClientRects().length > 0)
+    .slice(0, MAX_CONTRAST_CHECKS);
+  elements.forEach((el) => {
+    const style = win.getComputedStyle(el);
+    const bg = getBackgroundColor(el, win);
+    const fg = parseColor(style.color);
+    if (!bg || !fg) {
+      return;
+    }
+    const ratio = getContrastRatio(blend(fg, bg), bg);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && +style.fontWeight >= 700);
+    if (ratio < (large ? 3 : 4.5)) {
+      issues.push({
+        category: 'accessibility',
+        check: 'contrast',
+        severity: ratio < 3 ? 'error' : 'warning',
+        target: describeElement(el),
+        value: `${ratio.toFixed(2)}:1`,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Returns the buffered performance entries of a given type.
+ * @param {string} type The entry type
+ * @returns {Promise<Object[]>} The entries
+ */
+export async function getBufferedEntries(type) {
+  if (typeof PerformanceObserver === 'undefined'
+    || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+    return [];
+  }
+  return new Promise((resolve) => {
+    const observer = new PerformanceObserver((list) => {
+      observer.disconnect();
+      resolve(list.getEntries());
+    });
+    observer.observe({ type, buffered: true });
+    // resolve if there are no buffered entries
+    setTimeout(() => {
+      const entries = observer.takeRecords();
+      observer.disconnect();
+      resolve(entries);
+    }, 100);
+  });
+}
+
+/**
+ * Checks the largest contentful paint, layout shifts and render blocking resources.
+ * @param {Document} doc The document
+ * @param {AuditEntries} entries The performance entries
+ * @returns {{ issues: AuditIssue[], metrics: Object }} The issues and metrics
+ */
+export function auditPerformance(doc, { lcp = [], shifts = [], resources = [] }) {
+  const issues = [];
+  const metrics = {};
+
+  const lcpEntry = lcp[lcp.length - 1];
+  if (lcpEntry) {
+    metrics.lcp = Math.round(lcpEntry.startTime);
+    metrics.lcpElement = describeElement(lcpEntry.element);
+    if (metrics.lcp > LCP_THRESHOLDS.good) {
+      issues.push({
+        category: 'performance',
+        check: 'lcp',
+        severity: metrics.lcp > LCP_THRESHOLDS.poor ? 'error' : 'warning',
+        target: metrics.lcpElement,
+        value: `${metrics.lcp} ms`,
+      });
+    }
+  }
+
+  metrics.cls = +shifts
+    .filter(({ hadRecentInput }) => !hadRecentInput)
+    .reduce((sum, { value }) => sum + value, 0)
+    .toFixed(3);
+  if (metrics.cls > CLS_THRESHOLDS.good) {
+    issues.push({
+      category: 'performance',
+      check: 'cls',
+      severity: metrics.cls > CLS_THRESHOLDS.poor ? 'error' : 'warning',
+      value: `${metrics.cls}`,
+    });
+  }
+
+  // prefer the render blocking status of resources where supported
+  const blocking = resources
+    .filter(({ renderBlockingStatus }) => renderBlockingStatus === 'blocking')
+    .map(({ name }) => name);
+  if (!resources.some((entry) => 'renderBlockingStatus' in entry)) {
+    doc.querySelectorAll('head script[src]:not([async]):not([defer]):not([type="module"])')
+      .forEach((script) => blocking.push(script.getAttribute('src')));
+  }
+  metrics.blocking = blocking.length;
+  blocking.forEach((url) => {
+    issues.push({
+      category: 'performance', check: 'blocking', severity: 'warning', target: url.split('?')[0],
+    });
+  });
+
+  return { issues, metrics };
+}
+
+/**
+ * Calculates the scores per category from the audit issues.
+ * @param {AuditIssue[]} issues The issues
+ * @returns {Object<string, number>} The scores (0 to 100) by category
+ */
+export function getAuditScores(issues) {
+  return Object.fromEntries(CATEGORIES.map((category) => {
+    const deductions = {};
+    issues
+      .filter((issue) => issue.category === category)
+      .forEach(({ check, severity }) => {
+        deductions[check] = Math.min(
+          (deductions[check] || 0) + DEDUCTIONS[severity],
+          MAX_DEDUCTION,
+        );
+      });
+    const total = Object.values(deductions).reduce((sum, value) => sum + value, 0);
+    return [category, Math.max(100 - total, 0)];
+  }));
+}
+
+/**
+ * Runs a local performance and accessibility audit on a document.
+ * @param {Document} doc The document
+ * @returns {Promise<AuditReport>} The audit report
+ */
+export async function runPageAudit(doc) {
+  const [lcp, shifts] = await Promise.all([
+    getBufferedEntries('largest-contentful-paint'),
+    getBufferedEntries('layout-shift'),
+  ]);
+  const resources = doc.defaultView.performance.getEntriesByType('resource');
+  const { issues: performanceIssues, metrics } = auditPerformance(doc, { lcp, shifts, resources });
+  const issues = [
+    ...performanceIssues,
+    ...auditImages(doc),
+    ...auditHeadings(doc),
+    ...auditContrast(doc),
+  ].sort((a, b) => +(b.severity === 'error') - +(a.severity === 'error'));
+  return {
+    url: doc.location.href,
+    time: Date.now(),
+    scores: getAuditScores(issues),
+    metrics,
+    issues,
+  };
+}
+
+/**
+ * Compares audit scores and returns the categories which regressed.
+ * @param {Object<string, number>} before The previous scores
+ * @param {Object<string, number>} after The current scores
+ * @returns {{ category: string, before: number, after: number }[]} The regressions
+ */
+export function getAuditRegressions(before, after) {
+  if (!before || !after) {
+    return [];
+  }
+  return CATEGORIES
+    .filter((category) => typeof before[category] === 'number'
+      && typeof after[category] === 'number'
+      && after[category] < before[category])
+    .map((category) => ({ category, before: before[category], after: after[category] }));
+}
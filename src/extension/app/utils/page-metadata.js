@@ -0,0 +1,209 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').MetadataEntry} MetadataEntry
+ */
+
+/**
+ * The SEO critical metadata fields, in display order.
+ * @private
+ * @type {string[]}
+ */
+const SEO_FIELDS = ['title', 'description', 'canonical', 'robots', 'og:title', 'og:description', 'og:image'];
+
+/**
+ * The metadata fields which are required.
+ * @private
+ * @type {string[]}
+ */
+const REQUIRED_FIELDS = ['title', 'description', 'canonical', 'og:title', 'og:description', 'og:image'];
+
+/**
+ * The recommended maximum lengths of metadata values.
+ * @private
+ * @type {Object<string, number>}
+ */
+const MAX_LENGTHS = {
+  title: 60,
+  description: 160,
+};
+
+/**
+ * The metadata sheet columns which map to a different metadata field.
+ * @private
+ * @type {Object<string, string>}
+ */
+const BULK_ALIASES = {
+  image: 'og:image',
+};
+
+/**
+ * The severity of metadata issues, most severe first.
+ * @private
+ * @type {string[]}
+ */
+const ISSUES = ['missing', 'conflict', 'noindex', 'too_long', 'overridden', 'ok'];
+
+/**
+ * Reads the metadata from a document head: the title, the meta tags by name or
+ * property, and the canonical link.
+ * @param {HTMLHeadElement} head The document head
+ * @returns {Object<string, string[]>} The values by metadata field
+ */
+export function getHeadMetadata(head) {
+  /** @type {Object<string, string[]>} */
+  const metadata = {};
+  const add = (name, value) => {
+    if (name) {
+      const key = name.toLowerCase();
+      metadata[key] = [...(metadata[key] || []), (value || '').trim()];
+    }
+  };
+  const title = head.querySelector('title');
+  if (title) {
+    add('title', title.textContent);
+  }
+  head.querySelectorAll('meta[name], meta[property]').forEach((meta) => {
+    add(meta.getAttribute('name') || meta.getAttribute('property'), meta.getAttribute('content'));
+  });
+  head.querySelectorAll('link[rel="canonical"]').forEach((link) => {
+    add('canonical', link.getAttribute('href'));
+  });
+  return metadata;
+}
+
+/**
+ * Checks if a path matches a URL pattern in a metadata sheet.
+ * @param {string} pattern The pattern, where <code>*</code> matches any characters
+ * @param {string} path The path
+ * @returns {boolean} <code>true</code> if the path matches, else <code>false</code>
+ */
+export function matchesMetadataPattern(pattern, path) {
+  const reString = pattern
+    .split('*')
+    .filter((part, i, parts) => part || i === 0 || i === parts.length - 1)
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${reString}$`).test(path);
+}
+
+/**
+ * Returns the metadata applied to a path by the rows of a metadata sheet.
+ * Rows further down override rows above.
+ * @param {Object[]} rows The rows of the metadata sheet
+ * @param {string} path The path
+ * @returns {Object<string, {value: string, pattern: string}>} The values by metadata field
+ */
+export function getBulkMetadata(rows, path) {
+  /** @type {Object<string, {value: string, pattern: string}>} */
+  const metadata = {};
+  rows.forEach((row) => {
+    const [, pattern = ''] = Object.entries(row)
+      .find(([key]) => key.toLowerCase() === 'url') || [];
+    if (!pattern || !matchesMetadataPattern(pattern, path)) {
+      return;
+    }
+    Object.entries(row).forEach(([key, value]) => {
+      const name = key.toLowerCase().trim().replace(/\s+/g, '-');
+      if (name !== 'url' && `${value}`.trim()) {
+        metadata[BULK_ALIASES[name] || name] = { value: `${value}`.trim(), pattern };
+      }
+    });
+  });
+  return metadata;
+}
+
+/**
+ * Compares two metadata values, ignoring query and hash of URLs.
+ * @private
+ * @param {string} a The first value
+ * @param {string} b The second value
+ * @returns {boolean} <code>true</code> if the values are the same, else <code>false</code>
+ */
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const isUrl = (value) => /^(\/|https?:\/\/)/.test(value);
+  if (isUrl(a) && isUrl(b)) {
+    const base = 'https://example.com';
+    return new URL(a, base).pathname === new URL(b, base).pathname;
+  }
+  return false;
+}
+
+/**
+ * Inspects the metadata of a page: explains where each value comes from and flags
+ * missing, conflicting or problematic values. Entries are sorted by severity.
+ * @param {HTMLHeadElement} head The document head
+ * @param {Object[]} rows The rows of the metadata sheet(s)
+ * @param {string} path The path of the page
+ * @param {string} env The current environment ("preview", "live" or "prod")
+ * @returns {MetadataEntry[]} The metadata entries
+ */
+export function inspectMetadata(head, rows, path, env) {
+  const headMetadata = getHeadMetadata(head);
+  const bulkMetadata = getBulkMetadata(rows, path);
+  const names = [...new Set([
+    ...SEO_FIELDS,
+    ...Object.keys(headMetadata).sort(),
+    ...Object.keys(bulkMetadata).sort(),
+  ])];
+  return names
+    .map((name) => {
+      const values = [...new Set((headMetadata[name] || []).filter((v) => !!v))];
+      const [value = ''] = values;
+      const bulk = bulkMetadata[name];
+      let source = 'none';
+      if (value) {
+        source = bulk && isSameValue(value, bulk.value) ? 'bulk' : 'page';
+      }
+      let issue = 'ok';
+      if (!value) {
+        issue = REQUIRED_FIELDS.includes(name) ? 'missing' : 'ok';
+      } else if (values.length > 1) {
+        issue = 'conflict';
+      } else if (name === 'robots' && env !== 'preview' && /noindex/i.test(value)) {
+        issue = 'noindex';
+      } else if (MAX_LENGTHS[name] && value.length > MAX_LENGTHS[name]) {
+        issue = 'too_long';
+      } else if (source === 'page' && bulk) {
+        issue = 'overridden';
+      }
+      return {
+        name,
+        value: values.join(' | '),
+        source,
+        pattern: bulk?.pattern,
+        bulkValue: bulk?.value,
+        issue,
+      };
+    })
+    // skip optional fields without value
+    .filter(({ value, issue }) => value || issue !== 'ok')
+    .sort((a, b) => ISSUES.indexOf(a.issue) - ISSUES.indexOf(b.issue));
+}
+
+/**
+ * Serializes metadata entries as tab-separated text.
+ * @param {MetadataEntry[]} entries The metadata entries
+ * @returns {string} The serialized entries
+ */
+export function serializeMetadata(entries) {
+  return [
+    ['issue', 'name', 'value', 'source', 'pattern'],
+    ...entries.map(({
+      issue, name, value, source, pattern,
+    }) => [issue, name, value, source, pattern ?? '']),
+  ].map((row) => row.join('\t')).join('\n');
+}
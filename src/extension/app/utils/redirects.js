@@ -0,0 +1,126 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').Redirect} Redirect
+ */
+
+/**
+ * @typedef {import('@Types').RedirectTrace} RedirectTrace
+ */
+
+/**
+ * The maximum number of redirects to follow.
+ * @private
+ * @type {number}
+ */
+const MAX_HOPS = 20;
+
+/**
+ * Returns the value of a row property, ignoring the case of the property name.
+ * @private
+ * @param {Object} row The row
+ * @param {string} name The property name
+ * @returns {string} The value
+ */
+function getValue(row, name) {
+  const [, value = ''] = Object.entries(row)
+    .find(([key]) => key.toLowerCase() === name) || [];
+  return `${value}`.trim();
+}
+
+/**
+ * Returns the redirect rules from the rows of a redirects sheet.
+ * Rows without source are ignored.
+ * @param {Object[]} rows The rows
+ * @returns {Redirect[]} The redirect rules
+ */
+export function getRedirects(rows) {
+  return rows
+    .map((row, index) => ({
+      index,
+      source: getValue(row, 'source'),
+      destination: getValue(row, 'destination'),
+    }))
+    .filter(({ source }) => !!source);
+}
+
+/**
+ * Returns the path of a redirect source or destination without query and hash.
+ * @param {string} value The path or URL
+ * @param {string[]} [hosts] The hosts of the site
+ * @returns {string|null} The path, or <code>null</code> if the value points to another site
+ */
+export function getRedirectPath(value, hosts = []) {
+  if (!value) {
+    return null;
+  }
+  if (value.startsWith('/') && !value.startsWith('//')) {
+    return value.split(/[?#]/)[0];
+  }
+  try {
+    const { host, pathname } = new URL(value);
+    return hosts.includes(host) ? pathname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds the first redirect rule matching a path.
+ * @param {Redirect[]} redirects The redirect rules
+ * @param {string} path The path
+ * @param {string[]} [hosts] The hosts of the site
+ * @returns {Redirect|null} The redirect rule, or <code>null</code> if none matches
+ */
+export function findRedirect(redirects, path, hosts = []) {
+  const testPath = getRedirectPath(path, hosts);
+  if (!testPath) {
+    return null;
+  }
+  return redirects.find(({ source }) => getRedirectPath(source, hosts) === testPath) || null;
+}
+
+/**
+ * Follows the redirect rules starting from a path.
+ * @param {Redirect[]} redirects The redirect rules
+ * @param {string} path The path
+ * @param {string[]} [hosts] The hosts of the site
+ * @returns {RedirectTrace} The redirect rules applied in order
+ */
+export function traceRedirect(redirects, path, hosts = []) {
+  const hops = [];
+  let loop = false;
+  let redirect = findRedirect(redirects, path, hosts);
+  while (redirect) {
+    if (hops.includes(redirect) || hops.length >= MAX_HOPS) {
+      loop = true;
+      break;
+    }
+    hops.push(redirect);
+    redirect = findRedirect(redirects, redirect.destination, hosts);
+  }
+  return { hops, loop };
+}
+
+/**
+ * Traces every redirect rule to detect redirect chains and loops.
+ * @param {Redirect[]} redirects The redirect rules
+ * @param {string[]} [hosts] The hosts of the site
+ * @returns {Map<Redirect, RedirectTrace>} The traces by redirect rule
+ */
+export function analyzeRedirects(redirects, hosts = []) {
+  return new Map(redirects.map((redirect) => [
+    redirect,
+    traceRedirect(redirects, redirect.source, hosts),
+  ]));
+}
@@ -0,0 +1,169 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * @typedef {import('@Types').ColumnFilter} ColumnFilter
+ */
+
+/**
+ * @typedef {import('@Types').ColumnSettings} ColumnSettings
+ */
+
+const DAY = 86400 * 1000;
+const nearFuture = new Date().setUTCFullYear(new Date().getUTCFullYear() + 20);
+const recentPast = new Date().setUTCFullYear(new Date().getUTCFullYear() - 20);
+
+/**
+ * Parses a sheet value as date if it is a Unix timestamp or an Excel date
+ * within 20 years from now.
+ * @param {*} value The value
+ * @returns {Date|null} The date or <code>null</code> if the value is not a date
+ */
+export function parseDate(value) {
+  if (!value || Number.isNaN(+value)) {
+    return null;
+  }
+  const date = +value > 99999
+    ? new Date(+value * 1000)
+    : new Date(Math.round((+value - (1 + 25567 + 1)) * DAY)); // excel date
+  if (date.toString() !== 'Invalid Date'
+    && nearFuture > date.valueOf() && recentPast < date.valueOf()) {
+    return date;
+  }
+  return null;
+}
+
+/**
+ * Determines the type of each column based on its non-empty values: "date" if all
+ * values are dates, "number" if all values are numbers, otherwise "text".
+ * @param {Object[]} rows The rows
+ * @returns {Object<string, string>} The column types by column key
+ */
+export function getColumnTypes(rows) {
+  /** @type {Object<string, string>} */
+  const types = {};
+  rows.forEach((row) => {
+    Object.entries(row).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined || types[key] === 'text') {
+        return;
+      }
+      let type = 'text';
+      if (parseDate(value)) {
+        type = 'date';
+      } else if (!Number.isNaN(+value)) {
+        type = 'number';
+      }
+      if (!types[key] || types[key] === type) {
+        types[key] = type;
+      } else {
+        types[key] = [types[key], type].every((t) => t !== 'text') ? 'number' : 'text';
+      }
+    });
+  });
+  // columns without values
+  rows.forEach((row) => Object.keys(row).forEach((key) => {
+    types[key] = types[key] || 'text';
+  }));
+  return types;
+}
+
+/**
+ * Returns the comparable value of a sheet value.
+ * @private
+ * @param {*} value The value
+ * @param {string} type The column type
+ * @returns {number|string|null} The comparable value or <code>null</code> if empty
+ */
+function toComparable(value, type) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'date') {
+    return parseDate(value)?.valueOf() ?? null;
+  }
+  if (type === 'number') {
+    return +value;
+  }
+  return `${value}`;
+}
+
+/**
+ * Filters rows by column. Text filters match case-insensitively, number and date
+ * filters match an inclusive range. Date range boundaries are ISO dates (YYYY-MM-DD).
+ * @param {Object[]} rows The rows
+ * @param {Object<string, ColumnFilter>} filters The filters by column key
+ * @param {Object<string, string>} types The column types by column key
+ * @returns {Object[]} The matching rows
+ */
+export function filterRows(rows, filters, types) {
+  const checks = Object.entries(filters)
+    .filter(([, { text, min, max }]) => text || min || max)
+    .map(([key, { text, min, max }]) => {
+      const type = types[key] || 'text';
+      if (type === 'text') {
+        const search = (text || '').toLowerCase();
+        return (row) => `${row[key] ?? ''}`.toLowerCase().includes(search);
+      }
+      const from = type === 'date' ? Date.parse(min) : parseFloat(min);
+      // include the whole end date
+      const to = type === 'date' ? Date.parse(max) + DAY - 1 : parseFloat(max);
+      return (row) => {
+        const value = /** @type {number|null} */ (toComparable(row[key], type));
+        return value !== null
+          && (Number.isNaN(from) || value >= from)
+          && (Number.isNaN(to) || value <= to);
+      };
+    });
+  return rows.filter((row) => checks.every((check) => check(row)));
+}
+
+/**
+ * Sorts rows by a column depending on its type. Empty values are sorted last.
+ * @param {Object[]} rows The rows
+ * @param {string} key The column key
+ * @param {string} direction The sort direction ("asc" or "desc")
+ * @param {string} [type] The column type (default: "text")
+ * @returns {Object[]} The sorted rows
+ */
+export function sortRows(rows, key, direction, type = 'text') {
+  const factor = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const first = toComparable(a[key], type);
+    const second = toComparable(b[key], type);
+    if (first === null || second === null) {
+      return (first === null ? 1 : 0) - (second === null ? 1 : 0);
+    }
+    if (typeof first === 'number' && typeof second === 'number') {
+      return (first - second) * factor;
+    }
+    return `${first}`.localeCompare(`${second}`, undefined, { numeric: true }) * factor;
+  });
+}
+
+/**
+ * Arranges columns according to the column settings: pinned columns first, then
+ * in the configured order, followed by new columns. Hidden columns are omitted.
+ * @param {string[]} columns The column keys
+ * @param {ColumnSettings} [settings] The column settings
+ * @returns {string[]} The visible column keys in display order
+ */
+export function arrangeColumns(columns, settings = {}) {
+  const { order = [], hidden = [], pinned = [] } = settings;
+  const ordered = [
+    ...order.filter((key) => columns.includes(key)),
+    ...columns.filter((key) => !order.includes(key)),
+  ].filter((key) => !hidden.includes(key));
+  return [
+    ...ordered.filter((key) => pinned.includes(key)),
+    ...ordered.filter((key) => !pinned.includes(key)),
+  ];
+}
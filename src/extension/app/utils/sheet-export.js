@@ -0,0 +1,234 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-bitwise */
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const NS_CONTENT_TYPES = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_SPREADSHEET = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_DOCUMENT_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const REL_DOCUMENT = `${NS_DOCUMENT_RELATIONSHIPS}/officeDocument`;
+const REL_WORKSHEET = `${NS_DOCUMENT_RELATIONSHIPS}/worksheet`;
+const CT_RELATIONSHIPS = 'application/vnd.openxmlformats-package.relationships+xml';
+const CT_WORKBOOK = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml';
+const CT_WORKSHEET = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+
+/**
+ * The CRC-32 lookup table.
+ * @private
+ * @type {number[]}
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of some data.
+ * @private
+ * @param {Uint8Array} data The data
+ * @returns {number} The checksum
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  data.forEach((byte) => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Creates an uncompressed zip archive.
+ * @private
+ * @param {Object<string, string>} files The file contents by path
+ * @returns {Uint8Array[]} The archive parts
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  Object.entries(files).forEach(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // no compression
+    local.setUint16(12, 0x21, true); // date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // central directory header signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(14, 0x21, true); // date: 1980-01-01
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const size = directory.reduce((total, part) => total + part.length, 0);
+  const count = Object.keys(files).length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // end of central directory signature
+  end.setUint16(8, count, true);
+  end.setUint16(10, count, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  return [...parts, ...directory, new Uint8Array(end.buffer)];
+}
+
+/**
+ * Escapes a string for use in XML.
+ * @private
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Returns the spreadsheet column name for a column index.
+ * @private
+ * @param {number} index The zero-based column index
+ * @returns {string} The column name
+ */
+function getColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rest = (n - 1) % 26;
+    name = String.fromCharCode(65 + rest) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Returns the column keys of a list of rows in order of appearance.
+ * @param {Object[]} rows The rows
+ * @returns {string[]} The column keys
+ */
+export function getColumns(rows) {
+  return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+}
+
+/**
+ * Serializes rows as delimiter-separated values with a header line.
+ * @param {Object[]} rows The rows
+ * @param {string} [delimiter] The delimiter (default: <code>,</code>)
+ * @returns {string} The serialized rows
+ */
+export function serializeRows(rows, delimiter = ',') {
+  const columns = getColumns(rows);
+  const quote = (value) => {
+    const text = `${value ?? ''}`;
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  return [
+    columns.map(quote).join(delimiter),
+    ...rows.map((row) => columns.map((column) => quote(row[column])).join(delimiter)),
+  ].join('\r\n');
+}
+
+/**
+ * Creates the XML of a worksheet.
+ * @private
+ * @param {Object[]} rows The rows
+ * @returns {string} The worksheet XML
+ */
+function createWorksheet(rows) {
+  const columns = getColumns(rows);
+  const cell = (value, ref) => {
+    const text = `${value ?? ''}`;
+    // only write finite numbers which survive the conversion unchanged (no leading zeros etc.)
+    if (text && Number.isFinite(Number(text)) && String(Number(text)) === text) {
+      return `<c r="${ref}"><v>${text}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  };
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values, r) => `<row r="${r + 1}">${values
+      .map((value, c) => cell(value, `${getColumnName(c)}${r + 1}`))
+      .join('')}</row>`);
+  return `${XML_DECLARATION}<worksheet xmlns="${NS_SPREADSHEET}">`
+    + `<sheetData>${lines.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Creates an Excel workbook with one worksheet per sheet.
+ * @param {Object<string, Object[]>} sheets The rows by sheet name
+ * @returns {Blob} The workbook
+ */
+export function createWorkbook(sheets) {
+  const names = [];
+  Object.keys(sheets).forEach((sheetName) => {
+    // worksheet names are limited to 31 characters and must be unique
+    const base = sheetName.replace(/[[\]:*?/\\]/g, '_').substring(0, 28) || 'sheet';
+    let name = base;
+    for (let i = 2; names.includes(name); i += 1) {
+      name = `${base}-${i}`;
+    }
+    names.push(name);
+  });
+
+  const files = {
+    '[Content_Types].xml': `${XML_DECLARATION}<Types xmlns="${NS_CONTENT_TYPES}">`
+      + `<Default Extension="rels" ContentType="${CT_RELATIONSHIPS}"/>`
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + `<Override PartName="/xl/workbook.xml" ContentType="${CT_WORKBOOK}"/>`
+      + `${names.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${CT_WORKSHEET}"/>`).join('')}`
+      + '</Types>',
+    '_rels/.rels': `${XML_DECLARATION}<Relationships xmlns="${NS_RELATIONSHIPS}">`
+      + `<Relationship Id="rId1" Type="${REL_DOCUMENT}" Target="xl/workbook.xml"/>`
+      + '</Relationships>',
+    'xl/workbook.xml': `${XML_DECLARATION}<workbook xmlns="${NS_SPREADSHEET}" xmlns:r="${NS_DOCUMENT_RELATIONSHIPS}">`
+      + `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': `${XML_DECLARATION}<Relationships xmlns="${NS_RELATIONSHIPS}">`
+      + `${names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_WORKSHEET}" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}`
+      + '</Relationships>',
+  };
+  Object.values(sheets).forEach((rows, i) => {
+    files[`xl/worksheets/sheet${i + 1}.xml`] = createWorksheet(rows);
+  });
+
+  return new Blob(createZip(files), {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  });
+}
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { parseDate } from './sheet-data.js';
+
+/**
+ * @typedef {import('@Types').SheetSchema} SheetSchema
+ */
+
+/**
+ * @typedef {import('@Types').SheetIssue} SheetIssue
+ */
+
+/**
+ * Checks if a value is a valid URL or an absolute path.
+ * @private
+ * @param {string} value The value
+ * @returns {boolean} <code>true</code> if valid, else <code>false</code>
+ */
+function isValidUrl(value) {
+  if (value.startsWith('/')) {
+    return !value.startsWith('//') && !/\s/.test(value);
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The type checks by column type.
+ * @private
+ * @type {Object<string, Function>}
+ */
+const TYPE_CHECKS = {
+  number: (value) => !Number.isNaN(+value),
+  date: (value) => !!parseDate(value) || !Number.isNaN(Date.parse(value)),
+  boolean: (value) => ['true', 'false'].includes(value.toLowerCase()),
+  url: isValidUrl,
+};
+
+/**
+ * Returns the schemas applicable to a sheet.
+ * @param {SheetSchema[]} schemas The schemas for the current path
+ * @param {string} name The sheet name
+ * @returns {SheetSchema[]} The schemas without sheet name or with matching sheet name
+ */
+export function getSheetSchemas(schemas, name) {
+  return schemas.filter(({ sheet }) => !sheet || sheet === name);
+}
+
+/**
+ * Validates the rows of a sheet against schemas. Detects missing columns, empty
+ * required values, values of the wrong type, invalid URLs and duplicate values.
+ * @param {Object[]} rows The rows
+ * @param {SheetSchema[]} schemas The schemas
+ * @returns {SheetIssue[]} The issues found
+ */
+export function validateRows(rows, schemas) {
+  const issues = [];
+  const columns = new Set(rows.flatMap((row) => Object.keys(row)));
+  schemas.forEach(({ columns: columnSchemas = {} }) => {
+    Object.entries(columnSchemas).forEach(([column, {
+      required = false, type, unique = false, pattern,
+    }]) => {
+      if (!columns.has(column)) {
+        if (required) {
+          issues.push({ row: -1, column, issue: 'missing_column' });
+        }
+        return;
+      }
+      const seen = new Set();
+      let regExp = null;
+      try {
+        regExp = pattern ? new RegExp(pattern) : null;
+      } catch (e) {
+        // ignore invalid pattern
+      }
+      rows.forEach((row, index) => {
+        const value = `${row[column] ?? ''}`.trim();
+        if (!value) {
+          if (required) {
+            issues.push({ row: index, column, issue: 'required' });
+          }
+          return;
+        }
+        if (type === 'url' && !isValidUrl(value)) {
+          issues.push({ row: index, column, issue: 'invalid_url' });
+        } else if (TYPE_CHECKS[type] && !TYPE_CHECKS[type](value)) {
+          issues.push({ row: index, column, issue: 'type' });
+        } else if (regExp && !regExp.test(value)) {
+          issues.push({ row: index, column, issue: 'pattern' });
+        }
+        if (unique) {
+          if (seen.has(value)) {
+            issues.push({ row: index, column, issue: 'duplicate' });
+          }
+          seen.add(value);
+        }
+      });
+    });
+  });
+  return issues;
+}
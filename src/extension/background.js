@@ -21,6 +21,7 @@ import {
   checkViewDocSource,
 } from './actions.js';
 import { configureAuthAndCorsHeaders } from './auth.js';
+import { handleScheduleAlarm, syncScheduleAlarms } from './schedule.js';
 import { getProjectMatches, getProjects } from './project.js';
 import { updateIcon } from './ui.js';
 
@@ -61,8 +62,15 @@ chrome.storage.onChanged.addListener(async (changes, storageArea) => {
     const matches = await getProjectMatches(projects, tab);
     await updateIcon({ matches });
   }
+  // Keep alarms in sync with scheduled publishing jobs
+  if (storageArea === 'local' && changes.publishSchedules) {
+    await syncScheduleAlarms();
+  }
 });
 
+// run scheduled publishing jobs
+chrome.alarms.onAlarm.addListener(handleScheduleAlarm);
+
 // internal messaging API to execute actions
 chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
   const { action: actionFromTab } = message;
@@ -70,7 +78,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
   let resp = null;
   // check if message contains action and is sent from tab
   if (tab && tab.url && typeof internalActions[actionFromTab] === 'function') {
-    resp = await internalActions[actionFromTab](tab);
+    resp = await internalActions[actionFromTab](tab, message);
   }
 
   sendResponse(resp);
@@ -79,4 +87,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
 // add existing auth token headers
 configureAuthAndCorsHeaders();
 
+// restore alarms for scheduled publishing jobs
+syncScheduleAlarms();
+
 log.info('sidekick initialized');
@@ -21,6 +21,20 @@ export async function getConfig(area, prop) {
   return cfg?.[prop];
 }
 
+/**
+ * Retrieves a policy set by the administrator via managed storage.
+ * @param {string} prop The policy name
+ * @returns {Promise<*>} The policy, or <code>undefined</code> if not set or not supported
+ */
+export async function getManagedConfig(prop) {
+  try {
+    return await getConfig('managed', prop);
+  } catch (e) {
+    // managed storage not supported
+    return undefined;
+  }
+}
+
 /**
  * Changes a configuration in a given storage area.
  * @param {string} area The storage type
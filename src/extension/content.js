@@ -21,6 +21,7 @@
 
   const { getDisplay, toggleDisplay } = await import('./display.js');
   const display = await getDisplay();
+  const { getConfig, setConfig } = await import('./config.js');
 
   /**
    * Load the sidekick custom element and add it to the DOM
@@ -35,6 +36,8 @@
         'owner',
         'repo',
         'ref',
+        'defaultRef',
+        'refs',
         'previewHost',
         'liveHost',
         'host',
@@ -74,6 +77,14 @@
         // Store the selected config in session storage
         window.sessionStorage.setItem('aem-sk-project', JSON.stringify(config));
 
+        // Remember the selected project for this host
+        getConfig('local', 'pickedProjects').then((picked = {}) => setConfig('local', {
+          pickedProjects: {
+            ...picked,
+            [window.location.host]: `${config.owner}/${config.repo}`,
+          },
+        }));
+
         loadSidekick(config);
 
         // remove() doesn't work for custom element
@@ -104,6 +115,11 @@
         // Check session storage for previously stored project
         const storedProject = JSON.parse(window.sessionStorage.getItem('aem-sk-project') || null);
 
+        // Check for a project previously picked on this host
+        const pickedProjects = await getConfig('local', 'pickedProjects') || {};
+        const pickedProject = configMatches
+          .find(({ owner, repo }) => `${owner}/${repo}` === pickedProjects[window.location.host]);
+
         // First check if there is only one config match, if so load it
         if (configMatches.length === 1) {
         // Load sidekick
@@ -112,6 +128,8 @@
           // If there is more than one config match, check if we previously stored a project
         } else if (storedProject) {
           loadSidekick(storedProject);
+        } else if (pickedProject) {
+          loadSidekick(pickedProject);
         } else {
           loadConfigPicker(configMatches);
         }
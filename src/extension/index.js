@@ -40,6 +40,12 @@ import './app/components/spectrum/action-button/action-button.js';
 import './app/components/spectrum/progress-circle/progress-circle.js';
 import './app/components/spectrum/theme/theme.js';
 import './app/components/bulk/bulk-result/bulk-result.js';
+import './app/components/bulk/bulk-history/bulk-history.js';
+import './app/components/bulk/bulk-tree/bulk-tree.js';
+import './app/components/bulk/bulk-diff/bulk-diff.js';
+import './app/components/schedule/schedule-publish/schedule-publish.js';
+import './app/components/link-check/link-check-result/link-check-result.js';
+import './app/components/page-metadata/page-metadata-result/page-metadata-result.js';
 
 import { AEMSidekick } from './app/aem-sidekick.js';
 import { AEMConfigPicker } from './app/config-picker.js';
@@ -13,23 +13,89 @@
 import { log } from './log.js';
 import {
   getConfig,
+  getManagedConfig,
   removeConfig,
   setConfig,
 } from './config.js';
 import { urlCache } from './url-cache.js';
 import { callAdmin, createAdminUrl } from './utils/admin.js';
 import { setAuthToken } from './auth.js';
+import { sanitizeRef } from './utils/projects.js';
 
 export const DEV_URL = 'http://localhost:3000/';
 
 export const GH_URL = 'https://github.com/';
 
+export const SHARE_URL = 'https://www.aem.live/tools/sidekick/';
+
+/**
+ * The strategies for importing a project which already exists.
+ * @type {string[]}
+ */
+export const IMPORT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+/**
+ * The version of the project export format.
+ * @private
+ * @type {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * The project settings which must never be exported or shared.
+ * @private
+ * @type {string[]}
+ */
+const SECRET_PROJECT_KEYS = ['authToken', 'authTokenExpiry'];
+
+/**
+ * The project settings which can be preconfigured in a share URL.
+ * @private
+ * @type {string[]}
+ */
+const SHARE_PROJECT_KEYS = ['project', 'previewHost', 'liveHost', 'host', 'devOrigin'];
+
+/**
+ * The maximum number of recent refs to remember per project.
+ * @type {number}
+ */
+export const MAX_PROJECT_REFS = 10;
+
+/**
+ * The project settings which can be overridden per ref.
+ * @private
+ * @type {string[]}
+ */
+const REF_SETTINGS_KEYS = ['devOrigin'];
+
+/**
+ * Returns the project configurations defined by policy. Managed projects
+ * are read-only and cannot be deleted by the user.
+ * @returns {Promise<Object[]>} The managed project configurations
+ */
+export async function getManagedProjects() {
+  const projects = await getManagedConfig('projects');
+  if (!Array.isArray(projects)) {
+    return [];
+  }
+  return projects
+    // eslint-disable-next-line no-use-before-define
+    .map((project) => assembleProject(project))
+    // eslint-disable-next-line no-use-before-define
+    .filter((project) => isValidProject(project))
+    .map((project) => ({
+      ...project,
+      managed: true,
+    }));
+}
+
 /**
  * Returns an existing project configuration.
  * @param {Object|string} project The project settings or handle
+ * @param {Object[]} [managedProjects] The managed project configurations, if already read
  * @returns {Promise<Object>} The project configuration
  */
-export async function getProject(project = {}) {
+export async function getProject(project = {}, managedProjects = undefined) {
   let owner;
   let repo;
   if (typeof project === 'string' && project.includes('/')) {
@@ -38,19 +104,51 @@ export async function getProject(project = {}) {
     ({ owner, repo } = project);
   }
   if (owner && repo) {
-    return getConfig('sync', `${owner}/${repo}`);
+    const managed = (managedProjects || await getManagedProjects())
+      .find((p) => p.owner === owner && p.repo === repo);
+    return managed || getConfig('sync', `${owner}/${repo}`);
   }
   return undefined;
 }
 
 /**
- * Returns all project configurations.
+ * Returns all project configurations, including the ones defined by policy.
  * @returns {Promise<Object[]>} The project configurations
  */
 export async function getProjects() {
-  return Promise.all((await getConfig('sync', 'projects')
+  const managedProjects = await getManagedProjects();
+  const projects = await Promise.all((await getConfig('sync', 'projects')
     || await getConfig('sync', 'hlxSidekickProjects') || []) // legacy
-    .map((handle) => getProject(handle)));
+    .map((handle) => getProject(handle, managedProjects)));
+  return [
+    ...projects,
+    ...managedProjects.filter(({ owner, repo }) => !projects
+      .find((p) => p && p.owner === owner && p.repo === repo)),
+  ];
+}
+
+/**
+ * Checks if a project is defined by policy.
+ * @param {Object} project The project settings
+ * @returns {Promise<boolean>} true if project is managed, else false
+ */
+export async function isManagedProject({ owner, repo } = {}) {
+  return (await getManagedProjects())
+    .some((p) => p.owner === owner && p.repo === repo);
+}
+
+/**
+ * Checks if the sidekick may activate on a project's owner as restricted by policy.
+ * @param {string} owner The project owner
+ * @returns {Promise<boolean>} true if owner is allowed, else false
+ */
+export async function isAllowedOwner(owner) {
+  const allowedOwners = await getManagedConfig('allowedOwners');
+  if (!Array.isArray(allowedOwners) || allowedOwners.length === 0) {
+    return true;
+  }
+  return allowedOwners
+    .some((allowed) => typeof allowed === 'string' && allowed.toLowerCase() === owner?.toLowerCase());
 }
 
 /**
@@ -61,6 +159,11 @@ export async function getProjects() {
 export async function updateProject(project) {
   const { owner, repo } = project;
   if (owner && repo) {
+    if (await isManagedProject(project)) {
+      log.warn('managed project cannot be updated', `${owner}/${repo}`);
+      return null;
+    }
+    delete project.managed;
     // sanitize input
     Object.keys(project).forEach((key) => {
       if (!project[key]) {
@@ -119,17 +222,24 @@ export function getGitHubSettings(giturl) {
  * @param {string} shareurl The share URL
  * @returns {Object} The share settings
  */
-function getShareSettings(shareurl) {
+export function getShareSettings(shareurl) {
   try {
-    const { host, pathname, searchParams } = new URL(shareurl);
-    if (host === 'www.aem.live' && pathname === '/tools/sidekick/') {
+    const { origin, pathname, searchParams } = new URL(shareurl);
+    if (`${origin}${pathname}` === SHARE_URL) {
       const giturl = searchParams.get('giturl');
       const project = searchParams.get('project');
       if (giturl && isValidProject(getGitHubSettings(giturl))) {
-        return {
+        const settings = {
           giturl,
           project,
         };
+        // add preconfigured settings
+        SHARE_PROJECT_KEYS
+          .filter((key) => key !== 'project' && searchParams.get(key))
+          .forEach((key) => {
+            settings[key] = searchParams.get(key);
+          });
+        return settings;
       }
     }
   } catch (e) {
@@ -222,6 +332,48 @@ export function assembleProject({
   };
 }
 
+/**
+ * Returns a copy of a project configuration without secrets.
+ * @private
+ * @param {Object} project The project configuration
+ * @returns {Object} The sanitized project configuration
+ */
+function removeSecrets(project) {
+  return Object.fromEntries(Object.entries(project)
+    .filter(([key]) => !SECRET_PROJECT_KEYS.includes(key)));
+}
+
+/**
+ * Creates a share URL which adds a preconfigured project when opened.
+ * @param {Object} project The project configuration
+ * @returns {string} The share URL
+ */
+export function getShareUrl(project) {
+  const { giturl } = assembleProject(project);
+  const url = new URL(SHARE_URL);
+  url.searchParams.set('giturl', giturl);
+  SHARE_PROJECT_KEYS
+    .filter((key) => typeof project[key] === 'string' && project[key])
+    .forEach((key) => url.searchParams.set(key, project[key]));
+  return url.toString();
+}
+
+/**
+ * Exports all project configurations without secrets.
+ * @returns {Promise<Object>} The project export
+ */
+export async function exportProjects() {
+  const projects = (await getProjects())
+    // managed projects are provided by policy
+    .filter((project) => !!project && !project.managed)
+    .map(removeSecrets);
+  return {
+    version: EXPORT_VERSION,
+    exported: new Date().toISOString(),
+    projects,
+  };
+}
+
 /**
  * Returns the environment configuration for a given project.
  * @param {Object} config The config
@@ -322,6 +474,62 @@ export async function addProject(input, loggedIn) {
   }
 }
 
+/**
+ * Imports project configurations from a project export.
+ * @param {Object|Object[]} data The project export or an array of project configurations
+ * @param {string} [strategy] The strategy for existing projects: <code>skip</code> (default),
+ * <code>overwrite</code> or <code>merge</code>
+ * @returns {Promise<Object<string, number>>} The number of added, overwritten, merged,
+ * skipped and invalid projects
+ */
+export async function importProjects(data, strategy = 'skip') {
+  const projects = Array.isArray(data) ? data : data?.projects;
+  if (!Array.isArray(projects)) {
+    throw new Error('invalid project export');
+  }
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`invalid import strategy: ${strategy}`);
+  }
+  const result = {
+    added: 0,
+    overwritten: 0,
+    merged: 0,
+    skipped: 0,
+    invalid: 0,
+  };
+  for (const input of projects) {
+    /* eslint-disable no-await-in-loop */
+    if (!input || !isValidProject(input)) {
+      result.invalid += 1;
+    } else {
+      const project = assembleProject(removeSecrets(input));
+      const existing = await getProject(project);
+      if (!existing) {
+        // add environment like addProject, without asking the user to sign in
+        const env = await getProjectEnv(project);
+        delete env.unauthorized;
+        await updateProject({ ...project, ...env });
+        result.added += 1;
+      } else if (existing.managed) {
+        log.info(`skipping import of managed project ${project.owner}/${project.repo}`);
+        result.skipped += 1;
+      } else if (strategy === 'overwrite') {
+        await updateProject(project);
+        result.overwritten += 1;
+      } else if (strategy === 'merge') {
+        await updateProject({ ...existing, ...project });
+        result.merged += 1;
+      } else {
+        log.info(`skipping import of existing project ${project.owner}/${project.repo}`);
+        result.skipped += 1;
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+  log.info('imported projects', result);
+  return result;
+}
+
 /**
  * Deletes a project configuration.
  * @param {Object|string} project The project settings or handle
@@ -340,6 +548,10 @@ export async function deleteProject(project) {
   }
   const projects = await getConfig('sync', 'projects')
     || await getConfig('sync', 'hlxSidekickProjects') || []; // legacy
+  if (await isManagedProject({ owner, repo })) {
+    log.warn('managed project cannot be deleted', handle);
+    return false;
+  }
   const i = projects.indexOf(handle);
   if (i >= 0) {
     // delete admin auth header rule
@@ -364,7 +576,7 @@ export async function deleteProject(project) {
  */
 export async function toggleProject(project) {
   const config = await getProject(project);
-  if (config) {
+  if (config && !config.managed) {
     await updateProject({
       ...config,
       disabled: !config.disabled,
@@ -374,6 +586,85 @@ export async function toggleProject(project) {
   return false;
 }
 
+/**
+ * Returns the refs of a project, starting with its default ref, followed by
+ * the most recently used ones.
+ * @param {Object} project The project configuration
+ * @returns {string[]} The refs
+ */
+export function getProjectRefs({ ref, defaultRef, refs = {} } = {}) {
+  const recentRefs = Object.entries(refs)
+    .sort(([, a], [, b]) => (b.lastUsed || 0) - (a.lastUsed || 0))
+    .map(([name]) => name);
+  return [...new Set([defaultRef || ref || 'main', ...recentRefs])];
+}
+
+/**
+ * Returns a project configuration for another ref, with the settings specific
+ * to this ref applied.
+ * @param {Object} project The project configuration
+ * @param {string} ref The ref
+ * @returns {Object} The project configuration for the ref
+ */
+export function getRefProject(project, ref) {
+  const { owner, repo, refs = {} } = project;
+  const defaultRef = project.defaultRef || project.ref || 'main';
+  ref = sanitizeRef(ref);
+  if (!ref || ref === project.ref) {
+    return project;
+  }
+  const settings = Object.fromEntries(Object.entries(refs[ref] || {})
+    .filter(([key]) => REF_SETTINGS_KEYS.includes(key)));
+  const config = {
+    ...project,
+    ...settings,
+    id: `${owner}/${repo}/${ref}`,
+    giturl: `https://github.com/${owner}/${repo}/tree/${ref}`,
+    ref,
+  };
+  if (ref !== defaultRef) {
+    config.defaultRef = defaultRef;
+  } else {
+    delete config.defaultRef;
+  }
+  return config;
+}
+
+/**
+ * Remembers a ref of a project along with its specific settings. Only the
+ * most recently used refs are kept.
+ * @param {Object|string} project The project settings or handle
+ * @param {string} ref The ref
+ * @param {Object} [settings] The settings for this ref
+ * @returns {Promise<Object>} The updated project configuration or null
+ */
+export async function addProjectRef(project, ref, settings = {}) {
+  const config = await getProject(project);
+  ref = sanitizeRef(ref);
+  if (!config || !ref || config.managed) {
+    return null;
+  }
+  if (ref === config.ref) {
+    // default ref uses project settings
+    return config;
+  }
+  const refs = {
+    ...config.refs,
+    [ref]: {
+      ...config.refs?.[ref],
+      ...Object.fromEntries(Object.entries(settings)
+        .filter(([key]) => REF_SETTINGS_KEYS.includes(key))),
+      lastUsed: Date.now(),
+    },
+  };
+  return updateProject({
+    ...config,
+    refs: Object.fromEntries(Object.entries(refs)
+      .sort(([, a], [, b]) => (b.lastUsed || 0) - (a.lastUsed || 0))
+      .slice(0, MAX_PROJECT_REFS)),
+  });
+}
+
 /**
  * Checks if a host is a valid project host.
  * @private
@@ -509,10 +800,18 @@ export async function getProjectMatches(configs, tab) {
       });
     }
   }
+  const allowed = await Promise.all(matches.map(({ owner }) => isAllowedOwner(owner)));
+  const [hostRef] = getConfigDetails(checkHost);
   return matches
+    // exclude owners not allowed by policy
+    .filter((_, i) => allowed[i])
     // exclude disabled configs
     .filter(({ owner, repo }) => !configs
-      .find((cfg) => cfg.owner === owner && cfg.repo === repo && cfg.disabled));
+      .find((cfg) => cfg.owner === owner && cfg.repo === repo && cfg.disabled))
+    // use ref from branch host
+    .map((cfg) => (hostRef && !cfg.transient && isValidHost(checkHost, cfg.owner, cfg.repo)
+      ? getRefProject(cfg, hostRef)
+      : cfg));
 }
 
 /**
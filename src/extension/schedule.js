@@ -0,0 +1,205 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { log } from './log.js';
+import { getConfig, setConfig } from './config.js';
+import { notify } from './actions.js';
+import { callAdmin } from './utils/admin.js';
+
+/**
+ * @typedef {import('@Types').PublishSchedule} PublishSchedule
+ */
+
+/**
+ * The prefix for alarms triggering scheduled publishing.
+ * @private
+ * @type {string}
+ */
+const ALARM_PREFIX = 'publish-schedule:';
+
+/**
+ * The interval in milliseconds for polling a bulk publishing job.
+ * @private
+ * @type {number}
+ */
+const JOB_POLL_INTERVAL = 1000;
+
+/**
+ * The maximum number of times to poll a bulk publishing job.
+ * @private
+ * @type {number}
+ */
+const JOB_MAX_POLLS = 300;
+
+/**
+ * The maximum number of failed paths to list in a notification.
+ * @private
+ * @type {number}
+ */
+const MAX_FAILED_PATHS = 3;
+
+/**
+ * Returns the scheduled publishing jobs from local storage.
+ * @private
+ * @returns {Promise<PublishSchedule[]>} The schedules
+ */
+async function getSchedules() {
+  return await getConfig('local', 'publishSchedules') || [];
+}
+
+/**
+ * Creates an alarm for each scheduled publishing job and clears alarms
+ * without a corresponding schedule.
+ * @returns {Promise<void>}
+ */
+export async function syncScheduleAlarms() {
+  try {
+    const schedules = await getSchedules();
+    const alarmNames = schedules.map(({ id }) => `${ALARM_PREFIX}${id}`);
+    const obsoleteAlarms = (await chrome.alarms.getAll())
+      .filter(({ name }) => name.startsWith(ALARM_PREFIX) && !alarmNames.includes(name));
+    await Promise.all(obsoleteAlarms.map(({ name }) => chrome.alarms.clear(name)));
+    // overdue schedules will trigger immediately
+    await Promise.all(schedules.map(({ id, time }) => chrome.alarms.create(
+      `${ALARM_PREFIX}${id}`,
+      { when: Math.max(time, Date.now()) },
+    )));
+  } catch (e) {
+    log.warn('unable to sync schedule alarms', e);
+  }
+}
+
+/**
+ * Makes a call to the Admin API for a scheduled publishing job. The auth token
+ * header is not guaranteed to be added to requests from here, so it is added
+ * explicitly if available.
+ * @private
+ * @param {PublishSchedule} schedule The schedule
+ * @param {string} api The API endpoint to call
+ * @param {string} path The resource path
+ * @param {Object} [body] The body to post
+ * @returns {Promise<Response>} The admin response
+ */
+async function callScheduleAdmin({ owner, repo, ref }, api, path, body) {
+  const { authToken } = (await getConfig('session', 'projects') || [])
+    .find((p) => p.owner === owner && p.repo === repo) || {};
+  const resp = await callAdmin({ owner, repo, ref }, api, path, {
+    method: api === 'job' ? 'get' : 'post',
+    body,
+    headers: authToken ? { 'x-auth-token': authToken } : {},
+  });
+  if (!resp.ok) {
+    throw Object.assign(
+      new Error(resp.headers.get('x-error') || `${resp.status}`),
+      { status: resp.status },
+    );
+  }
+  return resp;
+}
+
+/**
+ * Waits for a bulk publishing job to stop and returns the resources with
+ * their individual status.
+ * @private
+ * @param {PublishSchedule} schedule The schedule
+ * @param {Object} job The job
+ * @param {string} job.topic The job topic
+ * @param {string} job.name The job name
+ * @returns {Promise<{ path: string, status: number }[]>} The resources
+ */
+async function waitForJob(schedule, { topic, name }) {
+  for (let i = 0; i < JOB_MAX_POLLS; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => {
+      setTimeout(resolve, JOB_POLL_INTERVAL);
+    });
+    // eslint-disable-next-line no-await-in-loop
+    const { state } = await (await callScheduleAdmin(schedule, 'job', `/${topic}/${name}`)).json();
+    if (state === 'stopped') {
+      // eslint-disable-next-line no-await-in-loop
+      const details = await (await callScheduleAdmin(schedule, 'job', `/${topic}/${name}/details`)).json();
+      return details.data?.resources || [];
+    }
+  }
+  throw new Error(`job ${topic}/${name} did not finish in time`);
+}
+
+/**
+ * Publishes the resources of a scheduled publishing job and notifies the user
+ * about the outcome. The schedule is removed from local storage.
+ * @param {string} id The schedule ID
+ * @returns {Promise<void>}
+ */
+export async function runSchedule(id) {
+  const schedules = await getSchedules();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) {
+    log.debug(`schedule ${id} not found`);
+    return;
+  }
+  // remove schedule first to prevent it from running again
+  await setConfig('local', {
+    publishSchedules: schedules.filter((s) => s.id !== id),
+  });
+
+  const { owner, repo, paths } = schedule;
+  const project = `${owner}/${repo}`;
+  try {
+    let failed = [];
+    if (paths.length === 1) {
+      await callScheduleAdmin(schedule, 'live', paths[0]);
+    } else {
+      // bulk publishing starts a job
+      const { job } = await (await callScheduleAdmin(schedule, 'live', '/*', { paths })).json();
+      const resources = await waitForJob(schedule, job);
+      failed = paths.filter((path) => {
+        const { status } = resources.find((r) => r.path === path) || {};
+        return !status || status >= 400;
+      });
+    }
+    if (failed.length === 0) {
+      log.info(`scheduled publishing of ${paths.length} path(s) in ${project} successful`);
+      await notify(chrome.i18n.getMessage('schedule_publish_success', [`${paths.length}`, project]));
+    } else {
+      log.warn(`scheduled publishing of ${failed.length} path(s) in ${project} failed`, failed);
+      const failedPaths = failed.length > MAX_FAILED_PATHS
+        ? chrome.i18n.getMessage('schedule_publish_more', [
+          failed.slice(0, MAX_FAILED_PATHS).join(', '),
+          `${failed.length - MAX_FAILED_PATHS}`,
+        ])
+        : failed.join(', ');
+      await notify(chrome.i18n.getMessage('schedule_publish_partial', [
+        `${paths.length - failed.length}`,
+        `${paths.length}`,
+        project,
+        failedPaths,
+      ]));
+    }
+  } catch (e) {
+    log.warn(`scheduled publishing of ${paths.length} path(s) in ${project} failed`, e);
+    await notify(chrome.i18n.getMessage(
+      e.status === 401 ? 'schedule_publish_unauthorized' : 'schedule_publish_failure',
+      [`${paths.length}`, project],
+    ));
+  }
+}
+
+/**
+ * Runs the scheduled publishing job for an alarm.
+ * @param {chrome.alarms.Alarm} alarm The alarm
+ * @returns {Promise<void>}
+ */
+export async function handleScheduleAlarm({ name }) {
+  if (name.startsWith(ALARM_PREFIX)) {
+    await runSchedule(name.substring(ALARM_PREFIX.length));
+  }
+}
@@ -18,6 +18,7 @@ import {
 } from './project.js';
 import { urlCache } from './url-cache.js';
 import { updateUI } from './ui.js';
+import { installSharedProject } from './actions.js';
 
 /**
  * Loads the content script in the tab.
@@ -58,7 +59,8 @@ export async function checkTab(id) {
     // fill url cache
     await urlCache.set(tab, projects);
 
-    // todo: if share url, inject install helper
+    // add preconfigured project from share url
+    await installSharedProject(tab);
 
     const matches = await getProjectMatches(projects, tab);
 
@@ -46,6 +46,11 @@
  * @prop {string} [devOrigin] The origin of the local development environment
  * @prop {string} [adminVersion] The specific version of admin service to use
  * @prop {boolean} [disabled] Is the project disabled?
+ * @prop {boolean} [managed] Is the project defined by policy and therefore read-only?
+ * @prop {string} [group] The name of the group the project belongs to
+ * @prop {string[]} [tags] The tags of the project
+ * @prop {string} [color] The custom color of the project (hex notation)
+ * @prop {Object<string, RefSettings>} [refs] The recently used refs and their settings
  * @description Represents the sidekick configuration from the user via the options view
  */
 
@@ -56,9 +61,17 @@
  * @prop {string} owner The GitHub owner or organization
  * @prop {string} repo The GitHub repo
  * @prop {string} ref The Git reference or branch
+ * @prop {string} [defaultRef] The default Git reference or branch if <code>ref</code> differs
  * @description The derived sidekick configuration from options.
  */
 
+/**
+ * @typedef {Object} RefSettings
+ * @prop {string} [devOrigin] The origin of the local development environment for this ref
+ * @prop {number} [lastUsed] The time the ref was last used (in milliseconds)
+ * @description The project settings specific to a Git reference or branch
+ */
+
 /**
  * @typedef {ServerDerivedConfig & OptionsConfig & OptionsDerivedConfig } SidekickOptionsConfig
  */
@@ -73,6 +86,7 @@
  * @prop {string} [host] The production host name to publish content to
  * @prop {Plugin[]} [plugins] An array of {@link Plugin|plugin configurations}
  * @prop {ViewConfig[]} [specialViews] An array of custom {@link ViewConfig|view configurations}
+ * @prop {SheetSchema[]} [sheetSchemas] An array of {@link SheetSchema|sheet schemas}
  * @description The configuration file from the project's respository (`config.json`).
  * @link https://github.com/adobe/helix-sidekick-extension/blob/main/docs/config.schema.json
  */
@@ -162,6 +176,45 @@
  * @description A custom view configuration.
  */
 
+/**
+ * @typedef {Object} ColumnSchema
+ * @prop {boolean} [required] Is a value required?
+ * @prop {string} [type] The value type ("text", "number", "date", "boolean" or "url")
+ * @prop {boolean} [unique] Must values be unique?
+ * @prop {string} [pattern] A regular expression values must match
+ * @description A column definition in a sheet schema.
+ */
+
+/**
+ * @typedef {Object} SheetSchema
+ * @prop {string} path The path or globbing pattern of the sheet backed json files
+ * @prop {string} [sheet] The name of the sheet (default: all sheets)
+ * @prop {Object<string, ColumnSchema>} columns The column definitions by column name
+ * @description A sheet schema to validate sheet backed json files against.
+ */
+
+/**
+ * @typedef {Object} SheetIssue
+ * @prop {number} row The row index (<code>-1</code> for sheet level issues)
+ * @prop {string} column The column name
+ * @prop {string} issue The issue ("missing_column", "required", "type", "invalid_url",
+ * "pattern" or "duplicate")
+ */
+
+/**
+ * @typedef {Object} Redirect
+ * @prop {number} index The row index in the redirects sheet
+ * @prop {string} source The source path
+ * @prop {string} destination The destination path or URL
+ * @description A redirect rule from the redirects sheet.
+ */
+
+/**
+ * @typedef {Object} RedirectTrace
+ * @prop {Redirect[]} hops The redirect rules applied in order
+ * @prop {boolean} loop Does the redirect end in a loop?
+ */
+
 /**
  * @typedef {Object} Modal
  * @prop {string} type The modal type
@@ -178,6 +231,11 @@
  * @prop {Function} [secondaryCallback] The function to call on secondary action
  * @prop {string} [cancelLabel] The cancel button label
  * @prop {string} [action] The action type (delete or unpublish)
+ * @prop {string[]} [paths] The resource paths to show as a tree (bulk operations only)
+ * @prop {BulkDiffEntry[]} [diff] The resources to pick from before publishing (bulk publish only)
+ * @prop {string[]} [refs] The recently used refs (switch ref only)
+ * @prop {LinkCheckEntry[]} [results] The checked links (link check only)
+ * @prop {MetadataEntry[]} [entries] The inspected metadata (page metadata only)
  */
 
 /**
@@ -209,6 +267,129 @@
  * @property {string} operation The bulk operation
  * @property {string} host The host name for URLs
  * @property {AdminJobResource[]} resources The resource details
+ * @property {AdminJobResource[]} [unpublished] The resources unpublished along with a delete
+ * @property {boolean} [stopped] True if the job was stopped by the user
+ */
+
+/**
+ * @typedef {Object} BulkHistoryEntry
+ * @property {string} owner The GitHub owner or organization
+ * @property {string} repo The GitHub repository
+ * @property {string} ref The Git reference or branch
+ * @property {string} operation The bulk operation
+ * @property {string} host The host name for URLs
+ * @property {string} user The user who ran the bulk operation
+ * @property {number} timestamp The time the bulk operation finished
+ * @property {AdminJobResource[]} resources The resource details
+ * @property {AdminJobResource[]} [unpublished] The resources unpublished along with a delete
+ * @property {boolean} [stopped] True if the job was stopped by the user
+ */
+
+/**
+ * @typedef {Object} BulkDiffEntry
+ * @property {string} path The resource path
+ * @property {string} [source] The last modification date of the source document
+ * @property {string} [preview] The last modification date of the preview
+ * @property {string} [live] The last modification date of the live version
+ * @property {string} state The comparison state ("changed", "unchanged", "not_previewed" or "unknown")
+ * @property {boolean} selected True if the resource is selected for publishing
+ */
+
+/**
+ * @typedef {Object} LinkCheckEntry
+ * @property {string} url The link URL
+ * @property {string} text The link text
+ * @property {number} [status] The HTTP status of the link target
+ * @property {string} issue The link issue ("not_found", "error", "redirect", "wrong_env",
+ * "unverified" or "ok")
+ */
+
+/**
+ * @typedef {Object} MetadataEntry
+ * @property {string} name The metadata field
+ * @property {string} value The effective value
+ * @property {string} source Where the value comes from ("page", "bulk" or "none")
+ * @property {string} [pattern] The URL pattern of the matching row in the metadata sheet
+ * @property {string} [bulkValue] The value from the metadata sheet
+ * @property {string} issue The metadata issue ("missing", "conflict", "noindex",
+ * "too_long", "overridden" or "ok")
+ */
+
+/**
+ * @typedef {Object} AuditIssue
+ * @property {string} category The audit category ("performance" or "accessibility")
+ * @property {string} check The failed check ("image_alt", "image_oversized",
+ * "image_dimensions", "heading_h1", "heading_order", "contrast", "lcp", "cls" or "blocking")
+ * @property {string} severity The severity ("error" or "warning")
+ * @property {string} [target] A description of the affected element or resource
+ * @property {string} [value] The measured value
+ */
+
+/**
+ * @typedef {Object} AuditReport
+ * @property {string} url The URL of the audited page
+ * @property {number} time The time of the audit
+ * @property {Object<string, number>} scores The scores (0 to 100) by category
+ * @property {Object} metrics The measured metrics (lcp, lcpElement, cls and blocking)
+ * @property {AuditIssue[]} issues The issues found
+ */
+
+/**
+ * @typedef {Object} AuditEntries
+ * @property {{ startTime: number, element?: Element }[]} [lcp] The largest contentful
+ * paint entries
+ * @property {{ value: number, hadRecentInput?: boolean }[]} [shifts] The layout shift entries
+ * @property {{ name: string, renderBlockingStatus?: string }[]} [resources] The resource entries
+ */
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} type The type of difference ("unchanged", "added", "removed" or "changed")
+ * @property {*} [before] The old item
+ * @property {*} [after] The new item
+ * @property {string} [name] The name of the item
+ */
+
+/**
+ * @typedef {Object} ContentUnit
+ * @property {string} type The unit type ("section", "block" or "content")
+ * @property {string} name The block name or element name
+ * @property {string} text The normalized text
+ */
+
+/**
+ * @typedef {Object} ColumnFilter
+ * @property {string} [text] The text to match
+ * @property {string} [min] The lower boundary of a number or date range
+ * @property {string} [max] The upper boundary of a number or date range
+ */
+
+/**
+ * @typedef {Object} ColumnSettings
+ * @property {string[]} [order] The column keys in custom order
+ * @property {string[]} [hidden] The keys of hidden columns
+ * @property {string[]} [pinned] The keys of pinned columns
+ */
+
+/**
+ * @typedef {Object} PublishSchedule
+ * @property {string} id The schedule ID
+ * @property {string} owner The GitHub owner or organization
+ * @property {string} repo The GitHub repository
+ * @property {string} ref The Git reference or branch
+ * @property {string[]} paths The paths of the resources to publish
+ * @property {number} time The time to publish the resources at
+ * @property {string} [user] The user who scheduled the publishing
+ */
+
+/**
+ * @typedef {Object} BulkJob
+ * @property {string} owner The GitHub owner or organization
+ * @property {string} repo The GitHub repository
+ * @property {string} ref The Git reference or branch
+ * @property {string} operation The bulk operation
+ * @property {string} topic The job topic
+ * @property {string} name The job name
  */
 
 /**
@@ -216,6 +397,12 @@
  * @property {string} path The resource path
  * @property {number} status The status code
  * @property {string} [error] The error message
+ * @property {string} [sourceLastModified] The last modification date of the source document
+ * (status jobs only)
+ * @property {string} [previewLastModified] The last modification date of the preview
+ * (status jobs only)
+ * @property {string} [publishLastModified] The last modification date of the live version
+ * (status jobs only)
  */
 
 /**
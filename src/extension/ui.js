@@ -123,17 +123,20 @@ export async function updateContextMenu({
     if (isValidProject(config) && !url.startsWith(GH_URL)) {
       const { owner, repo } = config;
       const project = await getProject(`${owner}/${repo}`);
-      // add/remove project config
-      await chrome.contextMenus.create({
-        id: 'addRemoveProject',
-        title: chrome.i18n.getMessage(project
-          ? 'config_project_remove'
-          : 'config_project_add'),
-        contexts: [
-          'action',
-        ],
-      });
-      if (project) {
+      // managed projects cannot be removed or toggled
+      if (!project?.managed) {
+        // add/remove project config
+        await chrome.contextMenus.create({
+          id: 'addRemoveProject',
+          title: chrome.i18n.getMessage(project
+            ? 'config_project_remove'
+            : 'config_project_add'),
+          contexts: [
+            'action',
+          ],
+        });
+      }
+      if (project && !project.managed) {
         const { disabled } = project;
         // enable/disable project config
         await chrome.contextMenus.create({
@@ -146,6 +149,14 @@ export async function updateContextMenu({
           ],
         });
       }
+      // import, export and share projects
+      await chrome.contextMenus.create({
+        id: 'openProjectsView',
+        title: chrome.i18n.getMessage('config_projects_manage'),
+        contexts: [
+          'action',
+        ],
+      });
       // open view doc source
       if (await guessAEMSite(id)) {
         await chrome.contextMenus.create({
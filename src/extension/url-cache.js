@@ -44,6 +44,83 @@ export function isGoogleDriveHost(url) {
   return /^(docs|drive)\.google\.com$/.test(host);
 }
 
+/**
+ * The Google Drive resource types by URL path segment.
+ * @private
+ * @type {Object<string, string>}
+ */
+const GOOGLE_DRIVE_TYPES = {
+  document: 'application/vnd.google-apps.document',
+  spreadsheets: 'application/vnd.google-apps.spreadsheet',
+  presentation: 'application/vnd.google-apps.presentation',
+  folders: 'application/vnd.google-apps.folder',
+  file: 'application/octet-stream',
+};
+
+/**
+ * The MIME types of files uploaded to Google Drive by file extension.
+ * @private
+ * @type {Object<string, string>}
+ */
+const GOOGLE_DRIVE_FILE_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+};
+
+/**
+ * Extracts the resource details from a Google Drive URL.
+ * @param {string} url The tab URL
+ * @returns {Object|null} The ID, content type and canonical URL of the resource,
+ * or {@code null} if the URL is not a Google Drive resource
+ */
+export function getGoogleDriveResource(url) {
+  if (!isGoogleDriveHost(url)) {
+    return null;
+  }
+  const { host, pathname, searchParams } = new URL(url);
+  // ignore account prefix (e.g. /u/1/)
+  const segments = pathname.replace(/\/u\/\d+\//, '/').split('/').filter((s) => !!s);
+  let id;
+  let type;
+  if (host === 'docs.google.com' && segments[1] === 'd') {
+    // docs.google.com/document/d/<id>/edit
+    [type, , id] = segments;
+  } else if (segments[0] === 'drive' && segments.includes('folders')) {
+    // drive.google.com/drive/folders/<id>
+    type = 'folders';
+    id = segments[segments.indexOf('folders') + 1];
+  } else if (segments[0] === 'file' && segments[1] === 'd') {
+    // drive.google.com/file/d/<id>/view
+    [type, , id] = segments;
+  } else if (segments[0] === 'open' && searchParams.has('id')) {
+    // drive.google.com/open?id=<id>
+    type = 'file';
+    id = searchParams.get('id');
+  }
+  if (!id || !(type in GOOGLE_DRIVE_TYPES)) {
+    return null;
+  }
+  let canonicalUrl;
+  if (type === 'folders') {
+    canonicalUrl = `https://drive.google.com/drive/folders/${id}`;
+  } else if (type === 'file') {
+    canonicalUrl = `https://drive.google.com/file/d/${id}/view`;
+  } else {
+    canonicalUrl = `https://docs.google.com/${type}/d/${id}/edit`;
+  }
+  return {
+    id,
+    contentType: GOOGLE_DRIVE_TYPES[type],
+    url: canonicalUrl,
+  };
+}
+
 /**
  * Fetches the edit info from Microsoft SharePoint.
  * @todo also use fstab information to figure out the resource path etc.
@@ -138,16 +215,74 @@ async function fetchSharePointEditInfo(tab) {
 }
 
 /**
- * Fetches the edit info from Google Drive.
- * @todo implement
+ * Fetches the edit info from Google Drive. The ID, URL and content type are derived
+ * from the URL, the name from the page in the tab. The parent folder and the last
+ * modification date are not included, as the Drive API does not accept the session
+ * of the logged in user.
  * @param {chrome.tabs.Tab} tab The tab
  * @returns {Promise<Object>} The edit info
  */
-async function fetchGoogleDriveEditInfo({ url }) {
-  // todo: implement
-  return {
+async function fetchGoogleDriveEditInfo(tab) {
+  const resource = getGoogleDriveResource(tab.url);
+  if (!resource) {
+    // not a drive resource, use url as is
+    return {
+      url: tab.url,
+    };
+  }
+  const { id, contentType, url } = resource;
+  const info = {
+    status: 200,
     url,
+    sourceLocation: `gdrive:${id}`,
+    contentType,
   };
+  return new Promise((resolve) => {
+    let timeout;
+
+    // listen for edit info from tab
+    const listener = ({ gdEditInfo }, { tab: msgTab }) => {
+      // check if message contains edit info and is sent from right tab
+      if (typeof gdEditInfo !== 'undefined' && tab && tab.id === msgTab.id) {
+        clearTimeout(timeout);
+        chrome.runtime.onMessage.removeListener(listener);
+        const { name } = gdEditInfo || {};
+        if (name) {
+          info.name = name;
+          if (contentType === GOOGLE_DRIVE_TYPES.file) {
+            // derive content type of uploaded file from its extension
+            const ext = name.split('.').pop().toLowerCase();
+            info.contentType = GOOGLE_DRIVE_FILE_TYPES[ext] || contentType;
+          }
+        }
+        resolve(info);
+      }
+    };
+    chrome.runtime.onMessage.addListener(listener);
+
+    // resolve without name after 1s
+    timeout = setTimeout(() => {
+      log.debug('fetchGoogleDriveEditInfo: timed out');
+      chrome.runtime.onMessage.removeListener(listener);
+      resolve(info);
+    }, 1000);
+
+    // inject edit info retriever
+    chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        const gdEditInfo = {
+          name: document.title.replace(/ - Google (Docs|Sheets|Slides|Drive)$/, ''),
+        };
+        chrome.runtime.sendMessage({ gdEditInfo });
+      },
+    }).catch((e) => {
+      log.warn('fetchGoogleDriveEditInfo: failed to inject script', e);
+      clearTimeout(timeout);
+      chrome.runtime.onMessage.removeListener(listener);
+      resolve(info);
+    });
+  });
 }
 
 /**
@@ -65,6 +65,7 @@ export function createAdminUrl(
  * @param {Object} [opts.body] The body to send
  * @param {URLSearchParams} [opts.searchParams] The search parameters
  * @param {boolean} [opts.omitCredentials] Should we omit the credentials
+ * @param {Object<string, string>} [opts.headers] Additional request headers
  * @returns {Promise<Response>} The admin response
  */
 export async function callAdmin(
@@ -76,6 +77,7 @@ export async function callAdmin(
     body = undefined,
     searchParams = new URLSearchParams(),
     omitCredentials = false,
+    headers = undefined,
   } = {},
 ) {
   const url = createAdminUrl(config, api, path, searchParams);
@@ -83,7 +85,9 @@ export async function callAdmin(
     method,
     cache: 'no-store',
     credentials: omitCredentials ? 'omit' : 'include',
-    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    headers: body || headers
+      ? { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers }
+      : undefined,
     body: body ? JSON.stringify(body) : undefined,
   });
 }
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * The project configuration type
+ * @typedef {import('@Types').OptionsConfig} OptionsConfig
+ */
+
+/**
+ * Parses tags from a comma separated string or an array.
+ * @param {string|string[]} [value] The tags
+ * @returns {string[]} The unique, trimmed tags
+ */
+export function parseTags(value) {
+  const tags = Array.isArray(value) ? value : (value || '').split(',');
+  return [...new Set(tags
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim())
+    .filter((tag) => !!tag))];
+}
+
+/**
+ * Turns a branch name into a ref which can be used in a project host name.
+ * @param {string} [ref] The branch name
+ * @returns {string} The sanitized ref
+ */
+export function sanitizeRef(ref) {
+  return (ref || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Checks if a value is a hex color like <code>#f00</code> or <code>#ff0000</code>.
+ * @param {string} [color] The color
+ * @returns {boolean} <code>true</code> if color is a hex color, else <code>false</code>
+ */
+export function isHexColor(color) {
+  return typeof color === 'string' && /^#([0-9a-f]{3}){1,2}$/i.test(color);
+}
+
+/**
+ * Returns the display name of a project.
+ * @param {OptionsConfig} project The project configuration
+ * @returns {string} The name
+ */
+export function getProjectName(project) {
+  // @ts-ignore
+  return project.project || project.id || `${project.owner}/${project.repo}`;
+}
+
+/**
+ * Filters projects by a search query. Every word of the query must be contained
+ * in the name, ID, group or tags of a project.
+ * @param {OptionsConfig[]} projects The project configurations
+ * @param {string} [query] The search query
+ * @returns {OptionsConfig[]} The matching project configurations
+ */
+export function filterProjects(projects, query = '') {
+  const words = query.toLowerCase().split(/\s+/).filter((word) => !!word);
+  if (words.length === 0) {
+    return projects;
+  }
+  return projects.filter((project) => {
+    const text = [
+      getProjectName(project),
+      project.id,
+      project.group,
+      ...parseTags(project.tags),
+    ].filter((value) => !!value).join(' ').toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
+
+/**
+ * Groups projects by their group, sorted by group name. Projects without
+ * group come first.
+ * @param {OptionsConfig[]} projects The project configurations
+ * @returns {{ group: string, projects: OptionsConfig[] }[]} The grouped project configurations
+ */
+export function groupProjects(projects) {
+  const groups = new Map();
+  projects.forEach((project) => {
+    const group = (project.group || '').trim();
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(project);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([group, members]) => ({ group, projects: members }));
+}
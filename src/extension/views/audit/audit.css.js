@@ -0,0 +1,127 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { css } from 'lit';
+
+export const style = css`
+  :host {
+    pointer-events: auto;
+  }
+
+  .container {
+    display: flex;
+    flex-direction: column;
+    width: 100%;
+    height: 100%;
+    padding: 0 16px 24px;
+    color: var(--spectrum-global-color-gray-800);
+    box-sizing: border-box;
+    overflow-y: auto;
+  }
+
+  .scores {
+    display: flex;
+    justify-content: center;
+    gap: 32px;
+    padding: 16px 0;
+  }
+
+  .score {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .score .value {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 64px;
+    height: 64px;
+    border: 4px solid;
+    border-radius: 50%;
+    font-size: 22px;
+    font-weight: 700;
+  }
+
+  .score.good .value {
+    color: rgb(45, 157, 120);
+  }
+
+  .score.average .value {
+    color: rgb(230, 134, 25);
+  }
+
+  .score.poor .value {
+    color: rgb(227, 72, 80);
+  }
+
+  .metrics {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 4px 16px;
+    margin: 0;
+    padding: 8px 0;
+    border-top: 1px solid var(--spectrum2-sidekick-border-color);
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  .metrics dt {
+    font-weight: 700;
+  }
+
+  .metrics dd {
+    margin: 0;
+    word-break: break-word;
+  }
+
+  h2 {
+    margin: 16px 0 8px;
+    font-size: 14px;
+  }
+
+  .issues {
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+
+  .issues li {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px 8px;
+    margin-bottom: 4px;
+    padding: 4px 8px;
+    border-left: 4px solid rgb(230, 134, 25);
+    border-radius: 4px;
+  }
+
+  .issues li.error {
+    border-left-color: rgb(227, 72, 80);
+  }
+
+  .issues .check {
+    font-weight: 700;
+  }
+
+  .issues .target {
+    word-break: break-word;
+  }
+
+  .issues .value {
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .message {
+    margin: 0;
+  }
+`;
@@ -0,0 +1,205 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { html, LitElement } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import '@spectrum-web-components/theme/scale-medium.js';
+import '@spectrum-web-components/theme/theme-dark.js';
+import '@spectrum-web-components/theme/theme-light.js';
+import '../../app/components/spectrum/theme/theme.js';
+import '../../app/components/theme/theme.js';
+import { fetchLanguageDict, getLanguage, i18n } from '../../app/utils/i18n.js';
+import { style } from './audit.css.js';
+import { spectrum2 } from '../../app/spectrum-2.css.js';
+import sampleRUM from '../../utils/rum.js';
+
+/**
+ * The lit template result type
+ * @typedef {import('lit').TemplateResult} TemplateResult
+ */
+
+/**
+ * @typedef {import('@Types').AuditIssue} AuditIssue
+ */
+
+/**
+ * @typedef {import('@Types').AuditReport} AuditReport
+ */
+
+/**
+ * Returns the rating of a score.
+ * @param {number} score The score (0 to 100)
+ * @returns {string} The rating ("good", "average" or "poor")
+ */
+function getRating(score) {
+  if (score >= 90) {
+    return 'good';
+  }
+  return score >= 50 ? 'average' : 'poor';
+}
+
+/**
+ * Requests the audit report from the sidekick which opened the view.
+ * @param {number} [timeout] The time in milliseconds to wait for the report
+ * @returns {Promise<AuditReport>} The audit report
+ */
+function requestReport(timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const onMessage = ({ data, source }) => {
+      if (source === window.parent && data?.report) {
+        window.clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        resolve(data.report);
+      }
+    };
+    timer = window.setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      reject(new Error('no audit report received'));
+    }, timeout);
+    window.addEventListener('message', onMessage);
+    window.parent.postMessage({ detail: { event: 'hlx-audit-report' } }, '*');
+  });
+}
+
+@customElement('page-audit-view')
+export class PageAuditView extends LitElement {
+  static get styles() {
+    return [spectrum2, style];
+  }
+
+  /**
+   * The language dictionary
+   * @type {Object}
+   */
+  @property({ type: Object, state: false })
+  accessor languageDict;
+
+  /**
+   * The audit report
+   * @type {AuditReport}
+   */
+  @property({ type: Object })
+  accessor report;
+
+  /**
+   * Has reading the report failed?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor failed = false;
+
+  async connectedCallback() {
+    super.connectedCallback();
+
+    const lang = getLanguage();
+    this.languageDict = await fetchLanguageDict(undefined, lang);
+
+    try {
+      this.report = await requestReport();
+      sampleRUM('sidekick:pageaudit:view');
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('error rendering view', e);
+      this.failed = true;
+    }
+  }
+
+  /**
+   * Renders the score of a category.
+   * @param {string} category The category
+   * @returns {TemplateResult} The rendered score
+   */
+  renderScore(category) {
+    const score = this.report.scores[category];
+    return html`
+      <div class="score ${getRating(score)}">
+        <span class="value">${score}</span>
+        <span class="label">${i18n(this.languageDict, `page_audit_${category}`)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the measured metrics.
+   * @returns {TemplateResult} The rendered metrics
+   */
+  renderMetrics() {
+    const { languageDict, report: { metrics } } = this;
+    return html`
+      <dl class="metrics">
+        <dt>${i18n(languageDict, 'page_audit_lcp')}</dt>
+        <dd>${typeof metrics.lcp === 'number' ? `${metrics.lcp} ms` : '–'}</dd>
+        ${metrics.lcpElement ? html`
+          <dt>${i18n(languageDict, 'page_audit_lcp_element')}</dt>
+          <dd>${metrics.lcpElement}</dd>
+        ` : ''}
+        <dt>${i18n(languageDict, 'page_audit_cls')}</dt>
+        <dd>${metrics.cls}</dd>
+        <dt>${i18n(languageDict, 'page_audit_blocking')}</dt>
+        <dd>${metrics.blocking}</dd>
+      </dl>
+    `;
+  }
+
+  /**
+   * Renders the issues of a category.
+   * @param {string} category The category
+   * @returns {TemplateResult} The rendered issues
+   */
+  renderIssues(category) {
+    const { languageDict } = this;
+    const issues = this.report.issues.filter((issue) => issue.category === category);
+    return html`
+      <h2>${i18n(languageDict, `page_audit_${category}`)}</h2>
+      ${issues.length === 0
+    ? html`<p class="message">${i18n(languageDict, 'page_audit_no_issues')}</p>`
+    : html`
+        <ul class="issues">
+          ${issues.map(({
+    check, severity, target, value,
+  }) => html`
+            <li class=${severity}>
+              <span class="check">${i18n(languageDict, `page_audit_check_${check}`)}</span>
+              ${target ? html`<span class="target">${target}</span>` : ''}
+              ${value ? html`<span class="value">${value}</span>` : ''}
+            </li>
+          `)}
+        </ul>
+      `}
+    `;
+  }
+
+  render() {
+    const { languageDict, report } = this;
+    let content;
+    if (this.failed) {
+      content = html`<p class="message">${i18n(languageDict, 'page_audit_error')}</p>`;
+    } else if (report) {
+      content = html`
+        <div class="scores">
+          ${this.renderScore('performance')}
+          ${this.renderScore('accessibility')}
+        </div>
+        ${this.renderMetrics()}
+        ${this.renderIssues('performance')}
+        ${this.renderIssues('accessibility')}
+      `;
+    }
+    return html`
+      <theme-wrapper>
+        <div class="container">
+          ${content || ''}
+        </div>
+      </theme-wrapper>
+    `;
+  }
+}
@@ -0,0 +1,198 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { css } from 'lit';
+
+export const style = css`
+  :host {
+    pointer-events: auto;
+  }
+
+  .container {
+    display: flex;
+    flex-direction: column;
+    width: 100%;
+    height: 100%;
+    color: var(--spectrum-global-color-gray-800);
+    box-sizing: border-box;
+    overflow-y: auto;
+  }
+
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    height: 64px;
+    padding-left: 16px;
+    padding-right: 16px;
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .header .left {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    min-width: 324px;
+  }
+
+  .header .right {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    justify-content: flex-end;
+    min-width: 30px;
+  }
+
+  .header svg {
+    width: 32px;
+    height: 32px;
+  }
+
+  .header h1 {
+    font-size: 14px;
+    font-weight: 400;
+    flex-grow: 1;
+  }
+
+  .header h1 span {
+    padding-left: 5px;
+    font-weight: 700;
+  }
+
+  .header button {
+    background-color: transparent;
+    border: none;
+    border-radius: 50%;
+    width: 32px;
+    height: 32px;
+  }
+
+  .header button:hover {
+    background-color: rgba(255, 255, 255, 0.1);
+  }
+
+  .header button:active {
+    background-color: rgba(255, 255, 255, 0.2);
+  }
+
+  .actions {
+    padding: 16px;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+
+  .actions sp-action-group {
+    background-color: var(--spectrum2-sidekick-layer-2);
+    padding: 2px;
+    border-radius: var(--spectrum2-default-border-radius);
+  }
+
+  .actions sp-action-group sp-action-button {
+    border-radius: 6px;
+    border: 0px;
+    background-color: transparent;
+  }
+
+  .actions sp-action-group sp-action-button[selected] {
+    background-color: var(--spectrum2-sidekick-background-pasteboard);
+    color: var(--spectrum-white-color);
+  }
+
+  .actions .stats {
+    display: flex;
+    justify-content: flex-end;
+  }
+
+  .columns,
+  .row {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 16px;
+    padding: 0 16px;
+  }
+
+  .columns h2 {
+    margin: 0 0 8px;
+    font-size: 14px;
+    font-weight: 700;
+  }
+
+  .diff {
+    padding-bottom: 40px;
+  }
+
+  .row {
+    margin-bottom: 4px;
+  }
+
+  .cell {
+    padding: 8px;
+    border-radius: var(--spectrum2-default-border-radius);
+    border-left: 4px solid transparent;
+    min-width: 0;
+  }
+
+  .cell .label {
+    display: block;
+    font-size: 11px;
+    font-weight: 700;
+    text-transform: uppercase;
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .cell .text {
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+
+  .cell.block {
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .cell.section {
+    border-bottom: 1px dashed var(--spectrum2-sidekick-border-color);
+  }
+
+  .row.added .cell:not(.empty) {
+    background-color: rgba(45, 157, 120, 0.2);
+    border-left-color: rgb(45, 157, 120);
+  }
+
+  .row.removed .cell:not(.empty) {
+    background-color: rgba(227, 72, 80, 0.2);
+    border-left-color: rgb(227, 72, 80);
+  }
+
+  .row.changed .cell {
+    background-color: rgba(230, 134, 25, 0.15);
+    border-left-color: rgb(230, 134, 25);
+  }
+
+  .row.unchanged .cell {
+    opacity: 0.7;
+  }
+
+  del {
+    background-color: rgba(227, 72, 80, 0.4);
+  }
+
+  ins {
+    background-color: rgba(45, 157, 120, 0.4);
+    text-decoration: none;
+  }
+
+  .message {
+    padding: 0 16px;
+  }
+`;
@@ -0,0 +1,308 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { html, LitElement } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import '@spectrum-web-components/theme/scale-medium.js';
+import '@spectrum-web-components/theme/theme-dark.js';
+import '@spectrum-web-components/theme/theme-light.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/action-group/sp-action-group.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-close.js';
+import '../../app/components/spectrum/theme/theme.js';
+import '../../app/components/theme/theme.js';
+import { fetchLanguageDict, getLanguage, i18n } from '../../app/utils/i18n.js';
+import {
+  diffContent, diffMetadata, diffWords, getMetadata,
+} from '../../app/utils/diff.js';
+import { style } from './diff.css.js';
+import { spectrum2 } from '../../app/spectrum-2.css.js';
+import sampleRUM from '../../utils/rum.js';
+
+/**
+ * The lit template result type
+ * @typedef {import('lit').TemplateResult} TemplateResult
+ */
+
+/**
+ * @typedef {import('@Types').DiffEntry} DiffEntry
+ */
+
+/**
+ * Returns the URL of the <code>.plain.html</code> resource for a page URL.
+ * @param {string} url The page URL
+ * @returns {string} The plain URL
+ */
+function getPlainUrl(url) {
+  const plainUrl = new URL(url);
+  plainUrl.pathname = plainUrl.pathname.endsWith('/')
+    ? `${plainUrl.pathname}index.plain.html`
+    : `${plainUrl.pathname}.plain.html`;
+  plainUrl.search = '';
+  plainUrl.hash = '';
+  return plainUrl.toString();
+}
+
+/**
+ * Fetches and parses an HTML document. A missing document is treated as empty.
+ * @param {string} url The document URL
+ * @returns {Promise<Document>} The document
+ */
+async function fetchDocument(url) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (res.status === 404) {
+    return new DOMParser().parseFromString('', 'text/html');
+  }
+  if (!res.ok) {
+    throw new Error(`failed to load ${url}: ${res.status}`);
+  }
+  return new DOMParser().parseFromString(await res.text(), 'text/html');
+}
+
+@customElement('diff-view')
+export class DiffView extends LitElement {
+  static get styles() {
+    return [spectrum2, style];
+  }
+
+  /**
+   * The language dictionary
+   * @type {Object}
+   */
+  @property({ type: Object, state: false })
+  accessor languageDict;
+
+  /**
+   * The content differences between live and preview
+   * @type {DiffEntry[]}
+   */
+  @property({ type: Array })
+  accessor contentDiff;
+
+  /**
+   * The metadata differences between live and preview
+   * @type {DiffEntry[]}
+   */
+  @property({ type: Array })
+  accessor metadataDiff;
+
+  /**
+   * Has loading failed?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor failed = false;
+
+  /**
+   * The selected tab index
+   * @type {number}
+   */
+  @property({ type: Number })
+  accessor selectedTabIndex = 0;
+
+  async connectedCallback() {
+    super.connectedCallback();
+
+    const lang = getLanguage();
+    this.languageDict = await fetchLanguageDict(undefined, lang);
+
+    try {
+      const { searchParams } = new URL(window.location.href);
+      const previewUrl = searchParams.get('preview');
+      const liveUrl = searchParams.get('live');
+      if (previewUrl && liveUrl) {
+        const [livePlain, previewPlain, liveFull, previewFull] = await Promise.all([
+          fetchDocument(getPlainUrl(liveUrl)),
+          fetchDocument(getPlainUrl(previewUrl)),
+          fetchDocument(liveUrl),
+          fetchDocument(previewUrl),
+        ]);
+        this.contentDiff = diffContent(livePlain, previewPlain);
+        this.metadataDiff = diffMetadata(getMetadata(liveFull), getMetadata(previewFull));
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('error rendering view', e);
+      this.failed = true;
+    }
+  }
+
+  /**
+   * Renders the text of a changed item with its word-level differences.
+   * @param {string} before The old text
+   * @param {string} after The new text
+   * @param {string} side The side to render ("before" or "after")
+   * @returns {Array<TemplateResult|string>} The rendered words
+   */
+  renderWords(before, after, side) {
+    return diffWords(before, after).map(({ type, before: oldWord, after: newWord }) => {
+      if (type === 'unchanged') {
+        return oldWord;
+      }
+      if (type === 'removed') {
+        return side === 'before' ? html`<del>${oldWord}</del>` : '';
+      }
+      return side === 'after' ? html`<ins>${newWord}</ins>` : '';
+    });
+  }
+
+  /**
+   * Renders one side of a content diff entry.
+   * @param {DiffEntry} entry The diff entry
+   * @param {string} side The side to render ("before" or "after")
+   * @returns {TemplateResult} The rendered cell
+   */
+  renderCell(entry, side) {
+    const unit = entry[side];
+    if (!unit) {
+      return html`<div class="cell empty"></div>`;
+    }
+    if (unit.type === 'section') {
+      return html`<div class="cell section"><span class="label">${i18n(this.languageDict, 'content_diff_section')}</span></div>`;
+    }
+    const text = entry.type === 'changed'
+      ? this.renderWords(entry.before.text, entry.after.text, side)
+      : unit.text;
+    return html`
+      <div class="cell ${unit.type}">
+        <span class="label">${unit.name}</span>
+        <div class="text">${text}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders diff entries side by side.
+   * @param {DiffEntry[]} entries The diff entries
+   * @returns {TemplateResult} The rendered diff
+   */
+  renderRows(entries) {
+    return html`
+      <div class="diff">
+        ${entries.map((entry) => html`
+          <div class="row ${entry.type}">
+            ${this.renderCell(entry, 'before')}
+            ${this.renderCell(entry, 'after')}
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the metadata differences side by side.
+   * @returns {TemplateResult} The rendered metadata diff
+   */
+  renderMetadata() {
+    const toUnit = (name, text) => (text !== undefined ? { type: 'metadata', name, text } : null);
+    return this.renderRows(this.metadataDiff.map(({
+      type, name, before, after,
+    }) => ({
+      type,
+      before: toUnit(name, before),
+      after: toUnit(name, after),
+    })));
+  }
+
+  /**
+   * Renders the diff data.
+   * @returns {TemplateResult[]} The rendered elements
+   */
+  renderData() {
+    const { contentDiff, metadataDiff, languageDict } = this;
+    const { searchParams } = new URL(window.location.href);
+
+    /** @type {TemplateResult[]} */
+    const elements = [html`
+      <div class="header">
+        <div class="left">
+        <svg width="250" height="245" viewBox="0 0 250 245" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M47.5 3H202.5C226 3 245 22 245 45.5V194.5C245 218 226 237 202.5 237H47.5C24 237 5 218 5 194.5V45.5C5 22 24 3 47.5 3Z" fill="black"/>
+          <path d="M192 179H163C160.3 179.2 157.9 177.5 157 175L126 103C126 102.4 125.6 102 125 102C124.4 102 124 102.4 124 103L104 149C104 150.1 104.9 151 106 151H127C128.3 150.9 129.6 151.7 130 153L139 174C139.6 176.1 138.4 178.3 136.2 178.9C136.1 178.9 136 178.9 136 179H59C56.8 178.5 55.5 176.4 55.9 174.2C55.9 174.1 55.9 174 56 174L105 57C106.1 54.7 108.4 53.1 111 53H139C141.6 53.1 143.9 54.7 145 57L195 174C195.6 176.1 194.4 178.3 192.2 178.9C192.2 179 192.1 179 192 179Z" fill="#FA0F00"/>
+        </svg>
+        <h1>Adobe Experience Manager Sites <span>${searchParams.get('title')}</span></h1>
+        </div>
+        <div class="right">
+          <button variant="primary" @click=${this.onCloseView}><sp-icon-close></sp-icon-close></button>
+        </div>
+      </div>
+    `];
+
+    if (this.failed) {
+      elements.push(html`<p class="message">${i18n(languageDict, 'content_diff_error')}</p>`);
+      return elements;
+    }
+    if (!contentDiff || !metadataDiff) {
+      return elements;
+    }
+
+    const entries = this.selectedTabIndex === 0 ? contentDiff : metadataDiff;
+    const count = (type) => `${entries.filter((entry) => entry.type === type).length}`;
+    const stats = i18n(languageDict, 'content_diff_stats')
+      .replace('$1', count('added'))
+      .replace('$2', count('removed'))
+      .replace('$3', count('changed'));
+
+    elements.push(html`
+      <div class="actions">
+        <sp-action-group selects="single" @change=${this.onSelectionChange}>
+          <sp-action-button value="0" .selected=${this.selectedTabIndex === 0}>${i18n(languageDict, 'content_diff_content')}</sp-action-button>
+          <sp-action-button value="1" .selected=${this.selectedTabIndex === 1}>${i18n(languageDict, 'content_diff_metadata')}</sp-action-button>
+        </sp-action-group>
+        <div class="stats">
+          <p>${stats}</p>
+        </div>
+      </div>
+      <div class="columns">
+        <h2>${i18n(languageDict, 'live')}</h2>
+        <h2>${i18n(languageDict, 'preview')}</h2>
+      </div>
+    `);
+
+    if (entries.every(({ type }) => type === 'unchanged')) {
+      elements.push(html`<p class="message">${i18n(languageDict, 'content_diff_no_changes')}</p>`);
+    }
+    elements.push(this.selectedTabIndex === 0
+      ? this.renderRows(contentDiff)
+      : this.renderMetadata());
+
+    return elements;
+  }
+
+  /**
+   * Handle the tab change event
+   * @param {Event} event The change event
+   */
+  onSelectionChange(event) {
+    // @ts-ignore
+    this.selectedTabIndex = parseInt(event.target.selected[0], 10);
+    sampleRUM('sidekick:diffview:switch-tab');
+  }
+
+  /**
+   * Close the diff view
+   */
+  onCloseView() {
+    const customEventDetail = { detail: { event: 'hlx-close-view' } };
+    window.parent.postMessage(customEventDetail, '*');
+    sampleRUM('sidekick:diffview:close');
+  }
+
+  render() {
+    return html`
+      <theme-wrapper>
+        <div class="container">
+          ${this.renderData()}
+        </div>
+      </theme-wrapper>
+    `;
+  }
+}
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2022 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { toBlockCSSClassNames, classNameToBlockName } from './blocks.js';
+import { scrollToElement } from './outline.js';
+
+/**
+ * Returns the text of an element including the file names of its images.
+ * @param {Element} el The element
+ * @returns {string} The text
+ */
+const getText = (el) => {
+  const images = Array.from(el.querySelectorAll('img'))
+    .map((img) => `[${img.getAttribute('src').split('?')[0].split('/').pop()}]`);
+  return [el.textContent.replace(/\s+/g, ' ').trim(), ...images].filter((t) => !!t).join(' ');
+};
+
+/**
+ * Returns the content units of the editor content (blocks as tables, sections separated
+ * by hr): section breaks, blocks and default content elements.
+ * @param {HTMLElement} container The container element
+ * @returns {Object[]} The content units
+ */
+export const getUnits = (container) => {
+  const units = [];
+  const walk = (el) => {
+    Array.from(el.children).forEach((child) => {
+      if (child.tagName === 'DIV') {
+        walk(child);
+      } else if (child.tagName === 'HR') {
+        units.push({ type: 'section', name: '', text: '' });
+      } else if (child.tagName === 'TABLE' && child.querySelector('th')) {
+        const [className = '', ...variants] = toBlockCSSClassNames(child.querySelector('th').textContent);
+        const name = classNameToBlockName([className, ...variants]);
+        const text = Array.from(child.querySelectorAll('tbody > tr'))
+          .map((tr) => Array.from(tr.children).map(getText).join(' | '))
+          .join('\n');
+        units.push({
+          type: 'block', name, text, element: child,
+        });
+      } else if (getText(child)) {
+        units.push({
+          type: 'content', name: child.tagName.toLowerCase(), text: getText(child), element: child,
+        });
+      }
+    });
+  };
+  walk(container);
+  return units;
+};
+
+/**
+ * Computes the changes between two lists of content units. Removed and added units
+ * of the same type and name next to each other are combined into a change.
+ * @param {Object[]} before The original units
+ * @param {Object[]} after The current units
+ * @returns {Object[]} The diff entries with type <code>added</code>, <code>removed</code>,
+ * <code>changed</code> or <code>unchanged</code>
+ */
+export const diffUnits = (before, after) => {
+  const key = ({ type, name, text }) => `${type}|${name}|${text}`;
+  const lengths = Array.from(
+    { length: before.length + 1 },
+    () => new Array(after.length + 1).fill(0),
+  );
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = key(before[i]) === key(after[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && key(before[i]) === key(after[j])) {
+      entries.push({ type: 'unchanged', before: before[i], after: after[j] });
+      i += 1;
+      j += 1;
+    } else if (j >= after.length || (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      entries.push({ type: 'removed', before: before[i] });
+      i += 1;
+    } else {
+      entries.push({ type: 'added', after: after[j] });
+      j += 1;
+    }
+  }
+  // combine removed and added units of the same kind
+  return entries.reduce((result, entry) => {
+    const previous = result[result.length - 1];
+    if (entry.type === 'added' && previous?.type === 'removed'
+      && previous.before.type === entry.after.type
+      && previous.before.name === entry.after.name) {
+      result[result.length - 1] = { type: 'changed', before: previous.before, after: entry.after };
+    } else {
+      result.push(entry);
+    }
+    return result;
+  }, []);
+};
+
+/**
+ * Returns the blocks which were added or changed.
+ * @param {Object[]} entries The diff entries
+ * @returns {HTMLTableElement[]} The blocks as tables
+ */
+export const getChangedBlocks = (entries) => entries
+  .filter(({ type, after }) => ['added', 'changed'].includes(type) && after.type === 'block')
+  .map(({ after }) => after.element);
+
+/**
+ * Renders the changes into the provided container.
+ * @param {HTMLElement} container The container element
+ * @param {Object[]} entries The diff entries
+ */
+export const renderChanges = (container, entries) => {
+  container.innerHTML = '';
+  const h2 = container.appendChild(document.createElement('h2'));
+  h2.textContent = chrome.i18n.getMessage('doc_source_changes');
+
+  const hint = container.appendChild(document.createElement('p'));
+  hint.textContent = chrome.i18n.getMessage('doc_source_changes_hint');
+
+  const changes = entries.filter(({ type }) => type !== 'unchanged');
+  if (changes.length === 0) {
+    const p = container.appendChild(document.createElement('p'));
+    p.textContent = chrome.i18n.getMessage('doc_source_no_changes');
+    return;
+  }
+
+  const ul = container.appendChild(document.createElement('ul'));
+  changes.forEach(({ type, before, after }) => {
+    const unit = after || before;
+    const li = ul.appendChild(document.createElement('li'));
+    li.className = type;
+    const label = li.appendChild(document.createElement(after?.element ? 'button' : 'span'));
+    label.className = 'label';
+    label.textContent = `${chrome.i18n.getMessage(`doc_source_change_${type}`)}: ${
+      unit.type === 'section' ? chrome.i18n.getMessage('doc_source_section_break') : unit.name}`;
+    if (after?.element) {
+      label.addEventListener('click', () => scrollToElement(after.element));
+    }
+    if (before?.text) {
+      const del = li.appendChild(document.createElement('del'));
+      del.textContent = before.text;
+    }
+    if (after?.text) {
+      const ins = li.appendChild(document.createElement('ins'));
+      ins.textContent = after.text;
+    }
+  });
+};
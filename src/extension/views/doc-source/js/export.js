@@ -0,0 +1,240 @@
+/*
+ * Copyright 2022 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { classNameToBlockName, toBlockCSSClassNames } from './blocks.js';
+
+const BLOCK_TAGS = [
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'HR', 'TABLE', 'DIV',
+];
+
+/**
+ * Escapes the characters with a special meaning in Markdown.
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]|<])/g, '\\$1');
+
+/**
+ * Converts an inline node to Markdown.
+ * @param {Node} node The node
+ * @returns {string} The Markdown
+ */
+const inlineToMarkdown = (node) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+  const el = /** @type {HTMLElement} */ (node);
+  const content = () => Array.from(el.childNodes).map(inlineToMarkdown).join('');
+  switch (el.tagName) {
+    case 'STRONG':
+    case 'B':
+      return `**${content().trim()}**`;
+    case 'EM':
+    case 'I':
+      return `*${content().trim()}*`;
+    case 'S':
+    case 'DEL':
+      return `~~${content().trim()}~~`;
+    case 'CODE':
+      return `\`${el.textContent}\``;
+    case 'A':
+      return `[${content().trim()}](${el.getAttribute('href') || ''})`;
+    case 'IMG':
+      return `![${escapeMarkdown(el.getAttribute('alt') || '')}](${/** @type {HTMLImageElement} */ (el).src})`;
+    case 'BR':
+      return '\\\n';
+    default:
+      return content();
+  }
+};
+
+/**
+ * Converts the children of an element to Markdown, separating block level content.
+ * @param {HTMLElement} el The element
+ * @param {string} [separator] The separator between blocks
+ * @returns {string} The Markdown
+ */
+const childrenToMarkdown = (el, separator = '\n\n') => {
+  const blocks = [];
+  let inline = '';
+  const flushInline = () => {
+    if (inline.trim()) {
+      blocks.push(inline.trim());
+    }
+    inline = '';
+  };
+  el.childNodes.forEach((child) => {
+    // @ts-ignore
+    if (BLOCK_TAGS.includes(child.tagName)) {
+      flushInline();
+      // eslint-disable-next-line no-use-before-define
+      const block = blockToMarkdown(/** @type {HTMLElement} */ (child));
+      if (block) {
+        blocks.push(block);
+      }
+    } else {
+      inline += inlineToMarkdown(child);
+    }
+  });
+  flushInline();
+  return blocks.join(separator);
+};
+
+/**
+ * Converts a block as table into a grid table with the block name as header.
+ * @param {string} header The header (block name)
+ * @param {string[][]} rows The Markdown of the cells by row
+ * @returns {string} The grid table
+ */
+const toGridTable = (header, rows) => {
+  const cols = Math.max(1, ...rows.map((row) => row.length));
+  const cells = rows.map((row) => Array.from({ length: cols }, (_, i) => (row[i] || '').split('\n')));
+  const widths = Array.from({ length: cols }, (_, i) => Math.max(
+    3,
+    ...cells.map((row) => Math.max(...row[i].map((line) => line.length))),
+  ));
+  const getWidth = () => widths.reduce((sum, width) => sum + width, 0) + 3 * (cols - 1);
+  if (header.length > getWidth()) {
+    widths[cols - 1] += header.length - getWidth();
+  }
+  const width = getWidth();
+  const border = (char) => `+${widths.map((w) => char.repeat(w + 2)).join('+')}+`;
+  const lines = [
+    `+${'-'.repeat(width + 2)}+`,
+    `| ${header.padEnd(width)} |`,
+    border('='),
+  ];
+  cells.forEach((row) => {
+    const height = Math.max(...row.map((cell) => cell.length));
+    for (let i = 0; i < height; i += 1) {
+      lines.push(`| ${row.map((cell, j) => (cell[i] || '').padEnd(widths[j])).join(' | ')} |`);
+    }
+    lines.push(border('-'));
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Converts a list to Markdown.
+ * @param {HTMLElement} list The list element
+ * @returns {string} The Markdown
+ */
+const listToMarkdown = (list) => Array.from(list.children)
+  .filter((li) => li.tagName === 'LI')
+  .map((li, index) => {
+    const marker = list.tagName === 'OL' ? `${index + 1}.` : '-';
+    const indent = ' '.repeat(marker.length + 1);
+    const content = childrenToMarkdown(/** @type {HTMLElement} */ (li), '\n')
+      .split('\n')
+      .map((line, i) => (i > 0 && line ? `${indent}${line}` : line))
+      .join('\n');
+    return `${marker} ${content}`;
+  })
+  .join('\n');
+
+/**
+ * Converts a block level element to Markdown.
+ * @param {HTMLElement} el The element
+ * @returns {string} The Markdown
+ */
+const blockToMarkdown = (el) => {
+  switch (el.tagName) {
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+      return `${'#'.repeat(+el.tagName.charAt(1))} ${childrenToMarkdown(el, ' ')}`;
+    case 'UL':
+    case 'OL':
+      return listToMarkdown(el);
+    case 'PRE':
+      return `\`\`\`\n${el.textContent.replace(/\n$/, '')}\n\`\`\``;
+    case 'BLOCKQUOTE':
+      return childrenToMarkdown(el).split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+    case 'HR':
+      return '---';
+    case 'TABLE': {
+      const th = el.querySelector('th');
+      const rows = Array.from(el.querySelectorAll('tbody > tr'))
+        .map((tr) => Array.from(tr.children)
+          .map((td) => childrenToMarkdown(/** @type {HTMLElement} */ (td))));
+      return toGridTable(th ? th.textContent.trim() : '', rows);
+    }
+    default:
+      return childrenToMarkdown(el);
+  }
+};
+
+/**
+ * Converts the content of the editor (blocks as tables, sections separated by hr)
+ * to Markdown, with blocks as grid tables and sections separated by <code>---</code>.
+ * @param {HTMLElement} editor The editor element
+ * @returns {string} The Markdown
+ */
+export const editionToMarkdown = (editor) => `${childrenToMarkdown(editor)}\n`;
+
+/**
+ * Converts a block as table to its JSON representation.
+ * @param {HTMLTableElement} table The block as table
+ * @returns {Object} The block
+ */
+const tableToBlock = (table) => {
+  const th = table.querySelector('th');
+  const [className = '', ...variants] = toBlockCSSClassNames(th ? th.textContent : '');
+  return {
+    type: 'block',
+    name: classNameToBlockName([className]),
+    className,
+    variants,
+    rows: Array.from(table.querySelectorAll('tbody > tr'))
+      .map((tr) => Array.from(tr.children).map((td) => td.innerHTML.trim())),
+  };
+};
+
+/**
+ * Converts the content of the editor (blocks as tables, sections separated by hr)
+ * to a list of sections with their default content and blocks.
+ * @param {HTMLElement} editor The editor element
+ * @param {string} url The url of the page
+ * @returns {Object} The page structure
+ */
+export const editionToJSON = (editor, url) => {
+  const sections = [{ content: [] }];
+  const walk = (el) => {
+    Array.from(el.children).forEach((child) => {
+      if (child.tagName === 'DIV') {
+        walk(child);
+      } else if (child.tagName === 'HR') {
+        sections.push({ content: [] });
+      } else if (child.tagName === 'TABLE' && child.querySelector('th')) {
+        const block = tableToBlock(/** @type {HTMLTableElement} */ (child));
+        sections[sections.length - 1].content.push(block);
+      } else if (child.textContent.trim() || child.querySelector('img')) {
+        sections[sections.length - 1].content.push({
+          type: 'default',
+          tag: child.tagName.toLowerCase(),
+          html: child.outerHTML,
+        });
+      }
+    });
+  };
+  walk(editor);
+  return {
+    url,
+    sections: sections.filter(({ content }) => content.length > 0),
+  };
+};
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2022 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Creates an edit history with undo and redo.
+ * @param {string} initial The initial state
+ * @param {number} [limit] The maximum number of states to keep
+ * @returns {Object} The edit history
+ */
+export const createHistory = (initial, limit = 100) => {
+  const states = [initial];
+  let index = 0;
+  return {
+    /**
+     * Returns the current state.
+     * @returns {string} The state
+     */
+    current: () => states[index],
+
+    /**
+     * Adds a new state, discarding all states after the current one.
+     * @param {string} state The state
+     * @returns {boolean} <code>true</code> if the state was added, else <code>false</code>
+     */
+    push: (state) => {
+      if (state === states[index]) {
+        return false;
+      }
+      states.splice(index + 1, states.length, state);
+      if (states.length > limit) {
+        states.shift();
+      }
+      index = states.length - 1;
+      return true;
+    },
+
+    /**
+     * Goes back to the previous state.
+     * @returns {string} The previous state, or the current state if there is none
+     */
+    undo: () => {
+      index = Math.max(0, index - 1);
+      return states[index];
+    },
+
+    /**
+     * Goes forward to the next state.
+     * @returns {string} The next state, or the current state if there is none
+     */
+    redo: () => {
+      index = Math.min(states.length - 1, index + 1);
+      return states[index];
+    },
+
+    /**
+     * Checks if there is a previous state.
+     * @returns {boolean} <code>true</code> if undo is possible, else <code>false</code>
+     */
+    canUndo: () => index > 0,
+
+    /**
+     * Checks if there is a next state.
+     * @returns {boolean} <code>true</code> if redo is possible, else <code>false</code>
+     */
+    canRedo: () => index < states.length - 1,
+  };
+};
@@ -0,0 +1,180 @@
+/*
+ * Copyright 2022 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { classNameToBlockName, toBlockCSSClassNames } from './blocks.js';
+
+/**
+ * Returns the outline of the content in the editor (blocks as tables, sections separated
+ * by hr): the headings and blocks per section, the number of blocks by name and the metadata.
+ * @param {HTMLElement} editor The editor element
+ * @returns {Object} The outline
+ */
+export const getOutline = (editor) => {
+  const sections = [{ element: null, items: [] }];
+  const blockCounts = {};
+  let metadata = [];
+  const tables = editor.querySelectorAll('table');
+  const lastTable = tables[tables.length - 1];
+  const walk = (el) => {
+    Array.from(el.children).forEach((child) => {
+      const section = sections[sections.length - 1];
+      if (child.tagName === 'DIV') {
+        walk(child);
+        return;
+      }
+      if (child.tagName === 'HR') {
+        sections.push({ element: null, items: [] });
+        return;
+      }
+      if (!section.element) {
+        section.element = child;
+      }
+      if (/^H[1-6]$/.test(child.tagName) && child.textContent.trim()) {
+        section.items.push({
+          type: 'heading',
+          level: +child.tagName.charAt(1),
+          text: child.textContent.trim(),
+          element: child,
+        });
+      } else if (child.tagName === 'TABLE' && child.querySelector('th')) {
+        const [className = '', ...variants] = toBlockCSSClassNames(child.querySelector('th').textContent);
+        const name = classNameToBlockName([className]);
+        if (className === 'metadata' && child === lastTable) {
+          // page metadata
+          metadata = Array.from(child.querySelectorAll('tbody > tr'))
+            .map((tr) => Array.from(tr.children).map((td) => td.textContent.trim()))
+            .map(([key = '', value = '']) => ({ name: key, value }));
+          return;
+        }
+        blockCounts[name] = (blockCounts[name] || 0) + 1;
+        section.items.push({
+          type: 'block',
+          name,
+          variants,
+          element: child,
+        });
+      }
+    });
+  };
+  walk(editor);
+  return {
+    sections: sections.filter(({ element }) => !!element),
+    blockCounts,
+    metadata,
+  };
+};
+
+/**
+ * Scrolls an element in the editor into view and highlights it briefly.
+ * @param {HTMLElement} element The element
+ */
+export const scrollToElement = (element) => {
+  element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  element.classList.add('outline-highlight');
+  setTimeout(() => {
+    element.classList.remove('outline-highlight');
+    if (!element.classList.length) {
+      element.removeAttribute('class');
+    }
+  }, 1500);
+};
+
+/**
+ * Creates an outline entry which scrolls to its element when clicked.
+ * @param {string} text The text
+ * @param {HTMLElement} element The element to scroll to
+ * @param {string} className The css class name
+ * @returns {HTMLLIElement} The outline entry
+ */
+const createEntry = (text, element, className) => {
+  const li = document.createElement('li');
+  li.className = className;
+  const button = li.appendChild(document.createElement('button'));
+  button.textContent = text;
+  button.title = text;
+  button.addEventListener('click', () => scrollToElement(element));
+  return li;
+};
+
+/**
+ * Creates a titled panel of the outline.
+ * @param {string} title The title
+ * @returns {HTMLElement} The panel
+ */
+const createPanel = (title) => {
+  const panel = document.createElement('section');
+  const h2 = panel.appendChild(document.createElement('h2'));
+  h2.textContent = title;
+  return panel;
+};
+
+/**
+ * Renders the outline into the provided container.
+ * @param {HTMLElement} container The container element
+ * @param {Object} outline The outline (see {@link getOutline})
+ */
+export const renderOutline = (container, { sections, blockCounts, metadata }) => {
+  container.innerHTML = '';
+
+  // block inventory
+  const blocksPanel = container.appendChild(createPanel(chrome.i18n.getMessage('doc_source_outline_blocks')));
+  const names = Object.keys(blockCounts).sort();
+  if (names.length > 0) {
+    const ul = blocksPanel.appendChild(document.createElement('ul'));
+    names.forEach((name) => {
+      const li = ul.appendChild(document.createElement('li'));
+      li.className = 'count';
+      li.textContent = name;
+      const count = li.appendChild(document.createElement('span'));
+      count.textContent = `${blockCounts[name]}`;
+    });
+  } else {
+    const p = blocksPanel.appendChild(document.createElement('p'));
+    p.textContent = chrome.i18n.getMessage('doc_source_outline_no_blocks');
+  }
+
+  // sections with headings and blocks
+  const outlinePanel = container.appendChild(createPanel(chrome.i18n.getMessage('doc_source_outline')));
+  const ul = outlinePanel.appendChild(document.createElement('ul'));
+  sections.forEach(({ element, items }, index) => {
+    const sectionEntry = ul.appendChild(createEntry(
+      chrome.i18n.getMessage('doc_source_outline_section', [`${index + 1}`]),
+      element,
+      'section',
+    ));
+    const itemList = sectionEntry.appendChild(document.createElement('ul'));
+    items.forEach((item) => {
+      if (item.type === 'heading') {
+        itemList.appendChild(createEntry(item.text, item.element, `heading level-${item.level}`));
+      } else {
+        const entry = itemList.appendChild(createEntry(item.name, item.element, 'block'));
+        item.variants.forEach((variant) => {
+          const span = entry.appendChild(document.createElement('span'));
+          span.className = 'variant';
+          span.textContent = variant;
+        });
+      }
+    });
+  });
+
+  // page metadata
+  if (metadata.length > 0) {
+    const metadataPanel = container.appendChild(createPanel(chrome.i18n.getMessage('doc_source_outline_metadata')));
+    const dl = metadataPanel.appendChild(document.createElement('dl'));
+    metadata.forEach(({ name, value }) => {
+      const dt = dl.appendChild(document.createElement('dt'));
+      dt.textContent = name;
+      const dd = dl.appendChild(document.createElement('dd'));
+      dd.textContent = value;
+    });
+  }
+};
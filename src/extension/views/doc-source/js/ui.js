@@ -17,6 +17,12 @@ import {
   removeSectionBreaks,
   addMetadataBlock,
 } from './blocks.js';
+import { editionToJSON, editionToMarkdown } from './export.js';
+import { getOutline, renderOutline } from './outline.js';
+import { createHistory } from './history.js';
+import {
+  diffUnits, getChangedBlocks, getUnits, renderChanges,
+} from './changes.js';
 
 import sampleRUM from '../../../utils/rum.js';
 
@@ -45,6 +51,13 @@ const sendMessage = async (message) => {
 
 const getEditorElement = () => document.getElementById('editor');
 
+/**
+ * Updates the outline sidebar with the current content of the editor
+ */
+const updateOutline = () => {
+  renderOutline(document.getElementById('outline'), getOutline(getEditorElement()));
+};
+
 const getHTMLForCopy = (html) => html.replace(/<hr>/gm, '---');
 
 /**
@@ -64,6 +77,31 @@ const copyHTMLToClipboard = (html) => {
   document.removeEventListener('copy', callback);
 };
 
+/**
+ * Returns the name of an export file based on the url of the page
+ * @param {string} url The url of the page
+ * @param {string} extension The file extension
+ * @returns {string} The file name
+ */
+const getExportFileName = (url, extension) => {
+  const name = new URL(url).pathname.split('/').pop().replace(/\.[^.]*$/, '') || 'index';
+  return `${name}.${extension}`;
+};
+
+/**
+ * Downloads the provided content as a file
+ * @param {string} content The file content
+ * @param {string} type The content type
+ * @param {string} fileName The file name
+ */
+const downloadFile = (content, type, fileName) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
 /**
  * Converts the source HTML (~Pipeline output) to HTML friendly for edition.
  * While the header and footer are not needed (only the main is), the head is needed to
@@ -170,6 +208,7 @@ const loadEditor = async (url) => {
   editor.innerHTML = main.innerHTML;
 
   makeStylesReadyForCopy(editor);
+  updateOutline();
 };
 
 /**
@@ -223,9 +262,62 @@ const load = async () => {
     files: ['/views/doc-source/js/content.js'],
   });
 
-  loadEditor(tab.url);
-
   const editor = getEditorElement();
+  const undoButton = /** @type {HTMLButtonElement} */ (document.getElementById('undo'));
+  const redoButton = /** @type {HTMLButtonElement} */ (document.getElementById('redo'));
+  const resetButton = /** @type {HTMLButtonElement} */ (document.getElementById('reset'));
+  const copyChangesButton = /** @type {HTMLButtonElement} */ (document.getElementById('copy-changes'));
+
+  // edit history and changes compared to the originally loaded main
+  let original = '';
+  let originalUnits = [];
+  let changes = [];
+  let history = createHistory(original);
+
+  const updateEditState = () => {
+    undoButton.disabled = !history.canUndo();
+    redoButton.disabled = !history.canRedo();
+    resetButton.disabled = editor.innerHTML === original;
+    changes = diffUnits(originalUnits, getUnits(editor));
+    copyChangesButton.disabled = getChangedBlocks(changes).length === 0;
+    renderChanges(document.getElementById('changes'), changes);
+  };
+
+  const applyEdit = () => {
+    sendMessage({ fct: 'setMain', params: { html: htmlEditionToSource() } });
+    updateOutline();
+    updateEditState();
+  };
+
+  const recordEdit = () => {
+    if (history.push(editor.innerHTML)) {
+      applyEdit();
+    }
+  };
+
+  const restoreEdit = (html) => {
+    if (html !== editor.innerHTML) {
+      editor.innerHTML = html;
+      applyEdit();
+    }
+  };
+
+  const undo = () => {
+    recordEdit();
+    restoreEdit(history.undo());
+  };
+
+  const redo = () => {
+    recordEdit();
+    restoreEdit(history.redo());
+  };
+
+  loadEditor(tab.url).then(() => {
+    original = editor.innerHTML;
+    originalUnits = getUnits(new DOMParser().parseFromString(original, 'text/html').body);
+    history = createHistory(original);
+    updateEditState();
+  });
 
   const copyButton = document.getElementById('copy');
   copyButton.addEventListener('click', () => {
@@ -242,10 +334,81 @@ const load = async () => {
     });
   });
 
+  document.getElementById('export-markdown').addEventListener('click', () => {
+    downloadFile(editionToMarkdown(editor), 'text/markdown', getExportFileName(tab.url, 'md'));
+    sampleRUM('sidekick:exportdocsource', {
+      source: tab.url,
+      target: 'markdown',
+    });
+  });
+
+  document.getElementById('export-json').addEventListener('click', () => {
+    const json = JSON.stringify(editionToJSON(editor, tab.url), null, 2);
+    downloadFile(json, 'application/json', getExportFileName(tab.url, 'json'));
+    sampleRUM('sidekick:exportdocsource', {
+      source: tab.url,
+      target: 'json',
+    });
+  });
+
+  const outlineButton = document.getElementById('toggle-outline');
+  outlineButton.addEventListener('click', () => {
+    const outline = document.getElementById('outline');
+    outline.classList.toggle('hidden');
+    outlineButton.classList.toggle('selected', !outline.classList.contains('hidden'));
+  });
+
+  const changesButton = document.getElementById('toggle-changes');
+  changesButton.addEventListener('click', () => {
+    const changesPanel = document.getElementById('changes');
+    changesPanel.classList.toggle('hidden');
+    changesButton.classList.toggle('selected', !changesPanel.classList.contains('hidden'));
+  });
+
+  undoButton.addEventListener('click', undo);
+  redoButton.addEventListener('click', redo);
+
+  resetButton.addEventListener('click', () => {
+    recordEdit();
+    history.push(original);
+    restoreEdit(original);
+    sampleRUM('sidekick:resetdocsource', {
+      source: tab.url,
+    });
+  });
+
+  copyChangesButton.addEventListener('click', () => {
+    const tables = getChangedBlocks(changes).map((table) => table.outerHTML);
+    copyHTMLToClipboard(tables.join('<br>'));
+    copyChangesButton.innerHTML = chrome.i18n.getMessage('copied');
+    copyChangesButton.classList.add('copied');
+    setTimeout(() => {
+      copyChangesButton.innerHTML = chrome.i18n.getMessage('doc_source_copy_changes');
+      copyChangesButton.classList.remove('copied');
+    }, 2000);
+    sampleRUM('sidekick:copydocsourcechanges', {
+      source: tab.url,
+    });
+  });
+
+  editor.addEventListener('keydown', (e) => {
+    if (!e.metaKey && !e.ctrlKey) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      // use edit history instead of native undo
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    }
+  });
+
   // @ts-ignore
-  editor.addEventListener('input', debounce(() => {
-    sendMessage({ fct: 'setMain', params: { html: htmlEditionToSource() } });
-  }, 500));
+  editor.addEventListener('input', debounce(recordEdit, 500));
 
   sampleRUM('sidekick:viewdocsource', {
     source: tab.url,
@@ -132,12 +132,69 @@ export const style = css`
   .actions .stats {
     display: flex;
     justify-content: flex-end;
+    align-items: center;
+    gap: 8px;
   }
 
   .tableContainer {
     padding-top: 15px;
     width: 100%;
     height: 100%;
+    flex: 1;
+    min-height: 0;
+  }
+
+  .actions .paging {
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .message {
+    padding: 0 16px;
+  }
+
+  .validation {
+    margin: 8px 16px 0;
+    padding: 4px 12px;
+    border-left: 4px solid;
+    border-radius: 4px;
+  }
+
+  .validation p {
+    margin: 4px 0;
+  }
+
+  .validation ul {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px 16px;
+    margin: 4px 0;
+    padding: 0;
+    list-style: none;
+  }
+
+  .validation p.partial {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-style: italic;
+  }
+
+  .validation.valid {
+    border-color: rgb(45, 157, 120);
+  }
+
+  .validation.invalid {
+    border-color: rgb(227, 72, 80);
+  }
+
+  sp-table-cell.invalid-row {
+    background-color: rgba(227, 72, 80, 0.1);
+  }
+
+  sp-table-cell.invalid {
+    background-color: rgba(227, 72, 80, 0.2);
+    outline: 2px solid rgb(227, 72, 80);
+    outline-offset: -2px;
   }
 
   .tableContainer .tableHeader {
@@ -217,6 +274,109 @@ export const style = css`
     border-radius: var(--spectrum2-default-border-radius);
   }
 
+  .column-filters,
+  .column-settings {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px 16px;
+    padding: 0 16px 16px;
+  }
+
+  .column-filter {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-size: 12px;
+  }
+
+  .column-filter span {
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .column-filter.number input,
+  .column-filter.date input {
+    width: 120px;
+  }
+
+  .column-filter.date {
+    display: grid;
+    grid-template-columns: auto auto;
+  }
+
+  .column-filter.date span {
+    grid-column: 1 / 3;
+  }
+
+  .column-filter input {
+    padding: 4px 8px;
+    border: 1px solid var(--spectrum2-sidekick-border-color);
+    border-radius: var(--spectrum2-default-border-radius);
+    background-color: var(--spectrum2-sidekick-background-pasteboard);
+    color: inherit;
+  }
+
+  .column-setting {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    padding: 2px 4px 2px 8px;
+    border-radius: var(--spectrum2-default-border-radius);
+    background-color: var(--spectrum2-sidekick-layer-2);
+  }
+
+  .column-setting label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-right: 4px;
+  }
+
+  sp-table-head-cell.pinned,
+  sp-table-cell.pinned {
+    position: sticky;
+    z-index: 1;
+    min-width: 150px;
+    max-width: 150px;
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .header .compare {
+    white-space: nowrap;
+  }
+
+  .tableContainer.compare .no-changes {
+    padding: 0 16px;
+  }
+
+  sp-table-head-cell.change,
+  sp-table-cell.change {
+    min-width: 24px;
+    max-width: 24px;
+    font-weight: 700;
+    text-align: center;
+  }
+
+  sp-table-cell.added {
+    background-color: rgba(45, 157, 120, 0.2);
+  }
+
+  sp-table-cell.removed {
+    background-color: rgba(227, 72, 80, 0.2);
+  }
+
+  sp-table-cell.removed > div {
+    text-decoration: line-through;
+  }
+
+  sp-table-cell.modified {
+    background-color: rgba(230, 134, 25, 0.2);
+  }
+
+  sp-table-cell.modified del {
+    display: block;
+    opacity: 0.7;
+  }
+
   sp-table-body {
     border: 0;
     border-top: 1px solid var(--spectrum2-sidekick-border-color);
@@ -26,11 +26,28 @@ import '@spectrum-web-components/table/sp-table-head-cell.js';
 import '@spectrum-web-components/table/sp-table-row.js';
 import '@spectrum-web-components/action-button/sp-action-button.js';
 import '@spectrum-web-components/action-group/sp-action-group.js';
+import '@spectrum-web-components/action-menu/sp-action-menu.js';
+import '@spectrum-web-components/menu/sp-menu-item.js';
+import '@spectrum-web-components/menu/sp-menu-divider.js';
 import '@spectrum-web-components/icons-workflow/icons/sp-icon-close.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-export.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-filter.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-view-column.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-pin-on.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-arrow-up.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-arrow-down.js';
 import '../../app/components/spectrum/theme/theme.js';
 import '../../app/components/theme/theme.js';
 import '../../app/components/search/search.js';
 import { fetchLanguageDict, getLanguage, i18n } from '../../app/utils/i18n.js';
+import { downloadFile } from '../../app/utils/browser.js';
+import { diffSheets } from '../../app/utils/diff.js';
+import { createWorkbook, serializeRows } from '../../app/utils/sheet-export.js';
+import {
+  arrangeColumns, filterRows, getColumnTypes, parseDate, sortRows,
+} from '../../app/utils/sheet-data.js';
+import { getSheetSchemas, validateRows } from '../../app/utils/sheet-validation.js';
+import { getConfig, setConfig } from '../../config.js';
 import { style } from './json.css.js';
 import { spectrum2 } from '../../app/spectrum-2.css.js';
 import sampleRUM from '../../utils/rum.js';
@@ -40,8 +57,166 @@ import sampleRUM from '../../utils/rum.js';
  * @typedef {import('lit').TemplateResult} TemplateResult
  */
 
-const nearFuture = new Date().setUTCFullYear(new Date().getUTCFullYear() + 20);
-const recentPast = new Date().setUTCFullYear(new Date().getUTCFullYear() - 20);
+/**
+ * @typedef {import('@Types').DiffEntry} DiffEntry
+ */
+
+/**
+ * @typedef {import('@Types').ColumnFilter} ColumnFilter
+ */
+
+/**
+ * @typedef {import('@Types').ColumnSettings} ColumnSettings
+ */
+
+/**
+ * @typedef {import('@Types').SheetSchema} SheetSchema
+ */
+
+/**
+ * @typedef {import('@Types').SheetIssue} SheetIssue
+ */
+
+/**
+ * The width of a column in pixels
+ * @type {number}
+ */
+const COLUMN_WIDTH = 150;
+
+/**
+ * The number of rows to load per page
+ * @type {number}
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * The number of rows before the end of the loaded rows at which to load the next page
+ * @type {number}
+ */
+const PAGE_THRESHOLD = 50;
+
+/**
+ * The maximum number of json files to remember column settings for
+ * @type {number}
+ */
+const MAX_COLUMN_SETTINGS = 100;
+
+const CHANGE_MARKERS = {
+  added: '+',
+  removed: '−',
+  changed: '~',
+};
+
+/**
+ * Returns the rows of all sheets in a sheet backed json file.
+ * @param {Object} json The json data
+ * @returns {Object<string, Object[]>} The rows by sheet name
+ */
+function getSheets(json) {
+  /** @type {Object<string, Object[]>} */
+  const sheets = {};
+  const multiSheet = json[':type'] === 'multi-sheet' && json[':names'];
+  if (multiSheet) {
+    json[':names'].forEach((name) => {
+      const { data } = json[name];
+      if (data) {
+        sheets[name] = data;
+      }
+    });
+  } else {
+    const { data } = json;
+    if (data) {
+      sheets['shared-default'] = data;
+    }
+  }
+  return sheets;
+}
+
+/**
+ * Returns the object of a sheet in a sheet backed json file, containing its data and
+ * paging information (<code>total</code>, <code>offset</code> and <code>limit</code>).
+ * @param {Object} json The json data
+ * @param {string} name The sheet name
+ * @returns {Object} The sheet object
+ */
+function getSheet(json, name) {
+  return json[':type'] === 'multi-sheet' ? json[name] || {} : json;
+}
+
+/**
+ * Checks if a sheet has more rows than loaded.
+ * @param {Object} sheet The sheet object
+ * @returns {boolean} <code>true</code> if more rows are available, else <code>false</code>
+ */
+function hasMoreRows({ data = [], offset = 0, total }) {
+  return total !== undefined && offset + data.length < total;
+}
+
+/**
+ * Returns the key to store the column settings of a json file by.
+ * @param {string} url The url of the json file
+ * @returns {string} The origin and path of the json file
+ */
+function getColumnSettingsKey(url) {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+}
+
+/**
+ * Returns the url of a page of rows of a sheet.
+ * @param {string} url The url of the json file
+ * @param {number} offset The offset of the first row
+ * @param {string} [name] The sheet name in a multi-sheet json file
+ * @returns {URL} The page url
+ */
+function getPageUrl(url, offset, name) {
+  const pageUrl = new URL(url);
+  pageUrl.searchParams.set('offset', `${offset}`);
+  pageUrl.searchParams.set('limit', `${PAGE_SIZE}`);
+  if (name) {
+    pageUrl.searchParams.set('sheet', name);
+  }
+  return pageUrl;
+}
+
+/**
+ * Fetches a sheet backed json file including all pages of rows. A missing file
+ * is treated as empty.
+ * @param {string} url The url of the json file
+ * @returns {Promise<Object<string, Object[]>>} The rows by sheet name
+ */
+async function fetchSheets(url) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (res.status === 404) {
+    return {};
+  }
+  if (!res.ok) {
+    throw new Error(`failed to load ${url}: ${res.status}`);
+  }
+  const json = await res.json();
+  const sheets = getSheets(json);
+  const multiSheet = json[':type'] === 'multi-sheet';
+  for (const name of Object.keys(sheets)) {
+    const { offset = 0, total } = getSheet(json, name);
+    const rows = [...sheets[name]];
+    while (hasMoreRows({ data: rows, offset, total })) {
+      const pageUrl = getPageUrl(url, offset + rows.length, multiSheet ? name : undefined);
+      // eslint-disable-next-line no-await-in-loop
+      const pageRes = await fetch(pageUrl, { cache: 'no-store' });
+      if (!pageRes.ok) {
+        throw new Error(`failed to load ${pageUrl}: ${pageRes.status}`);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const [page = []] = Object.values(getSheets(await pageRes.json()));
+      if (page.length === 0) {
+        break;
+      }
+      rows.push(...page);
+    }
+    sheets[name] = rows;
+  }
+  return sheets;
+}
 
 @customElement('json-view')
 export class JSONView extends LitElement {
@@ -84,6 +259,69 @@ export class JSONView extends LitElement {
   @property({ type: String })
   accessor url;
 
+  /**
+   * Is compare mode enabled?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor compareMode = false;
+
+  /**
+   * The differences between preview and live by sheet name
+   * @type {Object<string, DiffEntry[]>}
+   */
+  @property({ type: Object })
+  accessor compareData;
+
+  /**
+   * Has comparing preview and live failed?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor compareFailed = false;
+
+  /**
+   * The column filters of the selected sheet
+   * @type {Object<string, ColumnFilter>}
+   */
+  @property({ type: Object })
+  accessor columnFilters = {};
+
+  /**
+   * The column settings of the json file by sheet name
+   * @type {Object<string, ColumnSettings>}
+   */
+  @property({ type: Object })
+  accessor columnSettings = {};
+
+  /**
+   * The sort key and direction of the selected sheet
+   * @type {{ key: string, direction: string }}
+   */
+  @property({ type: Object })
+  accessor sort;
+
+  /**
+   * Are the column filters shown?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor showFilters = false;
+
+  /**
+   * Are the column settings shown?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor showColumns = false;
+
+  /**
+   * Are further rows being loaded?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor loading = false;
+
   /**
    * The selected tab index
    * @type {number}
@@ -91,6 +329,36 @@ export class JSONView extends LitElement {
   @property({ type: Number })
   accessor selectedTabIndex = 0;
 
+  /**
+   * The pending request for the next page of rows
+   * @type {Promise<boolean>}
+   */
+  pageRequest;
+
+  /**
+   * The pending request for the remaining rows of all sheets
+   * @type {Promise<void>}
+   */
+  allPagesRequest;
+
+  /**
+   * The container of the rendered table
+   * @type {HTMLDivElement}
+   */
+  tableContainer;
+
+  /**
+   * The sheet schemas to validate the json file against
+   * @type {SheetSchema[]}
+   */
+  schemas = [];
+
+  /**
+   * The validation result of the selected sheet, based on all loaded rows
+   * @type {{ rows: Object[], issues: SheetIssue[], rowIssues: Map<Object, SheetIssue[]> }}
+   */
+  validation;
+
   @queryAsync('sp-action-group')
   accessor actionGroup;
 
@@ -104,7 +372,16 @@ export class JSONView extends LitElement {
     this.languageDict = await fetchLanguageDict(undefined, lang);
 
     try {
-      const url = new URL(window.location.href).searchParams.get('url');
+      const { searchParams } = new URL(window.location.href);
+      const url = searchParams.get('url');
+      if (searchParams.get('schemas')) {
+        try {
+          this.schemas = JSON.parse(searchParams.get('schemas'));
+        } catch (e) {
+          // eslint-disable-next-line no-console
+          console.warn('ignoring invalid sheet schemas', e);
+        }
+      }
       if (url) {
         const res = await fetch(url);
         if (res.ok) {
@@ -116,6 +393,7 @@ export class JSONView extends LitElement {
             throw new Error(`invalid json found at ${url}`);
           }
           this.url = url;
+          this.columnSettings = (await getConfig('local', 'jsonViewColumns') || {})[getColumnSettingsKey(url)] || {};
           this.originalData = json;
           this.filteredData = json;
         } else {
@@ -146,21 +424,7 @@ export class JSONView extends LitElement {
       return [];
     }
 
-    const sheets = {};
-    const multiSheet = json[':type'] === 'multi-sheet' && json[':names'];
-    if (multiSheet) {
-      json[':names'].forEach((name) => {
-        const { data } = json[name];
-        if (data) {
-          sheets[name] = data;
-        }
-      });
-    } else {
-      const { data } = json;
-      if (data) {
-        sheets['shared-default'] = data;
-      }
-    }
+    const sheets = this.compareMode ? this.compareData || {} : getSheets(json);
 
     const elements = [];
     const { searchParams } = new URL(window.location.href);
@@ -178,6 +442,14 @@ export class JSONView extends LitElement {
           <sp-search @input=${this.onSearch} @submit=${(e) => e.preventDefault()} placeholder=${i18n(this.languageDict, 'search')}></sp-search>
         </div>
         <div class="right">
+          ${searchParams.get('preview') && searchParams.get('live') ? html`
+            <sp-action-button
+              class="compare"
+              toggles
+              .selected=${this.compareMode}
+              @click=${this.onToggleCompare}
+            >${i18n(this.languageDict, 'json_compare')}</sp-action-button>
+          ` : ''}
           <button variant="primary" @click=${this.onCloseView}><sp-icon-close></sp-icon-close></button>
         </div>
       </div>
@@ -185,13 +457,17 @@ export class JSONView extends LitElement {
 
     elements.push(header);
 
-    const filteredCount = this.filteredData?.data?.length
-      ?? Object.values(this.filteredData || {})[this.selectedTabIndex]?.data.length
-      ?? 0;
+    if (this.compareMode) {
+      elements.push(this.compareFailed
+        ? html`<p class="message">${i18n(this.languageDict, 'json_compare_error')}</p>`
+        : this.renderCompare(sheets, url));
+      return elements;
+    }
 
-    const total = this.originalData?.total
-      ?? Object.values(this.originalData || {})[this.selectedTabIndex]?.total
-      ?? 0;
+    const selectedName = Object.keys(sheets)[this.selectedTabIndex];
+    const filteredCount = sheets[selectedName]?.length ?? 0;
+    const originalSheet = getSheet(this.originalData, selectedName);
+    const total = originalSheet.total ?? originalSheet.data?.length ?? 0;
 
     const actions = html`
       <div class="actions">
@@ -201,7 +477,46 @@ export class JSONView extends LitElement {
           `)}
         </sp-action-group>
         <div class="stats">
-          <p>${i18n(this.languageDict, 'json_results_stat').replace('$1', filteredCount).replace('$2', total)}</p>
+          <p>${i18n(this.languageDict, 'json_results_stat').replace('$1', `${filteredCount}`).replace('$2', `${total}`)}</p>
+          ${this.renderPaging(selectedName)}
+          <sp-action-button
+            class="filters-toggle"
+            quiet
+            toggles
+            label=${i18n(this.languageDict, 'json_column_filters')}
+            title=${i18n(this.languageDict, 'json_column_filters')}
+            .selected=${this.showFilters}
+            @change=${(e) => { this.showFilters = e.target.selected; }}
+          >
+            <sp-icon-filter slot="icon"></sp-icon-filter>
+          </sp-action-button>
+          <sp-action-button
+            class="columns-toggle"
+            quiet
+            toggles
+            label=${i18n(this.languageDict, 'json_columns')}
+            title=${i18n(this.languageDict, 'json_columns')}
+            .selected=${this.showColumns}
+            @change=${(e) => { this.showColumns = e.target.selected; }}
+          >
+            <sp-icon-view-column slot="icon"></sp-icon-view-column>
+          </sp-action-button>
+          <sp-action-menu
+            class="export"
+            label=${i18n(this.languageDict, 'json_export')}
+            placement="bottom-end"
+            quiet
+            @change=${this.onExport}
+          >
+            <sp-icon-export slot="icon"></sp-icon-export>
+            <sp-menu-item value="csv">${i18n(this.languageDict, 'json_export_csv')}</sp-menu-item>
+            <sp-menu-item value="tsv">${i18n(this.languageDict, 'json_export_tsv')}</sp-menu-item>
+            <sp-menu-item value="xlsx">${i18n(this.languageDict, 'json_export_xlsx')}</sp-menu-item>
+            ${Object.keys(sheets).length > 1 ? html`
+              <sp-menu-divider></sp-menu-divider>
+              <sp-menu-item value="xlsx-all">${i18n(this.languageDict, 'json_export_all')}</sp-menu-item>
+            ` : ''}
+          </sp-action-menu>
         </div>
       </div>
     `;
@@ -210,49 +525,328 @@ export class JSONView extends LitElement {
     if (names.length > 0) {
       const name = names[this.selectedTabIndex];
       const sheet = sheets[name];
+      // column types and settings are based on all rows
+      const allRows = getSheets(this.originalData)[name] || [];
+      const allColumns = allRows.length > 0 ? Object.keys(allRows[0]) : [];
+      const types = getColumnTypes(allRows);
+      const settings = this.columnSettings[name] || {};
+      const columns = arrangeColumns(allColumns, settings);
 
-      elements.push(this.renderTable(sheet, url));
+      this.validation = this.validateSheet(name, allRows);
+      if (this.validation) {
+        elements.push(this.renderValidation(this.validation, originalSheet));
+      }
+      if (this.showFilters) {
+        elements.push(this.renderFilters(columns, types));
+      }
+      if (this.showColumns) {
+        elements.push(this.renderColumnSettings(name, allColumns, settings));
+      }
+      elements.push(this.renderTable(sheet, url, columns, settings.pinned || [], name));
     }
 
     return elements;
   }
 
+  /**
+   * Validate the loaded rows of a sheet against the applicable sheet schemas
+   * @param {string} name The sheet name
+   * @param {Object[]} rows All loaded rows of the sheet
+   * @returns {Object|null} The validation result, or <code>null</code> if no schema applies
+   */
+  validateSheet(name, rows) {
+    const schemas = getSheetSchemas(this.schemas, name);
+    if (schemas.length === 0) {
+      return null;
+    }
+    if (this.validation?.rows === rows) {
+      // rows unchanged since last validation
+      return this.validation;
+    }
+    const issues = validateRows(rows, schemas);
+    const rowIssues = new Map();
+    issues.filter(({ row }) => row >= 0).forEach((issue) => {
+      const row = rows[issue.row];
+      rowIssues.set(row, [...(rowIssues.get(row) || []), issue]);
+    });
+    return { rows, issues, rowIssues };
+  }
+
+  /**
+   * Render a note if the schema validation is based on a part of the rows only
+   * @param {Object} sheet The sheet object
+   * @returns {TemplateResult|string} The rendered note
+   */
+  renderValidationPartial(sheet) {
+    if (!hasMoreRows(sheet)) {
+      return '';
+    }
+    return html`
+      <p class="partial">
+        ${i18n(this.languageDict, 'json_validation_partial')
+    .replace('$1', sheet.data.length)
+    .replace('$2', sheet.total)}
+        <sp-action-button class="validate-all" quiet @click=${() => this.loadAllPages()}>
+          ${i18n(this.languageDict, 'json_load_all')}
+        </sp-action-button>
+      </p>
+    `;
+  }
+
+  /**
+   * Render the summary of the schema validation
+   * @param {Object} validation The validation result
+   * @param {Object} sheet The sheet object
+   * @returns {TemplateResult} The rendered summary
+   */
+  renderValidation({ rows, issues, rowIssues }, sheet) {
+    if (issues.length === 0) {
+      return html`
+        <div class="validation valid">
+          <p>${i18n(this.languageDict, 'json_validation_valid').replace('$1', rows.length)}</p>
+          ${this.renderValidationPartial(sheet)}
+        </div>
+      `;
+    }
+    const counts = {};
+    issues.forEach(({ issue }) => {
+      counts[issue] = (counts[issue] || 0) + 1;
+    });
+    const missingColumns = issues
+      .filter(({ issue }) => issue === 'missing_column')
+      .map(({ column }) => column);
+    return html`
+      <div class="validation invalid">
+        <p>${i18n(this.languageDict, 'json_validation_issues')
+    .replace('$1', issues.length)
+    .replace('$2', rowIssues.size)
+    .replace('$3', rows.length)}</p>
+        <ul>
+          ${Object.entries(counts).map(([issue, count]) => html`
+            <li>${i18n(this.languageDict, `json_validation_${issue}`)} (${count})</li>
+          `)}
+        </ul>
+        ${missingColumns.length > 0 ? html`
+          <p>${i18n(this.languageDict, 'json_validation_missing_columns').replace('$1', missingColumns.join(', '))}</p>
+        ` : ''}
+        ${this.renderValidationPartial(sheet)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the paging information and actions if a sheet has more rows than loaded
+   * @param {string} name The sheet name
+   * @returns {TemplateResult|string} The rendered paging
+   */
+  renderPaging(name) {
+    const sheet = getSheet(this.originalData, name);
+    if (this.loading) {
+      return html`<p class="paging">${i18n(this.languageDict, 'json_loading')}</p>`;
+    }
+    if (!hasMoreRows(sheet)) {
+      return '';
+    }
+    return html`
+      <p class="paging">
+        ${i18n(this.languageDict, 'json_loaded_stat').replace('$1', sheet.data.length)}
+      </p>
+      <sp-action-button class="load-more" quiet @click=${() => this.loadNextPage(name)}>
+        ${i18n(this.languageDict, 'json_load_more')}
+      </sp-action-button>
+      <sp-action-button class="load-all" quiet @click=${() => this.loadAllPages()}>
+        ${i18n(this.languageDict, 'json_load_all')}
+      </sp-action-button>
+    `;
+  }
+
+  /**
+   * Render the column filters
+   * @param {string[]} columns The visible column keys
+   * @param {Object<string, string>} types The column types by column key
+   * @returns {TemplateResult} The rendered filters
+   */
+  renderFilters(columns, types) {
+    return html`
+      <div class="column-filters">
+        ${columns.map((key) => this.renderFilter(key, types[key]))}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a column filter depending on the column type
+   * @param {string} key The column key
+   * @param {string} type The column type
+   * @returns {TemplateResult} The rendered filter
+   */
+  renderFilter(key, type) {
+    const { text = '', min = '', max = '' } = this.columnFilters[key] || {};
+    if (type === 'text') {
+      return html`
+        <label class="column-filter text">
+          <span>${key}</span>
+          <input
+            type="search"
+            .value=${text}
+            placeholder=${i18n(this.languageDict, 'json_filter_contains')}
+            @input=${(e) => this.onColumnFilter(key, { text: e.target.value })}
+          >
+        </label>
+      `;
+    }
+    return html`
+      <label class="column-filter ${type}">
+        <span>${key}</span>
+        <input
+          type=${type}
+          .value=${min}
+          title=${i18n(this.languageDict, 'json_filter_min')}
+          placeholder=${i18n(this.languageDict, 'json_filter_min')}
+          @change=${(e) => this.onColumnFilter(key, { min: e.target.value })}
+        >
+        <input
+          type=${type}
+          .value=${max}
+          title=${i18n(this.languageDict, 'json_filter_max')}
+          placeholder=${i18n(this.languageDict, 'json_filter_max')}
+          @change=${(e) => this.onColumnFilter(key, { max: e.target.value })}
+        >
+      </label>
+    `;
+  }
+
+  /**
+   * Render the column settings
+   * @param {string} name The sheet name
+   * @param {string[]} columns All column keys
+   * @param {ColumnSettings} settings The column settings
+   * @returns {TemplateResult} The rendered column settings
+   */
+  renderColumnSettings(name, columns, settings) {
+    const { order = [], hidden = [], pinned = [] } = settings;
+    const ordered = arrangeColumns(columns, { order });
+    const pinLabel = (key) => i18n(this.languageDict, pinned.includes(key) ? 'json_column_unpin' : 'json_column_pin');
+    return html`
+      <div class="column-settings">
+        ${ordered.map((key, index) => html`
+          <div class="column-setting">
+            <label>
+              <input
+                type="checkbox"
+                .checked=${!hidden.includes(key)}
+                @change=${() => this.onToggleColumn(name, key, 'hidden')}
+              >
+              ${key}
+            </label>
+            <sp-action-button
+              class="pin"
+              quiet
+              size="s"
+              label=${pinLabel(key)}
+              title=${pinLabel(key)}
+              .selected=${pinned.includes(key)}
+              @click=${() => this.onToggleColumn(name, key, 'pinned')}
+            >
+              <sp-icon-pin-on slot="icon"></sp-icon-pin-on>
+            </sp-action-button>
+            <sp-action-button
+              class="move-up"
+              quiet
+              size="s"
+              label=${i18n(this.languageDict, 'json_column_move_up')}
+              .disabled=${index === 0}
+              @click=${() => this.onMoveColumn(name, ordered, key, -1)}
+            >
+              <sp-icon-arrow-up slot="icon"></sp-icon-arrow-up>
+            </sp-action-button>
+            <sp-action-button
+              class="move-down"
+              quiet
+              size="s"
+              label=${i18n(this.languageDict, 'json_column_move_down')}
+              .disabled=${index === ordered.length - 1}
+              @click=${() => this.onMoveColumn(name, ordered, key, 1)}
+            >
+              <sp-icon-arrow-down slot="icon"></sp-icon-arrow-down>
+            </sp-action-button>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
   /**
    * Render the table
    * @param {Object[]} rows The rows to render
    * @param {string} url The url of the json file
+   * @param {string[]} columns The visible column keys in display order
+   * @param {string[]} pinned The keys of pinned columns
+   * @param {string} name The sheet name
    * @returns {HTMLDivElement} The rendered table
    */
-  renderTable(rows, url) {
+  renderTable(rows, url, columns, pinned, name) {
+    // reuse the table if only the rows changed to retain the scroll position
+    const tableKey = JSON.stringify({
+      name, columns, pinned, sort: this.sort,
+    });
+    const cachedTable = this.tableContainer?.querySelector('sp-table');
+    if (cachedTable && rows.length > 0 && this.tableContainer.dataset.key === tableKey) {
+      cachedTable.items = rows;
+      return this.tableContainer;
+    }
+
     const tableContainer = document.createElement('div');
     tableContainer.classList.add('tableContainer');
+    tableContainer.dataset.key = tableKey;
+    this.tableContainer = tableContainer;
 
     const table = document.createElement('sp-table');
     table.style.height = '100%';
     table.setAttribute('scroller', 'true');
 
     if (rows.length > 0) {
-      const headers = rows[0];
-      const headHTML = Object.keys(headers).reduce((acc, key) => `${acc}<sp-table-head-cell sortable sort-direction="desc" sort-key=${key}>${key.charAt(0).toUpperCase() + key.slice(1)}</sp-table-head-cell>`, '');
       const head = document.createElement('sp-table-head');
-      head.insertAdjacentHTML('beforeend', headHTML);
+      columns.forEach((key, index) => {
+        const headCell = head.appendChild(document.createElement('sp-table-head-cell'));
+        headCell.setAttribute('sortable', '');
+        headCell.setAttribute('sort-key', key);
+        if (this.sort?.key === key) {
+          headCell.setAttribute('sort-direction', this.sort.direction);
+        }
+        if (pinned.includes(key)) {
+          headCell.classList.add('pinned');
+          headCell.style.left = `${index * COLUMN_WIDTH}px`;
+        }
+        headCell.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+      });
       table.appendChild(head);
 
       table.items = rows;
       // @ts-ignore
-      table.renderItem = (item) => html`${Object.values(item).map((value) => this.renderValue(value, url))}`;
+      table.renderItem = (item) => {
+        const rowIssues = this.validation?.rowIssues.get(item);
+        return html`${columns.map((key, index) => this.renderValue(
+          `${item[key] ?? ''}`,
+          url,
+          pinned.includes(key) ? index * COLUMN_WIDTH : undefined,
+          rowIssues?.filter(({ column }) => column === key),
+        ))}`;
+      };
 
       table.addEventListener('sorted', (event) => {
         // @ts-ignore
         const { sortDirection, sortKey } = event.detail;
-        rows = rows.sort((a, b) => {
-          const first = String(a[sortKey]);
-          const second = String(b[sortKey]);
-          return sortDirection === 'asc'
-            ? first.localeCompare(second)
-            : second.localeCompare(first);
-        });
-        table.items = [...rows];
+        this.sort = { key: sortKey, direction: sortDirection };
+        this.loadAllPages();
+      });
+
+      // rows are rendered on demand, load next page when approaching the last row
+      table.addEventListener('rangeChanged', (event) => {
+        // @ts-ignore
+        if (event.last >= table.items.length - PAGE_THRESHOLD) {
+          this.loadNextPage(name);
+        }
       });
 
       tableContainer.appendChild(table);
@@ -277,21 +871,141 @@ export class JSONView extends LitElement {
     return tableContainer;
   }
 
+  /**
+   * Render the differences between the sheets in preview and live
+   * @param {Object<string, DiffEntry[]>} sheets The diff entries by sheet name
+   * @param {string} url The url of the json file
+   * @returns {TemplateResult} The rendered comparison
+   */
+  renderCompare(sheets, url) {
+    const names = Object.keys(sheets);
+    const name = names[this.selectedTabIndex];
+    const filter = (this.filterText || '').toLowerCase();
+    const entries = (sheets[name] || [])
+      .filter(({ before, after }) => !filter || [before, after]
+        .some((row) => row && Object.values(row)
+          .some((value) => String(value).toLowerCase().includes(filter))));
+    const count = (type) => `${entries.filter((entry) => entry.type === type).length}`;
+    const stats = i18n(this.languageDict, 'json_compare_stat')
+      .replace('$1', count('added'))
+      .replace('$2', count('removed'))
+      .replace('$3', count('changed'));
+
+    return html`
+      <div class="actions">
+        <sp-action-group selects="single" @change=${this.onSelectionChange}>
+          ${names.map((sheetName, index) => html`
+            <sp-action-button value=${index.toString()} .selected=${index === this.selectedTabIndex}>${sheetName}</sp-action-button>
+          `)}
+        </sp-action-group>
+        <div class="stats">
+          <p>${this.compareData ? stats : i18n(this.languageDict, 'json_loading')}</p>
+        </div>
+      </div>
+      ${this.renderCompareTable(entries.filter(({ type }) => type !== 'unchanged'), url)}
+    `;
+  }
+
+  /**
+   * Render the changed rows of a sheet with cell-level highlighting
+   * @param {DiffEntry[]} entries The diff entries with rows as items
+   * @param {string} url The url of the json file
+   * @returns {HTMLDivElement} The rendered table
+   */
+  renderCompareTable(entries, url) {
+    const tableContainer = document.createElement('div');
+    tableContainer.classList.add('tableContainer', 'compare');
+
+    if (entries.length === 0) {
+      const noChanges = tableContainer.appendChild(document.createElement('p'));
+      noChanges.classList.add('no-changes');
+      noChanges.textContent = i18n(this.languageDict, 'json_compare_no_changes');
+      return tableContainer;
+    }
+
+    const keys = [...new Set(entries.flatMap(({ before, after }) => [
+      ...Object.keys(after || {}),
+      ...Object.keys(before || {}),
+    ]))];
+
+    const table = document.createElement('sp-table');
+    table.style.height = '100%';
+    table.setAttribute('scroller', 'true');
+
+    const head = document.createElement('sp-table-head');
+    head.insertAdjacentHTML('beforeend', '<sp-table-head-cell class="change"></sp-table-head-cell>');
+    keys.forEach((key) => {
+      const headCell = head.appendChild(document.createElement('sp-table-head-cell'));
+      headCell.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+    });
+    table.appendChild(head);
+
+    table.items = entries;
+    // @ts-ignore
+    table.renderItem = (/** @type {DiffEntry} */ entry) => html`
+      <sp-table-cell class="change ${entry.type}">${CHANGE_MARKERS[entry.type]}</sp-table-cell>
+      ${keys.map((key) => this.renderCompareValue(entry, key, url))}
+    `;
+
+    tableContainer.appendChild(table);
+    return tableContainer;
+  }
+
+  /**
+   * Render the value of a changed row as a cell in the table
+   * @param {DiffEntry} entry The diff entry
+   * @param {string} key The column key
+   * @param {string} url The url of the json file
+   * @returns {TemplateResult} The rendered value
+   */
+  renderCompareValue({ type, before, after }, key, url) {
+    const value = `${(after || before)[key] ?? ''}`;
+    const modified = type === 'changed' && before[key] !== after[key];
+    return html`
+      <sp-table-cell class="${type} ${modified ? 'modified' : ''}">
+        ${this.createValueContainer(value, url)}
+        ${modified ? html`<del>${before[key] ?? ''}</del>` : ''}
+      </sp-table-cell>
+    `;
+  }
+
   /**
    * Render the value as a cell in the table
    * @param {string} value The value to render
    * @param {string} url The url of the json file
+   * @param {number} [pinOffset] The offset of a pinned column in pixels
+   * @param {SheetIssue[]} [issues] The issues of the cell if its row is invalid
    * @returns {TemplateResult} The rendered value
    */
-  renderValue(value, url) {
+  renderValue(value, url, pinOffset, issues) {
+    const classes = [];
+    if (pinOffset !== undefined) {
+      classes.push('pinned');
+    }
+    if (issues) {
+      classes.push(issues.length > 0 ? 'invalid' : 'invalid-row');
+    }
+    return html`
+      <sp-table-cell
+        class=${classes.join(' ')}
+        style=${pinOffset !== undefined ? `left: ${pinOffset}px` : ''}
+        title=${issues?.map(({ issue }) => i18n(this.languageDict, `json_validation_${issue}`)).join(', ') || ''}
+      >${this.createValueContainer(value, url)}</sp-table-cell>
+    `;
+  }
+
+  /**
+   * Create a container for the value depending on its type
+   * @param {string} value The value
+   * @param {string} url The url of the json file
+   * @returns {HTMLDivElement} The value container
+   */
+  createValueContainer(value, url) {
     const valueContainer = document.createElement('div');
     if (value && !Number.isNaN(+value)) {
       // check for date
-      const date = +value > 99999
-        ? new Date(+value * 1000)
-        : new Date(Math.round((+value - (1 + 25567 + 1)) * 86400 * 1000)); // excel date
-      if (date.toString() !== 'Invalid Date'
-        && nearFuture > date.valueOf() && recentPast < date.valueOf()) {
+      const date = parseDate(value);
+      if (date) {
         valueContainer.classList.add('date');
         valueContainer.textContent = date.toUTCString();
       } else {
@@ -335,7 +1049,7 @@ export class JSONView extends LitElement {
       valueContainer.textContent = value;
     }
 
-    return html`<sp-table-cell>${valueContainer}</sp-table-cell>`;
+    return valueContainer;
   }
 
   /**
@@ -344,9 +1058,13 @@ export class JSONView extends LitElement {
   async updated() {
     await this.updateComplete;
     const table = await this.table;
-    if (table) {
+    if (table && !table.hasAttribute('data-scroll-linked')) {
       const tableHead = table.querySelector('sp-table-head');
       const tableBody = table.querySelector('sp-table-body');
+      if (!tableHead || !tableBody) {
+        return;
+      }
+      table.setAttribute('data-scroll-linked', '');
       tableHead.addEventListener('scroll', () => {
         tableBody.scrollLeft = tableHead.scrollLeft;
       });
@@ -387,47 +1105,285 @@ export class JSONView extends LitElement {
    */
   onSearch(event) {
     this.filterText = event.target.value;
-    if (!this.filterText) {
-      this.filteredData = this.originalData;
+    if (this.filterText) {
+      // search the full data set
+      this.loadAllPages();
     } else {
-      const filteredData = { ...this.originalData };
-      const lowerCaseSearchString = this.filterText.toLowerCase();
-
-      if (this.originalData[':type'] === 'multi-sheet') {
-        Object.keys(this.originalData).forEach((sheetName) => {
-          // Filter the data array in the current sheet
-          if (this.originalData[sheetName] && this.originalData[sheetName].data) {
-            const filteredSheetData = this.originalData[sheetName].data.filter((item) => Object
-              .values(item).some((value) => value.toString().toLowerCase()
-                .includes(lowerCaseSearchString),
-              ));
-
-            filteredData[sheetName] = { data: filteredSheetData ?? [] };
-          }
-        });
-      } else {
-        const filteredSheetData = this.originalData.data.filter((item) => Object
-          .values(item).some((value) => value.toString().toLowerCase()
-            .includes(lowerCaseSearchString),
-          ));
+      this.applyFilters();
+    }
+    this.debouncedFilterRUM();
+  }
+
+  /**
+   * Apply the search text to all sheets, and the column filters and sort order
+   * to the selected sheet
+   */
+  applyFilters() {
+    const {
+      originalData, filterText, columnFilters, sort,
+    } = this;
+    const lowerCaseSearchString = (filterText || '').toLowerCase();
+    const selectedName = Object.keys(getSheets(originalData))[this.selectedTabIndex];
 
-        filteredData.data = filteredSheetData;
+    const filterSheet = (name, rows) => {
+      let filteredRows = lowerCaseSearchString
+        ? rows.filter((item) => Object.values(item)
+          .some((value) => `${value}`.toLowerCase().includes(lowerCaseSearchString)))
+        : rows;
+      if (name === selectedName) {
+        const types = getColumnTypes(rows);
+        filteredRows = filterRows(filteredRows, columnFilters, types);
+        if (sort) {
+          filteredRows = sortRows(filteredRows, sort.key, sort.direction, types[sort.key]);
+        }
       }
+      return filteredRows;
+    };
 
-      this.filteredData = filteredData;
+    const filteredData = { ...originalData };
+    if (originalData[':type'] === 'multi-sheet') {
+      Object.entries(getSheets(originalData)).forEach(([name, rows]) => {
+        filteredData[name] = { ...originalData[name], data: filterSheet(name, rows) };
+      });
+    } else {
+      filteredData.data = filterSheet('shared-default', originalData.data || []);
     }
+    this.filteredData = filteredData;
+  }
+
+  /**
+   * Handle a column filter change
+   * @param {string} key The column key
+   * @param {ColumnFilter} filter The changed filter properties
+   */
+  onColumnFilter(key, filter) {
+    this.columnFilters = {
+      ...this.columnFilters,
+      [key]: { ...this.columnFilters[key], ...filter },
+    };
+    // filter the full data set
+    this.loadAllPages();
     this.debouncedFilterRUM();
   }
 
+  /**
+   * Load the next page of rows of a sheet
+   * @param {string} name The sheet name
+   * @returns {Promise<boolean>} <code>true</code> if rows were loaded, else <code>false</code>
+   */
+  async loadNextPage(name) {
+    this.loading = true;
+    try {
+      return await this.loadPage(name);
+    } finally {
+      this.loading = !!this.allPagesRequest;
+      this.applyFilters();
+    }
+  }
+
+  /**
+   * Load the next page of rows of a sheet without applying the filters
+   * @param {string} name The sheet name
+   * @returns {Promise<boolean>} <code>true</code> if rows were loaded, else <code>false</code>
+   */
+  async loadPage(name) {
+    // load one page at a time
+    while (this.pageRequest) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.pageRequest;
+    }
+    if (!hasMoreRows(getSheet(this.originalData, name))) {
+      return false;
+    }
+    this.pageRequest = this.fetchNextPage(name);
+    try {
+      return await this.pageRequest;
+    } finally {
+      this.pageRequest = null;
+    }
+  }
+
+  /**
+   * Fetch the next page of rows of a sheet and add them to the original data
+   * @param {string} name The sheet name
+   * @returns {Promise<boolean>} <code>true</code> if rows were loaded, else <code>false</code>
+   */
+  async fetchNextPage(name) {
+    const { originalData, url } = this;
+    const sheet = getSheet(originalData, name);
+    const multiSheet = originalData[':type'] === 'multi-sheet';
+    const offset = (sheet.offset || 0) + sheet.data.length;
+    let rows;
+    try {
+      const pageUrl = getPageUrl(url, offset, multiSheet ? name : undefined);
+      const res = await fetch(pageUrl);
+      if (!res.ok) {
+        throw new Error(`failed to load ${pageUrl}: ${res.status}`);
+      }
+      [rows = []] = Object.values(getSheets(await res.json()));
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('error loading rows', e);
+      return false;
+    }
+    // stop paging if no more rows are returned
+    const updatedSheet = rows.length > 0
+      ? { ...sheet, data: [...sheet.data, ...rows] }
+      : { ...sheet, total: offset };
+    this.originalData = multiSheet
+      ? { ...originalData, [name]: updatedSheet }
+      : { ...originalData, ...updatedSheet };
+    return rows.length > 0;
+  }
+
+  /**
+   * Load the remaining rows of all sheets, then apply the filters once.
+   * Concurrent calls share the same pending request.
+   */
+  async loadAllPages() {
+    if (!this.allPagesRequest) {
+      this.loading = true;
+      this.allPagesRequest = (async () => {
+        const names = Object.keys(getSheets(this.originalData));
+        for (const name of names) {
+          // eslint-disable-next-line no-await-in-loop
+          while (await this.loadPage(name)) {
+            // continue with next page
+          }
+        }
+      })().finally(() => {
+        this.allPagesRequest = null;
+        this.loading = false;
+      });
+    }
+    try {
+      await this.allPagesRequest;
+    } finally {
+      this.applyFilters();
+    }
+  }
+
+  /**
+   * Store the column settings of a sheet and remember them for the json file
+   * @param {string} name The sheet name
+   * @param {ColumnSettings} settings The column settings
+   */
+  async saveColumnSettings(name, settings) {
+    this.columnSettings = {
+      ...this.columnSettings,
+      [name]: settings,
+    };
+    const allSettings = await getConfig('local', 'jsonViewColumns') || {};
+    const key = getColumnSettingsKey(this.url);
+    // move to the end to keep the most recently used settings
+    delete allSettings[key];
+    allSettings[key] = this.columnSettings;
+    const keys = Object.keys(allSettings);
+    keys.slice(0, Math.max(keys.length - MAX_COLUMN_SETTINGS, 0))
+      .forEach((k) => delete allSettings[k]);
+    await setConfig('local', { jsonViewColumns: allSettings });
+  }
+
+  /**
+   * Toggle a column setting
+   * @param {string} name The sheet name
+   * @param {string} key The column key
+   * @param {string} prop The setting ("hidden" or "pinned")
+   */
+  async onToggleColumn(name, key, prop) {
+    const settings = this.columnSettings[name] || {};
+    const keys = settings[prop] || [];
+    await this.saveColumnSettings(name, {
+      ...settings,
+      [prop]: keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key],
+    });
+  }
+
+  /**
+   * Move a column
+   * @param {string} name The sheet name
+   * @param {string[]} columns All column keys in current order
+   * @param {string} key The column key
+   * @param {number} offset The number of positions to move the column by
+   */
+  async onMoveColumn(name, columns, key, offset) {
+    const order = columns.filter((k) => k !== key);
+    order.splice(columns.indexOf(key) + offset, 0, key);
+    await this.saveColumnSettings(name, {
+      ...this.columnSettings[name],
+      order,
+    });
+  }
+
   /**
    * Handle the tab change event
    */
   async onSelectionChange() {
     const actionGroup = await this.actionGroup;
     this.selectedTabIndex = parseInt(actionGroup.selected[0], 10);
+    if (!this.compareMode) {
+      // column filters and sort order are specific to a sheet
+      this.columnFilters = {};
+      this.sort = null;
+      this.applyFilters();
+    }
     sampleRUM('sidekick:jsonview:switch-tab');
   }
 
+  /**
+   * Handle the export event. Loads the remaining rows of all sheets and exports
+   * the selected or all sheets as currently filtered and sorted.
+   * @param {Event} event The change event
+   */
+  async onExport(event) {
+    // @ts-ignore
+    const { value: format } = event.target;
+    await this.loadAllPages();
+    const sheets = getSheets(this.filteredData);
+    const names = Object.keys(sheets);
+    const name = names[this.selectedTabIndex];
+    const baseName = new URL(this.url).pathname.split('/').pop().replace(/\.json$/, '') || 'data';
+    const fileName = names.length > 1 ? `${baseName}-${name}` : baseName;
+
+    if (format === 'xlsx-all') {
+      downloadFile(createWorkbook(sheets), `${baseName}.xlsx`);
+    } else if (format === 'xlsx') {
+      downloadFile(createWorkbook({ [name]: sheets[name] }), `${fileName}.xlsx`);
+    } else {
+      const tsv = format === 'tsv';
+      downloadFile(
+        serializeRows(sheets[name], tsv ? '\t' : ','),
+        `${fileName}.${format}`,
+        tsv ? 'text/tab-separated-values' : 'text/csv',
+      );
+    }
+    sampleRUM('sidekick:jsonview:export', { source: format });
+  }
+
+  /**
+   * Handle the compare toggle event
+   */
+  async onToggleCompare() {
+    this.compareMode = !this.compareMode;
+    this.selectedTabIndex = 0;
+    if (this.compareMode && !this.compareData) {
+      sampleRUM('sidekick:jsonview:compare');
+      this.compareFailed = false;
+      try {
+        const { searchParams } = new URL(window.location.href);
+        const [live, preview] = await Promise.all([
+          fetchSheets(searchParams.get('live')),
+          fetchSheets(searchParams.get('preview')),
+        ]);
+        this.compareData = diffSheets(live, preview);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('error comparing preview and live', e);
+        this.compareFailed = true;
+      }
+    }
+  }
+
   /**
    * Close the json view
    */
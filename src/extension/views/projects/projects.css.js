@@ -0,0 +1,161 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { css } from 'lit';
+
+export const style = css`
+  .container {
+    display: flex;
+    flex-direction: column;
+    width: 100%;
+    min-height: 100%;
+    color: var(--spectrum-global-color-gray-800);
+    box-sizing: border-box;
+  }
+
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    height: 64px;
+    padding: 0 16px;
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .header svg {
+    width: 32px;
+    height: 32px;
+  }
+
+  .header h1 {
+    font-size: 14px;
+    font-weight: 400;
+  }
+
+  .header h1 span {
+    padding-left: 5px;
+    font-weight: 700;
+  }
+
+  .actions {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 16px;
+  }
+
+  .actions input[type="file"] {
+    display: none;
+  }
+
+  .actions .search {
+    margin-left: auto;
+  }
+
+  .message {
+    margin: 0;
+    padding: 0 16px 16px;
+  }
+
+  .message.positive {
+    color: rgb(45, 157, 120);
+  }
+
+  .message.negative {
+    color: rgb(227, 72, 80);
+  }
+
+  .projects {
+    margin: 0;
+    padding: 0 16px 16px;
+    list-style: none;
+  }
+
+  .group {
+    margin: 0;
+    padding: 16px 16px 4px;
+    font-size: 12px;
+    text-transform: uppercase;
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .projects li {
+    padding: 8px 0 8px 8px;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+    border-left: 4px solid var(--project-color, transparent);
+  }
+
+  .projects .project {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 16px;
+  }
+
+  .projects .buttons {
+    display: flex;
+    gap: 4px;
+  }
+
+  .projects .tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    padding-top: 2px;
+  }
+
+  .projects .name .tag {
+    padding: 0 6px;
+    border-radius: 8px;
+    font-size: 12px;
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .projects .fields {
+    display: flex;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 10px;
+    padding-top: 8px;
+  }
+
+  .projects .fields .refs {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    width: 100%;
+  }
+
+  .projects .fields label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+
+  .projects li.disabled .name {
+    opacity: 0.5;
+  }
+
+  .projects .name {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    word-break: break-word;
+  }
+
+  .projects .name span {
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  .projects .name .managed {
+    font-style: italic;
+  }
+`;
@@ -0,0 +1,418 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { html, LitElement } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import '@spectrum-web-components/theme/scale-medium.js';
+import '@spectrum-web-components/theme/theme-dark.js';
+import '@spectrum-web-components/theme/theme-light.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/picker/sp-picker.js';
+import '@spectrum-web-components/menu/sp-menu-item.js';
+import '@spectrum-web-components/textfield/sp-textfield.js';
+import '../../app/components/spectrum/theme/theme.js';
+import '../../app/components/theme/theme.js';
+import { fetchLanguageDict, getLanguage, i18n } from '../../app/utils/i18n.js';
+import { downloadFile } from '../../app/utils/browser.js';
+import {
+  IMPORT_STRATEGIES,
+  exportProjects,
+  getProjects,
+  getShareUrl,
+  importProjects,
+  updateProject,
+} from '../../project.js';
+import {
+  filterProjects,
+  getProjectName,
+  groupProjects,
+  isHexColor,
+  parseTags,
+} from '../../utils/projects.js';
+import { removeConfig } from '../../config.js';
+import { style } from './projects.css.js';
+import { spectrum2 } from '../../app/spectrum-2.css.js';
+import { ICONS } from '../../app/constants.js';
+
+/**
+ * The lit template result type
+ * @typedef {import('lit').TemplateResult} TemplateResult
+ */
+
+@customElement('projects-view')
+export class ProjectsView extends LitElement {
+  static get styles() {
+    return [spectrum2, style];
+  }
+
+  /**
+   * The language dictionary
+   * @type {Object}
+   */
+  @property({ type: Object, state: false })
+  accessor languageDict;
+
+  /**
+   * The project configurations
+   * @type {Object[]}
+   */
+  @property({ type: Array })
+  accessor projects = [];
+
+  /**
+   * The strategy for importing existing projects
+   * @type {string}
+   */
+  @property({ type: String })
+  accessor strategy = IMPORT_STRATEGIES[0];
+
+  /**
+   * The message to show after an action
+   * @type {{ text: string, variant: string }}
+   */
+  @property({ type: Object })
+  accessor message;
+
+  /**
+   * The search query
+   * @type {string}
+   */
+  @property({ type: String })
+  accessor query = '';
+
+  /**
+   * The ID of the project being edited
+   * @type {string}
+   */
+  @property({ type: String })
+  accessor editing;
+
+  async connectedCallback() {
+    super.connectedCallback();
+
+    const lang = getLanguage();
+    this.languageDict = await fetchLanguageDict(undefined, lang);
+    await this.loadProjects();
+  }
+
+  /**
+   * Loads the project configurations.
+   */
+  async loadProjects() {
+    this.projects = (await getProjects()).filter((project) => !!project);
+  }
+
+  /**
+   * Downloads all project configurations as a JSON file.
+   */
+  async onExport() {
+    const data = await exportProjects();
+    downloadFile(
+      JSON.stringify(data, null, 2),
+      `sidekick-projects-${data.exported.split('T')[0]}.json`,
+      'application/json',
+    );
+    this.message = {
+      text: i18n(this.languageDict, 'projects_exported').replace('$1', `${data.projects.length}`),
+      variant: 'positive',
+    };
+  }
+
+  /**
+   * Opens the file picker to import projects.
+   */
+  onImport() {
+    /** @type {HTMLInputElement} */ (this.shadowRoot.querySelector('input[type="file"]')).click();
+  }
+
+  /**
+   * Imports the projects from the selected file.
+   * @param {Event} event The change event
+   */
+  async onFileSelected(event) {
+    // @ts-ignore
+    const [file] = event.target.files;
+    if (!file) {
+      return;
+    }
+    try {
+      const {
+        added, overwritten, merged, skipped, invalid,
+      } = await importProjects(JSON.parse(await file.text()), this.strategy);
+      this.message = {
+        text: i18n(this.languageDict, 'projects_imported')
+          .replace('$1', `${added}`)
+          .replace('$2', `${overwritten + merged}`)
+          .replace('$3', `${skipped}`)
+          .replace('$4', `${invalid}`),
+        variant: 'positive',
+      };
+      await this.loadProjects();
+    } catch (e) {
+      this.message = {
+        text: i18n(this.languageDict, 'projects_import_error'),
+        variant: 'negative',
+      };
+    }
+    // allow importing the same file again
+    // @ts-ignore
+    event.target.value = '';
+  }
+
+  /**
+   * Copies the share URL of a project to the clipboard.
+   * @param {Object} project The project configuration
+   */
+  async onShare(project) {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(project));
+      this.message = {
+        text: i18n(this.languageDict, 'projects_share_copied').replace('$1', project.project || project.id),
+        variant: 'positive',
+      };
+    } catch (e) {
+      this.message = {
+        text: i18n(this.languageDict, 'copy_urls_error'),
+        variant: 'negative',
+      };
+    }
+  }
+
+  /**
+   * Forgets the projects picked on hosts matching multiple projects.
+   */
+  async onResetPicked() {
+    await removeConfig('local', 'pickedProjects');
+    this.message = {
+      text: i18n(this.languageDict, 'projects_picked_reset'),
+      variant: 'positive',
+    };
+  }
+
+  /**
+   * Handles the search input
+   * @param {Event} event The input event
+   */
+  onSearch(event) {
+    // @ts-ignore
+    this.query = event.target.value;
+  }
+
+  /**
+   * Saves the group, tags and color of a project.
+   * @param {Object} project The project configuration
+   * @param {HTMLElement} form The element containing the fields
+   */
+  async onSave(project, form) {
+    /** @type {Object} */
+    const fields = Object.fromEntries([...form.querySelectorAll('[name]')]
+      // @ts-ignore
+      .map((field) => [field.getAttribute('name'), field.value]));
+    const tags = parseTags(fields.tags);
+    // only set a color if the user picked a valid one
+    /** @type {HTMLInputElement} */
+    const colorInput = form.querySelector('input[name="color"]');
+    const color = colorInput?.dataset.changed && isHexColor(fields.color)
+      ? fields.color
+      : project.color;
+    const refs = Object.fromEntries(Object.entries(project.refs || {}).map(([ref, settings]) => {
+      /** @type {HTMLInputElement} */
+      const devOriginField = form.querySelector(`[data-ref="${ref}"]`);
+      const refSettings = { ...settings, devOrigin: devOriginField?.value.trim() };
+      if (!refSettings.devOrigin) {
+        delete refSettings.devOrigin;
+      }
+      return [ref, refSettings];
+    }));
+    const updated = await updateProject({
+      ...project,
+      group: fields.group?.trim(),
+      tags: tags.length > 0 ? tags : undefined,
+      color,
+      refs: Object.keys(refs).length > 0 ? refs : undefined,
+    });
+    if (updated) {
+      this.editing = undefined;
+      this.message = {
+        text: i18n(this.languageDict, 'projects_saved').replace('$1', getProjectName(updated)),
+        variant: 'positive',
+      };
+      await this.loadProjects();
+    } else {
+      this.message = {
+        text: i18n(this.languageDict, 'projects_save_error'),
+        variant: 'negative',
+      };
+    }
+  }
+
+  /**
+   * Handles the import strategy selection
+   * @param {Event} event The change event
+   */
+  onStrategyChange(event) {
+    // @ts-ignore
+    this.strategy = event.target.value;
+  }
+
+  /**
+   * Renders a project.
+   * @param {Object} project The project configuration
+   * @returns {TemplateResult} The rendered project
+   */
+  renderProject(project) {
+    const { languageDict } = this;
+    const id = project.id || `${project.owner}/${project.repo}/${project.ref}`;
+    const tags = parseTags(project.tags);
+    return html`
+      <li
+        class=${project.disabled ? 'disabled' : ''}
+        style=${isHexColor(project.color) ? `--project-color: ${project.color}` : ''}
+      >
+        <div class="project">
+          <div class="name">
+            <strong>${project.project || `${project.owner}/${project.repo}`}</strong>
+            <span>${id}</span>
+            ${project.managed ? html`<span class="managed">${i18n(languageDict, 'projects_managed')}</span>` : ''}
+            ${tags.length > 0 ? html`
+              <div class="tags">${tags.map((tag) => html`<span class="tag">${tag}</span>`)}</div>
+            ` : ''}
+          </div>
+          <div class="buttons">
+            ${!project.managed ? html`
+              <sp-action-button
+                class="edit"
+                quiet
+                ?selected=${this.editing === id}
+                @click=${() => { this.editing = this.editing === id ? undefined : id; }}
+              >${i18n(languageDict, 'projects_edit')}</sp-action-button>
+            ` : ''}
+            <sp-action-button
+              class="share"
+              quiet
+              @click=${() => this.onShare(project)}
+            >${i18n(languageDict, 'projects_share')}</sp-action-button>
+          </div>
+        </div>
+        ${this.editing === id ? html`
+          <div class="fields">
+            <sp-textfield
+              name="group"
+              label=${i18n(languageDict, 'projects_group')}
+              placeholder=${i18n(languageDict, 'projects_group')}
+              value=${project.group || ''}
+            ></sp-textfield>
+            <sp-textfield
+              name="tags"
+              label=${i18n(languageDict, 'projects_tags')}
+              placeholder=${i18n(languageDict, 'projects_tags')}
+              value=${tags.join(', ')}
+            ></sp-textfield>
+            <label>
+              ${i18n(languageDict, 'projects_color')}
+              <input
+                type="color"
+                name="color"
+                .value=${isHexColor(project.color) ? project.color : '#000000'}
+                @input=${(e) => { e.target.dataset.changed = 'true'; }}
+              >
+            </label>
+            ${Object.keys(project.refs || {}).length > 0 ? html`
+              <div class="refs">
+                <strong>${i18n(languageDict, 'projects_refs')}</strong>
+                ${Object.entries(project.refs).map(([ref, { devOrigin }]) => html`
+                  <sp-textfield
+                    data-ref=${ref}
+                    label=${i18n(languageDict, 'projects_ref_dev_origin').replace('$1', ref)}
+                    placeholder=${i18n(languageDict, 'projects_ref_dev_origin').replace('$1', ref)}
+                    value=${devOrigin || ''}
+                  ></sp-textfield>
+                `)}
+              </div>
+            ` : ''}
+            <sp-action-button
+              class="save"
+              @click=${(e) => this.onSave(project, e.target.closest('.fields'))}
+            >${i18n(languageDict, 'projects_save')}</sp-action-button>
+          </div>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Renders the projects matching the search query, grouped by group.
+   * @returns {TemplateResult} The rendered projects
+   */
+  renderProjects() {
+    const { languageDict, projects, query } = this;
+    const matches = filterProjects(projects, query);
+    if (matches.length === 0) {
+      return html`<p class="message">${i18n(languageDict, 'projects_no_matches')}</p>`;
+    }
+    return html`
+      ${groupProjects(matches).map(({ group, projects: members }) => html`
+        <h2 class="group">${group || i18n(languageDict, 'projects_ungrouped')}</h2>
+        <ul class="projects">${members.map((project) => this.renderProject(project))}</ul>
+      `)}
+    `;
+  }
+
+  render() {
+    const { languageDict, projects, message } = this;
+    return html`
+      <theme-wrapper>
+        <div class="container">
+          <div class="header">
+            ${ICONS.ADOBE_LOGO}
+            <h1>Adobe Experience Manager Sites <span>${i18n(languageDict, 'config_projects_manage')}</span></h1>
+          </div>
+          <div class="actions">
+            <sp-action-button
+              class="export"
+              ?disabled=${projects.length === 0}
+              @click=${this.onExport}
+            >${i18n(languageDict, 'projects_export')}</sp-action-button>
+            <sp-picker
+              label=${i18n(languageDict, 'projects_import_strategy')}
+              value=${this.strategy}
+              @change=${this.onStrategyChange}
+            >
+              ${IMPORT_STRATEGIES.map((strategy) => html`
+                <sp-menu-item value=${strategy}>${i18n(languageDict, `projects_import_${strategy}`)}</sp-menu-item>
+              `)}
+            </sp-picker>
+            <sp-action-button
+              class="import"
+              @click=${this.onImport}
+            >${i18n(languageDict, 'projects_import')}</sp-action-button>
+            <input type="file" accept="application/json,.json" @change=${this.onFileSelected}>
+            <sp-action-button
+              class="reset-picked"
+              @click=${this.onResetPicked}
+            >${i18n(languageDict, 'projects_reset_picked')}</sp-action-button>
+            <sp-textfield
+              class="search"
+              type="search"
+              placeholder=${i18n(languageDict, 'projects_search')}
+              value=${this.query}
+              @input=${this.onSearch}
+            ></sp-textfield>
+          </div>
+          ${message ? html`<p class="message ${message.variant}">${message.text}</p>` : ''}
+          ${projects.length === 0
+    ? html`<p class="message">${i18n(languageDict, 'projects_none')}</p>`
+    : this.renderProjects()}
+        </div>
+      </theme-wrapper>
+    `;
+  }
+}
@@ -0,0 +1,177 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { css } from 'lit';
+
+export const style = css`
+  :host {
+    pointer-events: auto;
+  }
+
+  .container {
+    display: flex;
+    flex-direction: column;
+    width: 100%;
+    height: 100%;
+    color: var(--spectrum-global-color-gray-800);
+    box-sizing: border-box;
+    overflow-y: auto;
+  }
+
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    height: 64px;
+    padding-left: 16px;
+    padding-right: 16px;
+    background-color: var(--spectrum2-sidekick-layer-1);
+  }
+
+  .header .left {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    min-width: 324px;
+  }
+
+  .header .right {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    justify-content: flex-end;
+    min-width: 30px;
+  }
+
+  .header svg {
+    width: 32px;
+    height: 32px;
+  }
+
+  .header h1 {
+    font-size: 14px;
+    font-weight: 400;
+    flex-grow: 1;
+  }
+
+  .header h1 span {
+    padding-left: 5px;
+    font-weight: 700;
+  }
+
+  .header button {
+    background-color: transparent;
+    border: none;
+    border-radius: 50%;
+    width: 32px;
+    height: 32px;
+  }
+
+  .header button:hover {
+    background-color: rgba(255, 255, 255, 0.1);
+  }
+
+  .header button:active {
+    background-color: rgba(255, 255, 255, 0.2);
+  }
+
+  .tester {
+    padding: 16px 16px 0;
+  }
+
+  .tester sp-textfield {
+    width: 100%;
+    max-width: 480px;
+  }
+
+  .tester .result {
+    margin: 8px 0 0;
+    padding: 4px 12px;
+    border-left: 4px solid var(--spectrum2-sidekick-border-color);
+    border-radius: 4px;
+  }
+
+  .tester .result.match {
+    border-left-color: rgb(45, 157, 120);
+  }
+
+  .tester .result p {
+    margin: 4px 0;
+    word-break: break-word;
+  }
+
+  .actions {
+    padding: 16px;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 16px;
+  }
+
+  .actions p {
+    margin: 0;
+  }
+
+  .tableContainer {
+    padding: 0 16px 40px;
+  }
+
+  table {
+    width: 100%;
+    border-collapse: collapse;
+  }
+
+  th,
+  td {
+    padding: 8px;
+    text-align: left;
+    word-break: break-word;
+    border-bottom: 1px solid var(--spectrum2-sidekick-border-color);
+  }
+
+  th {
+    font-weight: 700;
+  }
+
+  th.index,
+  td.index {
+    width: 40px;
+    color: var(--spectrum-global-color-gray-600);
+  }
+
+  tr.match td {
+    background-color: rgba(45, 157, 120, 0.2);
+  }
+
+  .issue,
+  .status {
+    font-weight: 700;
+  }
+
+  .issue.chain {
+    color: rgb(230, 134, 25);
+  }
+
+  .issue.loop,
+  .status.error {
+    color: rgb(227, 72, 80);
+  }
+
+  .status.ok {
+    color: rgb(45, 157, 120);
+  }
+
+  .message {
+    padding: 0 16px;
+  }
+`;
@@ -0,0 +1,432 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { html, LitElement } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import '@spectrum-web-components/theme/scale-medium.js';
+import '@spectrum-web-components/theme/theme-dark.js';
+import '@spectrum-web-components/theme/theme-light.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/textfield/sp-textfield.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-close.js';
+import '../../app/components/spectrum/theme/theme.js';
+import '../../app/components/theme/theme.js';
+import { fetchLanguageDict, getLanguage, i18n } from '../../app/utils/i18n.js';
+import {
+  analyzeRedirects, getRedirectPath, getRedirects, traceRedirect,
+} from '../../app/utils/redirects.js';
+import { style } from './redirects.css.js';
+import { spectrum2 } from '../../app/spectrum-2.css.js';
+import sampleRUM from '../../utils/rum.js';
+
+/**
+ * The lit template result type
+ * @typedef {import('lit').TemplateResult} TemplateResult
+ */
+
+/**
+ * @typedef {import('@Types').Redirect} Redirect
+ */
+
+/**
+ * @typedef {import('@Types').RedirectTrace} RedirectTrace
+ */
+
+/**
+ * The number of rows to request per page
+ * @type {number}
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * The number of destinations to check in parallel
+ * @type {number}
+ */
+const CHECK_CONCURRENCY = 5;
+
+/**
+ * Fetches all rows of a redirects sheet, following its paging information.
+ * @param {string} url The url of the redirects sheet
+ * @returns {Promise<Object[]>} The rows
+ */
+async function fetchRows(url) {
+  const rows = [];
+  let total = Infinity;
+  while (rows.length < total) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set('offset', `${rows.length}`);
+    pageUrl.searchParams.set('limit', `${PAGE_SIZE}`);
+    // eslint-disable-next-line no-await-in-loop
+    const res = await fetch(pageUrl, { cache: 'no-store' });
+    if (!res.ok) {
+      throw new Error(`failed to load ${url}: ${res.status}`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const json = await res.json();
+    const sheet = json[':type'] === 'multi-sheet' ? json.default || {} : json;
+    const { data = [] } = sheet;
+    rows.push(...data);
+    total = data.length > 0 ? sheet.total ?? rows.length : rows.length;
+  }
+  return rows;
+}
+
+/**
+ * Returns the HTTP status of a URL, following redirects.
+ * @param {string} url The URL
+ * @returns {Promise<number>} The status, or <code>0</code> if the request failed
+ */
+async function fetchStatus(url) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    return res.status;
+  } catch (e) {
+    return 0;
+  }
+}
+
+@customElement('redirects-view')
+export class RedirectsView extends LitElement {
+  static get styles() {
+    return [spectrum2, style];
+  }
+
+  /**
+   * The language dictionary
+   * @type {Object}
+   */
+  @property({ type: Object, state: false })
+  accessor languageDict;
+
+  /**
+   * The redirect rules
+   * @type {Redirect[]}
+   */
+  @property({ type: Array })
+  accessor redirects;
+
+  /**
+   * The traces of all redirect rules
+   * @type {Map<Redirect, RedirectTrace>}
+   */
+  @property({ type: Object })
+  accessor traces;
+
+  /**
+   * The path to test
+   * @type {string}
+   */
+  @property({ type: String })
+  accessor testPath = '';
+
+  /**
+   * The destination statuses by URL
+   * @type {Object<string, number>}
+   */
+  @property({ type: Object })
+  accessor statuses = {};
+
+  /**
+   * Are the destinations being checked?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor checking = false;
+
+  /**
+   * Has loading failed?
+   * @type {boolean}
+   */
+  @property({ type: Boolean })
+  accessor failed = false;
+
+  /**
+   * The hosts of the site
+   * @type {string[]}
+   */
+  hosts = [];
+
+  /**
+   * The preview host
+   * @type {string}
+   */
+  innerHost;
+
+  /**
+   * The live host
+   * @type {string}
+   */
+  outerHost;
+
+  async connectedCallback() {
+    super.connectedCallback();
+
+    const lang = getLanguage();
+    this.languageDict = await fetchLanguageDict(undefined, lang);
+
+    try {
+      const { searchParams } = new URL(window.location.href);
+      const url = searchParams.get('url');
+      if (url) {
+        this.innerHost = searchParams.get('preview') ? new URL(searchParams.get('preview')).host : new URL(url).host;
+        this.outerHost = searchParams.get('live') ? new URL(searchParams.get('live')).host : new URL(url).host;
+        this.hosts = [...new Set([new URL(url).host, this.innerHost, this.outerHost])];
+        const redirects = getRedirects(await fetchRows(url));
+        this.traces = analyzeRedirects(redirects, this.hosts);
+        this.redirects = redirects;
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('error rendering view', e);
+      this.failed = true;
+    }
+  }
+
+  /**
+   * Returns the URLs to check for a redirect destination.
+   * @param {string} destination The destination path or URL
+   * @returns {{ preview: string, live: string }|null} The URLs, or <code>null</code> if invalid
+   */
+  getDestinationUrls(destination) {
+    const path = getRedirectPath(destination, this.hosts);
+    try {
+      if (path) {
+        const { search, hash } = new URL(destination, `https://${this.innerHost}`);
+        return {
+          preview: `https://${this.innerHost}${path}${search}${hash}`,
+          live: `https://${this.outerHost}${path}${search}${hash}`,
+        };
+      }
+      // external destination
+      const url = new URL(destination).toString();
+      return { preview: url, live: url };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Renders the HTTP status of a destination URL.
+   * @param {string} url The URL
+   * @returns {TemplateResult|string} The rendered status
+   */
+  renderStatus(url) {
+    const status = this.statuses[url];
+    if (status === undefined) {
+      return '';
+    }
+    if (status === 0) {
+      return html`<span class="status error">${i18n(this.languageDict, 'redirects_status_error')}</span>`;
+    }
+    return html`<span class="status ${status < 400 ? 'ok' : 'error'}">${status}</span>`;
+  }
+
+  /**
+   * Renders the chain of a redirect trace.
+   * @param {RedirectTrace} trace The redirect trace
+   * @returns {string} The rendered chain
+   */
+  renderChain({ hops }) {
+    return [hops[0].source, ...hops.map(({ destination }) => destination)].join(' → ');
+  }
+
+  /**
+   * Renders the issue of a redirect rule.
+   * @param {RedirectTrace} trace The redirect trace
+   * @returns {TemplateResult|string} The rendered issue
+   */
+  renderIssue(trace) {
+    if (trace.loop) {
+      return html`<span class="issue loop" title=${this.renderChain(trace)}>${i18n(this.languageDict, 'redirects_loop')}</span>`;
+    }
+    if (trace.hops.length > 1) {
+      return html`<span class="issue chain" title=${this.renderChain(trace)}>${i18n(this.languageDict, 'redirects_chain')}</span>`;
+    }
+    return '';
+  }
+
+  /**
+   * Renders the result of testing a path against the redirect rules.
+   * @returns {TemplateResult|string} The rendered result
+   */
+  renderTestResult() {
+    const { languageDict, testPath } = this;
+    if (!testPath) {
+      return '';
+    }
+    const trace = traceRedirect(this.redirects, testPath, this.hosts);
+    if (trace.hops.length === 0) {
+      return html`<p class="result">${i18n(languageDict, 'redirects_no_match')}</p>`;
+    }
+    const [{ index, destination }] = trace.hops;
+    return html`
+      <div class="result match">
+        <p>${i18n(languageDict, 'redirects_match')
+    .replace('$1', `${index + 2}`)
+    .replace('$2', destination)}</p>
+        ${trace.hops.length > 1 || trace.loop ? html`
+          <p>${this.renderIssue(trace)} ${this.renderChain(trace)}</p>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders a redirect rule.
+   * @param {Redirect} redirect The redirect rule
+   * @param {Redirect} [match] The redirect rule matching the test path
+   * @returns {TemplateResult} The rendered row
+   */
+  renderRow(redirect, match) {
+    const { index, source, destination } = redirect;
+    const urls = this.getDestinationUrls(destination);
+    return html`
+      <tr class=${redirect === match ? 'match' : ''}>
+        <td class="index">${index + 2}</td>
+        <td>${source}</td>
+        <td>${destination}</td>
+        <td>${this.renderIssue(this.traces.get(redirect))}</td>
+        <td>${urls ? this.renderStatus(urls.preview) : ''}</td>
+        <td>${urls ? this.renderStatus(urls.live) : ''}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Renders the redirects data.
+   * @returns {TemplateResult[]} The rendered elements
+   */
+  renderData() {
+    const { redirects, traces, languageDict } = this;
+    const { searchParams } = new URL(window.location.href);
+
+    const elements = [html`
+      <div class="header">
+        <div class="left">
+        <svg width="250" height="245" viewBox="0 0 250 245" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M47.5 3H202.5C226 3 245 22 245 45.5V194.5C245 218 226 237 202.5 237H47.5C24 237 5 218 5 194.5V45.5C5 22 24 3 47.5 3Z" fill="black"/>
+          <path d="M192 179H163C160.3 179.2 157.9 177.5 157 175L126 103C126 102.4 125.6 102 125 102C124.4 102 124 102.4 124 103L104 149C104 150.1 104.9 151 106 151H127C128.3 150.9 129.6 151.7 130 153L139 174C139.6 176.1 138.4 178.3 136.2 178.9C136.1 178.9 136 178.9 136 179H59C56.8 178.5 55.5 176.4 55.9 174.2C55.9 174.1 55.9 174 56 174L105 57C106.1 54.7 108.4 53.1 111 53H139C141.6 53.1 143.9 54.7 145 57L195 174C195.6 176.1 194.4 178.3 192.2 178.9C192.2 179 192.1 179 192 179Z" fill="#FA0F00"/>
+        </svg>
+        <h1>Adobe Experience Manager Sites <span>${searchParams.get('title')}</span></h1>
+        </div>
+        <div class="right">
+          <button variant="primary" @click=${this.onCloseView}><sp-icon-close></sp-icon-close></button>
+        </div>
+      </div>
+    `];
+
+    if (this.failed) {
+      elements.push(html`<p class="message">${i18n(languageDict, 'redirects_error')}</p>`);
+      return elements;
+    }
+    if (!redirects) {
+      return elements;
+    }
+
+    const allTraces = [...traces.values()];
+    const loops = allTraces.filter(({ loop }) => loop).length;
+    const chains = allTraces.filter(({ loop, hops }) => !loop && hops.length > 1).length;
+    const [match] = this.testPath
+      ? traceRedirect(redirects, this.testPath, this.hosts).hops
+      : [];
+
+    elements.push(html`
+      <div class="tester">
+        <sp-textfield
+          placeholder=${i18n(languageDict, 'redirects_test_placeholder')}
+          label=${i18n(languageDict, 'redirects_test_placeholder')}
+          @input=${this.onTestPath}
+        ></sp-textfield>
+        ${this.renderTestResult()}
+      </div>
+      <div class="actions">
+        <p>${i18n(languageDict, 'redirects_stats')
+    .replace('$1', `${redirects.length}`)
+    .replace('$2', `${chains}`)
+    .replace('$3', `${loops}`)}</p>
+        <sp-action-button
+          class="check"
+          ?disabled=${this.checking || redirects.length === 0}
+          @click=${this.onCheckDestinations}
+        >${i18n(languageDict, this.checking ? 'redirects_checking' : 'redirects_check')}</sp-action-button>
+      </div>
+      <div class="tableContainer">
+        <table>
+          <thead>
+            <tr>
+              <th class="index">#</th>
+              <th>${i18n(languageDict, 'redirects_source')}</th>
+              <th>${i18n(languageDict, 'redirects_destination')}</th>
+              <th>${i18n(languageDict, 'redirects_issue')}</th>
+              <th>${i18n(languageDict, 'preview')}</th>
+              <th>${i18n(languageDict, 'live')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${redirects.map((redirect) => this.renderRow(redirect, match))}
+          </tbody>
+        </table>
+      </div>
+    `);
+
+    return elements;
+  }
+
+  /**
+   * Handle the test path input
+   * @param {Event} event The input event
+   */
+  onTestPath(event) {
+    // @ts-ignore
+    this.testPath = event.target.value.trim();
+  }
+
+  /**
+   * Checks the HTTP status of all destinations on preview and live.
+   */
+  async onCheckDestinations() {
+    this.checking = true;
+    const urls = [...new Set(this.redirects
+      .map(({ destination }) => this.getDestinationUrls(destination))
+      .filter((destinationUrls) => !!destinationUrls)
+      .flatMap(({ preview, live }) => [preview, live]))];
+    const check = async () => {
+      while (urls.length > 0) {
+        const url = urls.shift();
+        // eslint-disable-next-line no-await-in-loop
+        const status = await fetchStatus(url);
+        this.statuses = { ...this.statuses, [url]: status };
+      }
+    };
+    await Promise.all(Array.from({ length: CHECK_CONCURRENCY }, check));
+    this.checking = false;
+    sampleRUM('sidekick:redirectsview:check');
+  }
+
+  /**
+   * Close the redirects view
+   */
+  onCloseView() {
+    const customEventDetail = { detail: { event: 'hlx-close-view' } };
+    window.parent.postMessage(customEventDetail, '*');
+    sampleRUM('sidekick:redirectsview:close');
+  }
+
+  render() {
+    return html`
+      <theme-wrapper>
+        <div class="container">
+          ${this.renderData()}
+        </div>
+      </theme-wrapper>
+    `;
+  }
+}
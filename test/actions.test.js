@@ -18,6 +18,7 @@ import sinon from 'sinon';
 import {
   checkViewDocSource,
   externalActions,
+  installSharedProject,
   internalActions,
 } from '../src/extension/actions.js';
 import chromeMock from './mocks/chrome.js';
@@ -144,6 +145,21 @@ describe('Test actions', () => {
     expect(set.notCalled).to.be.true;
   }).timeout(5000);
 
+  it('internal: addRemoveProject with managed project', async () => {
+    sandbox.stub(chrome.storage.managed, 'get')
+      .withArgs('projects')
+      .resolves({ projects: [{ owner: 'foo', repo: 'managed', ref: 'main' }] });
+    const remove = sandbox.spy(chrome.storage.sync, 'remove');
+    const reload = sandbox.spy(chrome.tabs, 'reload');
+    const i18nSpy = sandbox.spy(chrome.i18n, 'getMessage');
+    await internalActions.addRemoveProject(mockTab('https://main--managed--foo.hlx.page/', {
+      id: 1,
+    }));
+    expect(i18nSpy.calledWith('config_project_managed', 'foo/managed/main')).to.be.true;
+    expect(remove.notCalled).to.be.true;
+    expect(reload.notCalled).to.be.true;
+  });
+
   it('internal: enableDisableProject', async () => {
     const set = sandbox.spy(chrome.storage.sync, 'set');
     const reload = sandbox.spy(chrome.tabs, 'reload');
@@ -271,6 +287,123 @@ describe('Test actions', () => {
     })).to.be.true;
   });
 
+  it('internal: openProjectsView', async () => {
+    const { openProjectsView } = internalActions;
+    const createSpy = sandbox.spy(chrome.tabs, 'create');
+    await openProjectsView();
+    expect(createSpy.calledWithMatch({
+      url: '/test/fixtures/views/projects/projects.html',
+    })).to.be.true;
+  });
+
+  it('internal: switchProjectRef', async () => {
+    const { switchProjectRef } = internalActions;
+    const set = sandbox.spy(chrome.storage.sync, 'set');
+    sandbox.stub(chrome.storage.sync, 'get')
+      .withArgs('foo/bar')
+      .resolves({ 'foo/bar': { owner: 'foo', repo: 'bar', ref: 'main' } })
+      .withArgs('projects')
+      .resolves({ projects: ['foo/bar'] });
+    const tab = mockTab('https://main--bar--foo.aem.page/');
+    expect(await switchProjectRef(tab, { owner: 'foo', repo: 'bar', ref: 'feature' })).to.be.true;
+    const [[{ 'foo/bar': updated }]] = set.args;
+    expect(updated.refs.feature.lastUsed).to.be.a('number');
+    // unknown project
+    expect(await switchProjectRef(tab, { owner: 'foo', repo: 'baz', ref: 'feature' })).to.be.false;
+    // missing ref
+    expect(await switchProjectRef(tab, { owner: 'foo', repo: 'bar' })).to.be.false;
+    expect(await switchProjectRef(tab)).to.be.false;
+  });
+
+  describe('installSharedProject', () => {
+    const shareUrl = 'https://www.aem.live/tools/sidekick/?giturl=https://github.com/foo/shared/tree/main&project=Shared&host=www.shared.com';
+    let createNotificationStub;
+    let buttonIndex;
+
+    beforeEach(() => {
+      chrome.storage.session.clear();
+      buttonIndex = 0;
+      let onButtonClickedListener;
+      sandbox.stub(chrome.notifications.onButtonClicked, 'addListener').callsFake((listener) => {
+        onButtonClickedListener = listener;
+      });
+      createNotificationStub = sandbox.stub(chrome.notifications, 'create').callsFake(async (id) => {
+        setTimeout(() => onButtonClickedListener(id, buttonIndex));
+        return id;
+      });
+    });
+
+    it('asks for confirmation and adds project', async () => {
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      const i18nSpy = sandbox.spy(chrome.i18n, 'getMessage');
+      // add project
+      expect(await installSharedProject(mockTab(shareUrl, { id: 1 }))).to.be.true;
+      expect(createNotificationStub.calledOnce).to.be.true;
+      expect(createNotificationStub.calledWithMatch('shared-project-1', {
+        requireInteraction: true,
+      })).to.be.true;
+      expect(i18nSpy.calledWith('config_project_share_confirm', [
+        'foo/shared',
+        'host: www.shared.com',
+      ])).to.be.true;
+      expect(set.calledWithMatch({
+        'foo/shared': {
+          owner: 'foo',
+          repo: 'shared',
+          ref: 'main',
+          project: 'Shared',
+          host: 'www.shared.com',
+        },
+      })).to.be.true;
+      expect(i18nSpy.calledWith('config_project_added', 'Shared')).to.be.true;
+      // ignore existing project
+      set.resetHistory();
+      expect(await installSharedProject(mockTab(shareUrl, { id: 2 }))).to.be.false;
+      expect(set.notCalled).to.be.true;
+      // ignore other urls
+      expect(await installSharedProject(mockTab('https://main--shared--foo.aem.page/'))).to.be.false;
+      // clean up
+      await internalActions.addRemoveProject(mockTab('https://main--shared--foo.aem.page/'));
+    }).timeout(5000);
+
+    it('does not add project if user declines', async () => {
+      buttonIndex = 1;
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      expect(await installSharedProject(mockTab(shareUrl, { id: 1 }))).to.be.false;
+      expect(createNotificationStub.calledOnce).to.be.true;
+      expect(set.notCalled).to.be.true;
+    });
+
+    it('asks only once per tab', async () => {
+      buttonIndex = 1;
+      const tab = mockTab(shareUrl, { id: 1 });
+      expect(await installSharedProject(tab)).to.be.false;
+      expect(await installSharedProject(tab)).to.be.false;
+      expect(createNotificationStub.calledOnce).to.be.true;
+    });
+
+    it('does not add project if user does not respond', async () => {
+      const clock = sandbox.useFakeTimers();
+      createNotificationStub.callsFake(async (id) => id);
+      const removeListenerSpy = sandbox.spy(chrome.notifications.onButtonClicked, 'removeListener');
+      const clearSpy = sandbox.spy(chrome.notifications, 'clear');
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      const installed = installSharedProject(mockTab(shareUrl, { id: 1 }));
+      await clock.tickAsync(60000);
+      expect(await installed).to.be.false;
+      expect(removeListenerSpy.calledOnce).to.be.true;
+      expect(clearSpy.calledWith('shared-project-1')).to.be.true;
+      expect(set.notCalled).to.be.true;
+    });
+
+    it('does not add project if confirmation cannot be shown', async () => {
+      createNotificationStub.rejects(error);
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      expect(await installSharedProject(mockTab(shareUrl, { id: 1 }))).to.be.false;
+      expect(set.notCalled).to.be.true;
+    });
+  });
+
   it('internal: checkViewDocSource', async () => {
     const createSpy = sandbox.spy(chrome.windows, 'create');
     const logSpy = sandbox.spy(log, 'warn');
@@ -59,4 +59,50 @@ describe('AEM Config Picker', () => {
     expect(configSelectedSpy).to.have.been.calledOnce;
     expect(configSelectedSpy.args[0][0].detail.config).to.deep.equal(matchingConfigs[0]);
   });
+
+  it('groups configs with the same group in a menu', async () => {
+    const configSelectedSpy = sinon.spy();
+    const groupedConfigs = [
+      { ...matchingConfigs[0], color: '#ff0000' },
+      { ...matchingConfigs[1], group: 'Brands' },
+      { ...matchingConfigs[2], group: 'Brands' },
+    ];
+    const configPicker = new AEMConfigPicker(groupedConfigs);
+    document.body.appendChild(configPicker);
+
+    await waitUntil(() => recursiveQuery(configPicker, 'theme-wrapper'));
+
+    const actionBar = recursiveQuery(configPicker, 'action-bar');
+    const configButtons = [...recursiveQueryAll(actionBar, 'sk-action-button.colored')];
+    expect(configButtons.length).to.equal(1);
+    expect(configButtons[0].getAttribute('style')).to.equal('--project-color: #ff0000');
+
+    const groupMenu = recursiveQuery(actionBar, 'sp-action-menu.group');
+    expect(groupMenu).to.exist;
+    expect(groupMenu.getAttribute('label')).to.equal('Brands');
+
+    const menuItems = [...groupMenu.querySelectorAll('sk-menu-item')];
+    expect(menuItems.length).to.equal(2);
+
+    configPicker.addEventListener('configselected', configSelectedSpy);
+    menuItems[1].click();
+
+    expect(configSelectedSpy).to.have.been.calledOnce;
+    expect(configSelectedSpy.args[0][0].detail.config).to.deep.equal(groupedConfigs[2]);
+  });
+
+  it('ignores invalid colors', async () => {
+    const configPicker = new AEMConfigPicker([
+      { ...matchingConfigs[0], color: 'red; background: url(https://example.com)' },
+      matchingConfigs[1],
+    ]);
+    document.body.appendChild(configPicker);
+
+    await waitUntil(() => recursiveQuery(configPicker, 'theme-wrapper'));
+
+    const actionBar = recursiveQuery(configPicker, 'action-bar');
+    const [configButton] = [...recursiveQueryAll(actionBar, 'sk-action-button')];
+    expect(configButton.classList.contains('colored')).to.be.false;
+    expect(configButton.getAttribute('style')).to.not.contain('--project-color');
+  });
 });
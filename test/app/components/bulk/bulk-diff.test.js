@@ -0,0 +1,112 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery } from '../../../test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Bulk Diff', () => {
+  let appStore;
+  let sidekickTest;
+  let diff;
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+
+    diff = [
+      {
+        path: '/changed',
+        source: 'Mon, 01 Jan 2024 10:00:00 GMT',
+        preview: 'Mon, 01 Jan 2024 11:00:00 GMT',
+        live: 'Mon, 01 Jan 2024 09:00:00 GMT',
+        state: 'changed',
+        selected: true,
+      },
+      {
+        path: '/unchanged',
+        source: 'Mon, 01 Jan 2024 10:00:00 GMT',
+        preview: 'Mon, 01 Jan 2024 11:00:00 GMT',
+        live: 'Mon, 01 Jan 2024 11:00:00 GMT',
+        state: 'unchanged',
+        selected: false,
+      },
+      {
+        path: '/new',
+        source: 'Mon, 01 Jan 2024 10:00:00 GMT',
+        state: 'not_previewed',
+        selected: false,
+      },
+    ];
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('displays diff and toggles selection', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.CONFIRM,
+      data: {
+        message: 'Select files',
+        diff,
+      },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, 'bulk-diff'));
+    const bulkDiff = recursiveQuery(modal, 'bulk-diff');
+    await bulkDiff.updateComplete;
+
+    const rows = bulkDiff.shadowRoot.querySelectorAll('.row:not(.header)');
+    expect(rows.length).to.equal(3);
+    expect(rows[0].classList.contains('changed')).to.be.true;
+    expect(rows[0].querySelector('.state').textContent).to.equal('Preview newer than live');
+    expect(rows[2].querySelector('.state').textContent).to.equal('Never previewed');
+    expect(rows[2].querySelectorAll('.date')[1].textContent).to.equal('Never');
+    expect(bulkDiff.shadowRoot.querySelector('.header .path').textContent.trim()).to.equal('1 of 3 selected');
+
+    const checkAll = bulkDiff.shadowRoot.querySelector('input.all');
+    expect(checkAll.indeterminate).to.be.true;
+
+    // select unchanged file
+    const checkbox = rows[1].querySelector('input');
+    checkbox.click();
+    expect(diff[1].selected).to.be.true;
+    await bulkDiff.updateComplete;
+    expect(bulkDiff.shadowRoot.querySelector('.header .path').textContent.trim()).to.equal('2 of 3 selected');
+
+    // select all files
+    checkAll.click();
+    expect(diff.every(({ selected }) => selected)).to.be.true;
+    await bulkDiff.updateComplete;
+    expect(checkAll.checked).to.be.true;
+
+    // deselect all files
+    checkAll.click();
+    expect(diff.every(({ selected }) => !selected)).to.be.true;
+  });
+});
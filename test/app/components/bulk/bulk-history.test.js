@@ -0,0 +1,145 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery, recursiveQueryAll } from '../../../test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Bulk History', () => {
+  let appStore;
+  let sidekickTest;
+
+  const entries = [
+    {
+      owner: 'adobe',
+      repo: 'aem-boilerplate',
+      ref: 'main',
+      operation: 'publish',
+      host: 'www.example.com',
+      user: 'foo@example.com',
+      timestamp: 1700000000000,
+      resources: [
+        { path: '/file1', status: 200 },
+        { path: '/file2', status: 403, error: 'forbidden' },
+      ],
+    },
+    {
+      owner: 'adobe',
+      repo: 'aem-boilerplate',
+      ref: 'main',
+      operation: 'preview',
+      host: 'main--aem-boilerplate--adobe.aem.page',
+      user: 'foo@example.com',
+      timestamp: 1600000000000,
+      resources: [
+        { path: '/file1', status: 200 },
+      ],
+    },
+  ];
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+  });
+
+  afterEach(async () => {
+    await chrome.storage.local.remove('bulkHistory');
+    sidekickTest.destroy();
+  });
+
+  it('displays empty history', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.BULK_HISTORY,
+    });
+
+    await waitUntil(() => recursiveQuery(modal, '.empty'));
+    expect(recursiveQuery(modal, '.empty').textContent).to.equal('No bulk operations yet');
+  });
+
+  it('displays history entries with actions', async () => {
+    await chrome.storage.local.set({ bulkHistory: entries });
+    const rerunStub = sidekickTest.sandbox.stub(appStore.bulkStore, 'rerunFailed');
+    const exportStub = sidekickTest.sandbox.stub(appStore.bulkStore, 'exportHistoryEntry');
+
+    const modal = appStore.showModal({
+      type: MODALS.BULK_HISTORY,
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.entry').size === 2);
+    const [first, second] = [...recursiveQueryAll(modal, '.entry')];
+    expect(first.querySelector('.summary').textContent.trim())
+      .to.equal('1 file successfully published, but 1 failed.');
+    expect(first.querySelector('.meta').textContent).to.equal('foo@example.com · www.example.com');
+    expect(second.querySelector('.rerun')).to.not.exist;
+
+    first.querySelector('.csv').click();
+    expect(exportStub.calledWith(entries[0], 'csv')).to.be.true;
+    first.querySelector('.json').click();
+    expect(exportStub.calledWith(entries[0], 'json')).to.be.true;
+
+    const rerunButton = first.querySelector('.rerun');
+    expect(rerunButton.textContent.trim()).to.equal('Retry 1 failed');
+    rerunButton.click();
+    expect(rerunStub.calledWith(entries[0])).to.be.true;
+    await waitUntil(() => !recursiveQuery(appStore.sidekick, 'sp-dialog-wrapper'));
+  });
+
+  it('displays unpublished resources of bulk delete', async () => {
+    await chrome.storage.local.set({
+      bulkHistory: [{
+        ...entries[0],
+        operation: 'delete',
+        resources: [
+          { path: '/file1', status: 204 },
+          { path: '/file2', status: 204 },
+        ],
+        unpublished: [
+          { path: '/file1', status: 204 },
+        ],
+      }],
+    });
+    const modal = appStore.showModal({
+      type: MODALS.BULK_HISTORY,
+    });
+
+    await waitUntil(() => recursiveQuery(modal, '.entry'));
+    expect(recursiveQuery(modal, '.entry .summary').textContent.trim().replace(/\s+/g, ' '))
+      .to.equal('2 files successfully deleted. File successfully unpublished.');
+  });
+
+  it('clears history', async () => {
+    await chrome.storage.local.set({ bulkHistory: entries });
+    const modal = appStore.showModal({
+      type: MODALS.BULK_HISTORY,
+    });
+
+    await waitUntil(() => recursiveQuery(modal, 'sp-dialog-wrapper'));
+    recursiveQuery(modal, 'sp-dialog-wrapper').dispatchEvent(new CustomEvent('secondary'));
+
+    await waitUntil(async () => (await appStore.bulkStore.getHistory()).length === 0);
+  });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery } from '../../../test-utils.js';
+import { BulkTree } from '../../../../src/extension/app/components/bulk/bulk-tree/bulk-tree.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Bulk Tree', () => {
+  let appStore;
+  let sidekickTest;
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .awaitStatusFetched();
+    sidekickTest.createSidekick();
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('renders empty tree without paths', async () => {
+    const bulkTree = document.body.appendChild(new BulkTree());
+    await bulkTree.updateComplete;
+    expect(bulkTree.shadowRoot.querySelectorAll('li').length).to.equal(0);
+    bulkTree.remove();
+  });
+
+  it('renders paths grouped by folder', async () => {
+    const bulkTree = new BulkTree();
+    bulkTree.paths = [
+      '/foo/bar/one',
+      '/foo/bar/two',
+      '/foo/three',
+      '/four',
+    ];
+    document.body.appendChild(bulkTree);
+    await bulkTree.updateComplete;
+
+    const folders = bulkTree.shadowRoot.querySelectorAll('li.folder');
+    expect(folders.length).to.equal(2);
+    expect(folders[0].querySelector('.count').textContent).to.equal('(3)');
+    expect(folders[1].querySelector('.count').textContent).to.equal('(2)');
+    expect(bulkTree.shadowRoot.querySelectorAll('li.file').length).to.equal(4);
+    bulkTree.remove();
+  });
+
+  it('is displayed in confirmation modal', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.CONFIRM,
+      data: {
+        message: 'Are you sure?',
+        paths: ['/foo/one', '/foo/two'],
+      },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, 'bulk-tree'));
+    expect(recursiveQuery(modal, 'bulk-tree').paths.length).to.equal(2);
+  }).timeout(5000);
+});
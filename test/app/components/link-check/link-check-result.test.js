@@ -0,0 +1,101 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS, MODAL_EVENTS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery, recursiveQueryAll } from '../../../test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Link Check Result', () => {
+  let appStore;
+  let sidekickTest;
+
+  const results = [
+    {
+      url: 'https://www.example.com/missing', text: 'missing', status: 404, issue: 'not_found',
+    },
+    {
+      url: 'https://main--aem-boilerplate--adobe.aem.page/foo', text: 'foo', status: 200, issue: 'wrong_env',
+    },
+    {
+      url: 'https://main--aem-boilerplate--adobe.aem.live/bar', text: 'bar', status: null, issue: 'unverified',
+    },
+    {
+      url: 'https://www.example.com/ok', text: 'ok', status: 200, issue: 'ok',
+    },
+  ];
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('displays link check results', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.LINK_CHECK,
+      data: { results },
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.row').size === 4);
+    // unverified links are not counted as issues
+    expect(recursiveQuery(modal, '.summary').textContent.trim())
+      .to.equal('4 links checked, 2 with issues');
+    const [missing, wrongEnv, unverified, ok] = [...recursiveQueryAll(modal, '.row')];
+    expect(missing.classList.contains('not_found')).to.be.true;
+    expect(missing.querySelector('.issue').textContent).to.equal('Not found');
+    expect(missing.querySelector('.status').textContent).to.equal('404');
+    expect(wrongEnv.querySelector('.issue').textContent).to.equal('Wrong environment');
+    expect(unverified.querySelector('.issue').textContent).to.equal('Unverified');
+    expect(ok.querySelector('a').getAttribute('href')).to.equal('https://www.example.com/ok');
+  });
+
+  it('displays empty results', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.LINK_CHECK,
+      data: { results: [] },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, '.summary'));
+    expect(recursiveQuery(modal, '.summary').textContent.trim())
+      .to.equal('0 links checked, 0 with issues');
+    expect(recursiveQuery(modal, '.container')).to.not.exist;
+  });
+
+  it('copies results on confirm', async () => {
+    const copyStub = sidekickTest.sandbox.stub(appStore, 'copyLinkResults');
+    const modal = appStore.showModal({
+      type: MODALS.LINK_CHECK,
+      data: { results },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, 'sp-dialog-wrapper'));
+    recursiveQuery(modal, 'sp-dialog-wrapper').dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+    await waitUntil(() => copyStub.calledWith(results));
+  });
+});
@@ -373,6 +373,42 @@ describe('Modals', () => {
     });
   });
 
+  describe('switch ref modal', () => {
+    beforeEach(async () => {
+      sidekick = sidekickTest.createSidekick();
+      await sidekickTest.awaitEnvSwitcher();
+    });
+
+    it('confirms with ref', async () => {
+      appStore.showModal({
+        type: MODALS.SWITCH_REF,
+        data: {
+          refs: ['main'],
+        },
+      });
+
+      const confirmSpy = sidekickTest.sandbox.spy();
+      const modal = recursiveQuery(sidekick, 'modal-container');
+      modal.addEventListener('confirm', confirmSpy);
+
+      await waitUntil(() => recursiveQuery(modal, 'sp-dialog-wrapper'));
+
+      const dialogWrapper = recursiveQuery(modal, 'sp-dialog-wrapper');
+      const confirmButton = recursiveQuery(dialogWrapper, 'sp-button[variant="accent"]');
+      const input = dialogWrapper.querySelector('sp-textfield#ref-input');
+      expect(input.getAttribute('placeholder')).to.equal('main');
+
+      // ignore empty ref
+      confirmButton.click();
+      expect(confirmSpy.called).to.be.false;
+
+      input.value = 'feature';
+      confirmButton.click();
+      expect(confirmSpy.calledOnce).to.be.true;
+      expect(confirmSpy.args[0][0].detail).to.deep.equal({ ref: 'feature' });
+    });
+  });
+
   it('displays error modal - default headline', async () => {
     sidekick = sidekickTest.createSidekick();
 
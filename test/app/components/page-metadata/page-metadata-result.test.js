@@ -0,0 +1,92 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS, MODAL_EVENTS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery, recursiveQueryAll } from '../../../test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Page Metadata Result', () => {
+  let appStore;
+  let sidekickTest;
+
+  const entries = [
+    {
+      name: 'og:image', value: '', source: 'none', issue: 'missing',
+    },
+    {
+      name: 'template', value: 'article', source: 'page', pattern: '/blog/**', bulkValue: 'blog', issue: 'overridden',
+    },
+    {
+      name: 'title', value: 'Blog post', source: 'page', issue: 'ok',
+    },
+    {
+      name: 'description', value: 'A blog post', source: 'bulk', pattern: '/**', bulkValue: 'A blog post', issue: 'ok',
+    },
+  ];
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('displays page metadata', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.PAGE_METADATA,
+      data: { entries },
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.row').size === 4);
+    expect(recursiveQuery(modal, '.summary').textContent.trim())
+      .to.equal('4 metadata fields, 2 with issues');
+    expect(recursiveQuery(modal, '.preview .title').textContent).to.equal('Blog post');
+    expect(recursiveQuery(modal, '.preview .description').textContent).to.equal('A blog post');
+    expect(recursiveQuery(modal, '.preview img')).to.not.exist;
+
+    const [missing, overridden, page, bulk] = [...recursiveQueryAll(modal, '.row')];
+    expect(missing.classList.contains('missing')).to.be.true;
+    expect(missing.querySelector('.issue').textContent).to.equal('Missing');
+    expect(overridden.querySelector('.source').textContent)
+      .to.equal('Set on the page, overrides metadata sheet (/blog/**): blog');
+    expect(page.querySelector('.source').textContent).to.equal('Set on the page');
+    expect(bulk.querySelector('.source').textContent).to.equal('From metadata sheet (/**)');
+  });
+
+  it('copies page metadata on confirm', async () => {
+    const copyStub = sidekickTest.sandbox.stub(appStore, 'copyMetadata');
+    const modal = appStore.showModal({
+      type: MODALS.PAGE_METADATA,
+      data: { entries },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, 'sp-dialog-wrapper'));
+    recursiveQuery(modal, 'sp-dialog-wrapper').dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+    await waitUntil(() => copyStub.calledWith(entries));
+  });
+});
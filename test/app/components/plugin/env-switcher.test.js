@@ -192,4 +192,40 @@ describe('Environment Switcher', () => {
       expect(switchEnvStub.calledWith('live', true)).to.be.true;
     }).timeout(20000);
   });
+
+  describe('switching between refs', () => {
+    it('lists recent refs and switches to another ref', async () => {
+      sidekickTest
+        .mockFetchStatusSuccess()
+        .mockFetchSidekickConfigSuccess(false)
+        .mockHelixEnvironment(HelixMockEnvironments.PREVIEW);
+
+      sidekick = sidekickTest.createSidekick();
+
+      await sidekickTest.awaitEnvSwitcher();
+
+      const actionBar = recursiveQuery(sidekick, 'action-bar');
+      const envPlugin = recursiveQuery(actionBar, 'env-switcher');
+      const picker = recursiveQuery(envPlugin, 'action-bar-picker');
+
+      appStore.siteStore.refs = ['main', 'feature'];
+      envPlugin.renderMenu();
+
+      const refItems = [...picker.querySelectorAll('sk-menu-item.ref')];
+      expect(refItems.map((item) => item.textContent)).to.deep.equal(['main', 'feature']);
+      expect(refItems[0].classList.contains('current-ref')).to.be.true;
+      expect(refItems[0].hasAttribute('disabled')).to.be.true;
+      expect(picker.querySelector('sk-menu-item.ref-other')).to.exist;
+
+      const switchRefStub = sidekickTest.sandbox.stub(appStore, 'switchRef').resolves();
+      picker.value = 'ref:feature';
+      picker.dispatchEvent(new Event('change'));
+      expect(switchRefStub.calledWith('feature', false)).to.be.true;
+
+      const promptSwitchRefStub = sidekickTest.sandbox.stub(appStore, 'promptSwitchRef');
+      picker.value = 'ref:';
+      picker.dispatchEvent(new Event('change'));
+      expect(promptSwitchRefStub.calledOnce).to.be.true;
+    }).timeout(20000);
+  });
 });
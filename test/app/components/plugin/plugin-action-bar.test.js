@@ -330,6 +330,13 @@ describe('Plugin action bar', () => {
         'bulk-publish',
         'bulk-copy-urls',
       ]);
+
+      await expectInPluginMenu([
+        'bulk-schedule-publish',
+        'bulk-unpublish',
+        'bulk-delete',
+        'bulk-history',
+      ]);
     });
 
     it('custom container plugin', async () => {
@@ -526,7 +533,13 @@ describe('Plugin action bar', () => {
 
       await expectInPluginMenu([
         'delete',
+        'publish-dependencies',
+        'schedule-publish',
         'unpublish',
+        'check-links',
+        'content-diff',
+        'page-metadata',
+        'page-audit',
       ]);
     });
 
@@ -542,7 +555,12 @@ describe('Plugin action bar', () => {
       await sidekickTest.awaitEnvSwitcher();
 
       await expectInPluginMenu([
+        'publish-dependencies',
+        'schedule-publish',
         'unpublish',
+        'check-links',
+        'content-diff',
+        'page-metadata',
       ]);
     });
 
@@ -558,7 +576,12 @@ describe('Plugin action bar', () => {
       await sidekickTest.awaitEnvSwitcher();
 
       await expectInPluginMenu([
+        'publish-dependencies',
+        'schedule-publish',
         'unpublish',
+        'check-links',
+        'content-diff',
+        'page-metadata',
       ]);
     });
 
@@ -0,0 +1,132 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+// @ts-ignore
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { MODALS } from '../../../../src/extension/app/constants.js';
+import { recursiveQuery, recursiveQueryAll } from '../../../test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Test Schedule Publish', () => {
+  let appStore;
+  let sidekickTest;
+
+  const future = Date.now() + 86400000;
+
+  const schedules = [
+    {
+      id: '1',
+      owner: 'adobe',
+      repo: 'aem-boilerplate',
+      ref: 'main',
+      paths: ['/foo', '/bar', '/baz'],
+      time: future,
+      user: 'foo@example.com',
+    },
+    {
+      id: '2',
+      owner: 'adobe',
+      repo: 'aem-boilerplate',
+      ref: 'main',
+      paths: ['/qux'],
+      time: future + 3600000,
+    },
+  ];
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+  });
+
+  afterEach(async () => {
+    await chrome.storage.local.remove('publishSchedules');
+    sidekickTest.destroy();
+  });
+
+  it('displays time picker and empty schedules', async () => {
+    const modal = appStore.showModal({
+      type: MODALS.SCHEDULE,
+      data: { paths: ['/foo', '/bar'] },
+    });
+
+    await waitUntil(() => recursiveQuery(modal, '.empty'));
+    expect(recursiveQuery(modal, 'label').textContent.trim()).to.equal('Publish 2 files at:');
+    expect(recursiveQuery(modal, 'input.time').value).to.not.be.empty;
+    expect(recursiveQuery(modal, '.empty').textContent).to.equal('No publishing scheduled');
+  });
+
+  it('displays pending schedules', async () => {
+    await chrome.storage.local.set({ publishSchedules: schedules });
+    const modal = appStore.showModal({
+      type: MODALS.SCHEDULE,
+      data: { paths: ['/foo'] },
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.entry').size === 2);
+    expect(recursiveQuery(modal, 'label').textContent.trim()).to.equal('Publish this file at:');
+    const [first, second] = [...recursiveQueryAll(modal, '.entry')];
+    expect(first.querySelector('.paths').textContent.trim()).to.equal('/foo and 2 more');
+    expect(first.querySelector('.user').textContent).to.equal('foo@example.com');
+    expect(second.querySelector('.paths').textContent.trim()).to.equal('/qux');
+  });
+
+  it('cancels a schedule', async () => {
+    await chrome.storage.local.set({ publishSchedules: schedules });
+    const modal = appStore.showModal({
+      type: MODALS.SCHEDULE,
+      data: { paths: [] },
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.entry').size === 2);
+    expect(recursiveQuery(modal, 'input.time')).to.not.exist;
+    recursiveQuery(modal, '.entry[data-id="1"] .cancel').click();
+
+    await waitUntil(() => recursiveQueryAll(modal, '.entry').size === 1);
+    const [schedule] = await appStore.scheduleStore.getSchedules();
+    expect(schedule.id).to.equal('2');
+  });
+
+  it('reschedules a schedule', async () => {
+    await chrome.storage.local.set({ publishSchedules: schedules });
+    const modal = appStore.showModal({
+      type: MODALS.SCHEDULE,
+      data: { paths: [] },
+    });
+
+    await waitUntil(() => recursiveQueryAll(modal, '.entry').size === 2);
+    const entry = recursiveQuery(modal, '.entry[data-id="2"]');
+
+    // invalid time
+    entry.querySelector('input').value = '2000-01-01T10:00';
+    entry.querySelector('.reschedule').click();
+    await waitUntil(() => entry.classList.contains('invalid'));
+
+    // valid time
+    entry.querySelector('input').value = '2099-01-01T10:00';
+    entry.querySelector('.reschedule').click();
+    await waitUntil(async () => (await appStore.scheduleStore.getSchedules())
+      .find(({ id }) => id === '2').time === new Date('2099-01-01T10:00').getTime());
+    await waitUntil(() => recursiveQueryAll(modal, '.entry.invalid').size === 0);
+  });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import { expect, waitUntil } from '@open-wc/testing';
+import { recursiveQuery } from '../../../test-utils.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import { defaultDirectorySharepointStatusResponse } from '../../../fixtures/helix-admin.js';
+import '../../../../src/extension/index.js';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import {
+  EditorMockEnvironments,
+  HelixMockContentSources,
+} from '../../../mocks/environment.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+
+/**
+ * The AEMSidekick object type
+ * @typedef {import('../../../../src/extension/app/aem-sidekick.js').AEMSidekick} AEMSidekick
+ */
+
+/**
+ * The BulkStore object type
+ * @typedef {import('../../../../src/extension/app/store/bulk.js').BulkStore} BulkStore
+ */
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Bulk delete plugin', () => {
+  /**
+   * @type {SidekickTest}
+   */
+  let sidekickTest;
+
+  /**
+   * @type {AEMSidekick}
+   */
+
+  let sidekick;
+
+  /**
+   * @type {AppStore}
+   */
+  let appStore;
+
+  /**
+   * @type {BulkStore}
+   */
+  let bulkStore;
+
+  let deleteStub;
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    bulkStore = appStore.bulkStore;
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchSidekickConfigSuccess(false, false)
+      .mockLocation(EditorMockEnvironments.ADMIN)
+      .mockAdminDOM();
+
+    deleteStub = sidekickTest.sandbox.stub(bulkStore, 'delete');
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('bulk delete calls bulkStore.delete()', async () => {
+    sidekickTest.mockFetchDirectoryStatusSuccess(HelixMockContentSources.SHAREPOINT, {
+      preview: {
+        ...defaultDirectorySharepointStatusResponse.preview,
+        permissions: ['read', 'write', 'delete'],
+      },
+    });
+    sidekick = sidekickTest.createSidekick();
+    await sidekickTest.awaitStatusFetched();
+    sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+    await waitUntil(() => bulkStore.selection.length === 2);
+
+    await waitUntil(() => recursiveQuery(sidekick, '#plugin-menu'));
+    recursiveQuery(sidekick, '#plugin-menu').click();
+
+    const bulkDeletePlugin = recursiveQuery(sidekick, '.bulk-delete');
+    expect(bulkDeletePlugin.textContent.trim()).to.equal('Delete');
+    await waitUntil(() => bulkDeletePlugin.getAttribute('disabled') === null);
+
+    bulkDeletePlugin.click();
+
+    await waitUntil(() => deleteStub.calledOnce);
+  });
+
+  it('bulk delete is disabled if user not authorized', async () => {
+    sidekickTest.mockFetchDirectoryStatusSuccess();
+    sidekick = sidekickTest.createSidekick();
+    await sidekickTest.awaitStatusFetched();
+    sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+    await waitUntil(() => bulkStore.selection.length === 2);
+
+    await waitUntil(() => recursiveQuery(sidekick, '#plugin-menu'));
+    recursiveQuery(sidekick, '#plugin-menu').click();
+
+    const bulkDeletePlugin = recursiveQuery(sidekick, '.bulk-delete');
+    expect(bulkDeletePlugin.hasAttribute('disabled')).to.be.true;
+  });
+});
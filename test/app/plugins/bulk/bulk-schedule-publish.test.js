@@ -0,0 +1,80 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import { expect, waitUntil } from '@open-wc/testing';
+import { recursiveQuery } from '../../../test-utils.js';
+import chromeMock from '../../../mocks/chrome.js';
+import { defaultSidekickConfig } from '../../../fixtures/sidekick-config.js';
+import '../../../../src/extension/index.js';
+import { AppStore } from '../../../../src/extension/app/store/app.js';
+import {
+  EditorMockEnvironments,
+} from '../../../mocks/environment.js';
+import { SidekickTest } from '../../../sidekick-test.js';
+
+/**
+ * The AEMSidekick object type
+ * @typedef {import('../../../../src/extension/app/aem-sidekick.js').AEMSidekick} AEMSidekick
+ */
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('Bulk schedule publish plugin', () => {
+  /**
+   * @type {SidekickTest}
+   */
+  let sidekickTest;
+
+  /**
+   * @type {AEMSidekick}
+   */
+  let sidekick;
+
+  /**
+   * @type {AppStore}
+   */
+  let appStore;
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchSidekickConfigSuccess(false, false)
+      .mockFetchDirectoryStatusSuccess()
+      .mockLocation(EditorMockEnvironments.ADMIN)
+      .mockAdminDOM();
+  });
+
+  afterEach(() => {
+    sidekickTest.destroy();
+  });
+
+  it('bulk schedule publish calls bulkStore.schedulePublish()', async () => {
+    const schedulePublishStub = sidekickTest.sandbox.stub(appStore.bulkStore, 'schedulePublish');
+    sidekick = sidekickTest.createSidekick();
+    await sidekickTest.awaitStatusFetched();
+    sidekickTest.toggleAdminItems(['document']);
+    await waitUntil(() => appStore.bulkStore.selection.length === 1);
+
+    await waitUntil(() => recursiveQuery(sidekick, '#plugin-menu'));
+    recursiveQuery(sidekick, '#plugin-menu').click();
+
+    const schedulePublishPlugin = recursiveQuery(sidekick, '.bulk-schedule-publish');
+    expect(schedulePublishPlugin.textContent.trim()).to.equal('Schedule publish');
+
+    schedulePublishPlugin.click();
+
+    await waitUntil(() => schedulePublishStub.calledOnce);
+  });
+});
@@ -21,6 +21,7 @@ import {
   HelixMockEnvironments,
 } from '../../../mocks/environment.js';
 import { SidekickTest } from '../../../sidekick-test.js';
+import { MODALS, MODAL_EVENTS } from '../../../../src/extension/app/constants.js';
 
 /**
  * The AEMSidekick object type
@@ -135,4 +136,35 @@ describe('Publish plugin', () => {
       expect(showToastSpy.calledWith('Publication successful, opening Production...', 'positive')).to.be.true;
     }).timeout(15000);
   });
+
+  describe('audit regressions', () => {
+    it('warns before publishing if audit scores dropped', async () => {
+      const { sandbox } = sidekickTest;
+      sidekickTest
+        .mockFetchSidekickConfigSuccess(false, false);
+
+      const publishStub = sandbox.stub(appStore, 'publish').resolves(true);
+      sandbox.stub(appStore, 'getAuditRegressions').resolves([
+        { category: 'performance', before: 100, after: 80 },
+      ]);
+      const showModalSpy = sandbox.spy(appStore, 'showModal');
+
+      sidekick = sidekickTest.createSidekick();
+
+      await sidekickTest.awaitEnvSwitcher();
+
+      const publishPlugin = recursiveQuery(sidekick, '.publish');
+      await waitUntil(() => publishPlugin.getAttribute('disabled') === null);
+      publishPlugin.click();
+
+      await waitUntil(() => showModalSpy.calledOnce);
+      const { type, data } = showModalSpy.firstCall.args[0];
+      expect(type).to.equal(MODALS.CONFIRM);
+      expect(data.message).to.include('Performance: 100 → 80.');
+      expect(publishStub.called).to.be.false;
+
+      showModalSpy.firstCall.returnValue.dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+      await waitUntil(() => publishStub.calledOnce);
+    }).timeout(15000);
+  });
 });
@@ -20,7 +20,13 @@ import {
 import { AppStore, VIEWS } from '../../../src/extension/app/store/app.js';
 import chromeMock from '../../mocks/chrome.js';
 import { defaultSidekickConfig } from '../../fixtures/sidekick-config.js';
-import { STATE } from '../../../src/extension/app/constants.js';
+import {
+  EVENTS,
+  MODALS,
+  MODAL_EVENTS,
+  STATE,
+} from '../../../src/extension/app/constants.js';
+import { EventBus } from '../../../src/extension/app/utils/event-bus.js';
 import {
   HelixMockContentSources,
   HelixMockContentType,
@@ -573,6 +579,76 @@ describe('Test App Store', () => {
     });
   });
 
+  describe('switchRef', async () => {
+    const mockStatus = defaultSharepointStatusResponse;
+    let openPage;
+    let loadPage;
+    let sendMessage;
+    let instance;
+
+    beforeEach(() => {
+      instance = appStore;
+      // @ts-ignore
+      instance.siteStore = {
+        owner: 'adobe',
+        repo: 'aem-boilerplate',
+        ref: 'main',
+        refs: ['main', 'feature'],
+        innerHost: new URL(mockStatus.preview.url).hostname,
+        outerHost: new URL(mockStatus.live.url).hostname,
+        devUrl: new URL('https://localhost:3000'),
+      };
+      instance.status = { ...mockStatus, webPath: '/somepath' };
+
+      openPage = sidekickTest.sandbox.spy();
+      loadPage = sidekickTest.sandbox.spy();
+      sendMessage = sidekickTest.sandbox.stub(chrome.runtime, 'sendMessage').resolves(true);
+      sidekickTest.sandbox.stub(instance, 'openPage').callsFake(openPage);
+      sidekickTest.sandbox.stub(instance, 'loadPage').callsFake(loadPage);
+    });
+
+    afterEach(() => {
+      sidekickTest.destroy();
+    });
+
+    it('switches from preview to another ref', async () => {
+      instance.location = new URL(`${mockStatus.preview.url}somepath?foo=bar`);
+      await instance.switchRef('Feature/Test');
+      expect(sendMessage.calledWith({
+        action: 'switchProjectRef',
+        owner: 'adobe',
+        repo: 'aem-boilerplate',
+        ref: 'feature-test',
+      })).to.be.true;
+      expect(loadPage.calledWith('https://feature-test--aem-boilerplate--adobe.aem.page/somepath?foo=bar')).to.be.true;
+    });
+
+    it('switches from live to another ref in a new tab', async () => {
+      instance.location = new URL(`${mockStatus.live.url}somepath`);
+      await instance.switchRef('feature', true);
+      expect(openPage.calledWith('https://feature--aem-boilerplate--adobe.aem.live/somepath')).to.be.true;
+    });
+
+    it('ignores current or empty ref', async () => {
+      instance.location = new URL(`${mockStatus.preview.url}somepath`);
+      await instance.switchRef('main');
+      await instance.switchRef(' ');
+      expect(sendMessage.called).to.be.false;
+      expect(loadPage.called).to.be.false;
+    });
+
+    it('prompts for a ref', async () => {
+      const modal = new EventTarget();
+      // @ts-ignore
+      const showModalStub = sidekickTest.sandbox.stub(appStore, 'showModal').returns(modal);
+      const switchRefStub = sidekickTest.sandbox.stub(appStore, 'switchRef').resolves();
+      appStore.promptSwitchRef();
+      expect(showModalStub.calledWithMatch({ type: MODALS.SWITCH_REF })).to.be.true;
+      modal.dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM, { detail: { ref: 'feature' } }));
+      expect(switchRefStub.calledWith('feature')).to.be.true;
+    });
+  });
+
   describe('update', async () => {
     let fakeFetch;
     let instance;
@@ -954,6 +1030,247 @@ describe('Test App Store', () => {
     });
   });
 
+  describe('getDependencies', () => {
+    let fetchStub;
+
+    beforeEach(() => {
+      fetchStub = sidekickTest.sandbox.stub(window, 'fetch');
+      appStore.status = { webPath: '/page' };
+      // @ts-ignore
+      appStore.siteStore = {
+        innerHost: 'main--aem-boilerplate--adobe.aem.page',
+        outerHost: 'main--aem-boilerplate--adobe.aem.live',
+        host: 'www.example.com',
+      };
+    });
+
+    it('returns referenced paths from preview', async () => {
+      fetchStub.resolves(new Response(`<html><head>
+        <meta name="nav" content="/nav">
+        </head><body><main>
+        <a href="/fragments/foo">fragment</a>
+        <a href="https://www.example.com/bar">bar</a>
+        <a href="https://www.adobe.com/">external</a>
+        <img src="./media_123.png">
+        <a href="/file.pdf">pdf</a>
+        </main></body></html>`));
+
+      const paths = await appStore.getDependencies();
+      expect(fetchStub.calledWith('https://main--aem-boilerplate--adobe.aem.page/page')).to.be.true;
+      expect(paths).to.deep.equal(['/bar', '/file.pdf', '/fragments/foo', '/nav']);
+    });
+
+    it('returns no paths for non-pages and errors', async () => {
+      expect(await appStore.getDependencies('/foo.json')).to.deep.equal([]);
+      expect(fetchStub.called).to.be.false;
+
+      fetchStub.resolves(new Response('', { status: 404 }));
+      expect(await appStore.getDependencies()).to.deep.equal([]);
+
+      fetchStub.rejects(new Error());
+      expect(await appStore.getDependencies()).to.deep.equal([]);
+    });
+  });
+
+  describe('checkLinks', () => {
+    beforeEach(async () => {
+      sidekickTest.mockHelixEnvironment(HelixMockEnvironments.LIVE);
+      await appStore.loadContext(sidekickElement, defaultSidekickConfig);
+    });
+
+    afterEach(() => {
+      restoreEnvironment(document);
+    });
+
+    it('checks links and shows results', async () => {
+      sidekickTest.sandbox.stub(window, 'fetch').resolves(new Response('', { status: 404 }));
+      const main = document.createElement('main');
+      main.innerHTML = '<a href="/missing">missing</a>';
+      document.body.append(main);
+      const setStateSpy = sidekickTest.sandbox.spy(appStore, 'setState');
+      const showModalStub = sidekickTest.sandbox.stub(appStore, 'showModal');
+
+      await appStore.checkLinks();
+      main.remove();
+
+      expect(setStateSpy.calledWith(STATE.CHECKING_LINKS)).to.be.true;
+      expect(showModalStub.calledWithMatch({ type: MODALS.LINK_CHECK })).to.be.true;
+      const { results } = showModalStub.firstCall.args[0].data;
+      expect(results.length).to.equal(1);
+      expect(results[0].issue).to.equal('not_found');
+    });
+
+    it('copies link check results', async () => {
+      const writeTextStub = sidekickTest.sandbox.stub(navigator.clipboard, 'writeText');
+      const showToastSpy = sidekickTest.sandbox.spy(appStore, 'showToast');
+
+      await appStore.copyLinkResults([{
+        url: 'https://www.example.com/missing', text: 'missing', status: 404, issue: 'not_found',
+      }]);
+      expect(writeTextStub.calledWith('issue\tstatus\turl\ttext\nnot_found\t404\thttps://www.example.com/missing\tmissing')).to.be.true;
+      expect(showToastSpy.calledWith('Link check results copied to clipboard.', 'positive')).to.be.true;
+
+      writeTextStub.rejects(new Error('Document is not focused'));
+      await appStore.copyLinkResults([]);
+      expect(showToastSpy.lastCall.args[1]).to.equal('negative');
+    });
+  });
+
+  describe('inspectMetadata', () => {
+    beforeEach(async () => {
+      sidekickTest.mockHelixEnvironment(HelixMockEnvironments.LIVE);
+      await appStore.loadContext(sidekickElement, defaultSidekickConfig);
+    });
+
+    afterEach(() => {
+      restoreEnvironment(document);
+    });
+
+    it('inspects metadata and shows results', async () => {
+      const fetchStub = sidekickTest.sandbox.stub(window, 'fetch').resolves(new Response(JSON.stringify({
+        ':type': 'sheet',
+        data: [{ URL: '/**', Template: 'default' }],
+      }), { status: 200 }));
+      const meta = document.createElement('meta');
+      meta.setAttribute('name', 'template');
+      meta.setAttribute('content', 'default');
+      document.head.append(meta);
+      const setStateSpy = sidekickTest.sandbox.spy(appStore, 'setState');
+      const showModalStub = sidekickTest.sandbox.stub(appStore, 'showModal');
+
+      await appStore.inspectMetadata();
+      meta.remove();
+
+      expect(fetchStub.calledWithMatch(`${appStore.location.origin}/metadata.json`)).to.be.true;
+      expect(setStateSpy.calledWith(STATE.INSPECTING_METADATA)).to.be.true;
+      expect(showModalStub.calledWithMatch({ type: MODALS.PAGE_METADATA })).to.be.true;
+      const { entries } = showModalStub.firstCall.args[0].data;
+      expect(entries.find(({ name }) => name === 'template')).to.deep.include({
+        source: 'bulk',
+        pattern: '/**',
+        issue: 'ok',
+      });
+    });
+
+    it('ignores inaccessible metadata sheet', async () => {
+      sidekickTest.sandbox.stub(window, 'fetch').resolves(new Response('', { status: 404 }));
+      const showModalStub = sidekickTest.sandbox.stub(appStore, 'showModal');
+
+      await appStore.inspectMetadata();
+
+      const { entries } = showModalStub.firstCall.args[0].data;
+      expect(entries.every(({ source }) => source !== 'bulk')).to.be.true;
+    });
+
+    it('copies metadata entries', async () => {
+      const writeTextStub = sidekickTest.sandbox.stub(navigator.clipboard, 'writeText');
+      const showToastSpy = sidekickTest.sandbox.spy(appStore, 'showToast');
+
+      await appStore.copyMetadata([{
+        name: 'title', value: '', source: 'none', issue: 'missing',
+      }]);
+      expect(writeTextStub.calledWith('issue\tname\tvalue\tsource\tpattern\nmissing\ttitle\t\tnone\t')).to.be.true;
+      expect(showToastSpy.calledWith('Page metadata copied to clipboard.', 'positive')).to.be.true;
+
+      writeTextStub.rejects(new Error('Document is not focused'));
+      await appStore.copyMetadata([]);
+      expect(showToastSpy.lastCall.args[1]).to.equal('negative');
+    });
+  });
+
+  describe('auditPage', () => {
+    beforeEach(async () => {
+      sidekickTest.mockHelixEnvironment(HelixMockEnvironments.PREVIEW);
+      await appStore.loadContext(sidekickElement, defaultSidekickConfig);
+      appStore.status = { webPath: '/audited' };
+      await chrome.storage.local.set({ pageAudits: {} });
+    });
+
+    afterEach(async () => {
+      restoreEnvironment(document);
+      await chrome.storage.local.remove('pageAudits');
+    });
+
+    it('audits the page and shows the report in a palette', async () => {
+      const setStateSpy = sidekickTest.sandbox.spy(appStore, 'setState');
+      const dispatchEventStub = sidekickTest.sandbox.stub(EventBus.instance, 'dispatchEvent');
+
+      await appStore.auditPage();
+
+      expect(setStateSpy.calledWith(STATE.AUDITING_PAGE)).to.be.true;
+      expect(dispatchEventStub.calledOnce).to.be.true;
+      const event = dispatchEventStub.firstCall.args[0];
+      expect(event.type).to.equal(EVENTS.OPEN_PALETTE);
+      // @ts-ignore
+      const { plugin } = event.detail;
+      expect(plugin.id).to.equal('page-audit');
+      expect(new URL(plugin.url).search).to.equal('');
+      const report = appStore.auditReport;
+      expect(report.scores).to.have.all.keys('performance', 'accessibility');
+
+      const { pageAudits } = await chrome.storage.local.get('pageAudits');
+      expect(pageAudits['adobe/aem-boilerplate/audited'].latest).to.deep.equal(report.scores);
+    });
+
+    it('sends the report to the audit view on request', async () => {
+      sidekickTest.sandbox.stub(EventBus.instance, 'dispatchEvent');
+      await appStore.auditPage();
+
+      const iframe = document.createElement('iframe');
+      document.body.append(iframe);
+      const postMessageStub = sidekickTest.sandbox.stub(iframe.contentWindow, 'postMessage');
+      const origin = `chrome-extension://${chrome.runtime.id}`;
+      const data = { detail: { event: 'hlx-audit-report' } };
+      const source = iframe.contentWindow;
+      window.dispatchEvent(new MessageEvent('message', { data, origin: 'https://evil.com', source }));
+      expect(postMessageStub.called).to.be.false;
+
+      window.dispatchEvent(new MessageEvent('message', { data, origin, source }));
+      // @ts-ignore
+      expect(postMessageStub.calledWith({ report: appStore.auditReport }, origin)).to.be.true;
+      iframe.remove();
+    });
+
+    it('shows an error and resets the state if the audit fails', async () => {
+      const setStateSpy = sidekickTest.sandbox.spy(appStore, 'setState');
+      const showToastSpy = sidekickTest.sandbox.spy(appStore, 'showToast');
+      const dispatchEventStub = sidekickTest.sandbox.stub(EventBus.instance, 'dispatchEvent');
+      sidekickTest.sandbox.stub(window.performance, 'getEntriesByType').throws(new Error('boom'));
+      sidekickTest.sandbox.stub(console, 'warn');
+
+      await appStore.auditPage();
+
+      expect(setStateSpy.lastCall.args).to.deep.equal([]);
+      expect(showToastSpy.calledOnce).to.be.true;
+      expect(showToastSpy.firstCall.args[1]).to.equal('negative');
+      expect(dispatchEventStub.called).to.be.false;
+    });
+
+    it('detects regressions since the last publication', async () => {
+      const key = 'adobe/aem-boilerplate/audited';
+      await chrome.storage.local.set({
+        pageAudits: {
+          [key]: { latest: { performance: 100, accessibility: 90 } },
+        },
+      });
+      expect(await appStore.getAuditRegressions()).to.deep.equal([]);
+
+      sidekickTest.sandbox.stub(appStore, 'isContent').returns(true);
+      sidekickTest.sandbox.stub(appStore.api, 'updateLive').resolves({});
+      sidekickTest.sandbox.stub(window, 'fetch').resolves(new Response(''));
+      await appStore.publish();
+
+      const { pageAudits } = await chrome.storage.local.get('pageAudits');
+      expect(pageAudits[key].published).to.deep.equal({ performance: 100, accessibility: 90 });
+
+      pageAudits[key].latest = { performance: 80, accessibility: 90 };
+      await chrome.storage.local.set({ pageAudits });
+      expect(await appStore.getAuditRegressions()).to.deep.equal([
+        { category: 'performance', before: 100, after: 80 },
+      ]);
+    });
+  });
+
   describe('unpublish', async () => {
     const unpublishPath = '/unpublish-path';
     let sandbox;
@@ -1059,6 +1376,19 @@ describe('Test App Store', () => {
       expect(view.viewer).to.equal('/test/fixtures/views/json/json.html');
     });
 
+    it('should return the redirects view first for the redirects sheet', () => {
+      instance.status = { webPath: '/redirects.json' };
+      instance.siteStore = {
+        views: [
+          { path: '/redirects.json', viewer: '/test/fixtures/views/redirects/redirects.html' },
+          { path: '**.json', viewer: '/test/fixtures/views/json/json.html' },
+        ],
+      };
+      const [view] = instance.findViews(VIEWS.DEFAULT);
+      expect(view.viewer).to.equal('/test/fixtures/views/redirects/redirects.html');
+      expect(instance.findViews(VIEWS.DEFAULT, '/foo.json').length).to.equal(1);
+    });
+
     it('should filter views based on CUSTOM viewType (no custom)', () => {
       const result = instance.findViews(VIEWS.CUSTOM);
       expect(result.length).to.equal(0);
@@ -1294,10 +1624,61 @@ describe('Test App Store', () => {
 
       await instance.showView();
 
-      expect(frame.src).to.equal('http://viewer.com/?url=https%3A%2F%2Fmain--aem-boilerplate--adobe.hlx.page%2Fplaceholders.json&title=Test+Title');
+      expect(frame.src).to.equal('http://viewer.com/?url=https%3A%2F%2Fmain--aem-boilerplate--adobe.hlx.page%2Fplaceholders.json&title=Test+Title'
+        + '&preview=https%3A%2F%2Fcustom-preview-host.com%2Fplaceholders.json'
+        + '&live=https%3A%2F%2Fcustom-live-host.com%2Fplaceholders.json');
       expect(findViewsStub.calledWith(VIEWS.DEFAULT)).to.be.true;
       expect(getViewOverlayStub.calledTwice).to.be.true;
     });
+
+    it('passes matching sheet schemas to the view', async () => {
+      const schema = {
+        path: '/placeholders.json',
+        columns: { Key: { required: true, unique: true } },
+      };
+      isProjectStub.returns(true);
+      instance.location = new URL('https://main--aem-boilerplate--adobe.hlx.page/placeholders.json');
+      instance.siteStore.sheetSchemas = [
+        schema,
+        { path: '/other.json', columns: {} },
+      ];
+      sinon.stub(instance, 'findViews').returns([{ viewer: 'http://viewer.com', title: () => 'Test Title' }]);
+      const openViewOverlayStub = sinon.stub(instance, 'openViewOverlay');
+      getViewOverlayStub.returns(undefined);
+
+      await instance.showView();
+
+      const viewUrl = openViewOverlayStub.firstCall.args[0];
+      expect(JSON.parse(viewUrl.searchParams.get('schemas'))).to.deep.equal([schema]);
+    });
+  });
+
+  describe('showDiffView', () => {
+    let openViewOverlayStub;
+
+    beforeEach(async () => {
+      await appStore.loadContext(sidekickElement, defaultSidekickConfig);
+      // @ts-ignore
+      openViewOverlayStub = sidekickTest.sandbox.stub(appStore, 'openViewOverlay');
+      sidekickTest.sandbox.stub(appStore, 'getViewOverlay').returns(undefined);
+    });
+
+    it('opens the diff view with preview and live urls', () => {
+      appStore.status = { webPath: '/foo' };
+      appStore.showDiffView();
+      expect(openViewOverlayStub.calledOnce).to.be.true;
+      const { searchParams, pathname } = openViewOverlayStub.firstCall.args[0];
+      expect(pathname).to.equal('/test/fixtures/views/diff/diff.html');
+      expect(searchParams.get('preview')).to.equal('https://main--aem-boilerplate--adobe.hlx.page/foo');
+      expect(searchParams.get('live')).to.equal('https://main--aem-boilerplate--adobe.hlx.live/foo');
+      expect(searchParams.get('title')).to.equal('Preview vs. live');
+    });
+
+    it('does nothing without web path', () => {
+      appStore.status = {};
+      appStore.showDiffView();
+      expect(openViewOverlayStub.called).to.be.false;
+    });
   });
 
   describe('getProfile', () => {
@@ -50,6 +50,15 @@ async function confirmDialog(sidekick) {
   await waitUntil(() => !recursiveQuery(sidekick, 'sp-dialog-wrapper'));
 }
 
+async function confirmDestructiveDialog(sidekick, action) {
+  await waitUntil(() => recursiveQuery(sidekick, 'sp-dialog-wrapper'));
+  const dialogWrapper = recursiveQuery(sidekick, 'sp-dialog-wrapper');
+  const deleteInput = recursiveQuery(dialogWrapper, 'sp-textfield');
+  deleteInput.value = action.toUpperCase();
+  dialogWrapper.dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+  await waitUntil(() => !recursiveQuery(sidekick, 'sp-dialog-wrapper'));
+}
+
 describe('Test Bulk Store', () => {
   let appStore;
   let bulkStore;
@@ -138,9 +147,10 @@ describe('Test Bulk Store', () => {
           sidekickTest.toggleAdminItems(allItems);
         });
 
-        it('selects files but not folders', async () => {
+        it('selects files and folders', async () => {
           bulkStore.initStore(appStore.location);
-          expect(bulkStore.selection.length).to.equal(allItems.length - 1); // minus folder
+          expect(bulkStore.selection.length).to.equal(allItems.length);
+          expect(bulkStore.selection.find(({ type }) => type === 'folder')?.file).to.equal('bar');
         });
 
         it('detects all file types with one unknown', async () => {
@@ -188,6 +198,24 @@ describe('Test Bulk Store', () => {
           expect(paths.includes('/foo/spreadsheet.json')).to.be.true;
           expect(paths.includes('/foo/')).to.be.true;
         });
+
+        it('converts folders to wildcard paths', async () => {
+          sidekickTest.mockAdminDOM(adminEnv, 'list');
+          sidekickTest.mockFetchDirectoryStatusSuccess(adminEnv, {
+            webPath: '/foo',
+          });
+          await appStore.fetchStatus();
+
+          const startJobStub = sidekickTest.sandbox.stub(appStore.api, 'startJob').resolves(null);
+          sidekickTest.toggleAdminItems(['bar']);
+          bulkStore.initStore(appStore.location);
+          await waitUntil(() => bulkStore.selection.length === 1);
+
+          await bulkStore.preview();
+          await waitUntil(() => startJobStub.called);
+
+          expect(startJobStub.calledWith('status', ['/foo/bar/*'], false, ['edit'])).to.be.true;
+        });
       });
     });
   });
@@ -195,6 +223,7 @@ describe('Test Bulk Store', () => {
   describe('operations', () => {
     let startJobStub;
     let getJobStub;
+    let getResourceStatus;
     let updateStub;
     let publishStub;
     let openPageStub;
@@ -236,6 +265,37 @@ describe('Test Bulk Store', () => {
           failed: 0,
         },
       }));
+      // resource status before bulk publish: preview newer than live
+      getResourceStatus = (path) => ({
+        path,
+        sourceLastModified: 'Mon, 01 Jan 2024 10:00:00 GMT',
+        previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+        publishLastModified: 'Mon, 01 Jan 2024 09:00:00 GMT',
+      });
+      startJobStub.withArgs('status').callsFake(async () => ({
+        job: {
+          topic: 'status',
+          name: '456',
+        },
+      }));
+      getJobStub.withArgs('status').callsFake(async (topic, name, details) => {
+        const [, paths] = startJobStub.withArgs('status').lastCall.args;
+        return {
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: paths.length,
+            processed: paths.length,
+            failed: 0,
+          },
+          data: details ? {
+            resources: paths
+              .map((path) => getResourceStatus(path))
+              .filter((resource) => !!resource),
+          } : undefined,
+        };
+      });
       updateStub = sidekickTest.sandbox.stub(appStore, 'update');
       publishStub = sidekickTest.sandbox.stub(appStore, 'publish');
       openPageStub = sidekickTest.sandbox.stub(appStore, 'openPage');
@@ -255,6 +315,12 @@ describe('Test Bulk Store', () => {
       );
     });
 
+    afterEach(async () => {
+      // forget remembered jobs and history
+      window.sessionStorage.removeItem('aem-sk-bulk-jobs');
+      await chrome.storage.local.remove('bulkHistory');
+    });
+
     describe('preview', () => {
       it('handles emtpy selection', async () => {
         const debugStub = sidekickTest.sandbox.stub(log, 'debug');
@@ -827,11 +893,11 @@ describe('Test Bulk Store', () => {
         await bulkStore.publish();
         await confirmDialog(sidekickTest.sidekick);
 
-        await waitUntil(() => startJobStub.called);
+        await waitUntil(() => startJobStub.calledWith('live'));
         await aTimeout(100);
 
         expect(setStateSpy.calledWith());
-        expect(getJobStub.called).to.be.false;
+        expect(getJobStub.calledWith('publish')).to.be.false;
         expect(showToastSpy.called).to.be.false;
       }).timeout(10000);
 
@@ -843,11 +909,11 @@ describe('Test Bulk Store', () => {
         await bulkStore.publish();
         await confirmDialog(sidekickTest.sidekick);
 
-        await waitUntil(() => startJobStub.called);
+        await waitUntil(() => startJobStub.calledWith('live'));
         await aTimeout(100);
 
         expect(setStateSpy.calledWith());
-        expect(getJobStub.called).to.be.false;
+        expect(getJobStub.calledWith('publish')).to.be.false;
         expect(showToastSpy.called).to.be.false;
       }).timeout(10000);
 
@@ -859,12 +925,12 @@ describe('Test Bulk Store', () => {
         await bulkStore.publish();
         await confirmDialog(sidekickTest.sidekick);
 
-        await waitUntil(() => getJobStub.called, null, { timeout: 3000 });
+        await waitUntil(() => getJobStub.calledWith('publish'), null, { timeout: 3000 });
 
         // next get job call fails
         getJobStub.resolves(null);
 
-        await waitUntil(() => getJobStub.called, null, { timeout: 3000 });
+        await waitUntil(() => getJobStub.calledWith('publish'), null, { timeout: 3000 });
         await waitUntil(() => clearIntervalSpy.called, null, { timeout: 3000 });
       }).timeout(10000);
 
@@ -876,7 +942,7 @@ describe('Test Bulk Store', () => {
         await bulkStore.publish();
         await confirmDialog(sidekickTest.sidekick);
 
-        await waitUntil(() => getJobStub.calledTwice, '', { timeout: 3000 });
+        await waitUntil(() => getJobStub.calledWith('publish'), '', { timeout: 3000 });
 
         expect(bulkStore.progress.processed).to.equal(0);
       }).timeout(10000);
@@ -896,7 +962,7 @@ describe('Test Bulk Store', () => {
         await bulkStore.publish();
         await confirmDialog(sidekickTest.sidekick);
 
-        await waitUntil(() => getJobStub.calledTwice, '', { timeout: 3000 });
+        await waitUntil(() => getJobStub.calledWith('publish', '123', true), '', { timeout: 3000 });
 
         expect(fireEventStub.calledWithMatch('published')).to.be.false;
       }).timeout(10000);
@@ -911,8 +977,8 @@ describe('Test Bulk Store', () => {
 
         await waitUntil(() => publishStub.called);
         expect(publishStub.calledWith('/document')).to.be.true;
-        expect(startJobStub.called).to.be.false;
-      });
+        expect(startJobStub.calledWith('live')).to.be.false;
+      }).timeout(10000);
 
       it('single file success', async () => {
         publishStub.resolves(true);
@@ -925,7 +991,7 @@ describe('Test Bulk Store', () => {
         await waitUntil(() => publishStub.called);
         await waitUntil(() => showToastSpy.called);
         expect(showToastSpy.calledWithMatch('File successfully published.')).to.be.true;
-      });
+      }).timeout(10000);
 
       it('single file failure', async () => {
         publishStub.callsFake(() => {
@@ -942,6 +1008,936 @@ describe('Test Bulk Store', () => {
         await waitUntil(() => publishStub.called);
         // do not overwrite existing error toast
         expect(appStore.state).to.equal(STATE.TOAST);
+      }).timeout(10000);
+    });
+
+    describe('publish diff', () => {
+      beforeEach(() => {
+        const getChangedStatus = getResourceStatus;
+        getResourceStatus = (path) => {
+          switch (path) {
+            case '/spreadsheet.json':
+              return {
+                path,
+                sourceLastModified: 'Mon, 01 Jan 2024 10:00:00 GMT',
+                previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+                publishLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+              };
+            case '/other':
+              return {
+                path,
+                sourceLastModified: 'Mon, 01 Jan 2024 10:00:00 GMT',
+              };
+            case '/file.pdf':
+              return null;
+            default:
+              return getChangedStatus(path);
+          }
+        };
+      });
+
+      it('compares preview and live before bulk publish', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet', 'other', 'file.pdf']);
+        await waitUntil(() => bulkStore.selection.length === 4);
+
+        await bulkStore.publish();
+
+        expect(setStateSpy.calledWith(STATE.BULK_COMPARING)).to.be.true;
+        expect(startJobStub.calledWith(
+          'status',
+          ['/document', '/spreadsheet.json', '/file.pdf', '/other'],
+          false,
+          ['edit', 'preview', 'live'],
+        )).to.be.true;
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.CONFIRM,
+          data: {
+            message: 'Select which of the 4 files to publish. Unchanged files and files without preview are deselected.',
+          },
+        })).to.be.true;
+        const { diff } = showModalSpy.lastCall.args[0].data;
+        expect(diff.map(({ path, state, selected }) => ({ path, state, selected }))).to.deep.equal([
+          { path: '/document', state: 'changed', selected: true },
+          { path: '/spreadsheet.json', state: 'unchanged', selected: false },
+          { path: '/file.pdf', state: 'unknown', selected: true },
+          { path: '/other', state: 'not_previewed', selected: false },
+        ]);
+        expect(diff[0].source).to.equal('Mon, 01 Jan 2024 10:00:00 GMT');
+
+        // only selected files get published
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'bulk-diff'));
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => startJobStub.calledWith('live', ['/document', '/file.pdf']));
+      }).timeout(10000);
+
+      it('publishes single selected file without job', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.publish();
+        await confirmDialog(sidekickTest.sidekick);
+
+        await waitUntil(() => publishStub.calledWith('/document'));
+        expect(startJobStub.calledWith('live')).to.be.false;
+      }).timeout(10000);
+
+      it('does not publish if all files are deselected', async () => {
+        const debugStub = sidekickTest.sandbox.stub(log, 'debug');
+        sidekickTest.toggleAdminItems(['spreadsheet', 'other']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.publish();
+        await confirmDialog(sidekickTest.sidekick);
+
+        await waitUntil(() => debugStub.calledWith('bulk publish: no files selected'));
+        expect(startJobStub.calledWith('live')).to.be.false;
+        expect(publishStub.called).to.be.false;
+      }).timeout(10000);
+    });
+
+    describe('schedule publish', () => {
+      it('handles emtpy selection', async () => {
+        const schedulePublishStub = sidekickTest.sandbox.stub(appStore.scheduleStore, 'schedulePublish');
+
+        await bulkStore.schedulePublish();
+
+        expect(schedulePublishStub.called).to.be.false;
+      });
+
+      it('schedules publishing of selected files', async () => {
+        const schedulePublishStub = sidekickTest.sandbox.stub(appStore.scheduleStore, 'schedulePublish');
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.schedulePublish();
+
+        expect(schedulePublishStub.calledWith(['/document', '/spreadsheet.json'])).to.be.true;
+      });
+    });
+
+    describe('publish with dependencies', () => {
+      let getDependenciesStub;
+
+      beforeEach(() => {
+        appStore.status.webPath = '/page';
+        getDependenciesStub = sidekickTest.sandbox.stub(appStore, 'getDependencies')
+          .resolves(['/fragments/foo', '/nav', '/published']);
+        const getChangedStatus = getResourceStatus;
+        getResourceStatus = (path) => {
+          if (path === '/page') {
+            return {
+              path,
+              previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+              publishLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+            };
+          }
+          if (['/fragments/foo', '/nav'].includes(path)) {
+            return {
+              path,
+              previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+            };
+          }
+          return getChangedStatus(path);
+        };
+      });
+
+      it('offers to publish unpublished dependencies with the page', async () => {
+        await bulkStore.publishWithDependencies();
+
+        expect(getDependenciesStub.calledWith('/page')).to.be.true;
+        expect(setStateSpy.calledWith(STATE.CHECKING_DEPENDENCIES)).to.be.true;
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.CONFIRM,
+          data: {
+            message: 'This page references 2 previewed files which are not published yet. Select the files to publish together with this page.',
+          },
+        })).to.be.true;
+        const { diff } = showModalSpy.lastCall.args[0].data;
+        expect(diff.map(({ path, selected }) => ({ path, selected }))).to.deep.equal([
+          { path: '/page', selected: true },
+          { path: '/fragments/foo', selected: true },
+          { path: '/nav', selected: true },
+        ]);
+
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'bulk-diff'));
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => startJobStub.calledWith('live', ['/page', '/fragments/foo', '/nav']));
+      }).timeout(10000);
+
+      it('publishes page only without unpublished dependencies', async () => {
+        getDependenciesStub.resolves(['/published']);
+
+        await bulkStore.publishWithDependencies();
+
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.CONFIRM,
+          data: {
+            message: 'No unpublished dependencies found. Are you sure you want to publish this page?',
+          },
+        })).to.be.true;
+        expect(showModalSpy.lastCall.args[0].data.diff).to.be.undefined;
+
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => publishStub.calledWith('/page'));
+        expect(startJobStub.calledWith('live')).to.be.false;
+      }).timeout(10000);
+    });
+
+    describe('unpublish', () => {
+      it('handles emtpy selection', async () => {
+        const debugStub = sidekickTest.sandbox.stub(log, 'debug');
+
+        await bulkStore.unpublish();
+
+        await waitUntil(() => debugStub.called);
+        expect(showModalSpy.called).to.be.false;
+      });
+
+      it('asks for destructive confirmation', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.unpublish();
+
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.DELETE,
+          data: {
+            message: 'Are you sure you want to unpublish 2 files?',
+            action: 'unpublish',
+          },
+        })).to.be.true;
+        expect(startJobStub.called).to.be.false;
+      });
+
+      it('bulk unpublishes selection and displays success toast', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.unpublish();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'unpublish');
+
+        await waitUntil(() => startJobStub.calledWith('live', ['/document', '/spreadsheet.json'], true));
+        expect(setStateSpy.calledWith(STATE.BULK_UNPUBLISHING)).to.be.true;
+        await waitUntil(() => getJobStub.calledWith('publish', '123'), null, { timeout: 2000 });
+        expect(bulkStore.progress.processed).to.equal(1);
+
+        // now getJob() returns stopped job and includes details if requested
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 204 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => getJobStub.calledWith('publish', '123', true), null, { timeout: 2000 });
+
+        await waitUntil(() => showToastSpy.called);
+        expect(showToastSpy.calledWithMatch(
+          '2 files successfully unpublished.',
+          'positive',
+        )).to.be.true;
+        expect(fireEventStub.calledWithMatch('unpublished', ['/document', '/spreadsheet.json'])).to.be.true;
+
+        // no open or copy urls actions
+        const activityAction = recursiveQuery(sidekickTest.sidekick, 'activity-action');
+        expect(recursiveQuery(activityAction, 'sk-action-button.action')).to.be.undefined;
+      }).timeout(10000);
+
+      it('bulk unpublishes selection and displays partial success toast', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.unpublish();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'unpublish');
+
+        await waitUntil(() => startJobStub.calledWith('live', ['/document', '/spreadsheet.json'], true));
+
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 1,
+          },
+          data: details ? {
+            resources: [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 403 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => getJobStub.calledWith('publish', '123', true), null, { timeout: 3000 });
+
+        await waitUntil(() => showToastSpy.called);
+        expect(showToastSpy.calledWithMatch('1 file successfully unpublished, but 1 failed.', 'warning')).to.be.true;
+
+        // details modal has no open or copy urls buttons
+        const activityAction = recursiveQuery(sidekickTest.sidekick, 'activity-action');
+        const detailsButton = recursiveQuery(activityAction, 'sk-action-button');
+        detailsButton.click();
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper'));
+        const dialogWrapper = recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper');
+        expect(dialogWrapper.getAttribute('confirm-label')).to.not.equal('Open 1 URL');
+        expect(recursiveQuery(dialogWrapper, '.path a')).to.be.undefined;
+      }).timeout(10000);
+
+      it('start job fails', async () => {
+        startJobStub.resolves(null);
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.unpublish();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'unpublish');
+
+        await waitUntil(() => startJobStub.called);
+        await aTimeout(100);
+
+        expect(setStateSpy.calledWith()).to.be.true;
+        expect(getJobStub.called).to.be.false;
+        expect(showToastSpy.called).to.be.false;
+      }).timeout(10000);
+    });
+
+    describe('delete', () => {
+      beforeEach(() => {
+        // resources not published
+        getResourceStatus = (path) => ({
+          path,
+          previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+        });
+      });
+
+      it('handles emtpy selection', async () => {
+        const debugStub = sidekickTest.sandbox.stub(log, 'debug');
+
+        await bulkStore.delete();
+
+        await waitUntil(() => debugStub.called);
+        expect(showModalSpy.called).to.be.false;
+      });
+
+      it('asks for destructive confirmation', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.delete();
+
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.DELETE,
+          data: {
+            message: 'Are you sure you want to delete 2 files?',
+            action: 'delete',
+          },
+        })).to.be.true;
+        expect(startJobStub.called).to.be.false;
+      });
+
+      it('bulk deletes selection and displays success toast', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.delete();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'delete');
+
+        await waitUntil(() => startJobStub.calledWith('preview', ['/document', '/spreadsheet.json'], true));
+        expect(setStateSpy.calledWith(STATE.BULK_DELETING)).to.be.true;
+        await waitUntil(() => getJobStub.calledWith('preview', '123'), null, { timeout: 2000 });
+        expect(bulkStore.progress.processed).to.equal(1);
+
+        // now getJob() returns stopped job and includes details if requested
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 204 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => getJobStub.calledWith('preview', '123', true), null, { timeout: 2000 });
+
+        await waitUntil(() => showToastSpy.called);
+        expect(showToastSpy.calledWithMatch(
+          '2 files successfully deleted.',
+          'positive',
+        )).to.be.true;
+        expect(fireEventStub.calledWithMatch('deleted', ['/document', '/spreadsheet.json'])).to.be.true;
+
+        // no open or copy urls actions
+        const activityAction = recursiveQuery(sidekickTest.sidekick, 'activity-action');
+        expect(recursiveQuery(activityAction, 'sk-action-button.action')).to.be.undefined;
+      }).timeout(10000);
+
+      it('bulk deletes selection and displays partial success toast', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.delete();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'delete');
+
+        await waitUntil(() => startJobStub.calledWith('preview', ['/document', '/spreadsheet.json'], true));
+
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 1,
+          },
+          data: details ? {
+            resources: [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 403 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => getJobStub.calledWith('preview', '123', true), null, { timeout: 3000 });
+
+        await waitUntil(() => showToastSpy.called);
+        expect(showToastSpy.calledWithMatch('1 file successfully deleted, but 1 failed.', 'warning')).to.be.true;
+
+        // details modal has no open or copy urls buttons
+        const activityAction = recursiveQuery(sidekickTest.sidekick, 'activity-action');
+        const detailsButton = recursiveQuery(activityAction, 'sk-action-button');
+        detailsButton.click();
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper'));
+        const dialogWrapper = recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper');
+        expect(dialogWrapper.getAttribute('confirm-label')).to.not.equal('Open 1 URL');
+        expect(recursiveQuery(dialogWrapper, '.path a')).to.be.undefined;
+      }).timeout(10000);
+
+      it('bulk deletes selection and unpublishes published resources', async () => {
+        getResourceStatus = (path) => ({
+          path,
+          previewLastModified: 'Mon, 01 Jan 2024 11:00:00 GMT',
+          ...(path === '/document' ? { publishLastModified: 'Mon, 01 Jan 2024 09:00:00 GMT' } : {}),
+        });
+        startJobStub.callsFake(async (api) => ({
+          job: {
+            topic: api,
+            name: api === 'live' ? '456' : '123',
+          },
+        }));
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: topic === 'live' ? 1 : 2,
+            processed: topic === 'live' ? 1 : 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: topic === 'live' ? [
+              { path: '/document', status: 204 },
+            ] : [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 204 },
+            ],
+          } : undefined,
+        }));
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.delete();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'delete');
+
+        await waitUntil(() => startJobStub.calledWith('preview', ['/document', '/spreadsheet.json'], true));
+        await waitUntil(() => startJobStub.calledWith('live', ['/document'], true), null, { timeout: 3000 });
+        expect(setStateSpy.calledWith(STATE.BULK_UNPUBLISHING)).to.be.true;
+
+        await waitUntil(() => showToastSpy.called, null, { timeout: 3000 });
+        expect(showToastSpy.calledWithMatch(
+          '2 files successfully deleted. File successfully unpublished.',
+          'positive',
+        )).to.be.true;
+        expect(bulkStore.summary.unpublished).to.deep.equal([
+          { path: '/document', status: 204 },
+        ]);
+        const [entry] = await bulkStore.getHistory();
+        expect(entry.unpublished).to.deep.equal([
+          { path: '/document', status: 204 },
+        ]);
+        expect(fireEventStub.calledWithMatch('deleted', ['/document', '/spreadsheet.json'])).to.be.true;
+        expect(fireEventStub.calledWithMatch('unpublished', ['/document'])).to.be.true;
+      }).timeout(10000);
+
+      it('start job fails', async () => {
+        startJobStub.resolves(null);
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.delete();
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'delete');
+
+        await waitUntil(() => startJobStub.calledWith('preview'), null, { timeout: 3000 });
+        await aTimeout(100);
+
+        expect(startJobStub.calledWith('status', ['/document', '/spreadsheet.json'], false, ['live'])).to.be.true;
+        expect(setStateSpy.calledWith()).to.be.true;
+        expect(getJobStub.calledWith('preview')).to.be.false;
+        expect(showToastSpy.called).to.be.false;
+      }).timeout(10000);
+    });
+
+    describe('folders', () => {
+      beforeEach(() => {
+        getJobStub.withArgs('status').callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: [
+              getResourceStatus('/bar/sub/two'),
+              getResourceStatus('/bar/one'),
+            ],
+          } : undefined,
+        }));
+      });
+
+      it('resolves selected folders and shows resolved tree before bulk preview', async () => {
+        sidekickTest.toggleAdminItems(['bar', 'document']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+
+        expect(startJobStub.calledWith('status', ['/bar/*'], false, ['edit'])).to.be.true;
+        expect(setStateSpy.calledWith(STATE.BULK_RESOLVING)).to.be.true;
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.CONFIRM,
+          data: {
+            message: 'Are you sure you want to generate the preview of 3 files?',
+            paths: ['/bar/one', '/bar/sub/two', '/document'],
+          },
+        })).to.be.true;
+
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'bulk-tree'));
+        const tree = recursiveQuery(sidekickTest.sidekick, 'bulk-tree');
+        await waitUntil(() => recursiveQueryAll(tree, 'li.file').size === 3);
+        expect(recursiveQuery(tree, 'li.folder .count').textContent).to.equal('(2)');
+
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => startJobStub.calledWith('preview', ['/bar/one', '/bar/sub/two', '/document']));
+      }).timeout(10000);
+
+      it('resolves selected folders before bulk publish', async () => {
+        sidekickTest.toggleAdminItems(['bar']);
+        await waitUntil(() => bulkStore.selection.length === 1);
+
+        await bulkStore.publish();
+        await confirmDialog(sidekickTest.sidekick);
+
+        await waitUntil(() => startJobStub.calledWith('live', ['/bar/one', '/bar/sub/two']));
+      }).timeout(10000);
+
+      it('aborts if folders cannot be resolved', async () => {
+        startJobStub.withArgs('status').resolves(null);
+        sidekickTest.toggleAdminItems(['bar', 'document']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+
+        expect(showModalSpy.called).to.be.false;
+        expect(appStore.state).to.not.equal(STATE.BULK_RESOLVING);
+      });
+
+      it('rejects folders for destructive operations', async () => {
+        sidekickTest.toggleAdminItems(['bar', 'document']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.unpublish();
+
+        expect(showToastSpy.calledWithMatch('Folders cannot be selected to unpublish.', 'warning')).to.be.true;
+        expect(showModalSpy.called).to.be.false;
+      });
+    });
+
+    describe('jobs', () => {
+      const getSavedJobs = () => JSON.parse(window.sessionStorage.getItem('aem-sk-bulk-jobs')) || [];
+      const saveJobs = (jobs) => window.sessionStorage.setItem('aem-sk-bulk-jobs', JSON.stringify(jobs));
+
+      const stoppedJob = async (topic, name, details) => ({
+        topic,
+        name,
+        state: 'stopped',
+        progress: {
+          total: 2,
+          processed: 1,
+          failed: 0,
+        },
+        data: details ? {
+          resources: [
+            { path: '/document', status: 200 },
+            { path: '/spreadsheet.json' },
+          ],
+        } : undefined,
+      });
+
+      it('remembers running job and forgets it once stopped', async () => {
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+        await confirmDialog(sidekickTest.sidekick);
+
+        await waitUntil(() => bulkStore.job !== null);
+        expect(bulkStore.job).to.deep.include({
+          owner: 'adobe',
+          repo: 'aem-boilerplate',
+          ref: 'main',
+          operation: 'preview',
+          topic: 'preview',
+          name: '123',
+        });
+        expect(getSavedJobs().length).to.equal(1);
+        const { bulkJobs } = await chrome.storage.local.get('bulkJobs');
+        expect(bulkJobs).to.be.undefined;
+
+        getJobStub.callsFake(stoppedJob);
+        await waitUntil(() => bulkStore.job === null, null, { timeout: 3000 });
+        expect(getSavedJobs().length).to.equal(0);
+      }).timeout(10000);
+
+      it('resumes running job after reload', async () => {
+        saveJobs([{
+          owner: 'adobe',
+          repo: 'aem-boilerplate',
+          ref: 'main',
+          operation: 'publish',
+          topic: 'publish',
+          name: '456',
+        }]);
+        await appStore.loadContext(sidekickTest.sidekick, sidekickTest.config);
+
+        await waitUntil(() => setStateSpy.calledWith(STATE.BULK_PUBLISHING));
+        expect(bulkStore.job.name).to.equal('456');
+        await waitUntil(() => getJobStub.calledWith('publish', '456'), null, { timeout: 2000 });
+
+        getJobStub.callsFake(async (topic, name, details) => ({
+          ...await stoppedJob(topic, name, details),
+          data: details ? {
+            resources: [
+              { path: '/document', status: 200 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => fireEventStub.calledWithMatch('published', ['/document']), null, { timeout: 3000 });
+        expect(showToastSpy.calledWithMatch('1 file successfully published.', 'positive')).to.be.true;
+      }).timeout(10000);
+
+      it('resumes running delete job and unpublishes published resources', async () => {
+        saveJobs([{
+          owner: 'adobe',
+          repo: 'aem-boilerplate',
+          ref: 'main',
+          operation: 'delete',
+          topic: 'preview',
+          name: '123',
+          published: ['/document'],
+        }]);
+        startJobStub.resolves({ job: { topic: 'live', name: '456' } });
+        getJobStub.callsFake(async (topic, name, details) => ({
+          ...await stoppedJob(topic, name, details),
+          data: details ? {
+            resources: topic === 'live' ? [
+              { path: '/document', status: 204 },
+            ] : [
+              { path: '/document', status: 204 },
+              { path: '/spreadsheet.json', status: 204 },
+            ],
+          } : undefined,
+        }));
+        await appStore.loadContext(sidekickTest.sidekick, sidekickTest.config);
+
+        await waitUntil(() => startJobStub.calledWith('live', ['/document'], true), null, { timeout: 3000 });
+        await waitUntil(() => fireEventStub.calledWithMatch('unpublished', ['/document']), null, { timeout: 3000 });
+        expect(fireEventStub.calledWithMatch('deleted', ['/document', '/spreadsheet.json'])).to.be.true;
+      }).timeout(10000);
+
+      it('handles errors when resuming a job', async () => {
+        saveJobs([{
+          owner: 'adobe',
+          repo: 'aem-boilerplate',
+          ref: 'main',
+          operation: 'publish',
+          topic: 'publish',
+          name: '456',
+        }]);
+        getJobStub.callsFake(stoppedJob);
+        fireEventStub.throws(new Error('error'));
+        const warnStub = sidekickTest.sandbox.stub(log, 'warn');
+        await appStore.loadContext(sidekickTest.sidekick, sidekickTest.config);
+
+        await waitUntil(() => warnStub.calledWith('bulk: failed to resume job'), null, { timeout: 3000 });
+        expect(setStateSpy.lastCall.args).to.deep.equal([]);
+      }).timeout(10000);
+
+      it('ignores jobs from other projects', async () => {
+        saveJobs([{
+          owner: 'foo',
+          repo: 'bar',
+          ref: 'main',
+          operation: 'preview',
+          topic: 'preview',
+          name: '789',
+        }]);
+        await appStore.loadContext(sidekickTest.sidekick, sidekickTest.config);
+        await aTimeout(1100);
+
+        expect(bulkStore.job).to.be.null;
+        expect(getJobStub.called).to.be.false;
+      }).timeout(10000);
+
+      it('stops running job and displays stopped toast', async () => {
+        const stopJobStub = sidekickTest.sandbox.stub(appStore.api, 'stopJob')
+          .resolves({ status: 204 });
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => getJobStub.calledWith('preview', '123'), null, { timeout: 2000 });
+
+        // click stop button
+        const activityAction = recursiveQuery(sidekickTest.sidekick, 'activity-action');
+        await waitUntil(() => recursiveQuery(activityAction, 'sk-action-button.stop'));
+        recursiveQuery(activityAction, 'sk-action-button.stop').click();
+        await waitUntil(() => stopJobStub.calledWith('preview', '123'));
+
+        getJobStub.callsFake(stoppedJob);
+        await waitUntil(() => showToastSpy.called, null, { timeout: 3000 });
+        expect(showToastSpy.calledWithMatch('Job stopped: 1 of 2 files processed', 'warning')).to.be.true;
+        expect(bulkStore.summary.stopped).to.be.true;
+
+        // details modal shows unprocessed resources
+        const detailsButton = recursiveQuery(activityAction, 'sk-action-button.action');
+        detailsButton.click();
+        await waitUntil(() => recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper'));
+        const dialogWrapper = recursiveQuery(sidekickTest.sidekick, 'sp-dialog-wrapper');
+        await waitUntil(() => recursiveQuery(dialogWrapper, '.status.skipped'));
+      }).timeout(10000);
+
+      it('does not stop job if none is running', async () => {
+        const stopJobStub = sidekickTest.sandbox.stub(appStore.api, 'stopJob');
+        expect(await bulkStore.stopJob()).to.be.false;
+        expect(stopJobStub.called).to.be.false;
+      });
+
+      it('does not show stopped toast if stopping job fails', async () => {
+        sidekickTest.sandbox.stub(appStore.api, 'stopJob').resolves(null);
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => bulkStore.job !== null);
+
+        expect(await bulkStore.stopJob()).to.be.false;
+      }).timeout(10000);
+    });
+
+    describe('history', () => {
+      const entry = {
+        owner: 'adobe',
+        repo: 'aem-boilerplate',
+        ref: 'main',
+        operation: 'publish',
+        host: 'www.example.com',
+        user: 'foo@example.com',
+        timestamp: 1700000000000,
+        resources: [
+          { path: '/document', status: 200 },
+          { path: '/spreadsheet.json', status: 403, error: 'forbidden, "really"' },
+          { path: '/other' },
+        ],
+      };
+      const otherEntry = { ...entry, owner: 'foo', repo: 'bar' };
+
+      it('adds bulk summary to history', async () => {
+        await chrome.storage.local.set({
+          bulkHistory: [
+            otherEntry,
+            ...new Array(20).fill(entry),
+          ],
+        });
+        sidekickTest.toggleAdminItems(['document', 'spreadsheet']);
+        await waitUntil(() => bulkStore.selection.length === 2);
+
+        await bulkStore.preview();
+        await confirmDialog(sidekickTest.sidekick);
+        await waitUntil(() => getJobStub.called, null, { timeout: 2000 });
+
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 1,
+          },
+          data: details ? {
+            resources: [
+              { path: '/document', status: 200 },
+              { path: '/spreadsheet.json', status: 404 },
+            ],
+          } : undefined,
+        }));
+
+        await waitUntil(async () => (await bulkStore.getHistory())[0].operation === 'preview', null, { timeout: 3000 });
+        const history = await bulkStore.getHistory();
+        // only most recent entries are kept
+        expect(history.length).to.equal(20);
+        expect(history[0]).to.deep.include({
+          owner: 'adobe',
+          repo: 'aem-boilerplate',
+          ref: 'main',
+          operation: 'preview',
+          host: appStore.siteStore.innerHost,
+        });
+        expect(history[0].resources.length).to.equal(2);
+        expect(history[0].timestamp).to.be.a('number');
+        // other projects are not affected
+        const { bulkHistory } = await chrome.storage.local.get('bulkHistory');
+        expect(bulkHistory.find(({ owner }) => owner === 'foo')).to.exist;
+      }).timeout(10000);
+
+      it('clears history of current project only', async () => {
+        await chrome.storage.local.set({
+          bulkHistory: [otherEntry, entry],
+        });
+        expect((await bulkStore.getHistory()).length).to.equal(1);
+
+        await bulkStore.clearHistory();
+        expect((await bulkStore.getHistory()).length).to.equal(0);
+        const { bulkHistory } = await chrome.storage.local.get('bulkHistory');
+        expect(bulkHistory).to.deep.equal([otherEntry]);
+      });
+
+      it('reruns failed and unprocessed resources', async () => {
+        bulkStore.rerunFailed(entry);
+
+        await waitUntil(() => startJobStub.calledWith('live', ['/spreadsheet.json', '/other'], false));
+        expect(setStateSpy.calledWith(STATE.BULK_PUBLISHING)).to.be.true;
+
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: [
+              { path: '/spreadsheet.json', status: 200 },
+              { path: '/other', status: 200 },
+            ],
+          } : undefined,
+        }));
+        await waitUntil(() => fireEventStub.calledWithMatch('published', ['/spreadsheet.json', '/other']), null, { timeout: 3000 });
+      }).timeout(10000);
+
+      it('asks for confirmation before rerunning destructive operations', async () => {
+        bulkStore.rerunFailed({ ...entry, operation: 'unpublish' });
+
+        expect(showModalSpy.calledWithMatch({
+          type: MODALS.DELETE,
+          data: {
+            message: 'Are you sure you want to unpublish 2 files?',
+            action: 'unpublish',
+          },
+        })).to.be.true;
+        expect(startJobStub.called).to.be.false;
+
+        await confirmDestructiveDialog(sidekickTest.sidekick, 'unpublish');
+        await waitUntil(() => startJobStub.calledWith('live', ['/spreadsheet.json', '/other'], true));
+        expect(setStateSpy.calledWith(STATE.BULK_UNPUBLISHING)).to.be.true;
+      }).timeout(10000);
+
+      it('does not rerun operations from a different branch', async () => {
+        await bulkStore.rerunFailed({ ...entry, ref: 'feature' });
+        expect(startJobStub.called).to.be.false;
+        expect(showToastSpy.calledWithMatch('This operation ran on branch feature.', 'warning')).to.be.true;
+      });
+
+      it('shows summary if history cannot be updated', async () => {
+        const warnStub = sidekickTest.sandbox.stub(log, 'warn');
+        const getStub = sidekickTest.sandbox.stub(chrome.storage.local, 'get').callThrough();
+        getStub.withArgs('bulkHistory').rejects(new Error('storage error'));
+        getJobStub.callsFake(async (topic, name, details) => ({
+          topic,
+          name,
+          state: 'stopped',
+          progress: {
+            total: 2,
+            processed: 2,
+            failed: 0,
+          },
+          data: details ? {
+            resources: [
+              { path: '/spreadsheet.json', status: 200 },
+              { path: '/other', status: 200 },
+            ],
+          } : undefined,
+        }));
+
+        await bulkStore.rerunFailed(entry);
+        expect(warnStub.calledWith('bulk: failed to add summary to history')).to.be.true;
+        expect(showToastSpy.calledWithMatch('2 files successfully published.')).to.be.true;
+      }).timeout(10000);
+
+      it('does not rerun without failed resources', async () => {
+        await bulkStore.rerunFailed({
+          ...entry,
+          resources: [{ path: '/document', status: 200 }],
+        });
+        expect(startJobStub.called).to.be.false;
+      });
+
+      it('serializes history entry', async () => {
+        const csv = bulkStore.serializeHistoryEntry(entry, 'csv').split('\n');
+        expect(csv.length).to.equal(4);
+        expect(csv[0]).to.equal('operation,timestamp,user,host,path,status,error');
+        expect(csv[1]).to.equal('publish,2023-11-14T22:13:20.000Z,foo@example.com,www.example.com,/document,200,');
+        expect(csv[2]).to.equal('publish,2023-11-14T22:13:20.000Z,foo@example.com,www.example.com,/spreadsheet.json,403,"forbidden, ""really"""');
+        expect(csv[3]).to.equal('publish,2023-11-14T22:13:20.000Z,foo@example.com,www.example.com,/other,,');
+
+        const json = bulkStore.serializeHistoryEntry(entry, 'json');
+        expect(JSON.parse(json)).to.deep.equal(entry);
+      });
+
+      it('exports history entry', async () => {
+        const clickStub = sidekickTest.sandbox.stub(HTMLAnchorElement.prototype, 'click');
+        bulkStore.exportHistoryEntry(entry, 'csv');
+        expect(clickStub.calledOnce).to.be.true;
+        expect(clickStub.thisValues[0].download).to.equal('aem-boilerplate-bulk-publish-2023-11-14T22-13-20-000Z.csv');
       });
     });
 
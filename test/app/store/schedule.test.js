@@ -0,0 +1,124 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import { expect, waitUntil } from '@open-wc/testing';
+import { AppStore } from '../../../src/extension/app/store/app.js';
+import { SidekickTest } from '../../sidekick-test.js';
+import { defaultSidekickConfig } from '../../fixtures/sidekick-config.js';
+import chromeMock from '../../mocks/chrome.js';
+import { recursiveQuery } from '../../test-utils.js';
+import { MODALS, MODAL_EVENTS } from '../../../src/extension/app/constants.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+/**
+ * Picks a time in the schedule dialog and confirms it.
+ * @param {HTMLElement} sidekick The sidekick
+ * @param {string} value The datetime-local value
+ */
+async function confirmSchedule(sidekick, value) {
+  await waitUntil(() => recursiveQuery(sidekick, 'input.time'));
+  recursiveQuery(sidekick, 'input.time').value = value;
+  recursiveQuery(sidekick, 'sp-dialog-wrapper').dispatchEvent(new CustomEvent(MODAL_EVENTS.CONFIRM));
+}
+
+describe('Test Schedule Store', () => {
+  let appStore;
+  let scheduleStore;
+  let sidekickTest;
+
+  const future = Date.now() + 86400000;
+
+  beforeEach(async () => {
+    appStore = new AppStore();
+    scheduleStore = appStore.scheduleStore;
+    sidekickTest = new SidekickTest(defaultSidekickConfig, appStore);
+    sidekickTest
+      .mockFetchStatusSuccess()
+      .mockFetchSidekickConfigSuccess(true, false)
+      .createSidekick();
+    await sidekickTest.awaitStatusFetched();
+  });
+
+  afterEach(async () => {
+    await chrome.storage.local.remove('publishSchedules');
+    sidekickTest.destroy();
+  });
+
+  it('returns schedules of current project sorted by time', async () => {
+    await chrome.storage.local.set({
+      publishSchedules: [
+        {
+          id: '1', owner: 'adobe', repo: 'aem-boilerplate', paths: ['/foo'], time: future + 1000,
+        },
+        {
+          id: '2', owner: 'foo', repo: 'bar', paths: ['/foo'], time: future,
+        },
+        {
+          id: '3', owner: 'adobe', repo: 'aem-boilerplate', paths: ['/bar'], time: future,
+        },
+      ],
+    });
+    const schedules = await scheduleStore.getSchedules();
+    expect(schedules.map(({ id }) => id)).to.deep.equal(['3', '1']);
+  });
+
+  it('adds, reschedules and cancels schedules', async () => {
+    const { id, owner, repo } = await scheduleStore.addSchedule(['/foo', '/bar'], future);
+    expect(owner).to.equal('adobe');
+    expect(repo).to.equal('aem-boilerplate');
+
+    let [schedule] = await scheduleStore.getSchedules();
+    expect(schedule.id).to.equal(id);
+    expect(schedule.paths).to.deep.equal(['/foo', '/bar']);
+    expect(schedule.time).to.equal(future);
+
+    await scheduleStore.reschedule(id, future + 3600000);
+    [schedule] = await scheduleStore.getSchedules();
+    expect(schedule.time).to.equal(future + 3600000);
+
+    await scheduleStore.cancelSchedule(id);
+    expect((await scheduleStore.getSchedules()).length).to.equal(0);
+  });
+
+  it('schedules publishing on confirm', async () => {
+    const showModalSpy = sidekickTest.sandbox.spy(appStore, 'showModal');
+    const showToastSpy = sidekickTest.sandbox.spy(appStore, 'showToast');
+
+    scheduleStore.schedulePublish(['/foo']);
+    expect(showModalSpy.calledWithMatch({
+      type: MODALS.SCHEDULE,
+      data: { paths: ['/foo'] },
+    })).to.be.true;
+
+    await confirmSchedule(appStore.sidekick, '2099-01-01T10:00');
+    await waitUntil(() => showToastSpy.calledOnce);
+
+    const [schedule] = await scheduleStore.getSchedules();
+    expect(schedule.paths).to.deep.equal(['/foo']);
+    expect(schedule.time).to.equal(new Date('2099-01-01T10:00').getTime());
+    expect(showToastSpy.calledWithMatch(/^Publishing scheduled for/, 'positive')).to.be.true;
+  });
+
+  it('does not schedule publishing in the past', async () => {
+    const addScheduleSpy = sidekickTest.sandbox.spy(scheduleStore, 'addSchedule');
+
+    scheduleStore.schedulePublish(['/foo']);
+    await confirmSchedule(appStore.sidekick, '2000-01-01T10:00');
+
+    await waitUntil(() => recursiveQuery(appStore.sidekick, '.picker.invalid'));
+    expect(recursiveQuery(appStore.sidekick, 'sp-dialog-wrapper')).to.exist;
+    expect(addScheduleSpy.called).to.be.false;
+  });
+});
@@ -102,9 +102,11 @@ describe('Test Site Store', () => {
       expect(appStore.siteStore.outerHost).to.equal('main--aem-boilerplate--adobe.hlx.live');
       expect(appStore.siteStore.lang).to.equal('en');
       expect(appStore.siteStore.devUrl.origin).to.equal('http://localhost:3000');
-      expect(appStore.siteStore.views.length).to.equal(1);
-      expect(appStore.siteStore.views[0].path).to.equal('**.json');
-      expect(appStore.siteStore.views[0].viewer).to.equal('/test/fixtures/views/json/json.html');
+      expect(appStore.siteStore.views.length).to.equal(2);
+      expect(appStore.siteStore.views[0].path).to.equal('/redirects.json');
+      expect(appStore.siteStore.views[0].viewer).to.equal('/test/fixtures/views/redirects/redirects.html');
+      expect(appStore.siteStore.views[1].path).to.equal('**.json');
+      expect(appStore.siteStore.views[1].viewer).to.equal('/test/fixtures/views/json/json.html');
       expect(appStore.siteStore.plugins.length).to.equal(0);
     });
 
@@ -120,6 +122,40 @@ describe('Test Site Store', () => {
       expect(appStore.siteStore.outerHost).to.equal('main--aem-boilerplate--adobe.aem.live');
     });
 
+    it('with refs', async () => {
+      const config = {
+        ...defaultConfig,
+        ref: 'feature',
+        defaultRef: 'main',
+        refs: {
+          old: { lastUsed: 1 },
+          feature: { lastUsed: 3 },
+          recent: { lastUsed: 2 },
+        },
+      };
+      await appStore.loadContext(sidekickElement, config);
+      expect(appStore.siteStore.ref).to.equal('feature');
+      expect(appStore.siteStore.defaultRef).to.equal('main');
+      expect(appStore.siteStore.refs).to.deep.equal(['feature', 'main', 'recent', 'old']);
+      expect(appStore.siteStore.innerHost).to.equal('feature--aem-boilerplate--adobe.hlx.page');
+    });
+
+    it('with refs from its own serialized config', async () => {
+      const config = {
+        ...defaultConfig,
+        ref: 'feature',
+        defaultRef: 'main',
+        refs: {
+          feature: { lastUsed: 2, devOrigin: 'http://localhost:3001' },
+          old: { lastUsed: 1 },
+        },
+      };
+      await appStore.loadContext(sidekickElement, config);
+      await appStore.siteStore.initStore(appStore.siteStore.toJSON());
+      expect(appStore.siteStore.refs).to.deep.equal(['feature', 'main', 'old']);
+      expect(appStore.siteStore.refSettings).to.deep.equal(config.refs);
+    });
+
     it('special views ', async () => {
       /**
        * @type {SidekickOptionsConfig | ClientConfig}
@@ -137,14 +173,40 @@ describe('Test Site Store', () => {
 
       // @ts-ignore
       await appStore.loadContext(sidekickElement, config);
-      expect(appStore.siteStore.views.length).to.equal(2);
+      expect(appStore.siteStore.views.length).to.equal(3);
       expect(appStore.siteStore.views[0].path).to.equal('**.ext');
       expect(appStore.siteStore.views[0].viewer).to.equal('/tools/sidekick/example/index.html');
 
-      expect(appStore.siteStore.views[1].path).to.equal('**.json');
-      expect(appStore.siteStore.views[1].viewer).to.equal('/test/fixtures/views/json/json.html');
+      expect(appStore.siteStore.views[1].path).to.equal('/redirects.json');
+      // @ts-ignore
+      expect(appStore.siteStore.views[1].title()).to.equal('Redirects');
+
+      expect(appStore.siteStore.views[2].path).to.equal('**.json');
+      expect(appStore.siteStore.views[2].viewer).to.equal('/test/fixtures/views/json/json.html');
+      // @ts-ignore
+      expect(appStore.siteStore.views[2].title()).to.equal('Data rendition');
+    });
+
+    it('sheet schemas', async () => {
+      const sheetSchemas = [
+        {
+          path: '/products.json',
+          columns: {
+            sku: { required: true, unique: true },
+          },
+        },
+      ];
+      /**
+       * @type {SidekickOptionsConfig | ClientConfig}
+       */
+      const config = {
+        ...defaultConfig,
+        sheetSchemas,
+      };
+
       // @ts-ignore
-      expect(appStore.siteStore.views[1].title()).to.equal('Data rendition');
+      await appStore.loadContext(sidekickElement, config);
+      expect(appStore.siteStore.sheetSchemas).to.deep.equal(sheetSchemas);
     });
 
     it('using ClientConfig (config.json)', async () => {
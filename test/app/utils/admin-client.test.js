@@ -259,6 +259,17 @@ describe('Test Admin Client', () => {
       expect(res).to.be.instanceOf(Object);
     });
 
+    it('should start status job with selected partitions', async () => {
+      mockFetchSuccess({
+        method: 'post',
+        api: 'status',
+        path: '/*',
+      });
+      const res = await adminClient.startJob('status', ['/foo/*'], false, ['edit']);
+      expect(res).to.be.instanceOf(Object);
+      expect(JSON.parse(fetchMock.lastOptions().body).select).to.deep.equal(['edit']);
+    });
+
     it('should return null if not 200', async () => {
       mockFetchError({
         method: 'post',
@@ -326,6 +337,35 @@ describe('Test Admin Client', () => {
     });
   });
 
+  describe('stopJob', () => {
+    it('should stop job', async () => {
+      mockFetchSuccess({
+        method: 'delete',
+        api: 'job',
+        path: '/preview/123',
+      });
+      const res = await adminClient.stopJob('preview', '123');
+      expect(res.status).to.equal(200);
+    });
+
+    it('should return null if not 2xx', async () => {
+      mockFetchError({
+        method: 'delete',
+        api: 'job',
+        path: '/preview/123',
+        status: 404,
+      });
+      const res = await adminClient.stopJob('preview', '123');
+      expect(res).to.be.null;
+    });
+
+    it('should return null if fetch fails', async () => {
+      sandbox.stub(window, 'fetch').throws(error);
+      const res = await adminClient.stopJob('preview', '123');
+      expect(res).to.be.null;
+    });
+  });
+
   describe('should handle rate limiting', () => {
     it('should handle 429 error', async () => {
       mockFetchError({
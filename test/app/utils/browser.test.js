@@ -23,6 +23,7 @@ import {
   createTag,
   extendTag,
   globToRegExp,
+  downloadFile,
 } from '../../../src/extension/app/utils/browser.js';
 
 describe('browser utils', () => {
@@ -294,4 +295,41 @@ describe('browser utils', () => {
       expect(regex.test('dir/subdir/extra/file-123.js')).to.be.false;
     });
   });
+
+  describe('downloadFile', () => {
+    it('should download content as file', async () => {
+      const clickStub = sinon.stub(HTMLAnchorElement.prototype, 'click');
+      const revokeSpy = sinon.spy(URL, 'revokeObjectURL');
+      try {
+        downloadFile('foo,bar', 'test.csv', 'text/csv');
+        expect(clickStub.calledOnce).to.be.true;
+        const link = clickStub.thisValues[0];
+        expect(link.download).to.equal('test.csv');
+        expect(link.href.startsWith('blob:')).to.be.true;
+        const content = await (await fetch(link.href)).text();
+        expect(content).to.equal('foo,bar');
+        await new Promise((resolve) => {
+          setTimeout(resolve, 1100);
+        });
+        expect(revokeSpy.calledWith(link.href)).to.be.true;
+      } finally {
+        clickStub.restore();
+        revokeSpy.restore();
+      }
+    }).timeout(5000);
+
+    it('should download blob as file', async () => {
+      const clickStub = sinon.stub(HTMLAnchorElement.prototype, 'click');
+      try {
+        downloadFile(new Blob(['{}'], { type: 'application/json' }), 'test.json');
+        const link = clickStub.thisValues[0];
+        expect(link.download).to.equal('test.json');
+        const resp = await fetch(link.href);
+        expect(resp.headers.get('content-type')).to.equal('application/json');
+        expect(await resp.text()).to.equal('{}');
+      } finally {
+        clickStub.restore();
+      }
+    });
+  });
 });
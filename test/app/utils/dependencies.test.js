@@ -0,0 +1,68 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import { getReferencedPaths } from '../../../src/extension/app/utils/dependencies.js';
+
+const PAGE_URL = 'https://main--foo--bar.aem.page/en/page';
+const HOSTS = ['main--foo--bar.aem.page', 'main--foo--bar.aem.live', 'www.example.com'];
+
+function parse(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('dependencies utils', () => {
+  describe('getReferencedPaths', () => {
+    it('extracts same-site links, fragments, nav and footer', () => {
+      const doc = parse(`<html><head>
+        <meta name="nav" content="/en/nav">
+        <meta name="footer" content="/en/footer">
+        </head><body><main>
+        <a href="/fragments/promo">promo</a>
+        <a href="https://main--foo--bar.aem.live/en/about#team">about</a>
+        <a href="https://www.example.com/en/contact?foo=bar">contact</a>
+        <a href="sibling">sibling</a>
+        <a href="/en/legacy.plain.html">legacy</a>
+        <a href="https://www.adobe.com/">external</a>
+        <a href="mailto:foo@example.com">mail</a>
+        <a href="#top">top</a>
+        </main></body></html>`);
+      expect(getReferencedPaths(doc, PAGE_URL, HOSTS)).to.deep.equal([
+        '/en/about',
+        '/en/contact',
+        '/en/footer',
+        '/en/legacy',
+        '/en/nav',
+        '/en/sibling',
+        '/fragments/promo',
+      ]);
+    });
+
+    it('extracts media files but ignores media bus and code', () => {
+      const doc = parse(`<html><body><main>
+        <picture>
+          <source srcset="/images/hero.png?width=750 750w">
+          <img src="./media_123abc.png?width=750">
+        </picture>
+        <a href="/docs/guide.pdf">guide</a>
+        <img src="/icons/logo.svg">
+        <a href="/scripts/scripts.js">script</a>
+        </main></body></html>`);
+      expect(getReferencedPaths(doc, PAGE_URL, HOSTS)).to.deep.equal([
+        '/docs/guide.pdf',
+        '/icons/logo.svg',
+        '/images/hero.png',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  diffContent,
+  diffMetadata,
+  diffSequences,
+  diffSheets,
+  diffWords,
+  getContentUnits,
+  getMetadata,
+  pairChanges,
+} from '../../../src/extension/app/utils/diff.js';
+
+function parse(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('diff utils', () => {
+  describe('diffSequences', () => {
+    it('detects unchanged, added and removed items', () => {
+      const entries = diffSequences(['a', 'b', 'c'], ['a', 'c', 'd']);
+      expect(entries.map(({ type }) => type)).to.deep.equal(['unchanged', 'removed', 'unchanged', 'added']);
+      expect(entries[1].before).to.equal('b');
+      expect(entries[3].after).to.equal('d');
+    });
+
+    it('compares items by key', () => {
+      const entries = diffSequences([{ id: 1, v: 'x' }], [{ id: 1, v: 'y' }], ({ id }) => id);
+      expect(entries).to.deep.equal([{ type: 'unchanged', before: { id: 1, v: 'x' }, after: { id: 1, v: 'y' } }]);
+    });
+
+    it('matches common items at the start and end of long sequences', () => {
+      const before = Array.from({ length: 3000 }, (_, i) => `${i}`);
+      const after = [...before.slice(0, 10), ...before.slice(10).map((item) => `x${item}`), 'end'];
+      before.push('end');
+      const entries = diffSequences(before, after);
+      expect(entries.length).to.equal(10 + 2990 * 2 + 1);
+      expect(entries.slice(0, 10).every(({ type }) => type === 'unchanged')).to.be.true;
+      expect(entries[10]).to.deep.equal({ type: 'removed', before: '10' });
+      expect(entries[3000]).to.deep.equal({ type: 'added', after: 'x10' });
+      expect(entries[entries.length - 1]).to.deep.equal({ type: 'unchanged', before: 'end', after: 'end' });
+    });
+
+    it('handles empty sequences', () => {
+      expect(diffSequences([], [])).to.deep.equal([]);
+      expect(diffSequences([], ['a'])).to.deep.equal([{ type: 'added', after: 'a' }]);
+      expect(diffSequences(['a'], [])).to.deep.equal([{ type: 'removed', before: 'a' }]);
+    });
+  });
+
+  describe('pairChanges', () => {
+    it('pairs removed and added items within a run of changes', () => {
+      const entries = pairChanges([
+        { type: 'removed', before: 'a1' },
+        { type: 'removed', before: 'b1' },
+        { type: 'added', after: 'c2' },
+        { type: 'added', after: 'a2' },
+        { type: 'unchanged', before: 'd', after: 'd' },
+      ], (item) => item[0]);
+      expect(entries).to.deep.equal([
+        { type: 'changed', before: 'a1', after: 'a2' },
+        { type: 'removed', before: 'b1' },
+        { type: 'added', after: 'c2' },
+        { type: 'unchanged', before: 'd', after: 'd' },
+      ]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('detects changed words', () => {
+      const entries = diffWords('Hello big world', 'Hello small world');
+      expect(entries.filter(({ type }) => type !== 'unchanged')).to.deep.equal([
+        { type: 'removed', before: 'big' },
+        { type: 'added', after: 'small' },
+      ]);
+    });
+  });
+
+  describe('getContentUnits', () => {
+    it('flattens sections into blocks and default content', () => {
+      const units = getContentUnits(parse(`
+        <div><h1>Title</h1><p><picture><img src="./media_1.png?width=750"></picture></p></div>
+        <div><div class="cards dark"><div><div>One</div><div>Two</div></div></div></div>
+      `));
+      expect(units).to.deep.equal([
+        { type: 'content', name: 'h1', text: 'Title' },
+        { type: 'content', name: 'p', text: '[./media_1.png]' },
+        { type: 'section', name: '', text: '' },
+        { type: 'block', name: 'cards (dark)', text: 'One | Two' },
+      ]);
+    });
+  });
+
+  describe('diffContent', () => {
+    it('detects added, removed and changed blocks and text', () => {
+      const live = parse(`
+        <div><h1>Title</h1><p>Old text here</p></div>
+        <div><div class="hero"><div><div>Hero</div></div></div></div>
+      `);
+      const preview = parse(`
+        <div><h1>Title</h1><p>New text here</p></div>
+        <div><div class="cards"><div><div>Card</div></div></div></div>
+      `);
+      const entries = diffContent(live, preview);
+      expect(entries.map(({ type }) => type)).to.deep.equal([
+        'unchanged', 'changed', 'unchanged', 'removed', 'added',
+      ]);
+      expect(entries[1].before.text).to.equal('Old text here');
+      expect(entries[1].after.text).to.equal('New text here');
+      expect(entries[3].before.name).to.equal('hero');
+      expect(entries[4].after.name).to.equal('cards');
+    });
+
+    it('treats all content as added if live is empty', () => {
+      const entries = diffContent(parse(''), parse('<div><p>Text</p></div>'));
+      expect(entries).to.deep.equal([
+        { type: 'added', after: { type: 'content', name: 'p', text: 'Text' } },
+      ]);
+    });
+  });
+
+  describe('metadata', () => {
+    it('extracts metadata from the head', () => {
+      const metadata = getMetadata(parse(`
+        <html><head>
+          <title>Page</title>
+          <meta name="description" content="Desc">
+          <meta property="og:title" content="Page">
+          <meta name="tags" content="a">
+          <meta name="tags" content="b">
+        </head></html>
+      `));
+      expect(metadata).to.deep.equal({
+        title: 'Page',
+        description: 'Desc',
+        'og:title': 'Page',
+        tags: 'a, b',
+      });
+    });
+
+    it('detects added, removed and changed metadata', () => {
+      const entries = diffMetadata(
+        { title: 'Page', description: 'Old', template: 'blog' },
+        { title: 'Page', description: 'New', robots: 'noindex' },
+      );
+      expect(entries).to.deep.equal([
+        {
+          name: 'description', before: 'Old', after: 'New', type: 'changed',
+        },
+        {
+          name: 'robots', before: undefined, after: 'noindex', type: 'added',
+        },
+        {
+          name: 'template', before: 'blog', after: undefined, type: 'removed',
+        },
+        {
+          name: 'title', before: 'Page', after: 'Page', type: 'unchanged',
+        },
+      ]);
+    });
+  });
+
+  describe('diffSheets', () => {
+    it('detects added, removed and changed rows per sheet', () => {
+      const sheets = diffSheets({
+        redirects: [
+          { Source: '/a', Destination: '/x' },
+          { Source: '/b', Destination: '/y' },
+          { Source: '/c', Destination: '/z' },
+        ],
+        legacy: [{ Source: '/old', Destination: '/new' }],
+      }, {
+        redirects: [
+          { Source: '/a', Destination: '/x' },
+          { Source: '/b', Destination: '/w' },
+          { Source: '/d', Destination: '/z' },
+        ],
+      });
+      expect(Object.keys(sheets)).to.deep.equal(['redirects', 'legacy']);
+      expect(sheets.redirects.map(({ type }) => type)).to.deep.equal([
+        'unchanged', 'changed', 'removed', 'added',
+      ]);
+      expect(sheets.redirects[1].before.Destination).to.equal('/y');
+      expect(sheets.redirects[1].after.Destination).to.equal('/w');
+      expect(sheets.legacy).to.deep.equal([
+        { type: 'removed', before: { Source: '/old', Destination: '/new' } },
+      ]);
+    });
+
+    it('matches rows by key if the first column is unique', () => {
+      const sheets = diffSheets({
+        data: [
+          { id: '1', v: 'a' },
+          { id: '2', v: 'b' },
+          { id: '3', v: 'c' },
+        ],
+      }, {
+        data: [
+          { id: '3', v: 'c' },
+          { id: '4', v: 'd' },
+          { id: '1', v: 'x' },
+        ],
+      });
+      expect(sheets.data).to.deep.equal([
+        { type: 'removed', before: { id: '2', v: 'b' } },
+        { type: 'unchanged', before: { id: '3', v: 'c' }, after: { id: '3', v: 'c' } },
+        { type: 'added', after: { id: '4', v: 'd' } },
+        { type: 'changed', before: { id: '1', v: 'a' }, after: { id: '1', v: 'x' } },
+      ]);
+    });
+
+    it('diffs rows in sequence if the first column is not unique', () => {
+      const sheets = diffSheets({
+        data: [
+          { type: 'a', v: '1' },
+          { type: 'a', v: '2' },
+        ],
+      }, {
+        data: [
+          { type: 'a', v: '1' },
+          { type: 'a', v: '3' },
+        ],
+      });
+      expect(sheets.data).to.deep.equal([
+        { type: 'unchanged', before: { type: 'a', v: '1' }, after: { type: 'a', v: '1' } },
+        { type: 'changed', before: { type: 'a', v: '2' }, after: { type: 'a', v: '3' } },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import sinon from 'sinon';
+import { checkLinks, serializeLinkResults } from '../../../src/extension/app/utils/link-checker.js';
+
+const HOSTS = {
+  innerHost: 'main--foo--bar.aem.page',
+  outerHost: 'main--foo--bar.aem.live',
+  host: 'www.example.com',
+};
+
+function createMain(html) {
+  const main = document.createElement('main');
+  main.innerHTML = html;
+  return main;
+}
+
+describe('link checker utils', () => {
+  const sandbox = sinon.createSandbox();
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = sandbox.stub(window, 'fetch');
+    fetchStub.resolves(new Response('', { status: 200 }));
+    fetchStub.withArgs('https://www.example.com/missing')
+      .resolves(new Response('', { status: 404 }));
+    fetchStub.withArgs('https://www.example.com/moved')
+      .resolves(/** @type {Response} */ ({ type: 'opaqueredirect', status: 0, ok: false }));
+    fetchStub.withArgs('https://www.example.com/broken')
+      .rejects(new Error('network error'));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('checkLinks', () => {
+    const main = createMain(`
+      <a href="/ok#section">ok</a>
+      <a href="/ok">ok again</a>
+      <a href="/missing">missing</a>
+      <a href="/moved">moved</a>
+      <a href="/broken">broken</a>
+      <a href="https://main--foo--bar.aem.page/preview">preview
+        link</a>
+      <a href="https://main--foo--bar.aem.live/live">live</a>
+      <a href="https://www.adobe.com/">external</a>
+      <a href="mailto:foo@example.com">mail</a>
+    `);
+
+    it('checks project links on prod', async () => {
+      const results = await checkLinks(main, 'https://www.example.com/page', 'prod', HOSTS);
+      expect(fetchStub.callCount).to.equal(4);
+      expect(fetchStub.calledWith('https://main--foo--bar.aem.page/preview')).to.be.false;
+      expect(fetchStub.calledWith('https://www.example.com/ok', {
+        method: 'HEAD',
+        redirect: 'manual',
+        cache: 'no-store',
+      })).to.be.true;
+      expect(results).to.deep.equal([
+        {
+          url: 'https://www.example.com/missing', text: 'missing', status: 404, issue: 'not_found',
+        },
+        {
+          url: 'https://www.example.com/broken', text: 'broken', status: null, issue: 'error',
+        },
+        {
+          url: 'https://www.example.com/moved', text: 'moved', status: null, issue: 'redirect',
+        },
+        {
+          url: 'https://main--foo--bar.aem.page/preview', text: 'preview link', status: null, issue: 'wrong_env',
+        },
+        {
+          url: 'https://main--foo--bar.aem.live/live', text: 'live', status: null, issue: 'wrong_env',
+        },
+        {
+          url: 'https://www.example.com/ok', text: 'ok', status: 200, issue: 'ok',
+        },
+      ]);
+    });
+
+    it('flags preview links on live', async () => {
+      const results = await checkLinks(main, 'https://main--foo--bar.aem.live/page', 'live', HOSTS);
+      expect(results.find(({ url }) => url.endsWith('/preview')).issue).to.equal('wrong_env');
+      expect(results.find(({ url }) => url.endsWith('/live')).issue).to.equal('ok');
+    });
+
+    it('flags links to other environments even if requests fail', async () => {
+      fetchStub.withArgs('https://main--foo--bar.aem.page/preview')
+        .rejects(new TypeError('Failed to fetch'));
+      const results = await checkLinks(main, 'https://main--foo--bar.aem.live/page', 'live', HOSTS);
+      expect(results.find(({ url }) => url.endsWith('/preview')).issue).to.equal('wrong_env');
+    });
+
+    it('reports failed cross-origin requests as unverified', async () => {
+      fetchStub.withArgs('https://main--foo--bar.aem.live/live')
+        .rejects(new TypeError('Failed to fetch'));
+      const results = await checkLinks(main, 'https://main--foo--bar.aem.page/page', 'preview', HOSTS);
+      expect(results.find(({ url }) => url.endsWith('/live'))).to.deep.equal({
+        url: 'https://main--foo--bar.aem.live/live', text: 'live', status: null, issue: 'unverified',
+      });
+    });
+
+    it('does not flag environments on preview', async () => {
+      const results = await checkLinks(main, 'https://main--foo--bar.aem.page/page', 'preview', HOSTS);
+      expect(results.filter(({ issue }) => issue === 'wrong_env')).to.be.empty;
+    });
+  });
+
+  describe('serializeLinkResults', () => {
+    it('serializes results as tab-separated text', () => {
+      expect(serializeLinkResults([
+        {
+          url: 'https://www.example.com/missing', text: 'missing', status: 404, issue: 'not_found',
+        },
+        {
+          url: 'https://www.example.com/moved', text: 'moved', status: null, issue: 'redirect',
+        },
+      ])).to.equal([
+        'issue\tstatus\turl\ttext',
+        'not_found\t404\thttps://www.example.com/missing\tmissing',
+        'redirect\t\thttps://www.example.com/moved\tmoved',
+      ].join('\n'));
+    });
+  });
+});
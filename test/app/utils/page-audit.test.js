@@ -0,0 +1,147 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  auditContrast,
+  auditHeadings,
+  auditImages,
+  auditPerformance,
+  describeElement,
+  getAuditRegressions,
+  getAuditScores,
+  getContrastRatio,
+  parseColor,
+} from '../../../src/extension/app/utils/page-audit.js';
+
+/**
+ * Creates a document from the HTML of its main element.
+ * @param {string} html The HTML of the main element
+ * @param {string} [head] The HTML of the head
+ * @returns {Document} The document
+ */
+function createDocument(html, head = '') {
+  return new DOMParser().parseFromString(`<html><head>${head}</head><body><main>${html}</main></body></html>`, 'text/html');
+}
+
+describe('page audit utils', () => {
+  it('describes elements', () => {
+    const doc = createDocument(`
+      <img class="hero wide extra" src="/media_123.png?width=2000">
+      <h2 id="intro">Introduction   to the page</h2>
+    `);
+    expect(describeElement(doc.querySelector('img'))).to.equal('img.hero.wide (media_123.png)');
+    expect(describeElement(doc.querySelector('h2'))).to.equal('h2#intro "Introduction to the page"');
+    expect(describeElement(null)).to.equal('');
+  });
+
+  it('checks images', () => {
+    const doc = createDocument(`
+      <img src="/media_1.png" alt="" width="100" height="100">
+      <img src="/media_2.png">
+    `);
+    const issues = auditImages(doc);
+    expect(issues.map(({ check }) => check)).to.deep.equal(['image_alt', 'image_dimensions']);
+    expect(issues[0].target).to.equal('img (media_2.png)');
+  });
+
+  it('checks headings', () => {
+    const doc = createDocument('<h2>Title</h2><h4>Skipped</h4><h3>Fine</h3>');
+    const issues = auditHeadings(doc);
+    expect(issues.length).to.equal(2);
+    expect(issues[0]).to.deep.include({ check: 'heading_h1', severity: 'error', value: '0' });
+    expect(issues[1]).to.deep.include({ check: 'heading_order', value: 'h2 → h4' });
+    expect(auditHeadings(createDocument('<h1>Title</h1><h2>Section</h2>'))).to.deep.equal([]);
+  });
+
+  it('parses colors and calculates contrast ratios', () => {
+    expect(parseColor('rgb(255, 0, 0)')).to.deep.equal([255, 0, 0, 1]);
+    expect(parseColor('rgba(0, 0, 0, 0.5)')).to.deep.equal([0, 0, 0, 0.5]);
+    expect(parseColor('rgb(10 20 30 / 0.5)')).to.deep.equal([10, 20, 30, 0.5]);
+    expect(parseColor('transparent')).to.be.null;
+    expect(getContrastRatio([0, 0, 0], [255, 255, 255])).to.equal(21);
+    expect(getContrastRatio([255, 255, 255], [255, 255, 255])).to.equal(1);
+  });
+
+  it('checks color contrast', () => {
+    const main = document.createElement('main');
+    main.innerHTML = `
+      <p style="color: rgb(0, 0, 0); background-color: rgb(255, 255, 255);">Readable</p>
+      <p style="color: rgb(200, 200, 200); background-color: rgb(255, 255, 255);">Unreadable</p>
+    `;
+    document.body.append(main);
+    try {
+      const issues = auditContrast(document);
+      expect(issues.length).to.equal(1);
+      expect(issues[0]).to.deep.include({ check: 'contrast', severity: 'error' });
+      expect(issues[0].target).to.equal('p "Unreadable"');
+    } finally {
+      main.remove();
+    }
+  });
+
+  it('checks performance entries', () => {
+    const doc = createDocument('<img src="/media_1.png">', '<script src="/scripts/blocking.js"></script><script src="/scripts/aem.js" type="module"></script>');
+    const img = doc.querySelector('img');
+    const { issues, metrics } = auditPerformance(doc, {
+      lcp: [{ startTime: 1200, element: img }, { startTime: 4500.4, element: img }],
+      shifts: [{ value: 0.08 }, { value: 0.05 }, { value: 0.5, hadRecentInput: true }],
+      resources: [],
+    });
+    expect(metrics).to.deep.equal({
+      lcp: 4500,
+      lcpElement: 'img (media_1.png)',
+      cls: 0.13,
+      blocking: 1,
+    });
+    expect(issues.map(({ check, severity }) => `${check}:${severity}`)).to.deep.equal([
+      'lcp:error',
+      'cls:warning',
+      'blocking:warning',
+    ]);
+  });
+
+  it('prefers the render blocking status of resources', () => {
+    const doc = createDocument('', '<script src="/scripts/blocking.js"></script>');
+    const { issues, metrics } = auditPerformance(doc, {
+      resources: [
+        { name: 'https://example.com/styles/styles.css?v=1', renderBlockingStatus: 'blocking' },
+        { name: 'https://example.com/scripts/aem.js', renderBlockingStatus: 'non-blocking' },
+      ],
+    });
+    expect(metrics.blocking).to.equal(1);
+    expect(metrics.lcp).to.be.undefined;
+    expect(issues[0].target).to.equal('https://example.com/styles/styles.css');
+  });
+
+  it('calculates scores', () => {
+    const scores = getAuditScores([
+      { category: 'performance', check: 'blocking', severity: 'warning' },
+      { category: 'accessibility', check: 'image_alt', severity: 'error' },
+      { category: 'accessibility', check: 'image_alt', severity: 'error' },
+      { category: 'accessibility', check: 'image_alt', severity: 'error' },
+      { category: 'accessibility', check: 'image_alt', severity: 'error' },
+      { category: 'accessibility', check: 'contrast', severity: 'warning' },
+    ]);
+    expect(scores).to.deep.equal({ performance: 96, accessibility: 66 });
+    expect(getAuditScores([])).to.deep.equal({ performance: 100, accessibility: 100 });
+  });
+
+  it('finds regressions', () => {
+    expect(getAuditRegressions(
+      { performance: 90, accessibility: 80 },
+      { performance: 85, accessibility: 90 },
+    )).to.deep.equal([{ category: 'performance', before: 90, after: 85 }]);
+    expect(getAuditRegressions(undefined, { performance: 85 })).to.deep.equal([]);
+  });
+});
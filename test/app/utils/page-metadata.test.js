@@ -0,0 +1,106 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  getBulkMetadata,
+  getHeadMetadata,
+  inspectMetadata,
+  matchesMetadataPattern,
+  serializeMetadata,
+} from '../../../src/extension/app/utils/page-metadata.js';
+
+/**
+ * Creates a document head from HTML.
+ * @param {string} html The HTML of the head
+ * @returns {HTMLHeadElement} The head
+ */
+function createHead(html) {
+  return new DOMParser().parseFromString(`<html><head>${html}</head></html>`, 'text/html').head;
+}
+
+describe('page metadata utils', () => {
+  const head = createHead(`
+    <title>Blog post</title>
+    <meta name="description" content="A blog post">
+    <meta name="robots" content="noindex">
+    <meta name="template" content="article">
+    <meta name="author" content="Jane">
+    <meta name="author" content="John">
+    <meta property="og:title" content="Blog post">
+    <meta property="og:image" content="https://main--site--org.aem.page/media_123.png?width=1200">
+    <link rel="canonical" href="https://www.example.com/blog/post">
+  `);
+  const rows = [
+    { URL: '/**', Template: 'default', Image: '/media_123.png' },
+    { URL: '/blog/**', Template: 'blog', Robots: '' },
+  ];
+
+  it('reads the metadata from the head', () => {
+    const metadata = getHeadMetadata(head);
+    expect(metadata.title).to.deep.equal(['Blog post']);
+    expect(metadata.author).to.deep.equal(['Jane', 'John']);
+    expect(metadata['og:title']).to.deep.equal(['Blog post']);
+    expect(metadata.canonical).to.deep.equal(['https://www.example.com/blog/post']);
+  });
+
+  it('matches metadata sheet patterns', () => {
+    expect(matchesMetadataPattern('/blog/**', '/blog/post')).to.be.true;
+    expect(matchesMetadataPattern('/blog/*', '/blog/2024/post')).to.be.true;
+    expect(matchesMetadataPattern('/blog/**', '/news/post')).to.be.false;
+    expect(matchesMetadataPattern('/blog.html', '/blogxhtml')).to.be.false;
+    expect(matchesMetadataPattern('/blog', '/blog')).to.be.true;
+  });
+
+  it('gets the bulk metadata for a path', () => {
+    expect(getBulkMetadata(rows, '/blog/post')).to.deep.equal({
+      template: { value: 'blog', pattern: '/blog/**' },
+      'og:image': { value: '/media_123.png', pattern: '/**' },
+    });
+    expect(getBulkMetadata(rows, '/news/post').template.value).to.equal('default');
+  });
+
+  it('inspects the page metadata', () => {
+    const entries = inspectMetadata(head, rows, '/blog/post', 'live');
+    const byName = Object.fromEntries(entries.map((entry) => [entry.name, entry]));
+    expect(entries[0].issue).to.equal('missing');
+    expect(byName['og:description'].issue).to.equal('missing');
+    expect(byName.author).to.deep.include({ value: 'Jane | John', issue: 'conflict' });
+    expect(byName.robots.issue).to.equal('noindex');
+    expect(byName.template).to.deep.include({
+      value: 'article',
+      source: 'page',
+      pattern: '/blog/**',
+      bulkValue: 'blog',
+      issue: 'overridden',
+    });
+    expect(byName['og:image']).to.deep.include({ source: 'bulk', issue: 'ok' });
+    expect(byName.title).to.deep.include({ source: 'page', issue: 'ok' });
+  });
+
+  it('does not flag noindex on preview', () => {
+    const entries = inspectMetadata(head, [], '/blog/post', 'preview');
+    expect(entries.find(({ name }) => name === 'robots').issue).to.equal('ok');
+  });
+
+  it('flags values which are too long', () => {
+    const entries = inspectMetadata(createHead(`<title>${'x'.repeat(61)}</title>`), [], '/', 'live');
+    expect(entries.find(({ name }) => name === 'title').issue).to.equal('too_long');
+  });
+
+  it('serializes metadata entries', () => {
+    expect(serializeMetadata([{
+      name: 'template', value: 'article', source: 'page', pattern: '/blog/**', bulkValue: 'blog', issue: 'overridden',
+    }])).to.equal('issue\tname\tvalue\tsource\tpattern\noverridden\ttemplate\tarticle\tpage\t/blog/**');
+  });
+});
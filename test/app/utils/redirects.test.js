@@ -0,0 +1,85 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  analyzeRedirects,
+  findRedirect,
+  getRedirectPath,
+  getRedirects,
+  traceRedirect,
+} from '../../../src/extension/app/utils/redirects.js';
+
+describe('redirects utils', () => {
+  const hosts = ['www.example.com'];
+  const redirects = getRedirects([
+    { Source: '/a', Destination: '/b' },
+    { Source: '/b', Destination: 'https://www.example.com/c?ref=b' },
+    { Source: '/c', Destination: '/a' },
+    { Source: '/d', Destination: '/d' },
+    { Source: '', Destination: '/ignored' },
+    { Source: '/e', Destination: 'https://www.adobe.com/' },
+    { source: '/f', destination: '/e' },
+  ]);
+
+  it('gets redirects from rows', () => {
+    expect(redirects.length).to.equal(6);
+    expect(redirects[0]).to.deep.equal({ index: 0, source: '/a', destination: '/b' });
+    expect(redirects[4]).to.deep.equal({ index: 5, source: '/e', destination: 'https://www.adobe.com/' });
+    expect(redirects[5]).to.deep.equal({ index: 6, source: '/f', destination: '/e' });
+  });
+
+  it('gets redirect paths', () => {
+    expect(getRedirectPath('/foo?bar=1#baz')).to.equal('/foo');
+    expect(getRedirectPath('https://www.example.com/foo?bar=1', hosts)).to.equal('/foo');
+    expect(getRedirectPath('https://www.adobe.com/foo', hosts)).to.be.null;
+    expect(getRedirectPath('//www.example.com/foo', hosts)).to.be.null;
+    expect(getRedirectPath('foo', hosts)).to.be.null;
+    expect(getRedirectPath('')).to.be.null;
+  });
+
+  it('finds the redirect matching a path', () => {
+    expect(findRedirect(redirects, '/e?x=y')).to.equal(redirects[4]);
+    expect(findRedirect(redirects, 'https://www.example.com/f', hosts)).to.equal(redirects[5]);
+    expect(findRedirect(redirects, '/g')).to.be.null;
+  });
+
+  it('traces redirect chains', () => {
+    expect(traceRedirect(redirects, '/f', hosts)).to.deep.equal({
+      hops: [redirects[5], redirects[4]],
+      loop: false,
+    });
+    expect(traceRedirect(redirects, '/g', hosts)).to.deep.equal({ hops: [], loop: false });
+  });
+
+  it('detects redirect loops', () => {
+    const { hops, loop } = traceRedirect(redirects, '/a', hosts);
+    expect(hops).to.deep.equal([redirects[0], redirects[1], redirects[2]]);
+    expect(loop).to.be.true;
+    expect(traceRedirect(redirects, '/d', hosts).loop).to.be.true;
+  });
+
+  it('ignores destinations on other hosts', () => {
+    const { hops, loop } = traceRedirect(redirects, '/b');
+    expect(hops).to.deep.equal([redirects[1]]);
+    expect(loop).to.be.false;
+  });
+
+  it('analyzes all redirects', () => {
+    const traces = analyzeRedirects(redirects, hosts);
+    expect(traces.size).to.equal(6);
+    expect(traces.get(redirects[2]).loop).to.be.true;
+    expect(traces.get(redirects[4])).to.deep.equal({ hops: [redirects[4]], loop: false });
+    expect(traces.get(redirects[5]).hops.length).to.equal(2);
+  });
+});
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  arrangeColumns,
+  filterRows,
+  getColumnTypes,
+  parseDate,
+  sortRows,
+} from '../../../src/extension/app/utils/sheet-data.js';
+
+describe('sheet data utils', () => {
+  const rows = [
+    { path: '/b', price: '10', lastModified: '1700000000' },
+    { path: '/a', price: '9', lastModified: '1600000000' },
+    { path: '/c', price: '', lastModified: '45000' },
+  ];
+  const types = {
+    path: 'text',
+    price: 'number',
+    lastModified: 'date',
+  };
+
+  it('parses unix and excel dates', () => {
+    expect(parseDate('1700000000').toISOString()).to.equal('2023-11-14T22:13:20.000Z');
+    expect(parseDate('45000').toISOString()).to.equal('2023-03-15T00:00:00.000Z');
+    expect(parseDate('12')).to.be.null;
+    expect(parseDate('foo')).to.be.null;
+    expect(parseDate('')).to.be.null;
+  });
+
+  it('detects column types', () => {
+    expect(getColumnTypes(rows)).to.deep.equal(types);
+    expect(getColumnTypes([{ a: '1' }, { a: 'x' }, { b: '' }])).to.deep.equal({
+      a: 'text',
+      b: 'text',
+    });
+  });
+
+  it('sorts rows by type with empty values last', () => {
+    expect(sortRows(rows, 'price', 'asc', 'number').map(({ path }) => path)).to.deep.equal(['/a', '/b', '/c']);
+    expect(sortRows(rows, 'price', 'desc', 'number').map(({ path }) => path)).to.deep.equal(['/b', '/a', '/c']);
+    expect(sortRows(rows, 'lastModified', 'asc', 'date').map(({ path }) => path)).to.deep.equal(['/a', '/c', '/b']);
+    expect(sortRows(rows, 'path', 'desc').map(({ path }) => path)).to.deep.equal(['/c', '/b', '/a']);
+  });
+
+  it('filters rows by text, number range and date range', () => {
+    expect(filterRows(rows, { path: { text: 'A' } }, types)).to.deep.equal([rows[1]]);
+    expect(filterRows(rows, { price: { min: '9.5' } }, types)).to.deep.equal([rows[0]]);
+    expect(filterRows(rows, { price: { max: '9.5' } }, types)).to.deep.equal([rows[1]]);
+    expect(filterRows(rows, {
+      lastModified: { min: '2023-01-01', max: '2023-11-14' },
+    }, types)).to.deep.equal([rows[0], rows[2]]);
+    expect(filterRows(rows, { price: {} }, types)).to.deep.equal(rows);
+  });
+
+  it('arranges columns', () => {
+    expect(arrangeColumns(['a', 'b', 'c', 'd'])).to.deep.equal(['a', 'b', 'c', 'd']);
+    expect(arrangeColumns(['a', 'b', 'c', 'd'], {
+      order: ['c', 'x', 'a'],
+      hidden: ['b'],
+      pinned: ['d'],
+    })).to.deep.equal(['d', 'c', 'a']);
+  });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  createWorkbook,
+  getColumns,
+  serializeRows,
+} from '../../../src/extension/app/utils/sheet-export.js';
+
+describe('sheet export utils', () => {
+  const rows = [
+    { path: '/foo', title: 'Foo, "the" page' },
+    { path: '/bar', title: 'Bar\tpage', lastModified: '1700000000' },
+  ];
+
+  it('returns columns in order of appearance', () => {
+    expect(getColumns(rows)).to.deep.equal(['path', 'title', 'lastModified']);
+  });
+
+  it('serializes rows as csv', () => {
+    expect(serializeRows(rows)).to.equal([
+      'path,title,lastModified',
+      '/foo,"Foo, ""the"" page",',
+      '/bar,Bar\tpage,1700000000',
+    ].join('\r\n'));
+  });
+
+  it('serializes rows as tsv', () => {
+    expect(serializeRows(rows, '\t')).to.equal([
+      'path\ttitle\tlastModified',
+      '/foo\t"Foo, ""the"" page"\t',
+      '/bar\t"Bar\tpage"\t1700000000',
+    ].join('\r\n'));
+  });
+
+  it('creates a workbook with one worksheet per sheet', async () => {
+    const workbook = createWorkbook({
+      'shared-default': rows,
+      'foo/bar': [{ key: 'a & b' }],
+    });
+    expect(workbook.type).to.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    // entries are stored uncompressed
+    const text = await workbook.text();
+    expect(text.startsWith('PK')).to.be.true;
+    expect(text).to.include('<sheet name="shared-default" sheetId="1" r:id="rId1"/>');
+    expect(text).to.include('<sheet name="foo_bar" sheetId="2" r:id="rId2"/>');
+    expect(text).to.include('<c r="C3"><v>1700000000</v></c>');
+    expect(text).to.include('<t xml:space="preserve">a &amp; b</t>');
+  });
+
+  it('keeps values as text which would change as numbers', async () => {
+    const text = await createWorkbook({
+      data: [{
+        zip: '007', price: '1.50', id: '12345678901234567890', exp: '1e5', ratio: '-1.5',
+      }],
+    }).text();
+    expect(text).to.include('<c r="A2" t="inlineStr"><is><t xml:space="preserve">007</t></is></c>');
+    expect(text).to.include('<c r="B2" t="inlineStr"><is><t xml:space="preserve">1.50</t></is></c>');
+    expect(text).to.include('<c r="C2" t="inlineStr"><is><t xml:space="preserve">12345678901234567890</t></is></c>');
+    expect(text).to.include('<c r="D2" t="inlineStr"><is><t xml:space="preserve">1e5</t></is></c>');
+    expect(text).to.include('<c r="E2"><v>-1.5</v></c>');
+  });
+
+  it('keeps values as text which are not finite numbers', async () => {
+    const text = await createWorkbook({
+      data: [{ a: 'NaN', b: 'Infinity', c: '-Infinity' }],
+    }).text();
+    expect(text).to.include('<c r="A2" t="inlineStr"><is><t xml:space="preserve">NaN</t></is></c>');
+    expect(text).to.include('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Infinity</t></is></c>');
+    expect(text).to.include('<c r="C2" t="inlineStr"><is><t xml:space="preserve">-Infinity</t></is></c>');
+    expect(text).to.not.include('<v>NaN</v>');
+  });
+});
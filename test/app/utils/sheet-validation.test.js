@@ -0,0 +1,101 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  getSheetSchemas,
+  validateRows,
+} from '../../../src/extension/app/utils/sheet-validation.js';
+
+describe('sheet validation utils', () => {
+  it('returns the schemas applicable to a sheet', () => {
+    const schemas = [
+      { path: '/products.json', columns: {} },
+      { path: '/products.json', sheet: 'en', columns: {} },
+      { path: '/products.json', sheet: 'de', columns: {} },
+    ];
+    expect(getSheetSchemas(schemas, 'en')).to.deep.equal([schemas[0], schemas[1]]);
+    expect(getSheetSchemas(schemas, 'fr')).to.deep.equal([schemas[0]]);
+  });
+
+  it('returns no issues for valid rows', () => {
+    const rows = [
+      {
+        sku: 'a1', price: '10', published: '1700000000', active: 'true', url: '/a1',
+      },
+      {
+        sku: 'a2', price: '9.5', published: '2024-01-01', active: 'FALSE', url: 'https://example.com/a2',
+      },
+    ];
+    const schemas = [{
+      path: '/products.json',
+      columns: {
+        sku: { required: true, unique: true, pattern: '^[a-z]\\d+$' },
+        price: { type: 'number' },
+        published: { type: 'date' },
+        active: { type: 'boolean' },
+        url: { type: 'url' },
+      },
+    }];
+    expect(validateRows(rows, schemas)).to.deep.equal([]);
+  });
+
+  it('detects missing required columns', () => {
+    const schemas = [{
+      path: '/products.json',
+      columns: {
+        sku: { required: true },
+        title: {},
+      },
+    }];
+    expect(validateRows([{ price: '10' }], schemas)).to.deep.equal([
+      { row: -1, column: 'sku', issue: 'missing_column' },
+    ]);
+  });
+
+  it('detects invalid values', () => {
+    const rows = [
+      { sku: 'a1', price: '10', url: '/a1' },
+      { sku: '', price: 'ten', url: '//example.com' },
+      { sku: 'A3', price: '', url: 'ftp://example.com' },
+      { sku: 'a1', price: '12', url: 'mailto:foo@example.com' },
+    ];
+    const schemas = [{
+      path: '/products.json',
+      columns: {
+        sku: { required: true, unique: true, pattern: '^[a-z]\\d+$' },
+        price: { type: 'number' },
+        url: { type: 'url' },
+      },
+    }];
+    expect(validateRows(rows, schemas)).to.deep.equal([
+      { row: 1, column: 'sku', issue: 'required' },
+      { row: 2, column: 'sku', issue: 'pattern' },
+      { row: 3, column: 'sku', issue: 'duplicate' },
+      { row: 1, column: 'price', issue: 'type' },
+      { row: 1, column: 'url', issue: 'invalid_url' },
+      { row: 2, column: 'url', issue: 'invalid_url' },
+      { row: 3, column: 'url', issue: 'invalid_url' },
+    ]);
+  });
+
+  it('ignores invalid patterns', () => {
+    const schemas = [{
+      path: '/products.json',
+      columns: {
+        sku: { pattern: '[' },
+      },
+    }];
+    expect(validateRows([{ sku: 'a1' }], schemas)).to.deep.equal([]);
+  });
+});
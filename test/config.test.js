@@ -18,6 +18,7 @@ import sinon from 'sinon';
 import chromeMock from './mocks/chrome.js';
 import {
   getConfig,
+  getManagedConfig,
   setConfig,
   removeConfig,
   clearConfig,
@@ -43,6 +44,17 @@ describe('Test config', () => {
     expect(spy.calledWith('test')).to.be.true;
   });
 
+  it('getManagedConfig', async () => {
+    sandbox.stub(chrome.storage.managed, 'get')
+      .withArgs('allowedOwners')
+      .resolves({ allowedOwners: ['adobe'] });
+    expect(await getManagedConfig('allowedOwners')).to.deep.equal(['adobe']);
+    // managed storage not supported
+    sandbox.restore();
+    sandbox.stub(chrome.storage.managed, 'get').throws(new Error('not supported'));
+    expect(await getManagedConfig('allowedOwners')).to.be.undefined;
+  });
+
   it('setConfig', async () => {
     const spy = sandbox.spy(chrome.storage.local, 'set');
     const obj = { foo: 'bar' };
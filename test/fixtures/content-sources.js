@@ -84,7 +84,7 @@ export function mockGdriveFolder(name, viewType = 'list') {
   const icon = gdriveIcons.folder;
   const descriptor = gdriveDescriptors.folder;
   return viewType === 'list' ? `
-    <div class="folder" id="folder-${name}" role="row" aria-selected="true">
+    <div class="folder" id="folder-${name}" role="row" aria-selected="false">
       <div role="gridcell">
         <div>
           <svg>
@@ -96,7 +96,7 @@ export function mockGdriveFolder(name, viewType = 'list') {
         </div>
       </div>
     </div>` : `
-    <div class="folder" id="folder-${name}" role="row" aria-selected="true">
+    <div class="folder" id="folder-${name}" role="row" aria-selected="false">
       <div role="gridcell" aria-label="${name} ${descriptor}">
         <i></i>
         <i></i>
@@ -187,13 +187,13 @@ export function mockSharePointRoot() {
  */
 export function mockSharePointFolder(name, viewType = 'list') {
   return viewType === 'list' ? `
-    <div class="folder" id="folder-${name}" role="row" aria-selected="true">
+    <div class="folder" id="folder-${name}" role="row" aria-selected="false">
       <i class="sourceIcon_05322ca8 coloredFolderIcon_a6bc16ee">
         <svg></svg>
       </i>
       <button>${name}</button>
     </div>` : `
-    <div class="folder" id="folder=${name}" role="row" aria-selected="true">
+    <div class="folder" id="folder=${name}" role="row" aria-selected="false">
       <i data-icon-name="svg/folder_16x1.svg" aria-label="folder">
         <img src="./icons/foldericons/folder.svg">
       </i>
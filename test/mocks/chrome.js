@@ -44,6 +44,14 @@ export default {
   action: {
     setIcon: () => {},
   },
+  alarms: {
+    create: async () => {},
+    clear: async () => true,
+    getAll: async () => [],
+    onAlarm: {
+      addListener: () => {},
+    },
+  },
   i18n: {
     getMessage: () => {},
   },
@@ -66,6 +74,7 @@ export default {
     sync: new StorageMock(),
     local: new StorageMock(),
     session: new StorageMock(),
+    managed: new StorageMock(),
   },
   declarativeNetRequest: {
     getSessionRules: async () => ([]),
@@ -89,7 +98,7 @@ export default {
     },
   },
   contextMenus: {
-    create: () => {},
+    create: async () => {},
     removeAll: () => {},
     onClicked: {
       addListener: () => {},
@@ -99,7 +108,15 @@ export default {
     create: async ({ url }) => ({ url, id: 11 }),
   },
   notifications: {
-    create: () => {},
+    create: async () => {},
     clear: () => {},
+    onButtonClicked: {
+      addListener: () => {},
+      removeListener: () => {},
+    },
+    onClosed: {
+      addListener: () => {},
+      removeListener: () => {},
+    },
   },
 };
@@ -33,6 +33,18 @@ import {
   resolveProxyUrl,
   detectLegacySidekick,
   importLegacyProjects,
+  exportProjects,
+  importProjects,
+  getShareUrl,
+  getShareSettings,
+  getManagedProjects,
+  isManagedProject,
+  isAllowedOwner,
+  toggleProject,
+  getProjectRefs,
+  getRefProject,
+  addProjectRef,
+  MAX_PROJECT_REFS,
 } from '../src/extension/project.js';
 import { urlCache } from '../src/extension/url-cache.js';
 import { error, mockTab } from './test-utils.js';
@@ -387,6 +399,99 @@ describe('Test project', () => {
     expect((await getProjectMatches(CONFIGS, mockTab('https://docs.google.com/document/d/1234567890/edit'))).length).to.equal(1);
   }).timeout(3000);
 
+  it('getProjectMatches uses ref from branch host', async () => {
+    const configs = [{
+      ...CONFIGS[0],
+      devOrigin: 'http://localhost:3000',
+      refs: {
+        feature: { devOrigin: 'http://localhost:3001', lastUsed: 1 },
+      },
+    }];
+    const [feature] = await getProjectMatches(configs, mockTab('https://feature--bar1--foo.aem.page/'));
+    expect(feature.ref).to.equal('feature');
+    expect(feature.defaultRef).to.equal('main');
+    expect(feature.id).to.equal('foo/bar1/feature');
+    expect(feature.devOrigin).to.equal('http://localhost:3001');
+    const [main] = await getProjectMatches(configs, mockTab('https://main--bar1--foo.aem.page/'));
+    expect(main.ref).to.equal('main');
+    expect(main.defaultRef).to.be.undefined;
+    expect(main.devOrigin).to.equal('http://localhost:3000');
+  });
+
+  describe('project refs', () => {
+    const project = {
+      owner: 'foo',
+      repo: 'bar',
+      ref: 'main',
+      devOrigin: 'http://localhost:3000',
+      refs: {
+        old: { lastUsed: 1 },
+        recent: { devOrigin: 'http://localhost:3002', lastUsed: 2 },
+      },
+    };
+
+    it('getProjectRefs', () => {
+      expect(getProjectRefs(project)).to.deep.equal(['main', 'recent', 'old']);
+      expect(getProjectRefs({ ...project, ref: 'recent', defaultRef: 'main' }))
+        .to.deep.equal(['main', 'recent', 'old']);
+      expect(getProjectRefs()).to.deep.equal(['main']);
+    });
+
+    it('getRefProject', () => {
+      expect(getRefProject(project, 'main')).to.equal(project);
+      expect(getRefProject(project, '')).to.equal(project);
+      const recent = getRefProject(project, 'recent');
+      expect(recent.ref).to.equal('recent');
+      expect(recent.defaultRef).to.equal('main');
+      expect(recent.devOrigin).to.equal('http://localhost:3002');
+      expect(recent.giturl).to.equal('https://github.com/foo/bar/tree/recent');
+      const feature = getRefProject(project, 'Feature/New_Thing');
+      expect(feature.ref).to.equal('feature-new-thing');
+      expect(feature.devOrigin).to.equal('http://localhost:3000');
+      // switch back to default ref
+      expect(getRefProject(recent, 'main').defaultRef).to.be.undefined;
+    });
+
+    it('addProjectRef', async () => {
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      sandbox.stub(chrome.storage.sync, 'get')
+        .withArgs('foo/bar')
+        .resolves({ 'foo/bar': { ...project } })
+        .withArgs('projects')
+        .resolves({ projects: ['foo/bar'] });
+      const updated = await addProjectRef('foo/bar', 'feature', {
+        devOrigin: 'http://localhost:3003',
+        project: 'ignored',
+      });
+      expect(updated.refs.feature.devOrigin).to.equal('http://localhost:3003');
+      expect(updated.refs.feature.lastUsed).to.be.a('number');
+      expect(updated.project).to.be.undefined;
+      expect(getProjectRefs(updated)[1]).to.equal('feature');
+      expect(set.called).to.be.true;
+      // default ref is not added
+      set.resetHistory();
+      expect((await addProjectRef('foo/bar', 'main')).refs.main).to.be.undefined;
+      expect(set.called).to.be.false;
+      // unknown project or ref
+      expect(await addProjectRef('foo/baz', 'feature')).to.equal(null);
+      expect(await addProjectRef('foo/bar', '')).to.equal(null);
+    });
+
+    it('addProjectRef keeps only recent refs', async () => {
+      const refs = Object.fromEntries([...Array(MAX_PROJECT_REFS).keys()]
+        .map((i) => [`ref${i}`, { lastUsed: i + 1 }]));
+      sandbox.stub(chrome.storage.sync, 'get')
+        .withArgs('foo/bar')
+        .resolves({ 'foo/bar': { ...project, refs } })
+        .withArgs('projects')
+        .resolves({ projects: ['foo/bar'] });
+      const updated = await addProjectRef('foo/bar', 'feature');
+      expect(Object.keys(updated.refs).length).to.equal(MAX_PROJECT_REFS);
+      expect(updated.refs.feature).to.exist;
+      expect(updated.refs.ref0).to.be.undefined;
+    });
+  });
+
   it('getGitHubSettings', async () => {
     const github = getGitHubSettings('https://github.com/adobe/blog/tree/stage');
     expect(github).to.eql({
@@ -433,6 +538,188 @@ describe('Test project', () => {
     expect(none).to.eql({});
   });
 
+  it('getShareUrl and getShareSettings', async () => {
+    const shareUrl = getShareUrl({
+      owner: 'adobe',
+      repo: 'blog',
+      ref: 'stage',
+      project: 'Blog',
+      host: 'blog.adobe.com',
+      authToken: 'secret',
+      mountpoints: ['https://adobe.sharepoint.com/sites/blog'],
+    });
+    expect(shareUrl).to.equal('https://www.aem.live/tools/sidekick/?giturl=https%3A%2F%2Fgithub.com%2Fadobe%2Fblog%2Ftree%2Fstage&project=Blog&host=blog.adobe.com');
+    expect(getShareSettings(shareUrl)).to.eql({
+      giturl: 'https://github.com/adobe/blog/tree/stage',
+      project: 'Blog',
+      host: 'blog.adobe.com',
+    });
+    const share = await getProjectFromUrl(mockTab(shareUrl));
+    expect(share).to.eql({
+      owner: 'adobe',
+      repo: 'blog',
+      ref: 'stage',
+      project: 'Blog',
+      host: 'blog.adobe.com',
+    });
+    expect(getShareSettings('https://www.example.com/tools/sidekick/?giturl=https://github.com/adobe/blog')).to.eql({});
+  });
+
+  describe('project import and export', () => {
+    let projects;
+
+    beforeEach(() => {
+      projects = {
+        projects: ['foo/bar1'],
+        'foo/bar1': { ...CONFIGS[0], project: 'Bar 1', authToken: 'secret' },
+      };
+      sandbox.replace(chrome.storage.sync, 'get', sandbox.fake(async (prop) => ({
+        [prop]: projects[prop],
+      })));
+      sandbox.replace(chrome.storage.sync, 'set', sandbox.fake(async (obj) => {
+        Object.assign(projects, obj);
+      }));
+    });
+
+    it('exports projects without secrets', async () => {
+      const data = await exportProjects();
+      expect(data.version).to.equal(1);
+      expect(data.exported).to.be.a('string');
+      expect(data.projects).to.eql([{ ...CONFIGS[0], project: 'Bar 1' }]);
+    });
+
+    it('imports new projects and skips existing ones', async () => {
+      const fetchStub = sandbox.stub(window, 'fetch')
+        .resolves(new Response(JSON.stringify(CONFIG_JSON)));
+      const result = await importProjects({
+        projects: [
+          { ...CONFIGS[0], project: 'Imported' },
+          { owner: 'foo', repo: 'new', ref: 'main' },
+          { owner: 'foo' },
+          null,
+        ],
+      });
+      expect(result).to.eql({
+        added: 1, overwritten: 0, merged: 0, skipped: 1, invalid: 2,
+      });
+      expect(projects.projects).to.eql(['foo/bar1', 'foo/new']);
+      expect(projects['foo/bar1'].project).to.equal('Bar 1');
+      expect(projects['foo/new'].giturl).to.equal('https://github.com/foo/new/tree/main');
+      // new project gets environment from admin
+      expect(fetchStub.calledOnce).to.be.true;
+      expect(projects['foo/new']).to.deep.include({
+        project: 'Adobe Business Website',
+        host: 'business.adobe.com',
+        mountpoints: [CONFIG_JSON.contentSourceUrl],
+      });
+      expect(projects['foo/new'].unauthorized).to.be.undefined;
+    });
+
+    it('overwrites existing projects', async () => {
+      const result = await importProjects([
+        { owner: 'foo', repo: 'bar1', ref: 'stage' },
+      ], 'overwrite');
+      expect(result.overwritten).to.equal(1);
+      expect(projects['foo/bar1'].ref).to.equal('stage');
+      expect(projects['foo/bar1'].host).to.be.undefined;
+    });
+
+    it('merges existing projects', async () => {
+      const result = await importProjects([
+        {
+          owner: 'foo', repo: 'bar1', ref: 'main', project: 'Merged', authToken: 'imported',
+        },
+      ], 'merge');
+      expect(result.merged).to.equal(1);
+      expect(projects['foo/bar1']).to.deep.include({
+        project: 'Merged',
+        host: '1.foo.bar',
+        authToken: 'secret',
+      });
+    });
+
+    it('rejects invalid input', async () => {
+      let err;
+      try {
+        await importProjects({ foo: 'bar' });
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an('error');
+      err = null;
+      try {
+        await importProjects([], 'replace');
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an('error');
+    });
+  });
+
+  describe('managed projects', () => {
+    let managedGetStub;
+
+    beforeEach(() => {
+      managedGetStub = sandbox.stub(chrome.storage.managed, 'get');
+      managedGetStub
+        .withArgs('projects')
+        .resolves({
+          projects: [
+            { giturl: 'https://github.com/corp/site', project: 'Corporate' },
+            { owner: 'foo', repo: 'bar1', ref: 'main' },
+            { owner: 'invalid' },
+          ],
+        })
+        .withArgs('allowedOwners')
+        .resolves({ allowedOwners: ['Corp', 'foo'] });
+      sandbox.stub(chrome.storage.sync, 'get')
+        .withArgs('projects')
+        .resolves({ projects: ['foo/bar1'] })
+        .withArgs('foo/bar1')
+        .resolves({ 'foo/bar1': CONFIGS[0] });
+    });
+
+    it('returns projects defined by policy', async () => {
+      const managed = await getManagedProjects();
+      expect(managed.length).to.equal(2);
+      expect(managed[0]).to.deep.include({
+        owner: 'corp',
+        repo: 'site',
+        ref: 'main',
+        project: 'Corporate',
+        managed: true,
+      });
+      expect(await isManagedProject({ owner: 'corp', repo: 'site' })).to.be.true;
+      expect(await isManagedProject({ owner: 'foo', repo: 'bar3' })).to.be.false;
+    });
+
+    it('merges managed projects into all projects', async () => {
+      const projects = await getProjects();
+      expect(projects.map(({ owner, repo }) => `${owner}/${repo}`)).to.eql(['foo/bar1', 'corp/site']);
+      expect(projects.every(({ managed }) => managed)).to.be.true;
+      // managed projects are only read once
+      expect(managedGetStub.withArgs('projects').calledOnce).to.be.true;
+      expect((await getProject('corp/site')).project).to.equal('Corporate');
+    });
+
+    it('prevents changing managed projects', async () => {
+      const set = sandbox.spy(chrome.storage.sync, 'set');
+      expect(await updateProject({ owner: 'corp', repo: 'site', ref: 'stage' })).to.be.null;
+      expect(await deleteProject('corp/site')).to.be.false;
+      expect(await deleteProject({ owner: 'foo', repo: 'bar1' })).to.be.false;
+      expect(await toggleProject('corp/site')).to.be.false;
+      expect(set.notCalled).to.be.true;
+    });
+
+    it('restricts owners', async () => {
+      expect(await isAllowedOwner('corp')).to.be.true;
+      expect(await isAllowedOwner('FOO')).to.be.true;
+      expect(await isAllowedOwner('adobe')).to.be.false;
+      expect((await getProjectMatches(CONFIGS, mockTab('https://main--bar1--foo.hlx.page/'))).length).to.equal(1);
+      expect((await getProjectMatches([], mockTab('https://main--blog--adobe.hlx.page/'))).length).to.equal(0);
+    });
+  });
+
   describe('resolveProxyUrl', () => {
     let tab;
     let messageFromTab;
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2023 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import sinon from 'sinon';
+
+import {
+  handleScheduleAlarm,
+  runSchedule,
+  syncScheduleAlarms,
+} from '../src/extension/schedule.js';
+import chromeMock from './mocks/chrome.js';
+import { error } from './test-utils.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+const SCHEDULES = [{
+  id: '1',
+  owner: 'foo',
+  repo: 'bar',
+  ref: 'main',
+  paths: ['/foo'],
+  time: Date.now() + 3600000,
+}, {
+  id: '2',
+  owner: 'foo',
+  repo: 'bar',
+  ref: 'main',
+  paths: ['/foo', '/bar'],
+  time: Date.now() - 60000,
+}];
+
+describe('Test schedule', () => {
+  const sandbox = sinon.createSandbox();
+  let createNotificationSpy;
+  let i18nSpy;
+
+  beforeEach(async () => {
+    await chrome.storage.local.set({ publishSchedules: [...SCHEDULES] });
+    createNotificationSpy = sandbox.spy(chrome.notifications, 'create');
+    i18nSpy = sandbox.spy(chrome.i18n, 'getMessage');
+  });
+
+  afterEach(async () => {
+    await chrome.storage.local.remove('publishSchedules');
+    await chrome.storage.session.remove('projects');
+    sandbox.restore();
+  });
+
+  it('syncScheduleAlarms', async () => {
+    const createSpy = sandbox.spy(chrome.alarms, 'create');
+    const clearSpy = sandbox.spy(chrome.alarms, 'clear');
+    sandbox.stub(chrome.alarms, 'getAll').resolves([
+      { name: 'publish-schedule:1', scheduledTime: SCHEDULES[0].time },
+      { name: 'publish-schedule:3', scheduledTime: Date.now() },
+      { name: 'other', scheduledTime: Date.now() },
+    ]);
+
+    await syncScheduleAlarms();
+    expect(clearSpy.calledOnce).to.be.true;
+    expect(clearSpy.firstCall.args).to.deep.equal(['publish-schedule:3']);
+    expect(createSpy.calledTwice).to.be.true;
+    expect(createSpy.calledWith('publish-schedule:1', { when: SCHEDULES[0].time })).to.be.true;
+    // overdue schedule triggers immediately
+    expect(createSpy.secondCall.args[1].when).to.be.greaterThan(SCHEDULES[1].time);
+  });
+
+  it('syncScheduleAlarms handles errors', async () => {
+    sandbox.stub(chrome.alarms, 'getAll').throws(error);
+    const createSpy = sandbox.spy(chrome.alarms, 'create');
+    await syncScheduleAlarms();
+    expect(createSpy.called).to.be.false;
+  });
+
+  it('runSchedule publishes single path', async () => {
+    await chrome.storage.session.set({
+      projects: [{ owner: 'foo', repo: 'bar', authToken: '1234' }],
+    });
+    const fetchStub = sandbox.stub(window, 'fetch').resolves(new Response('', { status: 200 }));
+
+    await runSchedule('1');
+    const [url, { method, headers, body }] = fetchStub.firstCall.args;
+    expect(`${url}`).to.equal('https://admin.hlx.page/live/foo/bar/main/foo');
+    expect(method).to.equal('post');
+    expect(headers['x-auth-token']).to.equal('1234');
+    expect(body).to.be.undefined;
+    expect(i18nSpy.calledWith('schedule_publish_success', ['1', 'foo/bar'])).to.be.true;
+    expect(createNotificationSpy.calledOnce).to.be.true;
+
+    const { publishSchedules } = await chrome.storage.local.get('publishSchedules');
+    expect(publishSchedules.map(({ id }) => id)).to.deep.equal(['2']);
+  });
+
+  /**
+   * Returns a fetch stub for a bulk publishing job.
+   * @param {Object[]} resources The resources in the job details
+   * @returns {sinon.SinonStub} The fetch stub
+   */
+  function stubBulkFetch(resources) {
+    return sandbox.stub(window, 'fetch').callsFake(async (url) => {
+      const { pathname } = new URL(`${url}`);
+      if (pathname.startsWith('/live/')) {
+        return new Response(JSON.stringify({ job: { topic: 'live', name: 'job-123' } }), { status: 202 });
+      }
+      if (pathname.endsWith('/details')) {
+        return new Response(JSON.stringify({ state: 'stopped', data: { resources } }));
+      }
+      return new Response(JSON.stringify({ state: 'stopped' }));
+    });
+  }
+
+  it('runSchedule publishes multiple paths', async () => {
+    const clock = sandbox.useFakeTimers();
+    const fetchStub = stubBulkFetch([
+      { path: '/foo', status: 200 },
+      { path: '/bar', status: 200 },
+    ]);
+
+    const run = handleScheduleAlarm({ name: 'publish-schedule:2', scheduledTime: Date.now() });
+    await clock.tickAsync(1000);
+    await run;
+    const [url, { headers, body }] = fetchStub.firstCall.args;
+    expect(`${url}`).to.equal('https://admin.hlx.page/live/foo/bar/main/*');
+    expect(headers['x-auth-token']).to.be.undefined;
+    expect(JSON.parse(`${body}`)).to.deep.equal({ paths: ['/foo', '/bar'] });
+    expect(`${fetchStub.secondCall.args[0]}`).to.equal('https://admin.hlx.page/job/foo/bar/main/live/job-123');
+    expect(`${fetchStub.thirdCall.args[0]}`).to.equal('https://admin.hlx.page/job/foo/bar/main/live/job-123/details');
+    expect(i18nSpy.calledWith('schedule_publish_success', ['2', 'foo/bar'])).to.be.true;
+  });
+
+  it('runSchedule notifies about failed resources in bulk publishing', async () => {
+    const clock = sandbox.useFakeTimers();
+    stubBulkFetch([
+      { path: '/foo', status: 200 },
+      { path: '/bar', status: 404 },
+    ]);
+
+    const run = runSchedule('2');
+    await clock.tickAsync(1000);
+    await run;
+    expect(i18nSpy.calledWith('schedule_publish_partial', ['1', '2', 'foo/bar', '/bar'])).to.be.true;
+    expect(i18nSpy.calledWith('schedule_publish_success')).to.be.false;
+  });
+
+  it('runSchedule notifies about failure', async () => {
+    sandbox.stub(window, 'fetch').resolves(new Response('', {
+      status: 403,
+      headers: { 'x-error': 'forbidden' },
+    }));
+
+    await runSchedule('1');
+    expect(i18nSpy.calledWith('schedule_publish_failure', ['1', 'foo/bar'])).to.be.true;
+    expect(createNotificationSpy.calledOnce).to.be.true;
+  });
+
+  it('runSchedule asks to sign in again if unauthorized', async () => {
+    sandbox.stub(window, 'fetch').resolves(new Response('', { status: 401 }));
+
+    await runSchedule('1');
+    expect(i18nSpy.calledWith('schedule_publish_unauthorized', ['1', 'foo/bar'])).to.be.true;
+    expect(createNotificationSpy.calledOnce).to.be.true;
+  });
+
+  it('runSchedule ignores unknown schedules and alarms', async () => {
+    const fetchStub = sandbox.stub(window, 'fetch');
+
+    await runSchedule('3');
+    await handleScheduleAlarm({ name: 'other', scheduledTime: Date.now() });
+    expect(fetchStub.called).to.be.false;
+    expect(createNotificationSpy.called).to.be.false;
+  });
+});
@@ -341,12 +341,12 @@ export class SidekickTest {
   }
 
   /**
-   * Toggles files in the admin DOM
-   * @param {string[]} files The names of the files to toggle
+   * Toggles files and folders in the admin DOM
+   * @param {string[]} files The names of the files and folders to toggle
    * @returns {SidekickTest}
    */
   toggleAdminItems(files) {
-    const allFiles = [...document.querySelectorAll('.file')];
+    const allFiles = [...document.querySelectorAll('.file, .folder')];
     files.forEach((file) => {
       const element = allFiles.find((f) => f.textContent.includes(file));
       if (element) {
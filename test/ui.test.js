@@ -89,8 +89,9 @@ describe('Test UI: updateContextMenu', () => {
       config,
     });
     expect(removeAllSpy.callCount).to.equal(1);
-    expect(createSpy.callCount).to.equal(2);
+    expect(createSpy.callCount).to.equal(3);
     expect(createSpy.calledWithMatch({ id: 'addRemoveProject' })).to.be.true;
+    expect(createSpy.calledWithMatch({ id: 'openProjectsView' })).to.be.true;
     expect(createSpy.calledWithMatch({ id: 'openViewDocSource' })).to.be.true;
   });
 
@@ -114,7 +115,7 @@ describe('Test UI: updateContextMenu', () => {
       config,
     });
     expect(removeAllSpy.callCount).to.equal(1);
-    expect(createSpy.callCount).to.equal(3);
+    expect(createSpy.callCount).to.equal(4);
     expect(createSpy.calledWithMatch({ id: 'enableDisableProject' })).to.be.true;
   });
 
@@ -126,7 +127,20 @@ describe('Test UI: updateContextMenu', () => {
       config,
     });
     expect(removeAllSpy.callCount).to.equal(1);
-    expect(createSpy.callCount).to.equal(3);
+    expect(createSpy.callCount).to.equal(4);
+  });
+
+  it('updateContextMenu: managed project', async () => {
+    sandbox.stub(chrome.storage.managed, 'get')
+      .withArgs('projects')
+      .resolves({ projects: [config] });
+    await updateContextMenu({
+      url,
+      config,
+    });
+    expect(createSpy.calledWithMatch({ id: 'addRemoveProject' })).to.be.false;
+    expect(createSpy.calledWithMatch({ id: 'enableDisableProject' })).to.be.false;
+    expect(createSpy.calledWithMatch({ id: 'openProjectsView' })).to.be.true;
   });
 
   it('updateContextMenu: no matching config', async () => {
@@ -158,7 +172,7 @@ describe('Test UI: updateContextMenu', () => {
       config,
     });
     expect(removeAllSpy.callCount).to.equal(1);
-    expect(createSpy.callCount).to.equal(2);
+    expect(createSpy.callCount).to.equal(3);
     expect(createSpy.calledWithMatch({ id: 'openViewDocSource' })).to.be.false;
   });
 
@@ -170,7 +184,7 @@ describe('Test UI: updateContextMenu', () => {
       config,
     });
     expect(removeAllSpy.callCount).to.equal(1);
-    expect(createSpy.callCount).to.equal(2);
+    expect(createSpy.callCount).to.equal(3);
     expect(createSpy.calledWithMatch({ id: 'openViewDocSource' })).to.be.false;
   });
 
@@ -11,18 +11,20 @@
  */
 /* eslint-disable no-unused-expressions */
 
-import { expect } from '@open-wc/testing';
+import { aTimeout, expect } from '@open-wc/testing';
 import { setUserAgent } from '@web/test-runner-commands';
 import sinon from 'sinon';
 
 import chromeMock from './mocks/chrome.js';
 import {
+  getGoogleDriveResource,
   isSharePointHost,
   urlCache,
 } from '../src/extension/url-cache.js';
 import {
   mockDiscoveryCalls,
 } from './mocks/discover.js';
+import { log } from '../src/extension/log.js';
 import { error, mockTab } from './test-utils.js';
 
 // @ts-ignore
@@ -171,6 +173,101 @@ describe('Test url-cache', () => {
       expect(fetchStub.callCount).to.equal(3);
       expect(sessionSet.callCount).to.equal(1);
     });
+
+    it('gdrive url with edit info', async () => {
+      const debug = sandbox.spy(log, 'debug');
+      await urlCache.set(mockTab('https://docs.google.com/document/u/1/d/abcdef/edit?usp=sharing'));
+      expect(fetchStub.callCount).to.equal(1);
+      expect(sessionSet.callCount).to.equal(1);
+      // discovery with canonical url
+      const discoverUrl = new URL(fetchStub.firstCall.args[0]);
+      expect(discoverUrl.searchParams.get('url')).to.equal('https://docs.google.com/document/d/abcdef/edit');
+      // cache entry expires
+      const [entry] = sessionSet.firstCall.args[0].urlCache
+        .filter((e) => e.url === 'https://docs.google.com/document/u/1/d/abcdef/edit?usp=sharing');
+      expect(entry.expiry).to.be.a('number');
+      // timeout cleared after response
+      await aTimeout(1100);
+      expect(debug.calledWith('fetchGoogleDriveEditInfo: timed out')).to.be.false;
+    }).timeout(5000);
+
+    it('gdrive folder url', async () => {
+      await urlCache.set(mockTab('https://drive.google.com/drive/folders/ghijkl'));
+      expect(fetchStub.callCount).to.equal(1);
+      expect(sessionSet.callCount).to.equal(1);
+      const discoverUrl = new URL(fetchStub.firstCall.args[0]);
+      expect(discoverUrl.searchParams.get('url')).to.equal('https://drive.google.com/drive/folders/ghijkl');
+    });
+
+    it('gdrive script injection fails', async () => {
+      sandbox.stub(window.chrome.scripting, 'executeScript').rejects(error);
+      await urlCache.set(mockTab('https://docs.google.com/spreadsheets/d/mnopqr/edit'));
+      expect(fetchStub.callCount).to.equal(1);
+      expect(sessionSet.callCount).to.equal(1);
+      // info derived from url is cached
+      const [entry] = sessionSet.firstCall.args[0].urlCache
+        .filter((e) => e.url === 'https://docs.google.com/spreadsheets/d/mnopqr/edit');
+      expect(entry.expiry).to.be.a('number');
+    });
+
+    it('unsupported gdrive url', async () => {
+      const executeScript = sandbox.spy(window.chrome.scripting, 'executeScript');
+      await urlCache.set(mockTab('https://drive.google.com/drive/my-drive'));
+      expect(executeScript.called).to.be.false;
+      expect(fetchStub.callCount).to.equal(1);
+      const discoverUrl = new URL(fetchStub.firstCall.args[0]);
+      expect(discoverUrl.searchParams.get('url')).to.equal('https://drive.google.com/drive/my-drive');
+      // discovery result is cached
+      const [entry] = sessionSet.firstCall.args[0].urlCache
+        .filter((e) => e.url === 'https://drive.google.com/drive/my-drive');
+      expect(entry.expiry).to.be.a('number');
+    });
+
+    it('gdrive file url', async () => {
+      const debug = sandbox.spy(log, 'debug');
+      const { title } = document;
+      document.title = 'Report.PDF - Google Drive';
+      try {
+        await urlCache.set(mockTab('https://drive.google.com/open?id=stuvwx'));
+      } finally {
+        document.title = title;
+      }
+      expect(debug.calledWith('resource edit info', {
+        status: 200,
+        url: 'https://drive.google.com/file/d/stuvwx/view',
+        sourceLocation: 'gdrive:stuvwx',
+        contentType: 'application/pdf',
+        name: 'Report.PDF',
+      })).to.be.true;
+    });
+  });
+
+  it('getGoogleDriveResource', () => {
+    expect(getGoogleDriveResource('https://docs.google.com/document/d/1234/edit')).to.deep.equal({
+      id: '1234',
+      contentType: 'application/vnd.google-apps.document',
+      url: 'https://docs.google.com/document/d/1234/edit',
+    });
+    expect(getGoogleDriveResource('https://docs.google.com/spreadsheets/u/2/d/5678/edit?usp=sharing#gid=0')).to.deep.equal({
+      id: '5678',
+      contentType: 'application/vnd.google-apps.spreadsheet',
+      url: 'https://docs.google.com/spreadsheets/d/5678/edit',
+    });
+    expect(getGoogleDriveResource('https://drive.google.com/drive/u/0/folders/abcd')).to.deep.equal({
+      id: 'abcd',
+      contentType: 'application/vnd.google-apps.folder',
+      url: 'https://drive.google.com/drive/folders/abcd',
+    });
+    expect(getGoogleDriveResource('https://drive.google.com/file/d/efgh/view')).to.deep.equal({
+      id: 'efgh',
+      contentType: 'application/octet-stream',
+      url: 'https://drive.google.com/file/d/efgh/view',
+    });
+    expect(getGoogleDriveResource('https://drive.google.com/open?id=ijkl').url)
+      .to.equal('https://drive.google.com/file/d/ijkl/view');
+    expect(getGoogleDriveResource('https://drive.google.com/drive/my-drive')).to.be.null;
+    expect(getGoogleDriveResource('https://docs.google.com/forms/d/mnop/edit')).to.be.null;
+    expect(getGoogleDriveResource('https://www.example.com/document/d/1234/edit')).to.be.null;
   });
 
   describe('get', () => {
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions */
+
+import { expect } from '@open-wc/testing';
+import {
+  filterProjects,
+  getProjectName,
+  groupProjects,
+  isHexColor,
+  parseTags,
+  sanitizeRef,
+} from '../../src/extension/utils/projects.js';
+
+describe('Test project utils', () => {
+  const projects = [
+    {
+      id: 'adobe/blog/main',
+      owner: 'adobe',
+      repo: 'blog',
+      ref: 'main',
+      project: 'Blog',
+      group: 'Marketing',
+      tags: ['news', 'editorial'],
+    },
+    {
+      id: 'adobe/shop/main',
+      owner: 'adobe',
+      repo: 'shop',
+      ref: 'main',
+      group: 'Commerce',
+      tags: ['store'],
+    },
+    {
+      id: 'foo/bar/main',
+      owner: 'foo',
+      repo: 'bar',
+      ref: 'main',
+    },
+  ];
+
+  it('parseTags', () => {
+    expect(parseTags('news, editorial,,news ')).to.deep.equal(['news', 'editorial']);
+    // @ts-ignore
+    expect(parseTags([' a', 'b', '', 42])).to.deep.equal(['a', 'b']);
+    expect(parseTags()).to.deep.equal([]);
+  });
+
+  it('sanitizeRef', () => {
+    expect(sanitizeRef(' Feature/New_Thing ')).to.equal('feature-new-thing');
+    expect(sanitizeRef('fix--double')).to.equal('fix-double');
+    expect(sanitizeRef('-main-')).to.equal('main');
+    expect(sanitizeRef()).to.equal('');
+  });
+
+  it('isHexColor', () => {
+    expect(isHexColor('#ff0000')).to.be.true;
+    expect(isHexColor('#F00')).to.be.true;
+    expect(isHexColor('#ff00')).to.be.false;
+    expect(isHexColor('red')).to.be.false;
+    expect(isHexColor('#ff0000; background: red')).to.be.false;
+    expect(isHexColor()).to.be.false;
+  });
+
+  it('getProjectName', () => {
+    expect(getProjectName(projects[0])).to.equal('Blog');
+    expect(getProjectName(projects[1])).to.equal('adobe/shop/main');
+    // @ts-ignore
+    expect(getProjectName({ owner: 'foo', repo: 'bar' })).to.equal('foo/bar');
+  });
+
+  it('filterProjects', () => {
+    expect(filterProjects(projects, '')).to.deep.equal(projects);
+    expect(filterProjects(projects, 'blog')).to.deep.equal([projects[0]]);
+    expect(filterProjects(projects, 'COMMERCE')).to.deep.equal([projects[1]]);
+    expect(filterProjects(projects, 'adobe editorial')).to.deep.equal([projects[0]]);
+    expect(filterProjects(projects, 'adobe')).to.deep.equal([projects[0], projects[1]]);
+    expect(filterProjects(projects, 'nothing')).to.deep.equal([]);
+  });
+
+  it('groupProjects', () => {
+    const groups = groupProjects([...projects, { ...projects[2], id: 'foo/baz/main', group: 'Commerce' }]);
+    expect(groups.map(({ group }) => group)).to.deep.equal(['', 'Commerce', 'Marketing']);
+    expect(groups[1].projects.length).to.equal(2);
+    expect(groups[0].projects).to.deep.equal([projects[2]]);
+  });
+});
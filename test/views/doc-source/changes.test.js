@@ -0,0 +1,114 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import sinon from 'sinon';
+import { expect } from '@open-wc/testing';
+import chromeMock from '../../mocks/chrome.js';
+import {
+  diffUnits,
+  getChangedBlocks,
+  getUnits,
+  renderChanges,
+} from '../../../src/extension/views/doc-source/js/changes.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+function createEditor(html) {
+  const editor = document.createElement('div');
+  editor.innerHTML = html;
+  return editor;
+}
+
+describe('doc source changes', () => {
+  const sandbox = sinon.createSandbox();
+  const before = createEditor(`
+    <p>Hello</p>
+    <table>
+      <thead><tr><th>Hero</th></tr></thead>
+      <tbody><tr><td>Old</td></tr></tbody>
+    </table>
+  `);
+  const after = createEditor(`
+    <p>Hello</p>
+    <table>
+      <thead><tr><th>Hero</th></tr></thead>
+      <tbody><tr><td>New <img src="./media_1.png?width=750"></td></tr></tbody>
+    </table>
+    <hr>
+    <p>Added</p>
+  `);
+
+  beforeEach(() => {
+    sandbox.stub(chrome.i18n, 'getMessage').callsFake((key) => key);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getUnits', () => {
+    it('returns section breaks, blocks and default content', () => {
+      expect(getUnits(after).map(({ type, name, text }) => ({ type, name, text }))).to.deep.equal([
+        { type: 'content', name: 'p', text: 'Hello' },
+        { type: 'block', name: 'Hero', text: 'New [media_1.png]' },
+        { type: 'section', name: '', text: '' },
+        { type: 'content', name: 'p', text: 'Added' },
+      ]);
+    });
+  });
+
+  describe('diffUnits', () => {
+    it('detects unchanged, changed and added units', () => {
+      const entries = diffUnits(getUnits(before), getUnits(after));
+      expect(entries.map(({ type }) => type)).to.deep.equal([
+        'unchanged', 'changed', 'added', 'added',
+      ]);
+      expect(entries[1].before.text).to.equal('Old');
+      expect(entries[1].after.text).to.equal('New [media_1.png]');
+    });
+
+    it('detects removed units', () => {
+      const entries = diffUnits(getUnits(before), getUnits(createEditor('<p>Hello</p>')));
+      expect(entries.map(({ type }) => type)).to.deep.equal(['unchanged', 'removed']);
+      expect(entries[1].before.name).to.equal('Hero');
+    });
+  });
+
+  describe('getChangedBlocks', () => {
+    it('returns the added and changed blocks', () => {
+      const entries = diffUnits(getUnits(before), getUnits(after));
+      expect(getChangedBlocks(entries)).to.deep.equal([after.querySelector('table')]);
+    });
+  });
+
+  describe('renderChanges', () => {
+    it('renders the changes', () => {
+      const container = document.createElement('div');
+      renderChanges(container, diffUnits(getUnits(before), getUnits(after)));
+      const items = container.querySelectorAll('li');
+      expect(items.length).to.equal(3);
+      expect(items[0].className).to.equal('changed');
+      expect(items[0].querySelector('del').textContent).to.equal('Old');
+      expect(items[0].querySelector('ins').textContent).to.equal('New [media_1.png]');
+      expect(items[1].querySelector('.label').textContent).to.equal('doc_source_change_added: doc_source_section_break');
+    });
+
+    it('renders a note if there are no changes', () => {
+      const container = document.createElement('div');
+      renderChanges(container, diffUnits(getUnits(before), getUnits(before)));
+      expect(container.querySelector('ul')).to.not.exist;
+      expect(container.querySelectorAll('p')[1].textContent).to.equal('doc_source_no_changes');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import { expect } from '@open-wc/testing';
+import {
+  editionToJSON,
+  editionToMarkdown,
+} from '../../../src/extension/views/doc-source/js/export.js';
+
+function createEditor(html) {
+  const editor = document.createElement('div');
+  editor.innerHTML = html;
+  return editor;
+}
+
+describe('doc source export', () => {
+  const editor = createEditor(`
+    <h1>Title</h1>
+    <p>Some <strong>bold</strong> and <em>italic</em> text with a <a href="/link">link</a>.</p>
+    <ul><li>One</li><li>Two</li></ul>
+    <hr>
+    <table>
+      <thead><tr><th>Cards (dark)</th></tr></thead>
+      <tbody><tr><td>A</td><td>B</td></tr></tbody>
+    </table>
+  `);
+
+  describe('editionToMarkdown', () => {
+    it('converts content, sections and blocks to markdown', () => {
+      expect(editionToMarkdown(editor)).to.equal([
+        '# Title',
+        '',
+        'Some **bold** and *italic* text with a [link](/link).',
+        '',
+        '- One',
+        '- Two',
+        '',
+        '---',
+        '',
+        '+--------------+',
+        '| Cards (dark) |',
+        '+=====+========+',
+        '| A   | B      |',
+        '+-----+--------+',
+        '',
+      ].join('\n'));
+    });
+
+    it('escapes markdown characters in text', () => {
+      expect(editionToMarkdown(createEditor('<p>a_b *c*</p>'))).to.equal('a\\_b \\*c\\*\n');
+    });
+  });
+
+  describe('editionToJSON', () => {
+    it('converts sections into default content and blocks', () => {
+      const json = editionToJSON(editor, 'https://main--foo--bar.aem.page/');
+      expect(json.url).to.equal('https://main--foo--bar.aem.page/');
+      expect(json.sections.length).to.equal(2);
+      expect(json.sections[0].content.map(({ tag }) => tag)).to.deep.equal(['h1', 'p', 'ul']);
+      expect(json.sections[0].content[0]).to.deep.equal({
+        type: 'default',
+        tag: 'h1',
+        html: '<h1>Title</h1>',
+      });
+      expect(json.sections[1].content).to.deep.equal([{
+        type: 'block',
+        name: 'Cards',
+        className: 'cards',
+        variants: ['dark'],
+        rows: [['A', 'B']],
+      }]);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import { expect } from '@open-wc/testing';
+import { createHistory } from '../../../src/extension/views/doc-source/js/history.js';
+
+describe('doc source history', () => {
+  it('undoes and redoes states', () => {
+    const history = createHistory('a');
+    expect(history.canUndo()).to.be.false;
+    expect(history.push('b')).to.be.true;
+    expect(history.push('c')).to.be.true;
+    expect(history.canUndo()).to.be.true;
+    expect(history.undo()).to.equal('b');
+    expect(history.undo()).to.equal('a');
+    expect(history.undo()).to.equal('a');
+    expect(history.canRedo()).to.be.true;
+    expect(history.redo()).to.equal('b');
+    expect(history.current()).to.equal('b');
+  });
+
+  it('ignores unchanged states', () => {
+    const history = createHistory('a');
+    expect(history.push('a')).to.be.false;
+    expect(history.canUndo()).to.be.false;
+  });
+
+  it('discards redo states on push', () => {
+    const history = createHistory('a');
+    history.push('b');
+    history.undo();
+    history.push('c');
+    expect(history.canRedo()).to.be.false;
+    expect(history.undo()).to.equal('a');
+  });
+
+  it('keeps a limited number of states', () => {
+    const history = createHistory('a', 2);
+    history.push('b');
+    history.push('c');
+    expect(history.undo()).to.equal('b');
+    expect(history.canUndo()).to.be.false;
+  });
+});
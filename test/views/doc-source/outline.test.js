@@ -0,0 +1,108 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import sinon from 'sinon';
+import { expect } from '@open-wc/testing';
+import chromeMock from '../../mocks/chrome.js';
+import {
+  getOutline,
+  renderOutline,
+} from '../../../src/extension/views/doc-source/js/outline.js';
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+describe('doc source outline', () => {
+  const sandbox = sinon.createSandbox();
+  let editor;
+
+  beforeEach(() => {
+    editor = document.createElement('div');
+    editor.innerHTML = `
+      <h1>Title</h1>
+      <p>Text</p>
+      <hr>
+      <h2>Cards</h2>
+      <table>
+        <thead><tr><th>Cards (dark)</th></tr></thead>
+        <tbody><tr><td>A</td></tr></tbody>
+      </table>
+      <table>
+        <thead><tr><th>Cards</th></tr></thead>
+        <tbody><tr><td>B</td></tr></tbody>
+      </table>
+      <table>
+        <thead><tr><th>Metadata</th></tr></thead>
+        <tbody><tr><td>Title</td><td>Page</td></tr></tbody>
+      </table>
+    `;
+    sandbox.stub(chrome.i18n, 'getMessage').callsFake((key, subs) => [key, ...(subs || [])].join(' '));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getOutline', () => {
+    it('returns headings and blocks per section, block counts and metadata', () => {
+      const { sections, blockCounts, metadata } = getOutline(editor);
+      expect(sections.length).to.equal(2);
+      expect(sections[0].element.tagName).to.equal('H1');
+      expect(sections[0].items.map(({ type, text }) => [type, text])).to.deep.equal([
+        ['heading', 'Title'],
+      ]);
+      expect(sections[1].items.map(({ type, name, variants }) => [type, name, variants]))
+        .to.deep.equal([
+          ['heading', undefined, undefined],
+          ['block', 'Cards', ['dark']],
+          ['block', 'Cards', []],
+        ]);
+      expect(blockCounts).to.deep.equal({ Cards: 2 });
+      expect(metadata).to.deep.equal([{ name: 'Title', value: 'Page' }]);
+    });
+  });
+
+  describe('renderOutline', () => {
+    it('renders the block inventory, outline and metadata', () => {
+      const container = document.createElement('div');
+      renderOutline(container, getOutline(editor));
+      const panels = container.querySelectorAll('section');
+      expect(panels.length).to.equal(3);
+      expect(container.querySelector('li.count').textContent).to.equal('Cards2');
+      expect([...container.querySelectorAll('li.section > button')].map((b) => b.textContent))
+        .to.deep.equal(['doc_source_outline_section 1', 'doc_source_outline_section 2']);
+      expect(container.querySelector('li.block .variant').textContent).to.equal('dark');
+      expect(container.querySelector('dt').textContent).to.equal('Title');
+      expect(container.querySelector('dd').textContent).to.equal('Page');
+    });
+
+    it('scrolls to an element when clicking an entry', () => {
+      const container = document.createElement('div');
+      const outline = getOutline(editor);
+      renderOutline(container, outline);
+      const { element } = outline.sections[0].items[0];
+      const scrollStub = sandbox.stub(element, 'scrollIntoView');
+      /** @type {HTMLElement} */ (container.querySelector('li.heading > button')).click();
+      expect(scrollStub.calledOnce).to.be.true;
+      expect(element.classList.contains('outline-highlight')).to.be.true;
+    });
+
+    it('renders a note if there are no blocks', () => {
+      const container = document.createElement('div');
+      editor.innerHTML = '<p>Text</p>';
+      renderOutline(container, getOutline(editor));
+      expect(container.querySelector('section p').textContent).to.equal('doc_source_outline_no_blocks');
+      expect(container.querySelectorAll('section').length).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import sinon from 'sinon';
+import { expect, waitUntil } from '@open-wc/testing';
+import chromeMock from '../../mocks/chrome.js';
+import { JSONView } from '../../../src/extension/views/json/json.js';
+import enMessages from '../../../src/extension/_locales/en/messages.json' with { type: 'json' };
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+const SHEET_URL = 'https://main--foo--bar.aem.page/data.json';
+
+const ROWS = [
+  { id: '1', title: 'One' },
+  { id: '2', title: 'Two' },
+  { id: '3', title: 'Three' },
+];
+
+/**
+ * Returns a page of rows like the sheet backend, one row per page.
+ * @param {string} url The request url
+ * @param {Object[]} rows The rows
+ * @param {string} [name] The sheet name in a multi-sheet response
+ * @returns {Response} The response
+ */
+function getPage(url, rows, name) {
+  const { searchParams } = new URL(url);
+  const offset = +(searchParams.get('offset') || 0);
+  const sheet = {
+    total: rows.length,
+    offset,
+    limit: 1,
+    data: rows.slice(offset, offset + 1),
+  };
+  const json = name
+    ? { ':type': 'multi-sheet', ':names': [name], [name]: sheet }
+    : { ':type': 'sheet', ...sheet };
+  return new Response(JSON.stringify(json));
+}
+
+describe('JSON view', () => {
+  const sandbox = sinon.createSandbox();
+  const originalUrl = window.location.href;
+  let fetchStub;
+  /** @type {JSONView} */
+  let view;
+
+  /**
+   * Sets search parameters of the view url.
+   * @param {Object<string, string>} params The search parameters
+   */
+  function setSearchParams(params) {
+    const url = new URL(originalUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    window.history.replaceState(null, '', url.href);
+  }
+
+  async function createView(params = {}) {
+    setSearchParams({ url: SHEET_URL, ...params });
+    view = new JSONView();
+    document.body.append(view);
+    await waitUntil(() => view.originalData && view.languageDict);
+    await view.updateComplete;
+    return view;
+  }
+
+  beforeEach(() => {
+    fetchStub = sandbox.stub(window, 'fetch');
+    fetchStub.callsFake(async (url) => {
+      if (`${url}`.includes('_locales')) {
+        return new Response(JSON.stringify(enMessages));
+      }
+      return getPage(`${url}`, ROWS);
+    });
+  });
+
+  afterEach(() => {
+    view?.remove();
+    view = null;
+    window.history.replaceState(null, '', originalUrl);
+    sandbox.restore();
+  });
+
+  describe('paging', () => {
+    it('shows paging if a sheet has more rows than loaded', async () => {
+      await createView();
+      expect(view.originalData.data.length).to.equal(1);
+      expect(view.shadowRoot.querySelector('.paging')).to.exist;
+      expect(view.shadowRoot.querySelector('.load-more')).to.exist;
+      expect(view.shadowRoot.querySelector('.load-all')).to.exist;
+    });
+
+    it('hides paging if all rows are loaded', async () => {
+      fetchStub.callsFake(async (url) => (`${url}`.includes('_locales')
+        ? new Response(JSON.stringify(enMessages))
+        : getPage(`${url}`, ROWS.slice(0, 1))));
+      await createView();
+      expect(view.shadowRoot.querySelector('.paging')).to.not.exist;
+      expect(view.shadowRoot.querySelector('.load-more')).to.not.exist;
+    });
+
+    it('fetches the next page of rows', async () => {
+      await createView();
+      expect(await view.fetchNextPage('shared-default')).to.be.true;
+      expect(view.originalData.data).to.deep.equal(ROWS.slice(0, 2));
+      const pageUrl = new URL(`${fetchStub.lastCall.args[0]}`);
+      expect(pageUrl.searchParams.get('offset')).to.equal('1');
+      expect(pageUrl.searchParams.get('limit')).to.equal('1000');
+      expect(pageUrl.searchParams.has('sheet')).to.be.false;
+    });
+
+    it('stops paging if no more rows are returned', async () => {
+      await createView();
+      fetchStub.callsFake(async () => new Response(JSON.stringify({ ':type': 'sheet', data: [] })));
+      expect(await view.fetchNextPage('shared-default')).to.be.false;
+      expect(view.originalData.total).to.equal(1);
+      await view.updateComplete;
+      expect(view.shadowRoot.querySelector('.load-more')).to.not.exist;
+    });
+
+    it('handles errors when fetching the next page', async () => {
+      await createView();
+      sandbox.stub(console, 'error');
+      fetchStub.callsFake(async () => new Response('', { status: 500 }));
+      expect(await view.fetchNextPage('shared-default')).to.be.false;
+      expect(view.originalData.data.length).to.equal(1);
+    });
+
+    it('loads all pages of a sheet', async () => {
+      await createView();
+      await view.loadAllPages();
+      expect(view.originalData.data).to.deep.equal(ROWS);
+      expect(view.filteredData.data).to.deep.equal(ROWS);
+      expect(view.loading).to.be.false;
+      await view.updateComplete;
+      expect(view.shadowRoot.querySelector('.paging')).to.not.exist;
+    });
+
+    it('applies the filters once after loading all pages', async () => {
+      await createView();
+      const applyFiltersSpy = sandbox.spy(view, 'applyFilters');
+      await Promise.all([view.loadAllPages(), view.loadAllPages()]);
+      expect(view.originalData.data).to.deep.equal(ROWS);
+      // once per caller, not per page
+      expect(applyFiltersSpy.callCount).to.equal(2);
+      expect(view.allPagesRequest).to.not.exist;
+    });
+
+    it('loads all pages of all sheets in a multi-sheet json file', async () => {
+      fetchStub.callsFake(async (url) => {
+        if (`${url}`.includes('_locales')) {
+          return new Response(JSON.stringify(enMessages));
+        }
+        const sheet = new URL(`${url}`).searchParams.get('sheet') || 'first';
+        if (!new URL(`${url}`).searchParams.has('offset')) {
+          // initial request returns both sheets
+          return new Response(JSON.stringify({
+            ':type': 'multi-sheet',
+            ':names': ['first', 'second'],
+            first: {
+              total: 3, offset: 0, limit: 1, data: ROWS.slice(0, 1),
+            },
+            second: {
+              total: 2, offset: 0, limit: 1, data: ROWS.slice(0, 1),
+            },
+          }));
+        }
+        return getPage(`${url}`, sheet === 'first' ? ROWS : ROWS.slice(0, 2), sheet);
+      });
+      await createView();
+      await view.loadAllPages();
+      expect(view.originalData.first.data).to.deep.equal(ROWS);
+      expect(view.originalData.second.data).to.deep.equal(ROWS.slice(0, 2));
+      expect(fetchStub.getCalls()
+        .some(({ args: [url] }) => new URL(`${url}`).searchParams.get('sheet') === 'second')).to.be.true;
+    });
+  });
+
+  describe('column settings', () => {
+    afterEach(async () => {
+      await chrome.storage.local.clear();
+    });
+
+    it('remembers column settings by origin and path', async () => {
+      await chrome.storage.local.set({
+        jsonViewColumns: {
+          'https://main--foo--bar.aem.live/data.json': { 'shared-default': { hidden: ['id'] } },
+        },
+      });
+      await createView();
+      // settings of other origin not applied
+      expect(view.columnSettings).to.deep.equal({});
+
+      await view.onToggleColumn('shared-default', 'title', 'pinned');
+      const { jsonViewColumns } = await chrome.storage.local.get('jsonViewColumns');
+      expect(jsonViewColumns[SHEET_URL]).to.deep.equal({ 'shared-default': { pinned: ['title'] } });
+      expect(jsonViewColumns['https://main--foo--bar.aem.live/data.json']).to.exist;
+    });
+
+    it('keeps the column settings of the most recently used json files', async () => {
+      const jsonViewColumns = {};
+      for (let i = 0; i < 100; i += 1) {
+        jsonViewColumns[`https://main--foo--bar.aem.page/data-${i}.json`] = {};
+      }
+      await chrome.storage.local.set({ jsonViewColumns });
+      await createView();
+
+      await view.onToggleColumn('shared-default', 'title', 'hidden');
+      const { jsonViewColumns: stored } = await chrome.storage.local.get('jsonViewColumns');
+      const keys = Object.keys(stored);
+      expect(keys.length).to.equal(100);
+      expect(keys).to.not.include('https://main--foo--bar.aem.page/data-0.json');
+      expect(keys[keys.length - 1]).to.equal(SHEET_URL);
+    });
+  });
+
+  describe('export', () => {
+    it('loads all pages before exporting', async () => {
+      const createObjectURLStub = sandbox.stub(URL, 'createObjectURL').returns('blob:test');
+      sandbox.stub(URL, 'revokeObjectURL');
+      const clickStub = sandbox.stub(HTMLAnchorElement.prototype, 'click');
+      await createView();
+
+      // @ts-ignore
+      await view.onExport({ target: { value: 'csv' } });
+      expect(clickStub.calledOnce).to.be.true;
+      const blob = /** @type {Blob} */ (createObjectURLStub.lastCall.args[0]);
+      const text = await blob.text();
+      expect(text.split('\n').length).to.equal(ROWS.length + 1);
+      expect(text).to.contain('Three');
+    });
+  });
+
+  describe('validation', () => {
+    const schemas = JSON.stringify([{
+      path: '/data.json',
+      columns: {
+        id: { required: true },
+      },
+    }]);
+
+    it('notes if only a part of the rows is validated', async () => {
+      await createView({ schemas });
+      expect(view.shadowRoot.querySelector('.validation.valid')).to.exist;
+      const partial = view.shadowRoot.querySelector('.validation .partial');
+      expect(partial.textContent).to.contain('Only 1 of 3 rows are loaded and validated.');
+
+      partial.querySelector('sp-action-button').click();
+      await waitUntil(() => view.originalData.data.length === ROWS.length && !view.loading);
+      await view.updateComplete;
+      expect(view.shadowRoot.querySelector('.validation .partial')).to.not.exist;
+    });
+  });
+
+  describe('compare', () => {
+    it('compares all pages of preview and live', async () => {
+      const liveUrl = 'https://main--foo--bar.aem.live/data.json';
+      const previewRows = [...ROWS.slice(0, 2), { id: '3', title: 'Drei' }, { id: '4', title: 'Four' }];
+      fetchStub.callsFake(async (url) => {
+        if (`${url}`.includes('_locales')) {
+          return new Response(JSON.stringify(enMessages));
+        }
+        return getPage(`${url}`, `${url}`.startsWith(liveUrl) ? ROWS : previewRows);
+      });
+      await createView({ live: liveUrl, preview: SHEET_URL });
+
+      await view.onToggleCompare();
+      expect(view.compareMode).to.be.true;
+      expect(view.compareData['shared-default'].map(({ type }) => type)).to.deep.equal([
+        'unchanged', 'unchanged', 'changed', 'added',
+      ]);
+    });
+
+    it('shows an error if comparing preview and live fails', async () => {
+      sandbox.stub(console, 'error');
+      await createView({ live: 'https://main--foo--bar.aem.live/data.json', preview: SHEET_URL });
+      fetchStub.callsFake(async () => new Response('', { status: 500 }));
+
+      await view.onToggleCompare();
+      expect(view.compareMode).to.be.true;
+      expect(view.compareFailed).to.be.true;
+      await view.updateComplete;
+      expect(view.shadowRoot.querySelector('.message').textContent)
+        .to.equal('Failed to compare preview and live. Please try again later.');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-unused-expressions, import/no-extraneous-dependencies */
+
+import sinon from 'sinon';
+import { expect, waitUntil } from '@open-wc/testing';
+import chromeMock from '../../mocks/chrome.js';
+import { ProjectsView } from '../../../src/extension/views/projects/projects.js';
+import enMessages from '../../../src/extension/_locales/en/messages.json' with { type: 'json' };
+
+// @ts-ignore
+window.chrome = chromeMock;
+
+const PROJECTS = {
+  'foo/bar': {
+    id: 'foo/bar/main',
+    owner: 'foo',
+    repo: 'bar',
+    ref: 'main',
+    project: 'Bar',
+    group: 'Sites',
+    tags: ['blog'],
+  },
+  'foo/baz': {
+    id: 'foo/baz/main',
+    owner: 'foo',
+    repo: 'baz',
+    ref: 'main',
+  },
+};
+
+const MANAGED_PROJECTS = [{
+  owner: 'foo',
+  repo: 'managed',
+  ref: 'main',
+  project: 'Managed',
+}];
+
+describe('Projects view', () => {
+  const sandbox = sinon.createSandbox();
+  let fetchStub;
+  /** @type {ProjectsView} */
+  let view;
+
+  async function createView() {
+    view = new ProjectsView();
+    document.body.append(view);
+    await waitUntil(() => view.languageDict && view.projects.length > 0);
+    await view.updateComplete;
+    return view;
+  }
+
+  /**
+   * Returns the first element matching a selector.
+   * @param {string} selector The selector
+   * @param {ParentNode} [root] The root element (default: view)
+   * @returns {HTMLElement} The element
+   */
+  function query(selector, root = view.shadowRoot) {
+    return /** @type {HTMLElement} */ (root.querySelector(selector));
+  }
+
+  /**
+   * Returns the project list item with a given name.
+   * @param {string} name The project name
+   * @returns {HTMLElement} The list item
+   */
+  function getItem(name) {
+    /** @type {NodeListOf<HTMLElement>} */
+    const items = view.shadowRoot.querySelectorAll('ul.projects li');
+    return [...items].find((item) => item.querySelector('strong').textContent === name);
+  }
+
+  /**
+   * Selects a file for import.
+   * @param {File} file The file
+   * @returns {HTMLInputElement} The file input
+   */
+  function selectFile(file) {
+    const input = /** @type {HTMLInputElement} */ (query('input[type="file"]'));
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(file);
+    input.files = dataTransfer.files;
+    input.dispatchEvent(new Event('change'));
+    return input;
+  }
+
+  function getMessage() {
+    return query('p.message')?.textContent.trim();
+  }
+
+  beforeEach(() => {
+    chrome.storage.sync.set({
+      projects: Object.keys(PROJECTS),
+      ...JSON.parse(JSON.stringify(PROJECTS)),
+    });
+    chrome.storage.managed.set({ projects: MANAGED_PROJECTS });
+    fetchStub = sandbox.stub(window, 'fetch');
+    fetchStub.callsFake(async (url) => {
+      if (`${url}`.includes('_locales')) {
+        return new Response(JSON.stringify(enMessages));
+      }
+      return new Response('', { status: 404 });
+    });
+  });
+
+  afterEach(() => {
+    view?.remove();
+    view = null;
+    chrome.storage.sync.clear();
+    chrome.storage.managed.clear();
+    chrome.storage.local.clear();
+    sandbox.restore();
+  });
+
+  it('renders projects by group', async () => {
+    await createView();
+    const groups = [...view.shadowRoot.querySelectorAll('h2.group')]
+      .map((group) => group.textContent.trim());
+    expect(groups).to.deep.equal(['Ungrouped', 'Sites']);
+    const items = view.shadowRoot.querySelectorAll('ul.projects li');
+    expect(items.length).to.equal(3);
+    // managed projects cannot be edited
+    const managed = getItem('Managed');
+    expect(query('.managed', managed)).to.exist;
+    expect(query('.edit', managed)).to.not.exist;
+    expect(query('.share', managed)).to.exist;
+  });
+
+  it('filters projects by search query', async () => {
+    await createView();
+    view.query = 'blog';
+    await view.updateComplete;
+    const items = view.shadowRoot.querySelectorAll('ul.projects li');
+    expect(items.length).to.equal(1);
+    expect(items[0].querySelector('strong').textContent).to.equal('Bar');
+
+    view.query = 'nothing';
+    await view.updateComplete;
+    expect(getMessage()).to.equal('No projects match your search.');
+  });
+
+  it('exports projects', async () => {
+    const clickStub = sandbox.stub(HTMLAnchorElement.prototype, 'click');
+    const createObjectURLSpy = sandbox.spy(URL, 'createObjectURL');
+    await createView();
+    query('.export').click();
+
+    await waitUntil(() => clickStub.called);
+    const [link] = clickStub.thisValues;
+    expect(link.download).to.match(/^sidekick-projects-\d{4}-\d{2}-\d{2}\.json$/);
+    const blob = /** @type {Blob} */ (createObjectURLSpy.firstCall.args[0]);
+    const { projects } = JSON.parse(await blob.text());
+    expect(projects.length).to.equal(2);
+    await view.updateComplete;
+    expect(getMessage()).to.equal('Exported 2 project(s).');
+  });
+
+  it('imports new projects with their environment', async () => {
+    fetchStub.callsFake(async (url) => {
+      if (`${url}`.includes('_locales')) {
+        return new Response(JSON.stringify(enMessages));
+      }
+      return new Response(JSON.stringify({ host: 'www.new.com' }));
+    });
+    await createView();
+    const file = new File([JSON.stringify({
+      projects: [
+        { owner: 'foo', repo: 'new', ref: 'main' },
+        { owner: 'foo', repo: 'bar', ref: 'main' },
+        { owner: 'foo' },
+      ],
+    })], 'projects.json', { type: 'application/json' });
+
+    selectFile(file);
+
+    await waitUntil(() => getMessage());
+    expect(getMessage()).to.equal('Imported projects: 1 added, 0 updated, 1 skipped, 1 invalid.');
+    expect(view.projects.length).to.equal(4);
+    const { 'foo/new': added } = await chrome.storage.sync.get('foo/new');
+    expect(added.host).to.equal('www.new.com');
+  });
+
+  it('shows error if import file is invalid', async () => {
+    await createView();
+    const file = new File(['not json'], 'projects.json', { type: 'application/json' });
+    const input = selectFile(file);
+
+    await waitUntil(() => getMessage());
+    expect(getMessage()).to.equal('The selected file is not a valid project export.');
+    // allows selecting the same file again
+    expect(input.value).to.equal('');
+  });
+
+  it('copies share link', async () => {
+    const writeTextStub = sandbox.stub(navigator.clipboard, 'writeText').resolves();
+    await createView();
+    query('.share', getItem('Bar')).click();
+
+    await waitUntil(() => writeTextStub.called);
+    expect(writeTextStub.firstCall.args[0]).to.include('giturl=');
+    await view.updateComplete;
+    expect(getMessage()).to.equal('Share link for Bar copied to clipboard.');
+  });
+
+  it('saves group and tags of a project', async () => {
+    await createView();
+    query('.edit', getItem('foo/baz')).click();
+    await view.updateComplete;
+
+    const fields = query('.fields', getItem('foo/baz'));
+    /** @type {HTMLInputElement} */ (query('[name="group"]', fields)).value = 'Shops';
+    /** @type {HTMLInputElement} */ (query('[name="tags"]', fields)).value = 'one, two';
+    query('.save', fields).click();
+
+    await waitUntil(() => view.editing === undefined);
+    const { 'foo/baz': saved } = await chrome.storage.sync.get('foo/baz');
+    expect(saved).to.deep.include({
+      group: 'Shops',
+      tags: ['one', 'two'],
+    });
+    expect(getMessage()).to.equal('Project foo/baz/main saved.');
+  });
+
+  it('forgets picked projects', async () => {
+    await chrome.storage.local.set({ pickedProjects: { 'www.example.com': 'foo/bar' } });
+    await createView();
+    query('.reset-picked').click();
+
+    await waitUntil(async () => !(await chrome.storage.local.get('pickedProjects')).pickedProjects);
+    await view.updateComplete;
+    expect(getMessage()).to.include('The picked projects have been forgotten.');
+  });
+});